@@ -0,0 +1,197 @@
+/**
+ * Address Failure History
+ * Everything that went wrong for one address instead of one tx hash:
+ *
+ *   - retryables the address created (L1 sender) or targeted (L2 destination),
+ *     from the indexer's retryable_tickets table, with their ticket_to_l2tx
+ *     state and failed redeem attempts (retryable_redeems)
+ *   - the address's reverted non-retryable L2 transactions (sent or received)
+ *     in an L2 block range, found by scanning blocks
+ *
+ * Every entry is classified with the /analyze pipeline (retryables by their L1
+ * submission tx, L2 failures by their own hash) under the batch limiter.
+ *
+ * Retryables and their redeems cover whatever the indexer has indexed, over any
+ * range. Only the L2 scan reads blocks one by one, so only its range is capped
+ * (ADDRESS_SCAN_MAX_BLOCKS); the response's `limits` says which is which.
+ */
+
+import { ethers } from 'ethers'
+import { getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK } from './networks.js'
+import { runBatch, createConcurrencyLimiter, summarizeBatch } from './batchAnalysis.js'
+import { analyzeTransaction } from './analyzer.js'
+import { findTicketsForAddress, findRedeemEvents } from './indexer.js'
+
+const RPC_TIMEOUT_MS = 5000
+export const ADDRESS_SCAN_MAX_BLOCKS = Number(process.env.ADDRESS_SCAN_MAX_BLOCKS || 2000)
+const ADDRESS_SCAN_DEFAULT_BLOCKS = 500
+const DEFAULT_CLASSIFY_LIMIT = 50
+const ADDRESS_TICKET_LIMIT = 500
+// ArbitrumSubmitRetryableTx / ArbitrumRetryTx: covered by the indexer, not the block scan
+const RETRYABLE_TX_TYPES = new Set([0x68, 0x69])
+
+/**
+ * Whether a pipeline result reports a failure (same rule as the CLI exit code).
+ */
+export function isFailedAnalysis(analysis) {
+  if (!analysis) return false
+  return (analysis.failureAt && analysis.failureAt !== 'UNKNOWN') || (analysis.failureReason && analysis.failureReason !== 'UNKNOWN')
+}
+
+function ticketRole(ticket, address) {
+  const created = ticket.creator && ticket.creator.toLowerCase() === address.toLowerCase()
+  const targeted = ticket.to_address && ticket.to_address.toLowerCase() === address.toLowerCase()
+  if (created && targeted) return 'CREATOR_AND_TARGET'
+  return created ? 'CREATOR' : 'TARGET'
+}
+
+/**
+ * Resolve and bound the L2 block range to scan. Returns { fromBlock, toBlock } or { error }.
+ */
+export function resolveScanRange({ fromBlock, toBlock, latest }) {
+  const to = toBlock !== undefined && toBlock !== null ? Number(toBlock) : latest
+  const from = fromBlock !== undefined && fromBlock !== null ? Number(fromBlock) : Math.max(0, to - ADDRESS_SCAN_DEFAULT_BLOCKS + 1)
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) return { error: 'fromBlock/toBlock must be block numbers with fromBlock <= toBlock' }
+  if (to - from + 1 > ADDRESS_SCAN_MAX_BLOCKS) return { error: `At most ${ADDRESS_SCAN_MAX_BLOCKS} L2 blocks per scan (the range only bounds the non-retryable L2 tx scan)` }
+  return { fromBlock: from, toBlock: to }
+}
+
+/**
+ * Reverted L2 transactions sent by or to `address` in [fromBlock, toBlock],
+ * excluding retryable submissions and redeems.
+ */
+export async function scanFailedL2Transactions(address, { fromBlock, toBlock, provider }) {
+  const addr = address.toLowerCase()
+  const failures = []
+  const blockLimiter = createConcurrencyLimiter(4)
+  await Promise.all(Array.from({ length: toBlock - fromBlock + 1 }, (_, i) => fromBlock + i).map(b => blockLimiter(async () => {
+    const block = await callWithTimeout(provider.getBlock(b, true), RPC_TIMEOUT_MS).catch(() => null)
+    if (!block) return
+    const txs = (block.prefetchedTransactions || []).filter(tx => !RETRYABLE_TX_TYPES.has(Number(tx.type)) &&
+      ((tx.from && tx.from.toLowerCase() === addr) || (tx.to && tx.to.toLowerCase() === addr)))
+    for (const tx of txs) {
+      const receipt = await callWithTimeout(provider.getTransactionReceipt(tx.hash), RPC_TIMEOUT_MS).catch(() => null)
+      if (!receipt || receipt.status !== 0) continue
+      failures.push({
+        txHash: tx.hash,
+        blockNumber: b,
+        direction: tx.from && tx.from.toLowerCase() === addr ? 'FROM' : 'TO',
+        from: tx.from,
+        to: tx.to
+      })
+    }
+  })))
+  return failures.sort((x, y) => y.blockNumber - x.blockNumber)
+}
+
+// Redeem attempts whose retry tx reverted (status 0), oldest first
+function failedRedeems(events) {
+  return events.redeems.filter(r => r.status === 0).map(r => ({
+    retryTxHash: r.retry_tx_hash,
+    kind: r.kind,
+    sequenceNum: r.sequence_num,
+    l2TxHash: r.l2_tx_hash,
+    l2BlockNumber: r.l2_block_number
+  }))
+}
+
+function classification(entry) {
+  if (!entry) return null
+  if (!entry.ok) return { error: entry.error }
+  const a = entry.analysis
+  return {
+    failed: isFailedAnalysis(a),
+    failureAt: a.failureAt,
+    failureReason: a.failureReason,
+    failureMessage: a.failureMessage || null,
+    explanation: a.explanation || null
+  }
+}
+
+/**
+ * Retryables and failed L2 txs for an address, each classified by the pipeline.
+ *
+ * @param {string} address
+ * @param {Object} options
+ * @param {string} options.network - Registry network name
+ * @param {number} options.fromBlock - L2 scan start (default: last 500 blocks)
+ * @param {number} options.toBlock - L2 scan end (default: latest)
+ * @param {number} options.l1FromBlock - Only tickets created at or after this L1 block
+ * @param {number} options.l1ToBlock - Only tickets created at or before this L1 block
+ * @param {boolean} options.onlyFailed - Drop entries the pipeline does not classify as failed
+ * @param {number} options.limit - Max tx hashes sent through the pipeline (default 50)
+ * @param {Function} options.analyze - txHash → analysis (default: analyzeTransaction on `network`)
+ * @param {Function} options.findTickets - (address, filters) → ticket rows (default: the indexer)
+ * @param {Function} options.findRedeems - (ticketId, network) → { redeems, cancel } (default: the indexer)
+ * @param {Function} options.limiter - Shared concurrency limiter for analyses
+ * @param {Object} options.provider - L2 provider override (tests)
+ * @returns {Promise<Object>} { ok, address, retryables, l2Failures, scannedL2Range, limits, summary }
+ */
+export async function addressFailureHistory(address, options = {}) {
+  if (!address || !ethers.isAddress(address)) return { ok: false, error: `Invalid address: ${address}` }
+  const {
+    network = DEFAULT_NETWORK,
+    onlyFailed = false,
+    limit = DEFAULT_CLASSIFY_LIMIT,
+    analyze = (txHash) => analyzeTransaction(txHash, { network }),
+    findTickets = findTicketsForAddress,
+    findRedeems = findRedeemEvents,
+    limiter = createConcurrencyLimiter(4)
+  } = options
+  const addr = ethers.getAddress(address)
+
+  try {
+    const provider = options.provider || getProviders(network).l2Provider
+    const latest = options.toBlock !== undefined && options.toBlock !== null ? null : await callWithTimeout(provider.getBlockNumber(), RPC_TIMEOUT_MS)
+    const range = resolveScanRange({ fromBlock: options.fromBlock, toBlock: options.toBlock, latest })
+    if (range.error) return { ok: false, error: range.error }
+
+    const tickets = findTickets(addr, { network, fromBlock: options.l1FromBlock ?? null, toBlock: options.l1ToBlock ?? null, limit: ADDRESS_TICKET_LIMIT })
+    const l2Failures = await scanFailedL2Transactions(addr, { ...range, provider })
+
+    // One pipeline run per distinct hash; an L1 tx can create several tickets
+    const hashes = [...new Set([...tickets.map(t => t.l1_tx_hash), ...l2Failures.map(f => f.txHash)].filter(Boolean))]
+    const classified = hashes.slice(0, limit)
+    const entries = await runBatch(classified, analyze, { limiter })
+    const byHash = new Map(entries.map(e => [e.txHash, e]))
+
+    const keep = (item) => !onlyFailed || (item.classification && item.classification.failed) || (item.failedRedeems && item.failedRedeems.length > 0)
+    const retryables = tickets.map(t => ({
+      ticketId: t.ticket_id,
+      role: ticketRole(t, addr),
+      creator: t.creator,
+      to: t.to_address,
+      l1TxHash: t.l1_tx_hash,
+      l1BlockNumber: t.block_number,
+      l2TxHash: t.l2_tx_hash || null,
+      l2BlockNumber: t.l2_block_number || null,
+      state: t.state || null,
+      redeemTxHash: t.redeem_tx_hash || null,
+      failedRedeems: failedRedeems(findRedeems(t.ticket_id, network)),
+      classification: classification(byHash.get(t.l1_tx_hash))
+    })).filter(keep)
+    const failures = l2Failures.map(f => ({ ...f, classification: classification(byHash.get(f.txHash)) })).filter(keep)
+
+    return {
+      ok: true,
+      address: addr,
+      network,
+      scannedL2Range: range,
+      limits: {
+        retryables: `Indexed tickets over any L1 range (newest ${ADDRESS_TICKET_LIMIT}), with every indexed redeem attempt`,
+        l2Failures: `Reverted non-retryable L2 txs in scannedL2Range only (at most ${ADDRESS_SCAN_MAX_BLOCKS} blocks per request)`,
+        ticketsTruncated: tickets.length >= ADDRESS_TICKET_LIMIT
+      },
+      retryables,
+      l2Failures: failures,
+      classified: classified.length,
+      truncated: hashes.length > classified.length,
+      summary: summarizeBatch(entries)
+    }
+  } catch (e) {
+    return { ok: false, address: addr, error: e.message }
+  }
+}
+
+export default { addressFailureHistory, scanFailedL2Transactions, resolveScanRange, isFailedAnalysis, ADDRESS_SCAN_MAX_BLOCKS }
@@ -1,45 +1,163 @@
 import dotenv from 'dotenv'
 import { ethers } from 'ethers'
+import { DEFAULT_NETWORK, getNetwork, listNetworks, isConfigured, networkForLogs } from './networks.js'
 
 dotenv.config()
 
-const {
-  L1_RPC_URL = process.env.L1_RPC_URL,
-  ARBITRUM_RPC_URL = process.env.ARBITRUM_RPC_URL
-} = process.env
-
-const l1Provider = new ethers.JsonRpcProvider(L1_RPC_URL)
-const l2Provider = new ethers.JsonRpcProvider(ARBITRUM_RPC_URL)
+// One provider pair per network, created on first use. "L1" is the network's
+// parent chain (Ethereum, Sepolia, or an Arbitrum chain for Orbit L3s).
+const providerCache = new Map()
 
 // Arbitrum Inbox contract ABI fragment for RetryableTicketCreated event
 export const INBOX_ABI = [
-  'event RetryableTicketCreated(uint256 indexed ticketId, address indexed from, address to, uint256 l2CallValue, address excessFeeRefundAddress, address callValueRefundAddress, uint256 gasLimit, uint256 maxFeePerGas, bytes data)'
+  'event RetryableTicketCreated(uint256 indexed ticketId, address indexed from, address to, uint256 l2CallValue, address excessFeeRefundAddress, address callValueRefundAddress, uint256 gasLimit, uint256 maxFeePerGas, bytes data)',
+  // Nitro Inbox: message body for every delivered message (packed retryable params for kind 9)
+  'event InboxMessageDelivered(uint256 indexed messageNum, bytes data)',
+  'function calculateRetryableSubmissionFee(uint256 dataLength, uint256 baseFee) view returns (uint256)',
+  'function createRetryableTicket(address to, uint256 l2CallValue, uint256 maxSubmissionCost, address excessFeeRefundAddress, address callValueRefundAddress, uint256 gasLimit, uint256 maxFeePerGas, bytes data) payable returns (uint256)',
+  'function unsafeCreateRetryableTicket(address to, uint256 l2CallValue, uint256 maxSubmissionCost, address excessFeeRefundAddress, address callValueRefundAddress, uint256 gasLimit, uint256 maxFeePerGas, bytes data) payable returns (uint256)',
+  'error InsufficientSubmissionCost(uint256 expected, uint256 actual)'
 ]
 
-// Arbitrum L2 ArbRetryableTx precompile ABI fragment
+// Arbitrum L2 ArbRetryableTx precompile ABI fragment (ticket IDs are bytes32 topics)
+export const ARB_RETRYABLE_ADDRESS = '0x000000000000000000000000000000000000006e'
 const ARB_RETRYABLE_ABI = [
-  'event TicketCreated(uint256 indexed ticketId)',
-  'event Redeemed(uint256 indexed ticketId)',
-  'event LifetimeExtended(uint256 indexed ticketId, uint256 newTimeout)'
+  'event TicketCreated(bytes32 indexed ticketId)',
+  // Pre-Nitro; superseded by RedeemScheduled
+  'event Redeemed(bytes32 indexed userTxHash)',
+  'event LifetimeExtended(bytes32 indexed ticketId, uint256 newTimeout)',
+  'event Canceled(bytes32 indexed ticketId)',
+  // Emitted in the submit-retryable tx; retryTxHash is the auto-redeem attempt
+  'event RedeemScheduled(bytes32 indexed ticketId, bytes32 indexed retryTxHash, uint64 indexed sequenceNum, uint64 donatedGas, address gasDonor, uint256 maxRefund, uint256 submissionFeeRefund)',
+  // Views revert with NoTicketWithID once a ticket is redeemed, canceled or expired
+  'function getTimeout(bytes32 ticketId) view returns (uint256)',
+  'function getBeneficiary(bytes32 ticketId) view returns (address)',
+  'function getLifetime() view returns (uint256)',
+  'function redeem(bytes32 ticketId) returns (bytes32)',
+  'function keepalive(bytes32 ticketId) returns (uint256)',
+  'function cancel(bytes32 ticketId)',
+  'error NoTicketWithID()',
+  'error NotCallable()'
 ]
 
 // SequencerInbox / Bridge ABI fragments (useful L1 logs)
 export const SEQUENCER_INBOX_ABI = [
-  'event SequencerBatchDelivered(uint256 indexed batchIndex, bytes data)',
+  // Nitro: a batch has read every delayed message below afterDelayedMessagesRead
+  'event SequencerBatchDelivered(uint256 indexed batchSequenceNumber, bytes32 indexed beforeAcc, bytes32 indexed afterAcc, bytes32 delayedAcc, uint256 afterDelayedMessagesRead, tuple(uint64 minTimestamp, uint64 maxTimestamp, uint64 minBlockNumber, uint64 maxBlockNumber) timeBounds, uint8 dataLocation)',
+  'function totalDelayedMessagesRead() view returns (uint256)',
+  'function maxTimeVariation() view returns (uint256 delayBlocks, uint256 futureBlocks, uint256 delaySeconds, uint256 futureSeconds)',
+  // Anyone can include delayed messages up to _totalDelayedMessagesRead - 1 once they are older than the delay
+  'function forceInclusion(uint256 _totalDelayedMessagesRead, uint8 kind, uint64[2] l1BlockAndTime, uint256 baseFeeL1, address sender, bytes32 messageDataHash)'
 ]
 
+// Classic (pre-Nitro) Bridge event; Nitro withdrawals use ARBSYS_ABI / OUTBOX_ABI / ROLLUP_ABI below
 export const BRIDGE_ABI = [
-  'event OutboxEntryCreated(bytes32 indexed batchHash, uint256 outboxIndex)'
+  'event OutboxEntryCreated(bytes32 indexed batchHash, uint256 outboxIndex)',
+  // Nitro Bridge: one per delayed message; baseFeeL1 is block.basefee at delivery
+  'event MessageDelivered(uint256 indexed messageIndex, bytes32 indexed beforeInboxAcc, address inbox, uint8 kind, address sender, bytes32 messageDataHash, uint256 baseFeeL1, uint64 timestamp)'
+]
+
+// ArbSys precompile (0x64): emitted on L2 for every L2 → L1 message (withdrawal)
+export const ARBSYS_ADDRESS = '0x0000000000000000000000000000000000000064'
+export const ARBSYS_ABI = [
+  'event L2ToL1Tx(address caller, address indexed destination, uint256 indexed hash, uint256 indexed position, uint256 arbBlockNum, uint256 ethBlockNum, uint256 timestamp, uint256 callvalue, bytes data)'
+]
+
+// NodeInterface (0xc8): virtual contract answered by the node, only via eth_call / eth_estimateGas
+export const NODE_INTERFACE_ADDRESS = '0x00000000000000000000000000000000000000C8'
+export const NODE_INTERFACE_ABI = [
+  'function estimateRetryableTicket(address sender, uint256 deposit, address to, uint256 l2CallValue, address excessFeeRefundAddress, address callValueRefundAddress, bytes data)',
+  // Reverts while the block is not yet in a batch posted to the parent chain
+  'function findBatchContainingBlock(uint64 blockNum) view returns (uint64 batch)',
+  // Parent-chain confirmations of the batch that contains the block (0 until posted)
+  'function getL1Confirmations(bytes32 blockHash) view returns (uint64 confirmations)'
+]
+
+// Nitro Outbox on L1: executes confirmed L2 → L1 messages
+export const OUTBOX_ABI = [
+  'function executeTransaction(bytes32[] proof, uint256 index, address l2Sender, address to, uint256 l2Block, uint256 l1Block, uint256 l2Timestamp, uint256 value, bytes data)',
+  'function isSpent(uint256 index) view returns (bool)',
+  'event OutBoxTransactionExecuted(address indexed to, address indexed l2Sender, uint256 indexed zero, uint256 transactionIndex)',
+  'event SendRootUpdated(bytes32 indexed outputRoot, bytes32 indexed l2BlockHash)'
+]
+
+// ArbGasInfo precompile (0x6c): L2 gas prices and the L1 data (poster) fee inputs
+export const ARB_GAS_INFO_ADDRESS = '0x000000000000000000000000000000000000006C'
+export const ARB_GAS_INFO_ABI = [
+  'function getPricesInWei() view returns (uint256 perL2Tx, uint256 perL1CalldataByte, uint256 perStorageAllocation, uint256 perArbGasBase, uint256 perArbGasCongestion, uint256 perArbGasTotal)',
+  'function getL1BaseFeeEstimate() view returns (uint256)'
+]
+
+// ArbWasm precompile (0x71): Stylus program activation state. The codehash/program
+// queries revert with the errors below unless the program is active at the current version.
+export const ARB_WASM_ADDRESS = '0x0000000000000000000000000000000000000071'
+export const ARB_WASM_ABI = [
+  'function stylusVersion() view returns (uint16 version)',
+  'function codehashVersion(bytes32 codehash) view returns (uint16 version)',
+  'function codehashAsmSize(bytes32 codehash) view returns (uint32 size)',
+  'function programVersion(address program) view returns (uint16 version)',
+  'function programInitGas(address program) view returns (uint64 gas, uint64 gasWhenCached)',
+  'function programMemoryFootprint(address program) view returns (uint16 footprint)',
+  'function programTimeLeft(address program) view returns (uint64 secs)',
+  'function activateProgram(address program) payable returns (uint16 version, uint256 dataFee)',
+  'error ProgramNotWasm()',
+  'error ProgramNotActivated()',
+  'error ProgramNeedsUpgrade(uint16 version, uint16 stylusVersion)',
+  'error ProgramExpired(uint64 ageInSeconds)'
+]
+
+// Rollup on L1: assertions (nodes) and their confirmation. NodeCreated/NodeConfirmed
+// are the pre-BoLD events; AssertionConfirmed is the BoLD equivalent.
+export const ROLLUP_ABI = [
+  'function confirmPeriodBlocks() view returns (uint64)',
+  'event NodeCreated(uint64 indexed nodeNum, bytes32 indexed parentNodeHash, bytes32 indexed nodeHash, bytes32 executionHash, tuple(tuple(tuple(bytes32[2] bytes32Vals, uint64[2] u64Vals) globalState, uint8 machineStatus) beforeState, tuple(tuple(bytes32[2] bytes32Vals, uint64[2] u64Vals) globalState, uint8 machineStatus) afterState, uint64 numBlocks) assertion, bytes32 afterInboxBatchAcc, bytes32 wasmModuleRoot, uint256 inboxMaxCount)',
+  'event NodeConfirmed(uint64 indexed nodeNum, bytes32 blockHash, bytes32 sendRoot)',
+  // BoLD rollups: beforeStateData.configData.confirmPeriodBlocks is the period this assertion waits out
+  'event AssertionCreated(bytes32 indexed assertionHash, bytes32 indexed parentAssertionHash, tuple(tuple(bytes32 prevPrevAssertionHash, bytes32 sequencerBatchAcc, tuple(bytes32 wasmModuleRoot, uint256 requiredStake, address challengeManager, uint64 confirmPeriodBlocks, uint64 nextInboxPosition) configData) beforeStateData, tuple(tuple(bytes32[2] bytes32Vals, uint64[2] u64Vals) globalState, uint8 machineStatus, bytes32 endHistoryRoot) beforeState, tuple(tuple(bytes32[2] bytes32Vals, uint64[2] u64Vals) globalState, uint8 machineStatus, bytes32 endHistoryRoot) afterState) assertion, bytes32 afterInboxBatchAcc, uint256 inboxMaxCount, bytes32 wasmModuleRoot, uint256 requiredStake, address challengeManager, uint64 confirmPeriodBlocks)',
+  'event AssertionConfirmed(bytes32 indexed assertionHash, bytes32 blockHash, bytes32 sendRoot)'
 ]
 
 // Export the ARB_RETRYABLE_ABI for other modules
 export { ARB_RETRYABLE_ABI }
 
 const inboxInterface = new ethers.Interface(INBOX_ABI)
-const arbRetryableInterface = new ethers.Interface(ARB_RETRYABLE_ABI)
 
-export function getProviders() {
-  return { l1Provider, l2Provider }
+// Stand-in for a chain without an RPC URL: every call rejects with a clear error
+// (ethers would otherwise default to http://localhost:8545)
+function unconfiguredProvider(label) {
+  const fail = async () => { throw new Error(`No RPC configured for ${label}`) }
+  return {
+    configured: false,
+    getBlock: fail,
+    getBlockNumber: fail,
+    getTransaction: fail,
+    getTransactionReceipt: fail,
+    getLogs: fail,
+    getCode: fail,
+    getFeeData: fail,
+    call: fail,
+    estimateGas: fail,
+    send: fail
+  }
+}
+
+// The chain ID comes from the registry, so ethers never probes (and never logs
+// "failed to detect network" retries) when an RPC is down
+function rpcProvider(url, chainId, label) {
+  if (!url) return unconfiguredProvider(label)
+  return new ethers.JsonRpcProvider(url, undefined, { staticNetwork: chainId ? ethers.Network.from(chainId) : true })
+}
+
+export function getProviders(network = DEFAULT_NETWORK) {
+  const net = getNetwork(network)
+  if (!net) throw new Error(`Unknown network: ${network}`)
+  if (!providerCache.has(net.name)) {
+    providerCache.set(net.name, {
+      l1Provider: rpcProvider(net.parentRpcUrl, net.parentChainId, `${net.name} parent chain`),
+      l2Provider: rpcProvider(net.rpcUrl, net.chainId, net.name)
+    })
+  }
+  return providerCache.get(net.name)
 }
 
 // Helper to race a promise against a timeout
@@ -50,7 +168,8 @@ export async function callWithTimeout(promise, ms) {
   ])
 }
 
-export async function findTxOnProviders(txHash) {
+export async function findTxOnProviders(txHash, network = DEFAULT_NETWORK) {
+  const { l1Provider, l2Provider } = getProviders(network)
   const out = {
     txHash,
     foundOn: null,
@@ -129,87 +248,9 @@ export function findRetryableCreationLogs(logs, receipt) {
   return retryables
 }
 
-// Scan recent L2 blocks to find a transaction with matching calldata / destination
-export async function findL2TransactionFromRetryable(retryable, lookbackBlocks = 100) {
-  try {
-    const latestBlock = await l2Provider.getBlockNumber()
-    const startBlock = Math.max(0, latestBlock - lookbackBlocks)
-    
-    // Build a filter for transactions to the target address
-    const toAddress = retryable.to
-    
-    // Query L2 logs or trace blocks for transactions matching the ticket's destination
-    const filter = {
-      address: toAddress,
-      fromBlock: startBlock,
-      toBlock: 'latest'
-    }
-    
-    // Attempt to find logs emitted to this address
-    // This is a heuristic; we're looking for recent activity on the destination contract
-    const logs = await l2Provider.getLogs(filter).catch(() => [])
-    
-    if (logs && logs.length > 0) {
-      return {
-        found: true,
-        blockRange: { startBlock, latestBlock },
-        logsFound: logs.length,
-        sampleLog: logs[0]
-      }
-    }
-    
-    return { found: false, blockRange: { startBlock, latestBlock } }
-  } catch (e) {
-    return { error: e.message, blockRange: null }
-  }
-}
-
-// Search L2 logs for retryable lifecycle events (Redeemed, TicketCreated, LifetimeExtended)
-// CONSTRAINT 3 - Historical Data Depends on Indexing Depth:
-//   This function searches recent L2 logs (default: last 500 blocks). It does NOT provide:
-//   - Data older than lookbackBlocks parameter
-//   - Pruned or archived blocks from RPC provider
-//   - Data from before indexing started
-//   
-//   Fallback: findRetryableLifecycleViaIndexer() uses optional indexer for performance,
-//   but falls back to this log scanning if indexer unavailable.
-//   
-//   Why limited: We're designed for real-time debugging, not archival. Optional
-//   indexer provides performance boost for recent data only.
-export async function findRetryableLifecycle(ticketId, lookbackBlocks = 500) {
-  try {
-    const latestBlock = await l2Provider.getBlockNumber()
-    const startBlock = Math.max(0, latestBlock - lookbackBlocks)
-
-    // Query logs in the recent range and attempt to parse with arbRetryableInterface
-    const logs = await l2Provider.getLogs({ fromBlock: startBlock, toBlock: 'latest' }).catch(() => [])
-    const events = []
-    for (const l of logs) {
-      try {
-        const parsed = arbRetryableInterface.parseLog(l)
-        if (parsed) {
-          const name = parsed.name
-          if (name === 'Redeemed' || name === 'TicketCreated' || name === 'LifetimeExtended') {
-            const args = parsed.args
-            // ticket id may be BigInt or hex
-            const id = args[0] ? args[0].toString() : null
-            events.push({ name, ticketId: id, blockNumber: l.blockNumber, transactionHash: l.transactionHash })
-          }
-        }
-      } catch (e) {
-        // not a matching event, skip
-      }
-    }
-
-    return { ok: true, events, range: { startBlock, latestBlock } }
-  } catch (e) {
-    return { ok: false, error: e.message }
-  }
-}
-
 // Compute average baseFeePerGas over recent blocks.
 // If `blocks` array is provided (for tests), it should be an array of objects { baseFeePerGas: <BigInt|string|number> }
-export async function computeL2BaseFeeAverage(count = 10, blocks = null) {
+export async function computeL2BaseFeeAverage(count = 10, blocks = null, network = DEFAULT_NETWORK) {
   try {
     if (Array.isArray(blocks)) {
       const vals = blocks.map(b => BigInt(b.baseFeePerGas || b.baseFee || 0))
@@ -219,6 +260,7 @@ export async function computeL2BaseFeeAverage(count = 10, blocks = null) {
     }
 
     // Otherwise query provider for last `count` blocks
+    const { l2Provider } = getProviders(network)
     const latest = await l2Provider.getBlockNumber()
     const start = Math.max(0, latest - count + 1)
     let sum = 0n
@@ -239,8 +281,9 @@ export async function computeL2BaseFeeAverage(count = 10, blocks = null) {
 }
 
 // Fetch trace / execution details for an L2 tx (returns minimal info for now)
-export async function fetchL2TraceInfo(txHash) {
+export async function fetchL2TraceInfo(txHash, network = DEFAULT_NETWORK) {
   try {
+    const { l2Provider } = getProviders(network)
     const receipt = await l2Provider.getTransactionReceipt(txHash)
     if (!receipt) return null
     // Fetch transaction to get calldata/input
@@ -269,8 +312,9 @@ export async function fetchL2TraceInfo(txHash) {
 
 // Attempt to call debug_traceTransaction on the L2 provider. Returns trace result or { error }
 // Optionally parses memory/storage access patterns if tracer supports it
-export async function debugTraceTransaction(txHash) {
+export async function debugTraceTransaction(txHash, network = DEFAULT_NETWORK) {
   try {
+    const { l2Provider } = getProviders(network)
     // First try with call tracer (default)
     const res = await l2Provider.send('debug_traceTransaction', [txHash, {}])
     
@@ -354,8 +398,9 @@ export function extractMemoryStorageAccess(trace) {
 
 
 // Fetch extended gas price history (last N blocks with full details)
-export async function fetchL2GasPriceHistory(blockCount = 100) {
+export async function fetchL2GasPriceHistory(blockCount = 100, network = DEFAULT_NETWORK) {
   try {
+    const { l2Provider } = getProviders(network)
     const latest = await l2Provider.getBlockNumber()
     const start = Math.max(0, latest - blockCount + 1)
     const history = []
@@ -395,16 +440,16 @@ export async function fetchL2GasPriceHistory(blockCount = 100) {
   }
 }
 
-// Query indexer for retryable lifecycle events by L1 tx hash
+// Query indexer for retryable tickets by L1 tx hash
 // CONSTRAINT 3 - Historical Data Depends on Indexing Depth:
 //   If indexer is available, returns indexed tickets (performance boost).
-//   Falls back to real-time log scanning if indexer unavailable.
+//   Ticket lifecycles themselves are resolved exactly by retryableResolver.js.
 //   Note: Indexing depth ≠ full blockchain history. Only indexed period is searchable.
-export async function findRetryableLifecycleViaIndexer(l1TxHash) {
+export async function findRetryableLifecycleViaIndexer(l1TxHash, network = null) {
   try {
     const { default: indexer } = await import('./indexer.js')
     if (!indexer || typeof indexer.findByL1Tx !== 'function') return { ok: false, tickets: [] }
-    const tickets = indexer.findByL1Tx(l1TxHash)
+    const tickets = indexer.findByL1Tx(l1TxHash, network)
     // If we have tickets, try to enrich with L2 mapping
     const enriched = (tickets || []).map(t => {
       try {
@@ -419,3 +464,38 @@ export async function findRetryableLifecycleViaIndexer(l1TxHash) {
     return { ok: false, error: e.message, tickets: [] }
   }
 }
+
+// Auto-detect which configured network a tx hash belongs to.
+// A parent-chain tx that touched a network's bridge contracts wins over a
+// plain child-chain match, so an Arbitrum One tx that creates an Orbit L3
+// retryable resolves to the L3. Returns { network, foundOn } or { network: null }.
+export async function detectNetworkForTx(txHash, candidates = listNetworks({ configuredOnly: true })) {
+  if (candidates.length === 0) return { network: null, foundOn: 'unknown' }
+  if (candidates.length === 1) return { network: candidates[0].name, foundOn: null }
+
+  const RPC_TIMEOUT_MS = 5000
+  const lookups = await Promise.allSettled(candidates.map(async (n) => {
+    const { l1Provider, l2Provider } = getProviders(n.name)
+    const [parent, child] = await Promise.allSettled([
+      callWithTimeout(l1Provider.getTransactionReceipt(txHash), RPC_TIMEOUT_MS),
+      callWithTimeout(l2Provider.getTransactionReceipt(txHash), RPC_TIMEOUT_MS)
+    ])
+    return {
+      network: n,
+      parentReceipt: parent.status === 'fulfilled' ? parent.value : null,
+      childReceipt: child.status === 'fulfilled' ? child.value : null
+    }
+  }))
+  const found = lookups.filter(r => r.status === 'fulfilled').map(r => r.value)
+
+  for (const f of found) {
+    if (!f.parentReceipt) continue
+    const target = networkForLogs(f.parentReceipt.logs, candidates.filter(isConfigured))
+    if (target) return { network: target.name, foundOn: 'L1' }
+  }
+  const child = found.find(f => f.childReceipt)
+  if (child) return { network: child.network.name, foundOn: 'L2' }
+  const parent = found.find(f => f.parentReceipt)
+  if (parent) return { network: parent.network.name, foundOn: 'L1' }
+  return { network: null, foundOn: 'unknown' }
+}
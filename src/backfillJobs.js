@@ -0,0 +1,273 @@
+/**
+ * Indexer Backfill Jobs
+ * Seeds historical ticket data without holding an HTTP request open:
+ *
+ *   - a job covers [startBlock, endBlock] on one layer (L1 = parent-chain Inbox
+ *     events via indexRange, L2 = ticket mappings / redeems via indexL2Range)
+ *   - the range is split into fixed-size chunks, run `concurrency` at a time
+ *   - every chunk's outcome is written to data/backfill.db as it finishes, so a
+ *     restarted server resumes interrupted jobs from the first unfinished chunk
+ *     (indexing is idempotent, so re-running a half-done chunk is safe)
+ *
+ * A chunk is retried when the indexer reports skipped blocks; after
+ * BACKFILL_CHUNK_ATTEMPTS it is marked FAILED and the job finishes with errors.
+ * POST /indexer/jobs/:id/resume re-queues failed chunks.
+ */
+
+import Database from 'better-sqlite3'
+import path from 'path'
+import fs from 'fs'
+import { getNetwork } from './networks.js'
+import { createConcurrencyLimiter } from './batchAnalysis.js'
+import { indexRange, indexL2Range } from './indexer.js'
+
+const DB_PATH = path.join(process.cwd(), 'data', 'backfill.db')
+export const DEFAULT_CHUNK_SIZE = Number(process.env.BACKFILL_CHUNK_SIZE || 1000)
+export const MAX_CONCURRENCY = Number(process.env.BACKFILL_MAX_CONCURRENCY || 4)
+const CHUNK_ATTEMPTS = Number(process.env.BACKFILL_CHUNK_ATTEMPTS || 3)
+// Per-request cap on chunks so one job can't fill the table
+const MAX_CHUNKS = 100000
+
+export const LAYERS = ['L1', 'L2']
+
+let db = null
+// Jobs running in this process: id → { promise, canceled }
+const running = new Map()
+
+export function initBackfillJobs(dbPath = DB_PATH) {
+  if (dbPath !== ':memory:') fs.mkdirSync(path.dirname(dbPath), { recursive: true })
+  db = new Database(dbPath)
+  db.pragma('journal_mode = WAL')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS backfill_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      network TEXT NOT NULL,
+      layer TEXT NOT NULL,           -- L1 | L2
+      start_block INTEGER NOT NULL,
+      end_block INTEGER NOT NULL,
+      chunk_size INTEGER NOT NULL,
+      concurrency INTEGER NOT NULL,
+      status TEXT NOT NULL,          -- QUEUED | RUNNING | COMPLETED | COMPLETED_WITH_ERRORS | CANCELED
+      created_at INTEGER,
+      run_started_at INTEGER,        -- start of the current (or last) run, for throughput
+      finished_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS backfill_chunks (
+      job_id INTEGER NOT NULL,
+      start_block INTEGER NOT NULL,
+      end_block INTEGER NOT NULL,
+      status TEXT NOT NULL,          -- PENDING | RUNNING | DONE | FAILED
+      attempts INTEGER DEFAULT 0,
+      rows INTEGER DEFAULT 0,        -- tickets inserted (L1) or mapped (L2)
+      reorgs INTEGER DEFAULT 0,
+      error TEXT,
+      finished_at INTEGER,
+      PRIMARY KEY (job_id, start_block)
+    );
+  `)
+  return db
+}
+
+function requireDb() {
+  if (!db) initBackfillJobs()
+  return db
+}
+
+/**
+ * Split [startBlock, endBlock] into consecutive chunks of at most `size` blocks.
+ */
+export function planChunks(startBlock, endBlock, size) {
+  const chunks = []
+  for (let from = startBlock; from <= endBlock; from += size) {
+    chunks.push({ startBlock: from, endBlock: Math.min(endBlock, from + size - 1) })
+  }
+  return chunks
+}
+
+/**
+ * Validate and persist a job with its chunk plan. Returns { ok, job } or { ok: false, error }.
+ */
+export function createBackfillJob({ network, layer = 'L1', startBlock, endBlock, chunkSize = DEFAULT_CHUNK_SIZE, concurrency = 2 } = {}) {
+  if (!network || !getNetwork(network)) return { ok: false, error: `Unknown network: ${network}` }
+  if (!LAYERS.includes(layer)) return { ok: false, error: `layer must be one of ${LAYERS.join(', ')}` }
+  if (!Number.isInteger(startBlock) || !Number.isInteger(endBlock) || startBlock < 0 || endBlock < startBlock) {
+    return { ok: false, error: 'startBlock and endBlock must be block numbers with startBlock <= endBlock' }
+  }
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) return { ok: false, error: 'chunkSize must be a positive integer' }
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) return { ok: false, error: `concurrency must be between 1 and ${MAX_CONCURRENCY}` }
+  const chunks = planChunks(startBlock, endBlock, chunkSize)
+  if (chunks.length > MAX_CHUNKS) return { ok: false, error: `Range needs ${chunks.length} chunks; at most ${MAX_CHUNKS} (raise chunkSize)` }
+
+  const d = requireDb()
+  const id = d.transaction(() => {
+    const info = d.prepare(`
+      INSERT INTO backfill_jobs (network, layer, start_block, end_block, chunk_size, concurrency, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'QUEUED', ?)
+    `).run(network, layer, startBlock, endBlock, chunkSize, concurrency, Date.now())
+    const insertChunk = d.prepare("INSERT INTO backfill_chunks (job_id, start_block, end_block, status) VALUES (?, ?, ?, 'PENDING')")
+    for (const c of chunks) insertChunk.run(info.lastInsertRowid, c.startBlock, c.endBlock)
+    return Number(info.lastInsertRowid)
+  })()
+  return { ok: true, job: getJobProgress(id) }
+}
+
+/**
+ * Job row plus progress: chunk counts, blocks done, throughput over the current
+ * run, ETA and the errors of failed chunks.
+ */
+export function getJobProgress(id, now = Date.now()) {
+  const d = requireDb()
+  const job = d.prepare('SELECT * FROM backfill_jobs WHERE id = ?').get(id)
+  if (!job) return null
+  const chunks = d.prepare('SELECT * FROM backfill_chunks WHERE job_id = ? ORDER BY start_block').all(id)
+  const count = (status) => chunks.filter(c => c.status === status).length
+  const blocks = (list) => list.reduce((sum, c) => sum + (c.end_block - c.start_block + 1), 0)
+  const done = chunks.filter(c => c.status === 'DONE')
+  const blocksTotal = job.end_block - job.start_block + 1
+  const blocksDone = blocks(done)
+
+  // Throughput over the current run only; earlier runs may be hours old
+  const runDone = job.run_started_at ? done.filter(c => c.finished_at >= job.run_started_at) : []
+  const elapsedSec = job.run_started_at ? ((job.finished_at || now) - job.run_started_at) / 1000 : 0
+  const blocksPerSecond = elapsedSec > 0 ? blocks(runDone) / elapsedSec : null
+  const remaining = blocksTotal - blocksDone - blocks(chunks.filter(c => c.status === 'FAILED'))
+
+  return {
+    id: job.id,
+    network: job.network,
+    layer: job.layer,
+    startBlock: job.start_block,
+    endBlock: job.end_block,
+    chunkSize: job.chunk_size,
+    concurrency: job.concurrency,
+    status: job.status,
+    createdAt: new Date(job.created_at).toISOString(),
+    finishedAt: job.finished_at ? new Date(job.finished_at).toISOString() : null,
+    progress: {
+      chunks: { total: chunks.length, done: count('DONE'), running: count('RUNNING'), pending: count('PENDING'), failed: count('FAILED') },
+      blocksDone,
+      blocksTotal,
+      percent: Math.round((blocksDone / blocksTotal) * 1000) / 10,
+      rows: chunks.reduce((sum, c) => sum + (c.rows || 0), 0),
+      reorgs: chunks.reduce((sum, c) => sum + (c.reorgs || 0), 0)
+    },
+    throughput: {
+      blocksPerSecond: blocksPerSecond !== null ? Math.round(blocksPerSecond * 100) / 100 : null,
+      etaSeconds: blocksPerSecond && job.status === 'RUNNING' ? Math.round(remaining / blocksPerSecond) : null
+    },
+    errors: chunks.filter(c => c.error).map(c => ({ startBlock: c.start_block, endBlock: c.end_block, status: c.status, attempts: c.attempts, error: c.error }))
+  }
+}
+
+export function listJobs({ limit = 50 } = {}) {
+  return requireDb().prepare('SELECT id FROM backfill_jobs ORDER BY id DESC LIMIT ?').all(limit).map(r => getJobProgress(r.id))
+}
+
+// One chunk through the indexer, retried while blocks were skipped
+async function runChunk(job, chunk, indexers) {
+  const d = requireDb()
+  const index = job.layer === 'L1' ? indexers.indexRange : indexers.indexL2Range
+  let attempts = chunk.attempts
+  let error = null
+  let rows = 0
+  let reorgs = 0
+  while (attempts < CHUNK_ATTEMPTS) {
+    attempts++
+    d.prepare("UPDATE backfill_chunks SET status = 'RUNNING', attempts = ? WHERE job_id = ? AND start_block = ?").run(attempts, job.id, chunk.start_block)
+    try {
+      const res = await index(chunk.start_block, chunk.end_block, job.network)
+      rows += (job.layer === 'L1' ? res.inserted : res.mapped) || 0
+      reorgs += (res.reorgs || []).length
+      if (res.ok === false || res.error) error = res.error
+      else if (res.failedBlocks && res.failedBlocks.length > 0) error = `Blocks skipped on RPC errors: ${res.failedBlocks.slice(0, 10).join(', ')}${res.failedBlocks.length > 10 ? ', ...' : ''}`
+      else error = null
+    } catch (e) {
+      error = e.message
+    }
+    if (!error) break
+  }
+  d.prepare('UPDATE backfill_chunks SET status = ?, attempts = ?, rows = ?, reorgs = ?, error = ?, finished_at = ? WHERE job_id = ? AND start_block = ?')
+    .run(error ? 'FAILED' : 'DONE', attempts, rows, reorgs, error, Date.now(), job.id, chunk.start_block)
+}
+
+/**
+ * Run a job's unfinished chunks to completion. Resolves with the final progress.
+ *
+ * @param {number} id
+ * @param {Object} options - { indexRange, indexL2Range } overrides (tests)
+ */
+export async function runBackfillJob(id, options = {}) {
+  const d = requireDb()
+  const job = d.prepare('SELECT * FROM backfill_jobs WHERE id = ?').get(id)
+  if (!job) return null
+  const indexers = { indexRange: options.indexRange || indexRange, indexL2Range: options.indexL2Range || indexL2Range }
+  const state = running.get(id) || { canceled: false }
+
+  // Chunks left RUNNING by a crashed process start over
+  d.prepare("UPDATE backfill_chunks SET status = 'PENDING' WHERE job_id = ? AND status = 'RUNNING'").run(id)
+  d.prepare("UPDATE backfill_jobs SET status = 'RUNNING', run_started_at = ?, finished_at = NULL WHERE id = ?").run(Date.now(), id)
+
+  const pending = d.prepare("SELECT * FROM backfill_chunks WHERE job_id = ? AND status = 'PENDING' ORDER BY start_block").all(id)
+  const limiter = createConcurrencyLimiter(job.concurrency)
+  await Promise.all(pending.map(chunk => limiter(async () => {
+    if (state.canceled) return
+    await runChunk(job, chunk, indexers)
+  })))
+
+  const failed = d.prepare("SELECT COUNT(*) AS n FROM backfill_chunks WHERE job_id = ? AND status = 'FAILED'").get(id).n
+  const status = state.canceled ? 'CANCELED' : (failed > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED')
+  d.prepare('UPDATE backfill_jobs SET status = ?, finished_at = ? WHERE id = ?').run(status, Date.now(), id)
+  return getJobProgress(id)
+}
+
+/**
+ * Start a job in the background (no-op when it is already running here).
+ */
+export function startBackfillJob(id, options = {}) {
+  if (running.has(id)) return running.get(id).promise
+  const state = { canceled: false, promise: null }
+  running.set(id, state)
+  state.promise = runBackfillJob(id, options)
+    .catch(e => { console.warn(`Backfill job ${id} error`, e.message) })
+    .finally(() => running.delete(id))
+  return state.promise
+}
+
+/**
+ * Stop scheduling new chunks; chunks already running finish.
+ */
+export function cancelBackfillJob(id) {
+  const d = requireDb()
+  const job = d.prepare('SELECT status FROM backfill_jobs WHERE id = ?').get(id)
+  if (!job) return { ok: false, error: `No backfill job ${id}` }
+  if (running.has(id)) running.get(id).canceled = true
+  else if (['QUEUED', 'RUNNING'].includes(job.status)) d.prepare("UPDATE backfill_jobs SET status = 'CANCELED', finished_at = ? WHERE id = ?").run(Date.now(), id)
+  return { ok: true, job: getJobProgress(id) }
+}
+
+/**
+ * Re-queue failed chunks (with fresh attempts) and run the job again.
+ * Canceled jobs stay canceled; index that range with a new job instead.
+ */
+export function resumeBackfillJob(id, options = {}) {
+  const d = requireDb()
+  const job = d.prepare('SELECT status FROM backfill_jobs WHERE id = ?').get(id)
+  if (!job) return { ok: false, error: `No backfill job ${id}` }
+  if (running.has(id)) return { ok: false, error: `Backfill job ${id} is already running` }
+  if (job.status === 'CANCELED') return { ok: false, error: `Backfill job ${id} was canceled; create a new job for its range` }
+  d.prepare("UPDATE backfill_chunks SET status = 'PENDING', attempts = 0, error = NULL WHERE job_id = ? AND status = 'FAILED'").run(id)
+  startBackfillJob(id, options)
+  return { ok: true, job: getJobProgress(id) }
+}
+
+/**
+ * Restart jobs a previous process left QUEUED or RUNNING. Call once at startup.
+ */
+export function resumeInterruptedJobs(options = {}) {
+  const ids = requireDb().prepare("SELECT id FROM backfill_jobs WHERE status IN ('QUEUED', 'RUNNING') ORDER BY id").all().map(r => r.id)
+  for (const id of ids) startBackfillJob(id, options)
+  return ids
+}
+
+export default { initBackfillJobs, createBackfillJob, runBackfillJob, startBackfillJob, cancelBackfillJob, resumeBackfillJob, resumeInterruptedJobs, getJobProgress, listJobs, planChunks, LAYERS, DEFAULT_CHUNK_SIZE, MAX_CONCURRENCY }
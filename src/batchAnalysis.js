@@ -0,0 +1,201 @@
+/**
+ * Batch Analysis Helpers
+ * Runs the /analyze pipeline over many tx hashes with a bounded number of
+ * analyses in flight, and groups the outcomes for incident triage.
+ *
+ * Used by POST /analyze/batch, which streams one NDJSON line per hash followed
+ * by a summary line.
+ */
+
+const TX_HASH_RE = /^0x[0-9a-fA-F]{64}$/
+
+/**
+ * Create a concurrency limiter. `limit(fn)` resolves with fn's result once a
+ * slot is free. A single limiter can be shared across requests so that all
+ * batches together never exceed `max` concurrent analyses (and their RPC calls).
+ */
+export function createConcurrencyLimiter(max = 4) {
+  let active = 0
+  const queue = []
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return
+    active++
+    const { fn, resolve, reject } = queue.shift()
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--
+        next()
+      })
+  }
+
+  const limit = (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject })
+    next()
+  })
+  limit.stats = () => ({ active, queued: queue.length, max })
+  return limit
+}
+
+/**
+ * Validate and de-duplicate a list of tx hashes (order preserved).
+ * Returns { hashes, invalid }.
+ */
+export function normalizeHashList(list) {
+  const seen = new Set()
+  const hashes = []
+  const invalid = []
+  for (const raw of list || []) {
+    const h = typeof raw === 'string' ? raw.trim() : ''
+    if (!TX_HASH_RE.test(h)) {
+      invalid.push(raw)
+      continue
+    }
+    const key = h.toLowerCase()
+    if (seen.has(key)) continue
+    seen.add(key)
+    hashes.push(h)
+  }
+  return { hashes, invalid }
+}
+
+/**
+ * Analyze every hash through `analyzeFn` under `limiter`, calling
+ * `onResult(entry)` as each one finishes (completion order, not input order).
+ * Stops scheduling new work once `shouldStop()` returns true.
+ *
+ * @returns {Promise<Array>} All entries, in input order
+ */
+export async function runBatch(hashes, analyzeFn, { limiter = createConcurrencyLimiter(4), onResult = null, shouldStop = () => false } = {}) {
+  const entries = new Array(hashes.length)
+  await Promise.all(hashes.map((txHash, index) => limiter(async () => {
+    if (shouldStop()) {
+      entries[index] = { index, txHash, ok: false, skipped: true, error: 'cancelled' }
+      return
+    }
+    const t0 = Date.now()
+    let entry
+    try {
+      const analysis = await analyzeFn(txHash)
+      entry = { index, txHash, ok: true, durationMs: Date.now() - t0, analysis }
+    } catch (e) {
+      entry = { index, txHash, ok: false, durationMs: Date.now() - t0, error: e.message || String(e) }
+    }
+    entries[index] = entry
+    if (onResult) onResult(entry)
+  })))
+  return entries
+}
+
+/**
+ * Group batch entries by failureAt/failureReason, largest group first.
+ */
+export function summarizeBatch(entries) {
+  const groups = new Map()
+  let analyzed = 0
+  let errored = 0
+  let skipped = 0
+
+  for (const entry of entries) {
+    if (!entry) continue
+    if (entry.skipped) { skipped++; continue }
+    if (!entry.ok) { errored++; continue }
+    analyzed++
+    const failureAt = entry.analysis && entry.analysis.failureAt ? entry.analysis.failureAt : 'UNKNOWN'
+    const failureReason = entry.analysis && entry.analysis.failureReason ? entry.analysis.failureReason : 'UNKNOWN'
+    const key = `${failureAt}:${failureReason}`
+    if (!groups.has(key)) groups.set(key, { failureAt, failureReason, count: 0, txHashes: [] })
+    const group = groups.get(key)
+    group.count++
+    group.txHashes.push(entry.txHash)
+  }
+
+  return {
+    total: entries.length,
+    analyzed,
+    errored,
+    skipped,
+    groups: Array.from(groups.values()).sort((a, b) => b.count - a.count)
+  }
+}
+
+/**
+ * Express handler for POST /analyze/batch.
+ *
+ * Input: { txHashes: ["0x...", ...], full?: boolean, network?: string }
+ * Output (application/x-ndjson): one { type: 'result' } line per hash as it completes,
+ * then a final { type: 'summary' } line grouping failures by failureAt/failureReason.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.analyze - (txHash, network) → analysis (the /analyze pipeline)
+ * @param {Function} deps.limiter - Shared concurrency limiter
+ * @param {number} deps.maxHashes - Largest accepted batch
+ * @param {Function} deps.resolveNetwork - req → { network, error }
+ */
+export function createBatchHandler({ analyze, limiter = createConcurrencyLimiter(4), maxHashes = 500, resolveNetwork = () => ({ network: null }) }) {
+  return async (req, res) => {
+    const { txHashes, full = false } = req.body || {}
+    if (!Array.isArray(txHashes) || txHashes.length === 0) {
+      return res.status(400).json({ error: 'txHashes (non-empty array) required' })
+    }
+    if (txHashes.length > maxHashes) {
+      return res.status(400).json({ error: `At most ${maxHashes} txHashes per batch` })
+    }
+    const { network, error: networkError } = resolveNetwork(req)
+    if (networkError) return res.status(400).json({ error: networkError })
+    const { hashes, invalid } = normalizeHashList(txHashes)
+
+    const start = Date.now()
+    let clientGone = false
+    // req 'close' fires once the body has been read; only an unfinished response means the client left
+    res.on('close', () => { if (!res.writableFinished) clientGone = true })
+    const writeLine = (obj) => {
+      if (clientGone) return
+      try { res.write(JSON.stringify(obj) + '\n') } catch (e) { clientGone = true }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-cache'
+    })
+    for (const bad of invalid) {
+      writeLine({ type: 'result', txHash: bad, ok: false, error: 'invalid tx hash' })
+    }
+
+    try {
+      const entries = await runBatch(hashes, (txHash) => analyze(txHash, network), {
+        limiter,
+        shouldStop: () => clientGone,
+        onResult: (entry) => {
+          if (!entry.ok) {
+            writeLine({ type: 'result', index: entry.index, txHash: entry.txHash, ok: false, error: entry.error })
+            return
+          }
+          const a = entry.analysis
+          writeLine(full ? { type: 'result', index: entry.index, ok: true, ...a } : {
+            type: 'result',
+            index: entry.index,
+            txHash: entry.txHash,
+            ok: true,
+            network: a.network,
+            foundOn: a.foundOn,
+            failureAt: a.failureAt,
+            failureReason: a.failureReason,
+            failureMessage: a.failureMessage,
+            explanation: a.explanation,
+            responseTimeMs: a.responseTimeMs
+          })
+        }
+      })
+      const summary = summarizeBatch(entries)
+      writeLine({ type: 'summary', ...summary, invalid: invalid.length, durationMs: Date.now() - start })
+    } catch (e) {
+      writeLine({ type: 'error', error: e.message })
+    }
+    return res.end()
+  }
+}
+
+export default { createConcurrencyLimiter, normalizeHashList, runBatch, summarizeBatch, createBatchHandler }
@@ -0,0 +1,224 @@
+/**
+ * Sequencer Batch & Finality Status
+ * Where an L2 transaction stands between the sequencer and the parent chain:
+ *
+ *   SOFT     the sequencer ordered the tx, but its block is not in a batch
+ *            posted to the parent chain yet; only the sequencer vouches for it
+ *   POSTED   the batch containing the block was delivered to the SequencerInbox,
+ *            but that parent block is not finalized (a parent reorg can still
+ *            drop the batch and the sequencer would have to re-post it)
+ *   HARD     the batch's parent block is finalized; the tx's position and
+ *            result can no longer change
+ *
+ * Hard finality is about ordering. L2 → L1 messages additionally wait for a
+ * rollup assertion covering the block to be confirmed, reported separately in
+ * `assertion` (same lookup as withdrawals.js).
+ *
+ * The batch number and confirmation count come from the NodeInterface
+ * (findBatchContainingBlock, getL1Confirmations); the delivering parent-chain
+ * tx is the SequencerBatchDelivered log near the block those confirmations
+ * point at.
+ */
+
+import { ethers } from 'ethers'
+import { NODE_INTERFACE_ADDRESS, NODE_INTERFACE_ABI, SEQUENCER_INBOX_ABI, getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK, getNetwork } from './networks.js'
+import { trackAssertion } from './withdrawals.js'
+
+const nodeInterface = new ethers.Interface(NODE_INTERFACE_ABI)
+const sequencerInboxInterface = new ethers.Interface(SEQUENCER_INBOX_ABI)
+const RPC_TIMEOUT_MS = 5000
+
+// Used when the parent RPC has no `finalized` block tag (two Ethereum epochs)
+export const FINALITY_CONFIRMATIONS = Number(process.env.BATCH_FINALITY_CONFIRMATIONS || 64)
+// Parent blocks searched either side of the estimated delivery block
+const BATCH_LOG_SLACK = 50
+
+export const FINALITY_EXPLANATIONS = {
+  SOFT: 'Soft finality: ordered by the sequencer but not yet posted to the parent chain.',
+  POSTED: 'Posted: the batch is on the parent chain, which has not finalized that block yet.',
+  HARD: 'Hard finality: the batch is in a finalized parent-chain block; the result can no longer change.',
+  UNKNOWN: 'The node did not answer the batch lookup.'
+}
+
+/**
+ * SOFT | POSTED | HARD from the batch lookup. `finalizedBlock` (the parent's
+ * `finalized` tag) wins over the confirmation-count fallback.
+ */
+export function finalityLevel({ batch = null, l1BlockNumber = null, l1Confirmations = 0, finalizedBlock = null }) {
+  if (batch === null) return 'SOFT'
+  if (finalizedBlock !== null && l1BlockNumber !== null) return l1BlockNumber <= finalizedBlock ? 'HARD' : 'POSTED'
+  return l1Confirmations >= FINALITY_CONFIRMATIONS ? 'HARD' : 'POSTED'
+}
+
+async function callNodeInterface(provider, method, args) {
+  const data = nodeInterface.encodeFunctionData(method, args)
+  const raw = await callWithTimeout(provider.call({ to: NODE_INTERFACE_ADDRESS, data }), RPC_TIMEOUT_MS)
+  return nodeInterface.decodeFunctionResult(method, raw)[0]
+}
+
+/**
+ * SequencerBatchDelivered for `batch` within BATCH_LOG_SLACK blocks of `nearBlock`.
+ * Returns null when the network has no SequencerInbox configured or no log matched.
+ */
+export async function findBatchDelivery(batch, { network = DEFAULT_NETWORK, l1Provider, nearBlock, latestBlock }) {
+  const net = getNetwork(network)
+  const sequencerInbox = net && net.contracts ? net.contracts.sequencerInbox : null
+  if (!sequencerInbox) return null
+  const topics = [sequencerInboxInterface.getEvent('SequencerBatchDelivered').topicHash, ethers.toBeHex(BigInt(batch), 32)]
+  const fromBlock = Math.max(0, nearBlock - BATCH_LOG_SLACK)
+  const toBlock = Math.min(latestBlock, nearBlock + BATCH_LOG_SLACK)
+  const logs = await callWithTimeout(l1Provider.getLogs({ address: sequencerInbox, topics, fromBlock, toBlock }), RPC_TIMEOUT_MS)
+  const log = (logs || [])[0]
+  if (!log) return null
+  const parsed = sequencerInboxInterface.parseLog(log)
+  return {
+    l1TxHash: log.transactionHash,
+    l1BlockNumber: log.blockNumber,
+    afterDelayedMessagesRead: parsed.args.afterDelayedMessagesRead.toString(),
+    dataLocation: Number(parsed.args.dataLocation)
+  }
+}
+
+/**
+ * Batch, delivering parent-chain tx, confirmations, finality and assertion
+ * status for the block of an L2 receipt. Lookup failures are collected in `errors`.
+ *
+ * @param {Object} l2Receipt - Needs blockNumber and blockHash
+ * @param {Object} options
+ * @param {string} options.network - Registry network name
+ * @param {boolean} options.assertion - Also look up the rollup assertion (default true)
+ * @param {Object} options.provider - L2 provider override (tests)
+ * @param {Object} options.l1Provider - Parent-chain provider override (tests)
+ * @param {Function} options.trackAssertion - (arbBlockNum, fromL1Block, network) override (tests)
+ * @returns {Promise<Object>} { ok, batch, l1TxHash, l1BlockNumber, l1Confirmations, finality, explanation, assertion, errors }
+ */
+export async function getBatchStatus(l2Receipt, options = {}) {
+  const { network = DEFAULT_NETWORK, assertion: withAssertion = true, trackAssertion: track = trackAssertion } = options
+  if (!l2Receipt || l2Receipt.blockNumber === null || l2Receipt.blockNumber === undefined || !l2Receipt.blockHash) {
+    return { ok: false, error: 'L2 receipt with blockNumber and blockHash required' }
+  }
+  const l2BlockNumber = Number(l2Receipt.blockNumber)
+
+  let l2Provider, l1Provider
+  try {
+    const providers = options.provider && options.l1Provider ? null : getProviders(network)
+    l2Provider = options.provider || providers.l2Provider
+    l1Provider = options.l1Provider || providers.l1Provider
+  } catch (e) {
+    return { ok: false, error: e.message }
+  }
+
+  const result = {
+    ok: true,
+    network,
+    l2BlockNumber,
+    l2BlockHash: l2Receipt.blockHash,
+    batch: null,
+    l1TxHash: null,
+    l1BlockNumber: null,
+    l1Confirmations: 0,
+    finalizedL1Block: null,
+    finality: 'SOFT',
+    explanation: null,
+    assertion: null,
+    errors: []
+  }
+
+  try {
+    result.batch = (await callNodeInterface(l2Provider, 'findBatchContainingBlock', [l2BlockNumber])).toString()
+  } catch (e) {
+    // The node reverts for blocks past the last posted batch; anything else is a failed lookup
+    if (e.code !== 'CALL_EXCEPTION') {
+      result.errors.push(`findBatchContainingBlock: ${e.shortMessage || e.message}`)
+      result.finality = 'UNKNOWN'
+    }
+  }
+
+  if (result.batch !== null) {
+    let latestBlock = null
+    try {
+      const [confirmations, latest] = await Promise.all([
+        callNodeInterface(l2Provider, 'getL1Confirmations', [l2Receipt.blockHash]),
+        callWithTimeout(l1Provider.getBlockNumber(), RPC_TIMEOUT_MS)
+      ])
+      result.l1Confirmations = Number(confirmations)
+      latestBlock = Number(latest)
+    } catch (e) {
+      result.errors.push(`getL1Confirmations: ${e.shortMessage || e.message}`)
+    }
+
+    // A tx in the head block has one confirmation
+    const nearBlock = latestBlock !== null ? latestBlock - Math.max(0, result.l1Confirmations - 1) : null
+    if (nearBlock !== null) {
+      try {
+        const delivery = await findBatchDelivery(result.batch, { network, l1Provider, nearBlock, latestBlock })
+        if (delivery) {
+          result.l1TxHash = delivery.l1TxHash
+          result.l1BlockNumber = delivery.l1BlockNumber
+        }
+      } catch (e) {
+        result.errors.push(`SequencerBatchDelivered lookup: ${e.shortMessage || e.message}`)
+      }
+    }
+    const postedAt = result.l1BlockNumber !== null ? result.l1BlockNumber : nearBlock
+
+    try {
+      const finalized = await callWithTimeout(l1Provider.getBlock('finalized'), RPC_TIMEOUT_MS)
+      result.finalizedL1Block = finalized ? Number(finalized.number) : null
+    } catch (e) {
+      // No `finalized` tag on this parent RPC; finalityLevel falls back to confirmations
+    }
+    result.finality = finalityLevel({ batch: result.batch, l1BlockNumber: postedAt, l1Confirmations: result.l1Confirmations, finalizedBlock: result.finalizedL1Block })
+
+    if (withAssertion && postedAt !== null) {
+      const tracked = await track(l2BlockNumber, postedAt, network)
+      result.assertion = {
+        status: tracked.status,
+        confirmed: tracked.status === 'CONFIRMED',
+        assertion: tracked.assertion,
+        confirmation: tracked.confirmation,
+        challengePeriod: tracked.challengePeriod
+      }
+      result.errors.push(...(tracked.errors || []))
+    }
+  }
+
+  result.explanation = FINALITY_EXPLANATIONS[result.finality]
+  return result
+}
+
+/**
+ * Timeline actions (without ids) for a getBatchStatus result.
+ */
+export function batchTimelineNodes(status) {
+  if (!status || !status.ok) return []
+  const posted = status.batch !== null
+  const a = status.assertion
+  return [
+    {
+      action: 'SEQUENCER_BATCH_POSTED',
+      status: posted ? 'confirmed' : (status.finality === 'UNKNOWN' ? 'unknown' : 'pending'),
+      details: {
+        batch: status.batch,
+        l1TxHash: status.l1TxHash,
+        l1BlockNumber: status.l1BlockNumber,
+        l1Confirmations: status.l1Confirmations,
+        finality: status.finality,
+        explanation: status.explanation
+      }
+    },
+    {
+      action: 'ASSERTION_CONFIRMED',
+      status: a ? (a.confirmed ? 'confirmed' : 'pending') : (posted ? 'unknown' : 'pending'),
+      details: a ? {
+        assertionStatus: a.status,
+        l1TxHash: a.confirmation ? a.confirmation.l1TxHash : null,
+        l1BlockNumber: a.confirmation ? a.confirmation.l1BlockNumber : null,
+        blocksRemaining: a.confirmed || !a.challengePeriod ? 0 : a.challengePeriod.blocksRemaining
+      } : {}
+    }
+  ]
+}
+
+export default { getBatchStatus, findBatchDelivery, finalityLevel, batchTimelineNodes, FINALITY_CONFIRMATIONS, FINALITY_EXPLANATIONS }
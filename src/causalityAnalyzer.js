@@ -4,19 +4,55 @@
  * Enables developers to understand: "Did my L2 tx fail because of L1?"
  */
 
-export function analyzeCrossChainCausality(detection, retryable, l2Receipt, failureReason, failureMessage) {
+export function analyzeCrossChainCausality(detection, retryable, l2Receipt, failureReason, failureMessage, gasBreakdown = null) {
   const causality = {
     chain: null,  // 'L1_CAUSED' | 'L2_CAUSED' | 'UNKNOWN'
     rootCause: null,  // human-readable root cause
     l1Params: {},  // L1 parameters that may have caused failure
     l2Impact: {},  // how those L1 params impacted L2 execution
     recommendations: [],
-    causalityType: null  // 'PARAMETER_MISMATCH' | 'INSUFFICIENT_GAS' | 'LOW_SUBMISSION_COST' | 'LOGIC_ERROR' | 'UNKNOWN'
+    causalityType: null,  // 'PARAMETER_MISMATCH' | 'INSUFFICIENT_GAS' | 'LOW_SUBMISSION_COST' | 'LOGIC_ERROR' | 'L1_PRICE_SPIKE' | 'UNKNOWN'
+    // L2 execution vs L1 poster gas (posterFee.getGasBreakdown)
+    gasSplit: gasBreakdown ? {
+      gasUsed: gasBreakdown.gasUsed,
+      l2ExecutionGas: gasBreakdown.l2ExecutionGas,
+      l1PosterGas: gasBreakdown.l1PosterGas,
+      posterSharePct: gasBreakdown.posterSharePct,
+      posterShareOfLimitPct: gasBreakdown.posterShareOfLimitPct,
+      l1PriceRatio: gasBreakdown.l1PriceRatio,
+      l1PriceSpike: gasBreakdown.l1PriceSpike
+    } : null
   }
 
   // If no L2 receipt, can't analyze causality yet
   if (!l2Receipt || l2Receipt.status !== 0) return causality
 
+  // ROOT CAUSE 0: out of gas because L1 poster gas, priced during an L1 fee spike, took the gas limit
+  if (failureReason === 'OUT_OF_GAS' && gasBreakdown && gasBreakdown.posterGasInflated) {
+    causality.chain = 'L1_CAUSED'
+    causality.causalityType = 'L1_PRICE_SPIKE'
+    causality.rootCause = `The L1 data fee ran this tx out of gas: ${gasBreakdown.l1PosterGas} of its ${gasBreakdown.gasLimit} gas limit (${gasBreakdown.posterShareOfLimitPct}%) went to L1 poster gas while the L1 base fee was ${gasBreakdown.l1PriceRatio}x its level ${gasBreakdown.blockNumber - gasBreakdown.referenceBlockNumber} blocks before inclusion, leaving ${gasBreakdown.l2ExecutionGas} for execution.`
+    causality.l2Impact = {
+      l2ExecutionGas: gasBreakdown.l2ExecutionGas,
+      l1PosterGas: gasBreakdown.l1PosterGas,
+      posterGasAtReferenceL1Price: gasBreakdown.posterGasAtReferenceL1Price,
+      explanation: 'Poster gas is charged from the same gas limit as execution and scales with the L1 price at inclusion'
+    }
+    causality.recommendations.push({
+      priority: 'CRITICAL',
+      action: 'Re-estimate the gas limit right before sending',
+      reasoning: 'eth_estimateGas on Arbitrum includes poster gas at the current L1 price; a limit estimated before the spike no longer covers it.'
+    })
+    causality.recommendations.push({
+      priority: 'HIGH',
+      action: 'Add headroom for poster gas',
+      suggested: (BigInt(gasBreakdown.gasUsed) + BigInt(gasBreakdown.l1PosterGas)).toString(),
+      reasoning: 'Covers execution plus poster gas at up to twice the spiked L1 price; or resubmit once the L1 base fee settles.'
+    })
+    causality.humanMessage = causality.rootCause
+    return causality
+  }
+
   // L2 execution failed. Check if L1 parameters are the culprit
   if (!retryable) return causality  // No retryable, can't trace causality
 
@@ -84,7 +120,7 @@ export function analyzeCrossChainCausality(detection, retryable, l2Receipt, fail
           priority: 'CRITICAL',
           action: 'Estimate actual gas needed (local run)',
           suggested: suggestedMax || String(Number(gasUsed) + 150000),
-          reasoning: 'Run the same call locally on a fork or testnet to measure gas used, then add a ~150k buffer.'
+          reasoning: 'Measure the threshold with POST /gas/minimum (or replay on a local fork via POST /replay with overrides.gasLimit), then add a margin; ~150k buffer if unmeasured.'
         })
       } catch (e) {
         // fall back to conservative message
@@ -187,11 +223,57 @@ export function analyzeCrossChainCausality(detection, retryable, l2Receipt, fail
 }
 
 
+/**
+ * Causality verdict for one hop of a chained retryable (see retryableHops.js).
+ * Reuses analyzeCrossChainCausality with the hop's own ticket and execution receipt.
+ */
+export function analyzeHopCausality(hop, retryable, executionReceipt) {
+  if (hop.status === 'EXECUTED') {
+    return { chain: null, causalityType: null, failureReason: null, rootCause: null }
+  }
+  if (hop.status === 'CREATION_FAILED') {
+    return {
+      chain: 'L1_CAUSED',
+      causalityType: 'LOW_SUBMISSION_COST',
+      failureReason: 'LOW_SUBMISSION_COST',
+      rootCause: `Retryable ticket creation on ${hop.network} failed; the deposit likely did not cover the submission cost.`
+    }
+  }
+  if (hop.status === 'AWAITING_REDEEM') {
+    return {
+      chain: 'L1_CAUSED',
+      causalityType: 'PARAMETER_MISMATCH',
+      failureReason: 'LOW_GAS_PRICE',
+      rootCause: `Ticket was created on ${hop.network} but no auto-redeem was scheduled; gasLimit or maxFeePerGas was too low. It must be redeemed manually before it expires.`
+    }
+  }
+  if (hop.status !== 'FAILED' || !executionReceipt) {
+    return { chain: 'UNKNOWN', causalityType: 'UNKNOWN', failureReason: 'UNKNOWN', rootCause: null }
+  }
+
+  // Same OOG heuristic as the single-hop classifier: ≥99% of maxGas consumed
+  const gasUsed = executionReceipt.gasUsed ? Number(executionReceipt.gasUsed) : 0
+  const maxGas = Number(retryable.gasLimit || 0)
+  const failureReason = maxGas > 0 && gasUsed / maxGas >= 0.99 ? 'OUT_OF_GAS' : 'LOGIC_REVERT'
+  const causality = analyzeCrossChainCausality(null, retryable, executionReceipt, failureReason, null)
+  return {
+    chain: causality.chain,
+    causalityType: causality.causalityType,
+    failureReason,
+    rootCause: causality.rootCause ? `Hop ${hop.hop} (${hop.network}): ${causality.rootCause}` : null,
+    recommendations: causality.recommendations
+  }
+}
+
+
 /**
  * Build causal graph showing L1 tx → retryable → L2 tx
  * This is the "cross-chain causality" that most explorers are missing
+ *
+ * `hops` (from traceRetryableHops) extends the graph across chained retryables,
+ * e.g. L1 → Arbitrum One → Orbit L3, with per-hop ticket, status and verdict.
  */
-export function computeCausalGraph(detection, retryables, l2Receipt) {
+export function computeCausalGraph(detection, retryables, l2Receipt, hops = []) {
   const graph = {
     l1Submission: {
       txHash: detection.l1Receipt ? detection.l1Receipt.transactionHash : null,
@@ -245,7 +327,11 @@ export function computeCausalGraph(detection, retryables, l2Receipt) {
     causality: {
       question: 'Did my L2 tx fail because of something on L1?',
       answer: 'See "crossChainCausality" field in response for detailed analysis'
-    }
+    },
+
+    hops: hops || [],
+    // First hop that did not execute (a failure on hop 2+ is invisible in the single-hop fields above)
+    firstFailedHop: (hops || []).find(h => h.status !== 'EXECUTED') || null
   }
   return graph
 }
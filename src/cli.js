@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * arbitrace CLI
+ * Runs the same modules as the HTTP API, without starting the server.
+ *
+ * Usage:
+ *   arbitrace analyze <txHash> [--abi <address>=<abi.json>] [--record]
+ *   arbitrace ticket <ticketId>
+ *   arbitrace validate --gas <n> --max-fee <wei> [--submission-cost <wei>] [--calldata-length <n>] [--contract-hash <hash>]
+ *   arbitrace index --from <block> --to <block> [--l2]
+ *
+ * Output: --json, or --format table|markdown|json (default: table)
+ * Network: --network <name|chainId> (analyze auto-detects when omitted; see networks.js)
+ * Exit codes: see EXIT_CODES in cliOutput.js (0 = no failure, 10+ = failure class)
+ */
+
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+import { ethers } from 'ethers'
+import { DEFAULT_NETWORK, getNetwork } from './networks.js'
+import { EXIT_CODES, exitCodeForAnalysis, exitCodeForValidation, formatAnalysis, formatRecord, formatValidation } from './cliOutput.js'
+
+const USAGE = `Usage:
+  arbitrace analyze <txHash> [--abi <address>=<abi.json>] [--record]
+  arbitrace ticket <ticketId>
+  arbitrace validate --gas <n> --max-fee <wei> [--submission-cost <wei>] [--calldata-length <n>] [--contract-hash <hash>]
+  arbitrace index --from <block> --to <block> [--l2]
+
+Options:
+  --network <name>    Registry network or chain ID (arbitrum-one, arbitrum-nova, arbitrum-sepolia, Orbit chains)
+  --json              Shorthand for --format json
+  --format <fmt>      table | markdown | json (default: table)`
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  format: { type: 'string', default: 'table' },
+  abi: { type: 'string', multiple: true },
+  record: { type: 'boolean', default: false },
+  gas: { type: 'string' },
+  'max-fee': { type: 'string' },
+  'submission-cost': { type: 'string' },
+  'calldata-length': { type: 'string' },
+  'contract-hash': { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  l2: { type: 'boolean', default: false },
+  network: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+}
+
+class UsageError extends Error {}
+
+function requireInt(values, name) {
+  const raw = values[name]
+  if (raw === undefined || !/^\d+$/.test(String(raw))) throw new UsageError(`--${name} (integer) required`)
+  return parseInt(raw, 10)
+}
+
+// --abi 0xabc=./Token.json → [{ address, abi }]
+function loadAbis(specs = []) {
+  return specs.map((spec) => {
+    const idx = spec.indexOf('=')
+    if (idx <= 0) throw new UsageError(`--abi expects <address>=<file>, got "${spec}"`)
+    const address = spec.slice(0, idx).toLowerCase()
+    const json = JSON.parse(fs.readFileSync(spec.slice(idx + 1), 'utf8'))
+    return { address, abi: Array.isArray(json) ? json : json.abi }
+  })
+}
+
+async function cmdAnalyze(positionals, values, format) {
+  const txHash = positionals[0]
+  if (!txHash || !ethers.isHexString(txHash, 32)) throw new UsageError('analyze requires a 32-byte hex <txHash>')
+  const abis = loadAbis(values.abi)
+  const { analyzeTransaction } = await import('./analyzer.js')
+  const analysis = await analyzeTransaction(txHash, {
+    network: values.network || null,
+    record: values.record,
+    getAbis: (target) => {
+      const t = target ? String(target).toLowerCase() : null
+      return [...abis.filter(a => a.address === t), ...abis.filter(a => a.address !== t)]
+    }
+  })
+  return { output: formatAnalysis(analysis, format), code: exitCodeForAnalysis(analysis) }
+}
+
+async function cmdTicket(positionals, values, format) {
+  const ticketId = positionals[0]
+  if (!ticketId || !/^0x[0-9a-fA-F]{1,64}$/.test(ticketId)) throw new UsageError('ticket requires a hex <ticketId>')
+  const { default: indexer } = await import('./indexer.js')
+  const { resolveRetryableTicket, probeRetryableTicket, chainTicketStatus } = await import('./retryableResolver.js')
+  const ticket = indexer.getTicket(ticketId, values.network || null) || null
+  const mapping = indexer.findL2ForTicket(ticketId, values.network || null) || null
+  const network = values.network || (ticket && ticket.network) || DEFAULT_NETWORK
+  const [lifecycle, probe] = await Promise.all([
+    resolveRetryableTicket(ticketId, { network }),
+    probeRetryableTicket(ticketId, { network })
+  ])
+  const events = lifecycle && lifecycle.ok ? lifecycle.events : []
+  const attempts = lifecycle && lifecycle.ok ? lifecycle.redeemAttempts : []
+  const record = {
+    ticketId,
+    network,
+    l1TxHash: ticket ? ticket.l1_tx_hash : null,
+    creator: ticket ? ticket.creator : null,
+    to: ticket ? ticket.to_address : null,
+    gasLimit: ticket ? ticket.gas_limit : null,
+    maxFeePerGas: ticket ? ticket.max_fee_per_gas : null,
+    l2TxHash: mapping ? mapping.l2_tx_hash : null,
+    status: chainTicketStatus(probe, lifecycle),
+    expiresAt: probe.expiresAt,
+    beneficiary: probe.beneficiary,
+    submitTxHash: lifecycle && lifecycle.ok ? lifecycle.submitTxHash : null,
+    redeemAttempts: attempts.map(a => `${a.kind}#${a.sequenceNum} ${a.txHash} ${a.status === 1 ? 'ok' : (a.status === 0 ? 'reverted' : 'pending')}`),
+    lifecycleEvents: events.map(e => `${e.name}@${e.blockNumber}`)
+  }
+  const found = !!(ticket || mapping || (lifecycle && lifecycle.ok && lifecycle.creation))
+  const output = format === 'json' ? JSON.stringify({ ticket, mapping, lifecycle, probe }, null, 2) : formatRecord(`Retryable ticket ${ticketId}`, record, format)
+  return { output, code: found ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND }
+}
+
+async function cmdValidate(positionals, values, format) {
+  const gasLimit = requireInt(values, 'gas')
+  const maxFeePerGas = requireInt(values, 'max-fee')
+  const { validatePreSubmission, getDetailedRecommendations } = await import('./preSubmissionValidator.js')
+  const validation = await validatePreSubmission({
+    network: values.network || DEFAULT_NETWORK,
+    contractBytecodeHash: values['contract-hash'],
+    gasLimit,
+    maxFeePerGas,
+    submissionCost: values['submission-cost'] ? parseInt(values['submission-cost'], 10) : 0,
+    callDataLength: values['calldata-length'] ? parseInt(values['calldata-length'], 10) : 0
+  })
+  const output = format === 'json'
+    ? JSON.stringify({ validation, recommendations: getDetailedRecommendations(validation) }, null, 2)
+    : formatValidation(validation, format)
+  return { output, code: exitCodeForValidation(validation) }
+}
+
+async function cmdIndex(positionals, values, format) {
+  const from = requireInt(values, 'from')
+  const to = requireInt(values, 'to')
+  if (to < from) throw new UsageError('--to must be >= --from')
+  const { default: indexer } = await import('./indexer.js')
+  const network = values.network || DEFAULT_NETWORK
+  const result = values.l2 ? await indexer.indexL2Range(from, to, network) : await indexer.indexRange(from, to, network)
+  const code = result && result.ok === false ? EXIT_CODES.ERROR : EXIT_CODES.OK
+  return { output: formatRecord(`Indexed ${network} ${values.l2 ? 'L2' : 'L1'} blocks ${from}..${to}`, result, format), code }
+}
+
+const COMMANDS = { analyze: cmdAnalyze, ticket: cmdTicket, validate: cmdValidate, index: cmdIndex }
+
+export async function main(argv = process.argv.slice(2)) {
+  let parsed
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  } catch (e) {
+    console.error(e.message + '\n\n' + USAGE)
+    return EXIT_CODES.USAGE
+  }
+  const { values, positionals } = parsed
+  const [command, ...rest] = positionals
+  if (values.help || !command) {
+    console.log(USAGE)
+    return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE
+  }
+  const handler = COMMANDS[command]
+  if (!handler) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`)
+    return EXIT_CODES.USAGE
+  }
+  const format = values.json ? 'json' : values.format
+  if (values.network) {
+    const net = getNetwork(values.network)
+    if (!net) {
+      console.error(`Unknown network: ${values.network}\n\n${USAGE}`)
+      return EXIT_CODES.USAGE
+    }
+    values.network = net.name
+  }
+  if (!['json', 'table', 'markdown'].includes(format)) {
+    console.error(`Unknown format: ${format}\n\n${USAGE}`)
+    return EXIT_CODES.USAGE
+  }
+
+  try {
+    const { output, code } = await handler(rest, values, format)
+    console.log(output)
+    return code
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(e.message + '\n\n' + USAGE)
+      return EXIT_CODES.USAGE
+    }
+    console.error(`❌ ${e.message}`)
+    return EXIT_CODES.ERROR
+  }
+}
+
+// Run only when executed (directly or through the npm bin symlink), not when imported
+function isEntryPoint() {
+  try {
+    return !!process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+  } catch (e) {
+    return false
+  }
+}
+
+if (isEntryPoint()) main().then((code) => process.exit(code))
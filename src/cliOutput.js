@@ -0,0 +1,149 @@
+/**
+ * CLI Output Formatting
+ * Renders analysis / ticket / validation results for the arbitrace CLI as
+ * JSON, plain-text tables or Markdown, and maps results to process exit codes.
+ */
+
+// Exit codes: 0 = no failure, 1-3 = tool problems, 10+ = failure class
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  L1_SUBMISSION: 10,
+  RETRYABLE_CREATION: 11,
+  AUTO_REDEEM: 12,
+  MANUAL_REDEEM: 13,
+  L2_EXECUTION: 14,
+  OUTBOX_EXECUTION: 15,
+  DELAYED_INBOX: 16,
+  UNATTRIBUTED_FAILURE: 19,
+  VALIDATION_CRITICAL: 20
+}
+
+/**
+ * Map an /analyze response to an exit code reflecting its failure class.
+ */
+export function exitCodeForAnalysis(analysis) {
+  if (!analysis) return EXIT_CODES.ERROR
+  if (analysis.foundOn === 'unknown') return EXIT_CODES.NOT_FOUND
+  if (analysis.failureAt && EXIT_CODES[analysis.failureAt] !== undefined && analysis.failureAt !== 'UNKNOWN') {
+    return EXIT_CODES[analysis.failureAt]
+  }
+  if (analysis.failureReason && analysis.failureReason !== 'UNKNOWN') return EXIT_CODES.UNATTRIBUTED_FAILURE
+  return EXIT_CODES.OK
+}
+
+/**
+ * Map a validatePreSubmission result to an exit code.
+ */
+export function exitCodeForValidation(validation) {
+  if (!validation) return EXIT_CODES.ERROR
+  const critical = (validation.risks || []).filter(r => r.severity === 'critical')
+  return critical.length > 0 ? EXIT_CODES.VALIDATION_CRITICAL : EXIT_CODES.OK
+}
+
+function cell(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * Render rows (array of arrays) as an aligned plain-text table.
+ */
+export function renderTable(headers, rows) {
+  const all = [headers, ...rows].map(r => r.map(cell))
+  const widths = headers.map((_, i) => Math.max(...all.map(r => (r[i] || '').length)))
+  const line = (r) => r.map((c, i) => (c || '').padEnd(widths[i])).join('  ').trimEnd()
+  return [line(all[0]), widths.map(w => '-'.repeat(w)).join('  '), ...all.slice(1).map(line)].join('\n')
+}
+
+/**
+ * Render rows (array of arrays) as a Markdown table.
+ */
+export function renderMarkdownTable(headers, rows) {
+  const esc = (c) => cell(c).replace(/\|/g, '\\|').replace(/\n/g, ' ')
+  return [
+    `| ${headers.map(esc).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(r => `| ${r.map(esc).join(' | ')} |`)
+  ].join('\n')
+}
+
+// Short per-action detail for timeline rows
+function actionDetail(action) {
+  const d = action.details || {}
+  if (action.action === 'CALL_FRAME') return `${d.callType} ${d.to || ''} depth=${d.depth}${d.isFailureOrigin ? ' ← failure origin' : ''}`
+  if (action.action === 'FAILURE') return d.reason
+  return d.txHash || d.ticketId || ''
+}
+
+function analysisSections(a) {
+  const summary = [
+    ['Tx', a.txHash],
+    ['Network', a.network],
+    ['Found on', a.foundOn],
+    ['Failure at', a.failureAt],
+    ['Failure reason', a.failureReason],
+    ['Message', a.failureMessage],
+    ['Explanation', a.explanation]
+  ]
+  const actions = (a.timeline && a.timeline.actions) || []
+  const timeline = actions.map(x => [x.id, x.action, x.status, actionDetail(x)])
+  const hints = ((a.timeline && a.timeline.failureClassification) || []).map(h => [h.severity, h.type, h.message])
+  const recs = ((a.crossChainCausality && a.crossChainCausality.recommendations) || []).map(r => [r.priority, r.action, r.suggested, r.reasoning])
+  return { summary, timeline, hints, recs }
+}
+
+/**
+ * Format an /analyze response. format: 'json' | 'table' | 'markdown'
+ */
+export function formatAnalysis(analysis, format = 'table') {
+  if (format === 'json') return JSON.stringify(analysis, null, 2)
+  const { summary, timeline, hints, recs } = analysisSections(analysis)
+  if (format === 'markdown') {
+    const out = [`## Analysis: \`${analysis.txHash}\``, '', renderMarkdownTable(['Field', 'Value'], summary)]
+    if (timeline.length) out.push('', '### Timeline', '', renderMarkdownTable(['#', 'Action', 'Status', 'Detail'], timeline))
+    if (hints.length) out.push('', '### Failure classification', '', renderMarkdownTable(['Severity', 'Type', 'Message'], hints))
+    if (recs.length) out.push('', '### Recommendations', '', renderMarkdownTable(['Priority', 'Action', 'Suggested', 'Reasoning'], recs))
+    return out.join('\n')
+  }
+  const out = [renderTable(['Field', 'Value'], summary)]
+  if (timeline.length) out.push('', 'Timeline', renderTable(['#', 'Action', 'Status', 'Detail'], timeline))
+  if (hints.length) out.push('', 'Failure classification', renderTable(['Severity', 'Type', 'Message'], hints))
+  if (recs.length) out.push('', 'Recommendations', renderTable(['Priority', 'Action', 'Suggested', 'Reasoning'], recs))
+  return out.join('\n')
+}
+
+/**
+ * Format a generic record (ticket, index result) as key/value rows.
+ */
+export function formatRecord(title, record, format = 'table') {
+  if (format === 'json') return JSON.stringify(record, null, 2)
+  const rows = Object.entries(record || {}).map(([k, v]) => [k, v])
+  if (format === 'markdown') return [`## ${title}`, '', renderMarkdownTable(['Field', 'Value'], rows)].join('\n')
+  return [title, renderTable(['Field', 'Value'], rows)].join('\n')
+}
+
+/**
+ * Format a validatePreSubmission result.
+ */
+export function formatValidation(validation, format = 'table') {
+  if (format === 'json') return JSON.stringify(validation, null, 2)
+  const summary = [
+    ['Success probability', `${validation.successProbability}%`],
+    ['Confidence', validation.confidence],
+    ['Recommendation', validation.recommendation]
+  ]
+  const risks = (validation.risks || []).map(r => [r.severity, r.type, r.message])
+  const suggestions = (validation.suggestions || []).map(s => [s.type, s.current, s.suggested, s.reasoning])
+  const table = format === 'markdown' ? renderMarkdownTable : renderTable
+  const heading = (t) => (format === 'markdown' ? `### ${t}\n` : t)
+  const out = [format === 'markdown' ? '## Pre-submission validation\n' : 'Pre-submission validation', table(['Field', 'Value'], summary)]
+  if (risks.length) out.push('', heading('Risks'), table(['Severity', 'Type', 'Message'], risks))
+  if (suggestions.length) out.push('', heading('Suggestions'), table(['Type', 'Current', 'Suggested', 'Reasoning'], suggestions))
+  return out.join('\n')
+}
+
+export default { EXIT_CODES, exitCodeForAnalysis, exitCodeForValidation, renderTable, renderMarkdownTable, formatAnalysis, formatRecord, formatValidation }
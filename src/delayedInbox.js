@@ -0,0 +1,183 @@
+/**
+ * Delayed Inbox & Force Inclusion
+ * L1 → L2 messages (retryables, deposits) land in the Bridge's delayed inbox
+ * and only reach L2 once the sequencer includes them in a batch
+ * (SequencerInbox.totalDelayedMessagesRead moves past their index). If the
+ * sequencer ignores a message for longer than maxTimeVariation's delayBlocks
+ * AND delaySeconds, anyone can call SequencerInbox.forceInclusion on the
+ * parent chain to include it (and every earlier delayed message) themselves.
+ *
+ * For each MessageDelivered in an L1 receipt this reports whether it has been
+ * included, how long it has waited against the delay and, once the delay has
+ * passed, the forceInclusion arguments and calldata.
+ *
+ * Block numbers are the ones the Bridge recorded: block.number, which on an
+ * Arbitrum parent chain (Orbit L3s) is the L1 block number reported in the
+ * parent block's `l1BlockNumber` field.
+ */
+
+import { ethers } from 'ethers'
+import { BRIDGE_ABI, SEQUENCER_INBOX_ABI, getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK, getNetwork } from './networks.js'
+
+const bridgeInterface = new ethers.Interface(BRIDGE_ABI)
+const sequencerInboxInterface = new ethers.Interface(SEQUENCER_INBOX_ABI)
+const RPC_TIMEOUT_MS = 5000
+
+/**
+ * Bridge MessageDelivered events in an L1 receipt. When `bridge` is given,
+ * events from other contracts are ignored.
+ */
+export function findDelayedMessages(receipt, bridge = null) {
+  if (!receipt || !Array.isArray(receipt.logs)) return []
+  const messages = []
+  for (const log of receipt.logs) {
+    if (bridge && (log.address || '').toLowerCase() !== bridge.toLowerCase()) continue
+    let parsed = null
+    try {
+      parsed = bridgeInterface.parseLog(log)
+    } catch (e) {
+      // not a Bridge event
+    }
+    if (!parsed || parsed.name !== 'MessageDelivered') continue
+    messages.push({
+      messageIndex: Number(parsed.args.messageIndex),
+      kind: Number(parsed.args.kind),
+      sender: parsed.args.sender,
+      messageDataHash: parsed.args.messageDataHash,
+      baseFeeL1: parsed.args.baseFeeL1.toString(),
+      timestamp: Number(parsed.args.timestamp),
+      parentBlockNumber: log.blockNumber ?? receipt.blockNumber
+    })
+  }
+  return messages
+}
+
+/**
+ * Inclusion and force-inclusion state of one delayed message. `message.l1BlockNumber`
+ * is the block number the Bridge recorded; currentBlock/currentTimestamp are the
+ * parent chain's block.number and block.timestamp now.
+ */
+export function assessDelayedMessage(message, { totalDelayedMessagesRead, delayBlocks, delaySeconds, currentBlock, currentTimestamp, sequencerInbox = null }) {
+  const included = message.messageIndex < totalDelayedMessagesRead
+  const waitedBlocks = Math.max(0, currentBlock - message.l1BlockNumber)
+  const waitedSeconds = Math.max(0, currentTimestamp - message.timestamp)
+  // SequencerInbox reverts with ForceIncludeBlockTooSoon / ForceIncludeTimeTooSoon unless both are strictly past
+  const forceIncludableAtBlock = message.l1BlockNumber + delayBlocks + 1
+  const forceIncludableAtTimestamp = message.timestamp + delaySeconds + 1
+  const forceIncludable = !included && currentBlock >= forceIncludableAtBlock && currentTimestamp >= forceIncludableAtTimestamp
+
+  const result = {
+    ...message,
+    included,
+    waitedBlocks,
+    waitedSeconds,
+    delayBlocks,
+    delaySeconds,
+    waitedPct: delaySeconds > 0 ? Math.min(100, Math.round((waitedSeconds / delaySeconds) * 100)) : 100,
+    forceIncludable,
+    forceIncludableAtBlock,
+    forceIncludableAt: new Date(forceIncludableAtTimestamp * 1000).toISOString(),
+    blocksRemaining: included ? 0 : Math.max(0, forceIncludableAtBlock - currentBlock),
+    secondsRemaining: included ? 0 : Math.max(0, forceIncludableAtTimestamp - currentTimestamp),
+    forceInclusion: null
+  }
+  if (forceIncludable) {
+    const args = [message.messageIndex + 1, message.kind, [message.l1BlockNumber, message.timestamp], message.baseFeeL1, message.sender, message.messageDataHash]
+    result.forceInclusion = {
+      to: sequencerInbox,
+      method: 'forceInclusion',
+      args: {
+        _totalDelayedMessagesRead: String(message.messageIndex + 1),
+        kind: message.kind,
+        l1BlockAndTime: [String(message.l1BlockNumber), String(message.timestamp)],
+        baseFeeL1: message.baseFeeL1,
+        sender: message.sender,
+        messageDataHash: message.messageDataHash
+      },
+      data: sequencerInboxInterface.encodeFunctionData('forceInclusion', args)
+    }
+  }
+  return result
+}
+
+// block.number as contracts on the parent chain see it (l1BlockNumber on Arbitrum chains)
+async function parentBlock(provider, tag) {
+  const raw = await callWithTimeout(provider.send('eth_getBlockByNumber', [typeof tag === 'number' ? ethers.toQuantity(tag) : tag, false]), RPC_TIMEOUT_MS)
+  if (!raw) return null
+  return { number: Number(raw.l1BlockNumber || raw.number), timestamp: Number(raw.timestamp) }
+}
+
+/**
+ * Delayed-inbox status of every message an L1 receipt delivered.
+ * Returns null when the receipt delivered no delayed messages.
+ *
+ * @param {Object} l1Receipt - Parent-chain receipt (needs logs)
+ * @param {Object} options
+ * @param {string} options.network - Registry network name
+ * @param {Object} options.provider - Parent-chain provider override (tests)
+ * @returns {Promise<Object|null>} { ok, sequencerInbox, totalDelayedMessagesRead, delayBlocks, delaySeconds, messages, pending, forceIncludable }
+ */
+export async function checkDelayedInbox(l1Receipt, options = {}) {
+  const { network = DEFAULT_NETWORK } = options
+  const net = getNetwork(network)
+  const { bridge = null, sequencerInbox = null } = (net && net.contracts) || {}
+  const delivered = findDelayedMessages(l1Receipt, bridge)
+  if (delivered.length === 0) return null
+  if (!sequencerInbox) return { ok: false, network, error: `No SequencerInbox configured for ${network}` }
+
+  try {
+    const provider = options.provider || getProviders(network).l1Provider
+    const inbox = new ethers.Contract(sequencerInbox, SEQUENCER_INBOX_ABI, provider)
+    const [totalRead, variation, current] = await Promise.all([
+      callWithTimeout(inbox.totalDelayedMessagesRead(), RPC_TIMEOUT_MS),
+      callWithTimeout(inbox.maxTimeVariation(), RPC_TIMEOUT_MS),
+      parentBlock(provider, 'latest')
+    ])
+    if (!current) return { ok: false, network, error: 'Latest parent-chain block unavailable' }
+    const blocks = new Map()
+    await Promise.all([...new Set(delivered.map(m => m.parentBlockNumber))].map(async (n) => {
+      const block = await parentBlock(provider, n)
+      blocks.set(n, block ? block.number : n)
+    }))
+
+    const params = {
+      totalDelayedMessagesRead: Number(totalRead),
+      delayBlocks: Number(variation.delayBlocks),
+      delaySeconds: Number(variation.delaySeconds),
+      currentBlock: current.number,
+      currentTimestamp: current.timestamp,
+      sequencerInbox
+    }
+    const messages = delivered.map(({ parentBlockNumber, ...m }) => assessDelayedMessage({ ...m, l1BlockNumber: blocks.get(parentBlockNumber) }, params))
+
+    return {
+      ok: true,
+      network,
+      sequencerInbox,
+      totalDelayedMessagesRead: params.totalDelayedMessagesRead,
+      delayBlocks: params.delayBlocks,
+      delaySeconds: params.delaySeconds,
+      currentBlock: params.currentBlock,
+      messages,
+      pending: messages.filter(m => !m.included).length,
+      forceIncludable: messages.some(m => m.forceIncludable)
+    }
+  } catch (e) {
+    return { ok: false, network, error: e.shortMessage || e.message }
+  }
+}
+
+/**
+ * Human-readable wait-vs-delay summary for a pending message.
+ */
+export function describeDelayedMessage(m) {
+  const hours = (s) => (s / 3600).toFixed(1)
+  if (m.included) return `Delayed message #${m.messageIndex} was included by the sequencer.`
+  if (m.forceIncludable) {
+    return `Delayed message #${m.messageIndex} has waited ${hours(m.waitedSeconds)}h (${m.waitedBlocks} blocks), past the ${hours(m.delaySeconds)}h / ${m.delayBlocks}-block force-inclusion delay, without sequencer inclusion. Anyone can call SequencerInbox.forceInclusion to include it.`
+  }
+  return `Delayed message #${m.messageIndex} has waited ${hours(m.waitedSeconds)}h (${m.waitedBlocks} blocks) of the ${hours(m.delaySeconds)}h / ${m.delayBlocks}-block force-inclusion delay without sequencer inclusion; force inclusion opens at ${m.forceIncludableAt}.`
+}
+
+export default { findDelayedMessages, assessDelayedMessage, checkDelayedInbox, describeDelayedMessage }
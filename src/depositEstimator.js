@@ -0,0 +1,152 @@
+/**
+ * Deposit Parameter Estimator
+ * Recommends a full retryable parameter set for an L1 → L2 message, the way
+ * the Arbitrum SDK's ParentToChildMessageGasEstimator does:
+ *
+ *   maxSubmissionCost = Inbox.calculateRetryableSubmissionFee(dataLength, L1 base fee) + buffer
+ *   gasLimit          = eth_estimateGas of NodeInterface.estimateRetryableTicket(...) + buffer
+ *   maxFeePerGas      = current L2 gas price + buffer
+ *   deposit           = maxSubmissionCost + gasLimit * maxFeePerGas + l2CallValue
+ *
+ * Unused submission fee and gas are refunded on L2, so the buffers only cost
+ * the upfront deposit. When the node can't estimate the gas limit (call would
+ * revert), estimateGasLimit's heuristic fills in. The result is graded with
+ * validatePreSubmission so callers see the same risks as for typed-in values.
+ */
+
+import { ethers } from 'ethers'
+import { NODE_INTERFACE_ADDRESS, NODE_INTERFACE_ABI, getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK } from './networks.js'
+import { computeSubmissionFee } from './submissionFee.js'
+import { estimateGasLimit, validatePreSubmission } from './preSubmissionValidator.js'
+
+const nodeInterface = new ethers.Interface(NODE_INTERFACE_ABI)
+const RPC_TIMEOUT_MS = 5000
+
+// SDK defaults: base fees move between estimate and inclusion, the gas estimate is exact
+export const DEFAULT_BUFFERS = {
+  submissionFeePct: Number(process.env.DEPOSIT_SUBMISSION_FEE_BUFFER_PCT || 300),
+  gasLimitPct: Number(process.env.DEPOSIT_GAS_LIMIT_BUFFER_PCT || 0),
+  maxFeePerGasPct: Number(process.env.DEPOSIT_MAX_FEE_BUFFER_PCT || 500)
+}
+
+// Deposit assumed while estimating so the estimate can't fail on funds (SDK does the same)
+const ESTIMATE_DEPOSIT = ethers.parseEther('1')
+
+/**
+ * Merge caller buffers over the defaults. Returns { buffers } or { error }.
+ */
+export function resolveBuffers(overrides = {}) {
+  const buffers = { ...DEFAULT_BUFFERS }
+  for (const key of Object.keys(DEFAULT_BUFFERS)) {
+    const v = overrides ? overrides[key] : undefined
+    if (v === undefined || v === null) continue
+    if (!Number.isFinite(Number(v)) || Number(v) < 0) return { error: `buffers.${key} must be a non-negative number` }
+    buffers[key] = Number(v)
+  }
+  return { buffers }
+}
+
+export function withBuffer(value, pct) {
+  const v = BigInt(value)
+  return v + (v * BigInt(Math.round(pct * 100))) / 10000n
+}
+
+/**
+ * Recommend maxSubmissionCost, gasLimit, maxFeePerGas and deposit.
+ *
+ * @param {Object} params
+ * @param {string} params.to - L2 destination
+ * @param {string} params.data - L2 calldata
+ * @param {string|number} params.l2CallValue - Value delivered to `to` on L2 (wei)
+ * @param {string} params.from - L1 sender
+ * @param {string} params.excessFeeRefundAddress - Default: from
+ * @param {string} params.callValueRefundAddress - Default: from
+ * @param {string} params.contractType - estimateGasLimit() type for the heuristic fallback
+ * @param {Object} params.buffers - { submissionFeePct, gasLimitPct, maxFeePerGasPct }
+ * @param {string} params.network - Registry network name
+ * @param {Object} options - { provider (L2), l1Provider, validate } overrides (tests)
+ * @returns {Promise<Object>} { ok, params, estimates, buffers, validation }
+ */
+export async function estimateDeposit(params = {}, options = {}) {
+  const { to, data = '0x', l2CallValue = 0, contractType = 'generic', network = DEFAULT_NETWORK } = params
+  const { validate = validatePreSubmission } = options
+  for (const [name, value] of [['to', to], ['from', params.from]]) {
+    if (!value || !ethers.isAddress(value)) return { ok: false, error: `${name} (address) required` }
+  }
+  const from = ethers.getAddress(params.from)
+  const excessFeeRefundAddress = params.excessFeeRefundAddress || from
+  const callValueRefundAddress = params.callValueRefundAddress || from
+  if (!ethers.isAddress(excessFeeRefundAddress) || !ethers.isAddress(callValueRefundAddress)) return { ok: false, error: 'Refund addresses must be addresses' }
+  if (!ethers.isHexString(data)) return { ok: false, error: 'data must be 0x-prefixed hex' }
+  if (!/^\d+$/.test(String(l2CallValue))) return { ok: false, error: 'l2CallValue must be an integer (wei)' }
+  const { buffers, error: bufferError } = resolveBuffers(params.buffers)
+  if (bufferError) return { ok: false, error: bufferError }
+
+  const callValue = BigInt(l2CallValue)
+  const dataLength = ethers.dataLength(data)
+
+  try {
+    const l2Provider = options.provider || getProviders(network).l2Provider
+
+    const submissionFee = await computeSubmissionFee({ dataLength, network, provider: options.l1Provider })
+    if (!submissionFee.ok) return { ok: false, error: `Submission fee: ${submissionFee.error}` }
+    const maxSubmissionCost = withBuffer(submissionFee.requiredWei, buffers.submissionFeePct)
+
+    const feeData = await callWithTimeout(l2Provider.getFeeData(), RPC_TIMEOUT_MS)
+    if (!feeData || feeData.gasPrice === null || feeData.gasPrice === undefined) return { ok: false, error: 'L2 gas price unavailable' }
+    const l2GasPrice = BigInt(feeData.gasPrice)
+    const maxFeePerGas = withBuffer(l2GasPrice, buffers.maxFeePerGasPct)
+
+    const gas = { estimate: null, source: 'NODE_INTERFACE', error: null }
+    try {
+      const estimateData = nodeInterface.encodeFunctionData('estimateRetryableTicket', [from, ESTIMATE_DEPOSIT + callValue, to, callValue, excessFeeRefundAddress, callValueRefundAddress, data])
+      gas.estimate = BigInt(await callWithTimeout(l2Provider.estimateGas({ to: NODE_INTERFACE_ADDRESS, data: estimateData }), RPC_TIMEOUT_MS))
+    } catch (e) {
+      // The node refuses to estimate calls that revert; fall back to the calldata/contract-type heuristic
+      gas.error = e.shortMessage || e.message
+      gas.source = 'HEURISTIC'
+      gas.estimate = BigInt(estimateGasLimit({ callDataLength: dataLength, contractType }).recommended)
+    }
+    const gasLimit = withBuffer(gas.estimate, buffers.gasLimitPct)
+
+    const deposit = maxSubmissionCost + gasLimit * maxFeePerGas + callValue
+
+    const validation = validate ? await validate({
+      contractAddress: to,
+      gasLimit: gasLimit.toString(),
+      maxFeePerGas: maxFeePerGas.toString(),
+      submissionCost: maxSubmissionCost.toString(),
+      callDataLength: dataLength,
+      l1BaseFee: submissionFee.baseFee,
+      network
+    }, { l1Provider: options.l1Provider }) : null
+
+    return {
+      ok: true,
+      network,
+      params: {
+        to,
+        l2CallValue: callValue.toString(),
+        excessFeeRefundAddress,
+        callValueRefundAddress,
+        data,
+        maxSubmissionCost: maxSubmissionCost.toString(),
+        gasLimit: gasLimit.toString(),
+        maxFeePerGas: maxFeePerGas.toString(),
+        deposit: deposit.toString()
+      },
+      estimates: {
+        submissionFee: { requiredWei: submissionFee.requiredWei, l1BaseFee: submissionFee.baseFee, dataLength, source: submissionFee.source },
+        gasLimit: { estimate: gas.estimate.toString(), source: gas.source, error: gas.error },
+        l2GasPrice: l2GasPrice.toString()
+      },
+      buffers,
+      validation
+    }
+  } catch (e) {
+    return { ok: false, error: e.message }
+  }
+}
+
+export default { estimateDeposit, resolveBuffers, withBuffer, DEFAULT_BUFFERS }
@@ -0,0 +1,116 @@
+/**
+ * Retryable Expiry Scanner
+ * Tickets that nobody redeems expire after the retryable lifetime (7 days,
+ * extended by keepalive) and their L2 call value is lost. This finds them
+ * before that happens:
+ *
+ *   1. the indexer lists tickets not known to be redeemed or canceled whose
+ *      estimated timeout falls inside the window (retryable_tickets joined
+ *      with ticket_to_l2tx)
+ *   2. each candidate is confirmed with ArbRetryableTx.getTimeout(); the
+ *      result goes back to the indexer so closed tickets aren't probed again
+ *      and extended ones use their real timeout
+ *
+ * The indexer worker runs the scan on a schedule; /retryable/expiring runs it
+ * on demand.
+ */
+
+import { DEFAULT_NETWORK } from './networks.js'
+import { findExpiryCandidates, updateTicketState } from './indexer.js'
+import { probeRetryableTicket } from './retryableResolver.js'
+import { ticketIdToTxHash } from './retryableHops.js'
+import { createConcurrencyLimiter } from './batchAnalysis.js'
+
+// ArbRetryableTx.getLifetime() on every Arbitrum chain so far
+export const RETRYABLE_LIFETIME_SECONDS = 7 * 24 * 3600
+export const DEFAULT_WITHIN_HOURS = Number(process.env.EXPIRY_WARNING_HOURS || 24)
+export const EXPIRY_SCAN_LIMIT = Number(process.env.EXPIRY_SCAN_LIMIT || 200)
+
+/**
+ * Unredeemed tickets expiring within `withinHours`, confirmed on chain.
+ *
+ * @param {Object} options
+ * @param {string} options.network - Registry network name
+ * @param {number} options.withinHours - Warning window (default EXPIRY_WARNING_HOURS, 24)
+ * @param {number} options.limit - Max candidates probed (default EXPIRY_SCAN_LIMIT, 200)
+ * @param {number} options.now - Unix seconds (tests)
+ * @param {Function} options.findCandidates - Indexer query override (tests)
+ * @param {Function} options.probe - ticketId → precompile state override (tests)
+ * @param {Function} options.recordState - (ticketId, network, state) persistence override (tests)
+ * @returns {Promise<Object>} { ok, network, withinHours, expiring, probed, closed, extended, errors, truncated }
+ */
+export async function scanExpiringTickets(options = {}) {
+  const {
+    network = DEFAULT_NETWORK,
+    withinHours = DEFAULT_WITHIN_HOURS,
+    limit = EXPIRY_SCAN_LIMIT,
+    now = Math.floor(Date.now() / 1000),
+    findCandidates = findExpiryCandidates,
+    probe = (ticketId, probeOptions) => probeRetryableTicket(ticketId, { network, ...probeOptions }),
+    recordState = updateTicketState
+  } = options
+  if (!Number.isFinite(Number(withinHours)) || Number(withinHours) <= 0) return { ok: false, error: 'withinHours must be a positive number' }
+  const windowSec = Math.round(Number(withinHours) * 3600)
+
+  try {
+    const candidates = findCandidates({ network, now, expiresBefore: now + windowSec, lifetimeSec: RETRYABLE_LIFETIME_SECONDS, limit })
+    const limiter = createConcurrencyLimiter(4)
+    const states = await Promise.all(candidates.map(c => limiter(() => probe(c.ticket_id, { now }).catch(e => ({ error: e.message })))))
+
+    const expiring = []
+    const errors = []
+    let closed = 0
+    let extended = 0
+    candidates.forEach((ticket, i) => {
+      const state = states[i]
+      if (!state || state.error || state.exists === null) {
+        errors.push({ ticketId: ticket.ticket_id, error: state ? state.error : 'No precompile response' })
+        return
+      }
+      if (!state.exists) {
+        // Redeemed, canceled or already expired; any of them ends the watch
+        recordState(ticket.ticket_id, network, { state: 'CLOSED' })
+        closed++
+        return
+      }
+      recordState(ticket.ticket_id, network, { state: 'OPEN', timeout: state.timeout })
+      if (state.timeout - now > windowSec) {
+        extended++
+        return
+      }
+      if (state.timeout < now) return
+      expiring.push({
+        ticketId: ticketIdToTxHash(ticket.ticket_id),
+        network,
+        l1TxHash: ticket.l1_tx_hash,
+        l2TxHash: ticket.l2_tx_hash || null,
+        creator: ticket.creator,
+        to: ticket.to_address,
+        l2CallValue: ticket.l2_call_value,
+        beneficiary: state.beneficiary,
+        timeout: state.timeout,
+        expiresAt: state.expiresAt,
+        secondsUntilExpiry: state.timeout - now,
+        rescue: `/retryable/rescue?ticket=${ticketIdToTxHash(ticket.ticket_id)}&network=${network}`
+      })
+    })
+    expiring.sort((a, b) => a.timeout - b.timeout)
+
+    return {
+      ok: true,
+      network,
+      withinHours: Number(withinHours),
+      checkedAt: new Date(now * 1000).toISOString(),
+      expiring,
+      probed: candidates.length,
+      closed,
+      extended,
+      errors,
+      truncated: candidates.length >= limit
+    }
+  } catch (e) {
+    return { ok: false, network, error: e.message }
+  }
+}
+
+export default { scanExpiringTickets, RETRYABLE_LIFETIME_SECONDS, DEFAULT_WITHIN_HOURS, EXPIRY_SCAN_LIMIT }
@@ -0,0 +1,228 @@
+/**
+ * Local Fork Replay
+ * Re-executes a failed L2 transaction on a local anvil fork of the network at
+ * the parent block, optionally with a different gasLimit, calldata, msg.value
+ * or sender, and reports whether it would succeed, the gas it used and the new
+ * revert reason. Turns the causality analyzer's `suggestedMax` guess into a
+ * measured number.
+ *
+ * Limits: the fork starts at the end of the parent block, so earlier txs in the
+ * original block are not replayed. anvil does not implement Arbitrum
+ * precompiles or L1 data pricing, so calls that hit ArbSys & co. may behave
+ * differently and gasUsed covers L2 execution only.
+ *
+ * Requires Foundry's anvil (ANVIL_PATH, default "anvil" on PATH).
+ */
+
+import { spawn } from 'child_process'
+import { createServer } from 'net'
+import { ethers } from 'ethers'
+import { getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK, getNetwork } from './networks.js'
+import { decodeRevertData } from './revertDecoder.js'
+import { createConcurrencyLimiter } from './batchAnalysis.js'
+
+const ANVIL_PATH = process.env.ANVIL_PATH || 'anvil'
+const FORK_STARTUP_TIMEOUT_MS = Number(process.env.FORK_STARTUP_TIMEOUT_MS || 30000)
+const RPC_TIMEOUT_MS = 15000
+const MIN_GAS_LIMIT = 21000n
+
+// Each replay spawns an anvil process; run them one at a time
+const forkLimiter = createConcurrencyLimiter(Number(process.env.FORK_REPLAY_CONCURRENCY || 1))
+
+/**
+ * Validate user overrides. Returns a list of error messages (empty when valid).
+ */
+export function validateOverrides(overrides = {}) {
+  const errors = []
+  const { gasLimit, data, value, from } = overrides || {}
+  // Below the 21000 intrinsic gas no tx can even start
+  if (gasLimit !== undefined && gasLimit !== null && (!/^\d+$/.test(String(gasLimit)) || BigInt(gasLimit) <= MIN_GAS_LIMIT)) errors.push(`gasLimit must be an integer above ${MIN_GAS_LIMIT}`)
+  if (data !== undefined && data !== null && !/^0x([0-9a-fA-F]{2})*$/.test(String(data))) errors.push('data must be 0x-prefixed hex')
+  if (value !== undefined && value !== null && !/^\d+$/.test(String(value))) errors.push('value must be an integer (wei)')
+  if (from !== undefined && from !== null && !ethers.isAddress(from)) errors.push('from must be an address')
+  return errors
+}
+
+/**
+ * Merge the original tx with overrides into the tx to replay.
+ */
+export function buildReplayTx(originalTx, overrides = {}) {
+  const o = overrides || {}
+  const overridden = ['gasLimit', 'data', 'value', 'from'].filter(k => o[k] !== undefined && o[k] !== null)
+  return {
+    from: o.from || originalTx.from,
+    to: originalTx.to,
+    data: o.data || originalTx.data || '0x',
+    value: BigInt(o.value ?? originalTx.value ?? 0),
+    gasLimit: BigInt(o.gasLimit ?? originalTx.gasLimit),
+    overridden
+  }
+}
+
+/**
+ * Compare the original receipt with the replay outcome.
+ */
+export function compareReplay(originalReceipt, replay) {
+  const originalGasUsed = originalReceipt && originalReceipt.gasUsed !== undefined && originalReceipt.gasUsed !== null ? BigInt(originalReceipt.gasUsed) : null
+  const replayGasUsed = replay && replay.gasUsed ? BigInt(replay.gasUsed) : null
+  const originalSucceeded = originalReceipt ? originalReceipt.status === 1 : null
+  return {
+    originalStatus: originalReceipt ? (originalSucceeded ? 'success' : 'reverted') : null,
+    replayStatus: replay.success ? 'success' : 'reverted',
+    fixed: originalSucceeded === false && replay.success,
+    gasUsedDelta: originalGasUsed !== null && replayGasUsed !== null ? (replayGasUsed - originalGasUsed).toString() : null,
+    // A successful replay's gasUsed is a measured lower bound for maxGas
+    verifiedGasLimit: replay.success && replayGasUsed !== null ? replayGasUsed.toString() : null
+  }
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = createServer()
+    srv.unref()
+    srv.on('error', reject)
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address()
+      srv.close(() => resolve(port))
+    })
+  })
+}
+
+/**
+ * Start anvil forked from `rpcUrl` at `blockNumber`. Resolves with
+ * { url, provider, stop } once the fork answers RPC calls.
+ */
+export async function startFork({ rpcUrl, blockNumber, anvilPath = ANVIL_PATH }) {
+  if (!rpcUrl) throw new Error('No RPC URL configured to fork from')
+  const port = await freePort()
+  const child = spawn(anvilPath, ['--fork-url', rpcUrl, '--fork-block-number', String(blockNumber), '--port', String(port), '--host', '127.0.0.1', '--silent'], { stdio: 'ignore' })
+  const stop = () => { if (child.exitCode === null) child.kill('SIGTERM') }
+  const url = `http://127.0.0.1:${port}`
+  const provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true })
+
+  let spawnError = null
+  child.on('error', (e) => { spawnError = e })
+
+  const deadline = Date.now() + FORK_STARTUP_TIMEOUT_MS
+  while (Date.now() < deadline) {
+    if (spawnError) {
+      throw new Error(spawnError.code === 'ENOENT' ? `anvil not found (${anvilPath}); install Foundry or set ANVIL_PATH` : spawnError.message)
+    }
+    if (child.exitCode !== null) throw new Error(`anvil exited with code ${child.exitCode}`)
+    try {
+      await provider.send('eth_blockNumber', [])
+      return { url, provider, stop }
+    } catch (e) {
+      await new Promise(r => setTimeout(r, 250))
+    }
+  }
+  stop()
+  throw new Error('anvil fork did not start in time')
+}
+
+async function runOnFork(fork, replayTx, options) {
+  const { provider } = fork
+  const from = ethers.getAddress(replayTx.from)
+  const tx = {
+    from,
+    to: replayTx.to,
+    data: replayTx.data,
+    value: ethers.toQuantity(replayTx.value),
+    gas: ethers.toQuantity(replayTx.gasLimit),
+    gasPrice: '0x0'
+  }
+
+  // Send as the original (or overridden) sender without its key, fee-free
+  await provider.send('anvil_impersonateAccount', [from])
+  await provider.send('anvil_setNextBlockBaseFeePerGas', ['0x0'])
+  const balance = BigInt(await provider.send('eth_getBalance', [from, 'latest']))
+  if (balance < replayTx.value) await provider.send('anvil_setBalance', [from, ethers.toQuantity(replayTx.value)])
+
+  // eth_call first: the revert payload is only returned by calls, not receipts
+  let revertData = null
+  try {
+    await provider.send('eth_call', [tx, 'latest'])
+  } catch (e) {
+    revertData = (e && (e.data || (e.error && e.error.data) || (e.info && e.info.error && e.info.error.data))) || null
+  }
+
+  const hash = await provider.send('eth_sendTransaction', [tx])
+  const receipt = await callWithTimeout(provider.getTransactionReceipt(hash), RPC_TIMEOUT_MS)
+  const success = !!receipt && receipt.status === 1
+  const revert = success ? null : await decodeRevertData(revertData, { abis: options.getAbis ? options.getAbis(replayTx.to) : [] }).catch(() => null)
+  return {
+    success,
+    gasUsed: receipt && receipt.gasUsed ? receipt.gasUsed.toString() : null,
+    outOfGas: !success && !!receipt && BigInt(receipt.gasUsed) >= replayTx.gasLimit,
+    revertData: success ? null : revertData,
+    revert
+  }
+}
+
+/**
+ * Replay an L2 transaction on a fork at its parent block.
+ *
+ * @param {string} txHash - L2 transaction hash
+ * @param {Object} options
+ * @param {Object} options.overrides - { gasLimit, data, value, from }
+ * @param {string} options.network - Registry network name
+ * @param {Function} options.getAbis - targetAddress → [{ address, abi }] for revert decoding
+ * @param {Object} options.provider - L2 provider override (tests)
+ * @param {Function} options.startFork - Fork launcher override (tests)
+ * @returns {Promise<Object>} { ok, txHash, network, forkBlock, replayTx, result, original, comparison }
+ */
+export async function replayTransaction(txHash, options = {}) {
+  const { network = DEFAULT_NETWORK, overrides = {}, startFork: launch = startFork } = options
+  const errors = validateOverrides(overrides)
+  if (errors.length > 0) return { ok: false, error: errors.join('; ') }
+
+  const net = getNetwork(network)
+  if (!net) return { ok: false, error: `Unknown network: ${network}` }
+
+  let tx, receipt
+  try {
+    const l2Provider = options.provider || getProviders(network).l2Provider
+    tx = await callWithTimeout(l2Provider.getTransaction(txHash), RPC_TIMEOUT_MS)
+    receipt = await callWithTimeout(l2Provider.getTransactionReceipt(txHash), RPC_TIMEOUT_MS)
+  } catch (e) {
+    return { ok: false, txHash, error: e.message }
+  }
+  if (!tx || tx.blockNumber === null || tx.blockNumber === undefined) return { ok: false, error: `Transaction ${txHash} not found on ${network}` }
+  if (!tx.to) return { ok: false, error: 'Contract creations cannot be replayed' }
+
+  const replayTx = buildReplayTx(tx, overrides)
+  const forkBlock = tx.blockNumber - 1
+
+  return forkLimiter(async () => {
+    const fork = await launch({ rpcUrl: net.rpcUrl, blockNumber: forkBlock })
+    try {
+      const result = await runOnFork(fork, replayTx, options)
+      return {
+        ok: true,
+        txHash,
+        network,
+        forkBlock,
+        replayTx: {
+          from: replayTx.from,
+          to: replayTx.to,
+          value: replayTx.value.toString(),
+          gasLimit: replayTx.gasLimit.toString(),
+          dataLength: (replayTx.data.length - 2) / 2,
+          overridden: replayTx.overridden
+        },
+        result,
+        original: receipt ? {
+          status: receipt.status,
+          gasUsed: receipt.gasUsed ? receipt.gasUsed.toString() : null,
+          gasLimit: tx.gasLimit ? tx.gasLimit.toString() : null
+        } : null,
+        comparison: compareReplay(receipt, result)
+      }
+    } finally {
+      fork.stop()
+    }
+  }).catch(e => ({ ok: false, txHash, error: e.message }))
+}
+
+export default { replayTransaction, buildReplayTx, validateOverrides, compareReplay, startFork }
@@ -0,0 +1,133 @@
+/**
+ * Minimum Gas Finder
+ * Binary-searches the smallest gas limit at which an L2 call succeeds, using
+ * eth_call at a chosen block (eth_estimateGas only seeds the upper bound).
+ * Gives retryable maxGas a measured threshold instead of a flat
+ * `gasUsed + 150000` buffer; /gas/estimate-optimal uses the result to raise
+ * its confidence.
+ *
+ * Retryables execute on L2 from the L1 sender, aliased when that sender is a
+ * contract (`aliasSender`).
+ */
+
+import { ethers } from 'ethers'
+import { getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK } from './networks.js'
+
+const RPC_TIMEOUT_MS = 5000
+const INTRINSIC_GAS = 21000n
+const DEFAULT_MAX_GAS = BigInt(process.env.GAS_SEARCH_MAX || 32000000)
+// Stop once the bracket is this tight; exact-to-the-unit gas isn't worth the extra calls
+const DEFAULT_TOLERANCE = 1000n
+export const DEFAULT_MARGIN_PCT = 10
+
+const ALIAS_OFFSET = 0x1111000000000000000000000000000000001111n
+const ADDRESS_SPACE = 1n << 160n
+
+/**
+ * L1 → L2 address alias applied to contract senders of retryables.
+ */
+export function applyL1ToL2Alias(address) {
+  const aliased = (BigInt(address) + ALIAS_OFFSET) % ADDRESS_SPACE
+  return ethers.getAddress(ethers.toBeHex(aliased, 20))
+}
+
+/**
+ * Binary search over [low, high] for the smallest gas where `succeeds(gas)`
+ * resolves true. Assumes success is monotonic in gas.
+ *
+ * @returns {Promise<Object>} { found, minimumGas, iterations }
+ */
+export async function binarySearchMinimumGas(succeeds, { low = INTRINSIC_GAS, high = DEFAULT_MAX_GAS, tolerance = DEFAULT_TOLERANCE } = {}) {
+  let lo = BigInt(low)
+  let hi = BigInt(high)
+  let iterations = 1
+  if (!(await succeeds(hi))) return { found: false, minimumGas: null, iterations }
+  // lo is the highest known failing gas (or the intrinsic floor)
+  while (hi - lo > BigInt(tolerance)) {
+    const mid = (lo + hi) / 2n
+    iterations++
+    if (await succeeds(mid)) hi = mid
+    else lo = mid
+  }
+  return { found: true, minimumGas: hi, iterations }
+}
+
+/**
+ * Threshold plus a safety margin, as a string.
+ */
+export function withMargin(minimumGas, marginPct = DEFAULT_MARGIN_PCT) {
+  const gas = BigInt(minimumGas)
+  return (gas + (gas * BigInt(Math.round(marginPct * 100))) / 10000n).toString()
+}
+
+/**
+ * Find the minimum gas for an L2 call.
+ *
+ * @param {Object} params
+ * @param {string} params.to - Target contract
+ * @param {string} params.data - Calldata
+ * @param {string} params.from - Sender (L1 sender for retryables)
+ * @param {string|number} params.value - msg.value in wei
+ * @param {number|string} params.blockTag - Block to simulate at (default 'latest')
+ * @param {boolean} params.aliasSender - Apply the L1 → L2 alias to `from` (contract senders)
+ * @param {number} params.marginPct - Margin added to the threshold (default 10)
+ * @param {string} params.network - Registry network name
+ * @param {Object} params.provider - L2 provider override (tests)
+ * @returns {Promise<Object>} { ok, minimumGas, recommended, marginPct, estimateGas, blockTag, iterations }
+ */
+export async function findMinimumGas(params = {}) {
+  const { to, data = '0x', value = 0, blockTag = 'latest', aliasSender = false, marginPct = DEFAULT_MARGIN_PCT, network = DEFAULT_NETWORK } = params
+  if (!to || !ethers.isAddress(to)) return { ok: false, error: 'to (address) required' }
+  if (params.from && !ethers.isAddress(params.from)) return { ok: false, error: 'from must be an address' }
+  const from = params.from ? (aliasSender ? applyL1ToL2Alias(params.from) : ethers.getAddress(params.from)) : undefined
+
+  try {
+    const provider = params.provider || getProviders(network).l2Provider
+    const base = { to, data, from, value: BigInt(value), blockTag }
+
+    // eth_estimateGas gives a tight upper bound when it works; fall back to the cap
+    let estimateGas = null
+    try {
+      estimateGas = BigInt(await callWithTimeout(provider.estimateGas(base), RPC_TIMEOUT_MS))
+    } catch (e) {
+      // estimateGas reverts when the call fails at any gas; the search reports that
+    }
+
+    let lastRevert = null
+    const succeeds = async (gasLimit) => {
+      try {
+        await callWithTimeout(provider.call({ ...base, gasLimit }), RPC_TIMEOUT_MS)
+        return true
+      } catch (e) {
+        lastRevert = e.shortMessage || e.message
+        return false
+      }
+    }
+
+    const search = await binarySearchMinimumGas(succeeds, { high: estimateGas || DEFAULT_MAX_GAS })
+    if (!search.found) {
+      return {
+        ok: false,
+        error: `Call reverts even with ${(estimateGas || DEFAULT_MAX_GAS).toString()} gas; not a gas problem`,
+        revert: lastRevert,
+        blockTag,
+        iterations: search.iterations
+      }
+    }
+    return {
+      ok: true,
+      minimumGas: search.minimumGas.toString(),
+      recommended: withMargin(search.minimumGas, marginPct),
+      marginPct,
+      estimateGas: estimateGas !== null ? estimateGas.toString() : null,
+      from: from || null,
+      blockTag,
+      iterations: search.iterations
+    }
+  } catch (e) {
+    return { ok: false, error: e.message }
+  }
+}
+
+export default { findMinimumGas, binarySearchMinimumGas, withMargin, applyL1ToL2Alias, DEFAULT_MARGIN_PCT }
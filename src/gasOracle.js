@@ -0,0 +1,193 @@
+/**
+ * Gas Price Oracle
+ * Records the L2 base fee, the L1 base fee estimate and the ArbGasInfo prices
+ * for every configured network into data/gas_oracle.db (the gas oracle worker
+ * samples the latest block every GAS_ORACLE_SAMPLE_MS), and answers with
+ * p50/p90/p99 bands over a time window instead of re-sampling blocks per
+ * request.
+ *
+ * A fee below the window's p50 lost to the base fee more often than not; one
+ * below p90 lost at least one sample in ten. Callers fall back to the recent
+ * block average while a window holds fewer than GAS_ORACLE_MIN_SAMPLES samples.
+ */
+
+import Database from 'better-sqlite3'
+import path from 'path'
+import fs from 'fs'
+import { getProviders, callWithTimeout } from './arbitrum.js'
+import { getCurrentPrices } from './posterFee.js'
+import { DEFAULT_NETWORK } from './networks.js'
+
+const DB_PATH = path.join(process.cwd(), 'data', 'gas_oracle.db')
+const RPC_TIMEOUT_MS = 5000
+export const DEFAULT_WINDOW_MINUTES = Number(process.env.GAS_ORACLE_WINDOW_MINUTES || 60)
+export const MIN_SAMPLES = Number(process.env.GAS_ORACLE_MIN_SAMPLES || 10)
+export const RETENTION_HOURS = Number(process.env.GAS_ORACLE_RETENTION_HOURS || 168)
+
+// Sampled series: column → response field
+const SERIES = {
+  l2_base_fee: 'l2BaseFee',
+  l1_base_fee_estimate: 'l1BaseFeeEstimate',
+  per_l1_calldata_byte: 'perL1CalldataByte',
+  per_arb_gas_total: 'perArbGasTotal'
+}
+
+let db = null
+
+export function initGasOracle(dbPath = DB_PATH) {
+  if (dbPath !== ':memory:') fs.mkdirSync(path.dirname(dbPath), { recursive: true })
+  db = new Database(dbPath)
+  db.pragma('journal_mode = WAL')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gas_samples (
+      network TEXT NOT NULL,
+      block_number INTEGER NOT NULL,  -- L2 block the sample was read at
+      block_timestamp INTEGER,
+      l2_base_fee TEXT NOT NULL,      -- wei, as decimal strings
+      l1_base_fee_estimate TEXT,
+      per_l2_tx TEXT,
+      per_l1_calldata_byte TEXT,
+      per_arb_gas_base TEXT,
+      per_arb_gas_total TEXT,
+      sampled_at INTEGER NOT NULL,    -- ms
+      PRIMARY KEY (network, block_number)
+    );
+    CREATE INDEX IF NOT EXISTS idx_gas_samples_time ON gas_samples(network, sampled_at);
+  `)
+  return db
+}
+
+function requireDb() {
+  if (!db) initGasOracle()
+  return db
+}
+
+// Readers don't create the database: without a worker there is simply nothing sampled
+function readDb() {
+  if (!db && fs.existsSync(DB_PATH)) initGasOracle()
+  return db
+}
+
+function toSample(row) {
+  return {
+    network: row.network,
+    blockNumber: row.block_number,
+    blockTimestamp: row.block_timestamp,
+    l2BaseFee: row.l2_base_fee,
+    l1BaseFeeEstimate: row.l1_base_fee_estimate,
+    perL2Tx: row.per_l2_tx,
+    perL1CalldataByte: row.per_l1_calldata_byte,
+    perArbGasBase: row.per_arb_gas_base,
+    perArbGasTotal: row.per_arb_gas_total,
+    sampledAt: new Date(row.sampled_at).toISOString()
+  }
+}
+
+/**
+ * Read the latest L2 block's base fee and the ArbGasInfo prices at that block
+ * and store them. Re-sampling the same block overwrites it.
+ *
+ * @param {string} network - Registry network name
+ * @param {Object} options - { provider } L2 provider override (tests), { now } ms
+ * @returns {Promise<Object>} The stored sample
+ */
+export async function recordSample(network = DEFAULT_NETWORK, options = {}) {
+  const provider = options.provider || getProviders(network).l2Provider
+  const block = await callWithTimeout(provider.getBlock('latest'), RPC_TIMEOUT_MS)
+  if (!block) throw new Error('Latest L2 block unavailable')
+  const prices = await getCurrentPrices({ network, provider, blockTag: block.number })
+  const row = {
+    network,
+    block_number: Number(block.number),
+    block_timestamp: Number(block.timestamp),
+    l2_base_fee: (block.baseFeePerGas ?? 0n).toString(),
+    l1_base_fee_estimate: prices.l1BaseFeeEstimate,
+    per_l2_tx: prices.perL2Tx,
+    per_l1_calldata_byte: prices.perL1CalldataByte,
+    per_arb_gas_base: prices.perArbGasBase,
+    per_arb_gas_total: prices.perArbGasTotal,
+    sampled_at: options.now ?? Date.now()
+  }
+  requireDb().prepare(`
+    INSERT OR REPLACE INTO gas_samples (network, block_number, block_timestamp, l2_base_fee, l1_base_fee_estimate, per_l2_tx, per_l1_calldata_byte, per_arb_gas_base, per_arb_gas_total, sampled_at)
+    VALUES (@network, @block_number, @block_timestamp, @l2_base_fee, @l1_base_fee_estimate, @per_l2_tx, @per_l1_calldata_byte, @per_arb_gas_base, @per_arb_gas_total, @sampled_at)
+  `).run(row)
+  return toSample(row)
+}
+
+/**
+ * Delete samples older than `retentionHours`. Returns the number removed.
+ */
+export function pruneSamples({ retentionHours = RETENTION_HOURS, now = Date.now() } = {}) {
+  return requireDb().prepare('DELETE FROM gas_samples WHERE sampled_at < ?').run(now - retentionHours * 3600_000).changes
+}
+
+export function getLatestSample(network = DEFAULT_NETWORK) {
+  const conn = readDb()
+  if (!conn) return null
+  const row = conn.prepare('SELECT * FROM gas_samples WHERE network = ? ORDER BY sampled_at DESC LIMIT 1').get(network)
+  return row ? toSample(row) : null
+}
+
+/**
+ * Nearest-rank percentile of an ascending BigInt array.
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length))
+  return sorted[Math.min(rank, sorted.length) - 1]
+}
+
+function bands(values) {
+  const sorted = values.filter(v => v !== null).map(BigInt).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+  if (sorted.length === 0) return null
+  const str = (v) => v.toString()
+  return {
+    p50: str(percentile(sorted, 50)),
+    p90: str(percentile(sorted, 90)),
+    p99: str(percentile(sorted, 99)),
+    min: str(sorted[0]),
+    max: str(sorted[sorted.length - 1])
+  }
+}
+
+/**
+ * p50/p90/p99 (and min/max) of every sampled series over the last
+ * `windowMinutes`. `sufficient` is false while the window holds fewer than
+ * `minSamples` samples; the bands are still returned.
+ *
+ * @returns {Object} { ok, network, windowMinutes, from, to, samples, sufficient, l2BaseFee, l1BaseFeeEstimate, perL1CalldataByte, perArbGasTotal }
+ */
+export function getGasBands({ network = DEFAULT_NETWORK, windowMinutes = DEFAULT_WINDOW_MINUTES, now = Date.now(), minSamples = MIN_SAMPLES } = {}) {
+  const from = now - windowMinutes * 60_000
+  const conn = readDb()
+  const rows = conn
+    ? conn.prepare(`SELECT ${Object.keys(SERIES).join(', ')} FROM gas_samples WHERE network = ? AND sampled_at > ? AND sampled_at <= ?`).all(network, from, now)
+    : []
+  const result = {
+    ok: true,
+    network,
+    windowMinutes,
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    samples: rows.length,
+    sufficient: rows.length >= minSamples
+  }
+  for (const [column, field] of Object.entries(SERIES)) result[field] = bands(rows.map(r => r[column]))
+  return result
+}
+
+/**
+ * Where a max fee sits in L2 base fee bands:
+ * BELOW_P50 | P50_P90 | P90_P99 | ABOVE_P99 (null without bands).
+ */
+export function feeBand(fee, l2BaseFee) {
+  if (!l2BaseFee) return null
+  const value = BigInt(fee)
+  if (value < BigInt(l2BaseFee.p50)) return 'BELOW_P50'
+  if (value < BigInt(l2BaseFee.p90)) return 'P50_P90'
+  if (value < BigInt(l2BaseFee.p99)) return 'P90_P99'
+  return 'ABOVE_P99'
+}
+
+export default { initGasOracle, recordSample, pruneSamples, getLatestSample, getGasBands, feeBand, percentile, DEFAULT_WINDOW_MINUTES, MIN_SAMPLES, RETENTION_HOURS }
@@ -3,7 +3,8 @@ import fs from 'fs'
 import path from 'path'
 import { ethers } from 'ethers'
 import dotenv from 'dotenv'
-import { INBOX_ABI } from './arbitrum.js'
+import { INBOX_ABI, BRIDGE_ABI, SEQUENCER_INBOX_ABI, ARBSYS_ABI, ARBSYS_ADDRESS } from './arbitrum.js'
+import { DEFAULT_NETWORK, getNetwork } from './networks.js'
 
 dotenv.config()
 
@@ -13,7 +14,7 @@ const DB_PATH = path.join(DB_DIR, 'tickets.db')
 
 const db = new Database(DB_PATH)
 
-// Initialize tables: retryable_tickets, ticket_to_l2tx, stylus_meta
+// Initialize tables: retryable_tickets, ticket_to_l2tx, stylus_meta, indexed_blocks and the bridge event tables
 db.exec(`
 CREATE TABLE IF NOT EXISTS retryable_tickets (
   ticket_id TEXT PRIMARY KEY,
@@ -25,14 +26,23 @@ CREATE TABLE IF NOT EXISTS retryable_tickets (
   max_fee_per_gas TEXT,
   data TEXT,
   block_number INTEGER,
-  created_at INTEGER
+  l1_timestamp INTEGER,
+  created_at INTEGER,
+  network TEXT DEFAULT 'arbitrum-one'
 );
 
 CREATE TABLE IF NOT EXISTS ticket_to_l2tx (
   ticket_id TEXT PRIMARY KEY,
   l2_tx_hash TEXT,
   l2_block_number INTEGER,
-  indexed_at INTEGER
+  l2_timestamp INTEGER,
+  state TEXT,                  -- NULL (unknown) | OPEN | REDEEMED | CANCELED | CLOSED
+  redeem_tx_hash TEXT,
+  state_block_number INTEGER,  -- L2 block of the event that set a REDEEMED/CANCELED state
+  timeout INTEGER,             -- precompile getTimeout() at checked_at
+  checked_at INTEGER,
+  indexed_at INTEGER,
+  network TEXT DEFAULT 'arbitrum-one'
 );
 
 CREATE TABLE IF NOT EXISTS stylus_meta (
@@ -41,72 +51,452 @@ CREATE TABLE IF NOT EXISTS stylus_meta (
   panic_code TEXT,
   panic_reason TEXT,
   gas_used TEXT,
-  indexed_at INTEGER
+  block_number INTEGER,
+  indexed_at INTEGER,
+  network TEXT DEFAULT 'arbitrum-one'
+);
+
+-- Hash checkpoints for reorg detection; layer is L1 (parent chain) or L2
+CREATE TABLE IF NOT EXISTS indexed_blocks (
+  network TEXT NOT NULL,
+  layer TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  parent_hash TEXT,
+  indexed_at INTEGER,
+  PRIMARY KEY (network, layer, block_number)
+);
+
+-- Delayed messages: Bridge MessageDelivered joined with the Inbox body by message index
+CREATE TABLE IF NOT EXISTS delayed_messages (
+  network TEXT NOT NULL,
+  message_index INTEGER NOT NULL,
+  kind INTEGER,                -- 9 = submit retryable, 12 = ETH deposit, 3 = L2 message ...
+  sender TEXT,                 -- L1 sender as seen by the Bridge (aliased on L2 for contracts)
+  inbox TEXT,
+  message_data_hash TEXT,
+  base_fee_l1 TEXT,
+  timestamp INTEGER,
+  before_inbox_acc TEXT,
+  data TEXT,                   -- InboxMessageDelivered body
+  l1_tx_hash TEXT,
+  l1_block_number INTEGER,
+  PRIMARY KEY (network, message_index)
+);
+
+CREATE TABLE IF NOT EXISTS sequencer_batches (
+  network TEXT NOT NULL,
+  batch_index INTEGER NOT NULL,
+  before_acc TEXT,
+  after_acc TEXT,
+  delayed_acc TEXT,
+  after_delayed_messages_read INTEGER,
+  min_timestamp INTEGER,
+  max_timestamp INTEGER,
+  min_block_number INTEGER,
+  max_block_number INTEGER,
+  data_location INTEGER,
+  l1_tx_hash TEXT,
+  l1_block_number INTEGER,
+  PRIMARY KEY (network, batch_index)
+);
+
+-- ArbSys L2ToL1Tx (withdrawals); position is a uint256, stored as a decimal string
+CREATE TABLE IF NOT EXISTS l2_to_l1_messages (
+  network TEXT NOT NULL,
+  position TEXT NOT NULL,
+  hash TEXT,
+  caller TEXT,
+  destination TEXT,
+  arb_block_num INTEGER,
+  eth_block_num INTEGER,
+  timestamp INTEGER,
+  callvalue TEXT,
+  data TEXT,
+  l2_tx_hash TEXT,
+  l2_block_number INTEGER,
+  PRIMARY KEY (network, position)
+);
+
+CREATE TABLE IF NOT EXISTS retryable_redeems (
+  network TEXT NOT NULL,
+  retry_tx_hash TEXT NOT NULL,
+  ticket_id TEXT NOT NULL,     -- decimal, like retryable_tickets
+  sequence_num INTEGER,
+  kind TEXT,                   -- AUTO | MANUAL
+  status INTEGER,              -- retry tx receipt status (NULL if not found)
+  donated_gas TEXT,
+  gas_donor TEXT,
+  max_refund TEXT,
+  submission_fee_refund TEXT,
+  l2_tx_hash TEXT,             -- tx that scheduled the redeem
+  l2_block_number INTEGER,
+  PRIMARY KEY (network, retry_tx_hash)
 );
+
+CREATE TABLE IF NOT EXISTS retryable_cancels (
+  network TEXT NOT NULL,
+  ticket_id TEXT NOT NULL,
+  l2_tx_hash TEXT,
+  l2_block_number INTEGER,
+  PRIMARY KEY (network, ticket_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_delayed_messages_sender ON delayed_messages(sender);
+CREATE INDEX IF NOT EXISTS idx_delayed_messages_l1_tx ON delayed_messages(l1_tx_hash);
+CREATE INDEX IF NOT EXISTS idx_sequencer_batches_delayed_read ON sequencer_batches(network, after_delayed_messages_read);
+CREATE INDEX IF NOT EXISTS idx_l2_to_l1_messages_caller ON l2_to_l1_messages(caller);
+CREATE INDEX IF NOT EXISTS idx_l2_to_l1_messages_destination ON l2_to_l1_messages(destination);
+CREATE INDEX IF NOT EXISTS idx_l2_to_l1_messages_tx ON l2_to_l1_messages(l2_tx_hash);
+CREATE INDEX IF NOT EXISTS idx_retryable_redeems_ticket ON retryable_redeems(ticket_id);
 `)
 
+// Databases created before multi-network support lack the network column;
+// existing rows were all Arbitrum One.
+for (const table of ['retryable_tickets', 'ticket_to_l2tx', 'stylus_meta']) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name)
+  if (!cols.includes('network')) db.exec(`ALTER TABLE ${table} ADD COLUMN network TEXT DEFAULT 'arbitrum-one'`)
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_network ON ${table}(network)`)
+}
+
+// Timestamps and redemption state (expiry scanner) came later still
+const ADDED_COLUMNS = {
+  retryable_tickets: { l1_timestamp: 'INTEGER' },
+  ticket_to_l2tx: { l2_timestamp: 'INTEGER', state: 'TEXT', redeem_tx_hash: 'TEXT', state_block_number: 'INTEGER', timeout: 'INTEGER', checked_at: 'INTEGER' },
+  stylus_meta: { block_number: 'INTEGER' }
+}
+for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name)
+  for (const [name, type] of Object.entries(columns)) {
+    if (!cols.includes(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`)
+  }
+}
+
+// Address lookups (/address/:addr/failures); addresses are stored checksummed
+db.exec('CREATE INDEX IF NOT EXISTS idx_retryable_tickets_creator ON retryable_tickets(creator)')
+db.exec('CREATE INDEX IF NOT EXISTS idx_retryable_tickets_to_address ON retryable_tickets(to_address)')
+
 const insertStmt = db.prepare(`
-INSERT OR IGNORE INTO retryable_tickets (ticket_id, l1_tx_hash, creator, to_address, l2_call_value, gas_limit, max_fee_per_gas, data, block_number, created_at)
-VALUES (@ticket_id, @l1_tx_hash, @creator, @to_address, @l2_call_value, @gas_limit, @max_fee_per_gas, @data, @block_number, @created_at)
+INSERT OR IGNORE INTO retryable_tickets (ticket_id, l1_tx_hash, creator, to_address, l2_call_value, gas_limit, max_fee_per_gas, data, block_number, l1_timestamp, created_at, network)
+VALUES (@ticket_id, @l1_tx_hash, @creator, @to_address, @l2_call_value, @gas_limit, @max_fee_per_gas, @data, @block_number, @l1_timestamp, @created_at, @network)
 `)
 
+// Upserts, so re-indexing the creation block keeps the redemption state
 const insertTicketToL2 = db.prepare(`
-INSERT OR REPLACE INTO ticket_to_l2tx (ticket_id, l2_tx_hash, l2_block_number, indexed_at)
-VALUES (@ticket_id, @l2_tx_hash, @l2_block_number, @indexed_at)
+INSERT INTO ticket_to_l2tx (ticket_id, l2_tx_hash, l2_block_number, l2_timestamp, indexed_at, network)
+VALUES (@ticket_id, @l2_tx_hash, @l2_block_number, @l2_timestamp, @indexed_at, @network)
+ON CONFLICT(ticket_id) DO UPDATE SET
+  l2_tx_hash = excluded.l2_tx_hash, l2_block_number = excluded.l2_block_number,
+  l2_timestamp = COALESCE(excluded.l2_timestamp, l2_timestamp), indexed_at = excluded.indexed_at, network = excluded.network
+`)
+
+const updateTicketStateStmt = db.prepare(`
+INSERT INTO ticket_to_l2tx (ticket_id, state, redeem_tx_hash, state_block_number, timeout, checked_at, indexed_at, network)
+VALUES (@ticket_id, @state, @redeem_tx_hash, @state_block_number, @timeout, @checked_at, @indexed_at, @network)
+ON CONFLICT(ticket_id) DO UPDATE SET
+  state = excluded.state, redeem_tx_hash = COALESCE(excluded.redeem_tx_hash, redeem_tx_hash),
+  state_block_number = excluded.state_block_number, timeout = excluded.timeout, checked_at = excluded.checked_at
 `)
 
 const insertStylus = db.prepare(`
-INSERT OR REPLACE INTO stylus_meta (tx_hash, ticket_id, panic_code, panic_reason, gas_used, indexed_at)
-VALUES (@tx_hash, @ticket_id, @panic_code, @panic_reason, @gas_used, @indexed_at)
+INSERT OR REPLACE INTO stylus_meta (tx_hash, ticket_id, panic_code, panic_reason, gas_used, block_number, indexed_at, network)
+VALUES (@tx_hash, @ticket_id, @panic_code, @panic_reason, @gas_used, @block_number, @indexed_at, @network)
+`)
+
+// MessageDelivered and InboxMessageDelivered fill different columns of the same row
+const upsertMessageDelivered = db.prepare(`
+INSERT INTO delayed_messages (network, message_index, kind, sender, inbox, message_data_hash, base_fee_l1, timestamp, before_inbox_acc, l1_tx_hash, l1_block_number)
+VALUES (@network, @message_index, @kind, @sender, @inbox, @message_data_hash, @base_fee_l1, @timestamp, @before_inbox_acc, @l1_tx_hash, @l1_block_number)
+ON CONFLICT(network, message_index) DO UPDATE SET
+  kind = excluded.kind, sender = excluded.sender, inbox = excluded.inbox, message_data_hash = excluded.message_data_hash,
+  base_fee_l1 = excluded.base_fee_l1, timestamp = excluded.timestamp, before_inbox_acc = excluded.before_inbox_acc,
+  l1_tx_hash = excluded.l1_tx_hash, l1_block_number = excluded.l1_block_number
+`)
+
+const upsertMessageData = db.prepare(`
+INSERT INTO delayed_messages (network, message_index, data, l1_tx_hash, l1_block_number)
+VALUES (@network, @message_index, @data, @l1_tx_hash, @l1_block_number)
+ON CONFLICT(network, message_index) DO UPDATE SET data = excluded.data, l1_tx_hash = excluded.l1_tx_hash, l1_block_number = excluded.l1_block_number
+`)
+
+const insertBatch = db.prepare(`
+INSERT OR REPLACE INTO sequencer_batches (network, batch_index, before_acc, after_acc, delayed_acc, after_delayed_messages_read, min_timestamp, max_timestamp, min_block_number, max_block_number, data_location, l1_tx_hash, l1_block_number)
+VALUES (@network, @batch_index, @before_acc, @after_acc, @delayed_acc, @after_delayed_messages_read, @min_timestamp, @max_timestamp, @min_block_number, @max_block_number, @data_location, @l1_tx_hash, @l1_block_number)
+`)
+
+const insertL2ToL1 = db.prepare(`
+INSERT OR REPLACE INTO l2_to_l1_messages (network, position, hash, caller, destination, arb_block_num, eth_block_num, timestamp, callvalue, data, l2_tx_hash, l2_block_number)
+VALUES (@network, @position, @hash, @caller, @destination, @arb_block_num, @eth_block_num, @timestamp, @callvalue, @data, @l2_tx_hash, @l2_block_number)
+`)
+
+const insertRedeem = db.prepare(`
+INSERT OR REPLACE INTO retryable_redeems (network, retry_tx_hash, ticket_id, sequence_num, kind, status, donated_gas, gas_donor, max_refund, submission_fee_refund, l2_tx_hash, l2_block_number)
+VALUES (@network, @retry_tx_hash, @ticket_id, @sequence_num, @kind, @status, @donated_gas, @gas_donor, @max_refund, @submission_fee_refund, @l2_tx_hash, @l2_block_number)
+`)
+
+const insertCancel = db.prepare(`
+INSERT OR REPLACE INTO retryable_cancels (network, ticket_id, l2_tx_hash, l2_block_number)
+VALUES (@network, @ticket_id, @l2_tx_hash, @l2_block_number)
+`)
+
+const upsertBlockStmt = db.prepare(`
+INSERT OR REPLACE INTO indexed_blocks (network, layer, block_number, block_hash, parent_hash, indexed_at)
+VALUES (?, ?, ?, ?, ?, ?)
 `)
 
 // Expose helper functions for tests / other modules
-export function insertMapping(ticketId, l2TxHash, blockNumber) {
+export function insertMapping(ticketId, l2TxHash, blockNumber, network = DEFAULT_NETWORK, l2Timestamp = null) {
   try {
-    insertTicketToL2.run({ ticket_id: ticketId, l2_tx_hash: l2TxHash, l2_block_number: blockNumber, indexed_at: Date.now() })
+    insertTicketToL2.run({ ticket_id: ticketId, l2_tx_hash: l2TxHash, l2_block_number: blockNumber, l2_timestamp: l2Timestamp, indexed_at: Date.now(), network })
     return true
   } catch (e) {
     return false
   }
 }
 
-export function upsertStylusMeta({ txHash, ticketId = null, panicCode = null, panicReason = null, gasUsed = null }) {
+export function insertTicket(row) {
   try {
-    insertStylus.run({ tx_hash: txHash, ticket_id: ticketId, panic_code: panicCode, panic_reason: panicReason, gas_used: gasUsed, indexed_at: Date.now() })
+    insertStmt.run({ l1_timestamp: null, created_at: Date.now(), network: DEFAULT_NETWORK, ...row })
     return true
   } catch (e) {
     return false
   }
 }
 
-export function getStylusMeta(txHash) {
+/**
+ * Record what is known about a ticket's redemption: REDEEMED / CANCELED from
+ * L2 events, OPEN (with the precompile timeout) or CLOSED from a precompile check.
+ */
+export function updateTicketState(ticketId, network = DEFAULT_NETWORK, { state = null, redeemTxHash = null, blockNumber = null, timeout = null } = {}) {
   try {
+    updateTicketStateStmt.run({ ticket_id: ticketId, state, redeem_tx_hash: redeemTxHash, state_block_number: blockNumber, timeout, checked_at: Date.now(), indexed_at: Date.now(), network })
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+export function upsertStylusMeta({ txHash, ticketId = null, panicCode = null, panicReason = null, gasUsed = null, blockNumber = null, network = DEFAULT_NETWORK }) {
+  try {
+    insertStylus.run({ tx_hash: txHash, ticket_id: ticketId, panic_code: panicCode, panic_reason: panicReason, gas_used: gasUsed, block_number: blockNumber, indexed_at: Date.now(), network })
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+export function getStylusMeta(txHash, network = null) {
+  try {
+    if (network) return db.prepare('SELECT * FROM stylus_meta WHERE tx_hash = ? AND network = ?').get(txHash, network)
     return db.prepare('SELECT * FROM stylus_meta WHERE tx_hash = ?').get(txHash)
   } catch (e) {
     return null
   }
 }
 
-const { L1_RPC_URL } = process.env
-const provider = new ethers.JsonRpcProvider(L1_RPC_URL)
 const inboxInterface = new ethers.Interface(INBOX_ABI)
+const bridgeInterface = new ethers.Interface(BRIDGE_ABI)
+const sequencerInboxInterface = new ethers.Interface(SEQUENCER_INBOX_ABI)
+const arbSysInterface = new ethers.Interface(ARBSYS_ABI)
 
 // lazy import of L2 provider from arbitrum module when needed
 import { getProviders } from './arbitrum.js'
 import { ARB_RETRYABLE_ABI } from './arbitrum.js'
 const arbRetryableInterface = new ethers.Interface(ARB_RETRYABLE_ABI)
+const TICKET_CREATED_TOPIC = arbRetryableInterface.getEvent('TicketCreated').topicHash
+
+// ---- Reorg handling ----
+// Every indexed block leaves a (hash, parentHash) checkpoint. Before a block is
+// indexed, its parent hash is compared with the checkpoint of the block below
+// (and its own hash with any earlier checkpoint of the same height). A mismatch
+// means the indexed blocks were orphaned: walk back to the last block whose
+// checkpoint is still canonical, delete every row indexed above it, and index
+// again from there.
+const MAX_REORG_DEPTH = Number(process.env.INDEXER_MAX_REORG_DEPTH || 64)
+// A range that keeps reorganizing is left for the next pass
+const MAX_REORGS_PER_RANGE = 3
+
+export function getIndexedBlock(network, layer, blockNumber) {
+  return db.prepare('SELECT * FROM indexed_blocks WHERE network = ? AND layer = ? AND block_number = ?').get(network, layer, blockNumber)
+}
+
+function recordBlock(network, layer, block) {
+  upsertBlockStmt.run(network, layer, block.number, block.hash, block.parentHash, Date.now())
+}
+
+// Checkpoints further back than any reorg we handle are dead weight
+function pruneCheckpoints(network, layer, belowBlock) {
+  db.prepare('DELETE FROM indexed_blocks WHERE network = ? AND layer = ? AND block_number < ?').run(network, layer, belowBlock)
+}
+
+function isOrphaned(network, layer, block) {
+  const parent = getIndexedBlock(network, layer, block.number - 1)
+  if (parent && parent.block_hash !== block.parentHash) return true
+  const self = getIndexedBlock(network, layer, block.number)
+  return Boolean(self && self.block_hash !== block.hash)
+}
+
+// Highest block at or below `blockNumber` whose checkpoint is still canonical
+async function findForkPoint(network, layer, blockNumber, provider) {
+  for (let n = blockNumber; n >= 0 && blockNumber - n < MAX_REORG_DEPTH; n--) {
+    const stored = getIndexedBlock(network, layer, n)
+    if (!stored) return n
+    const block = await provider.getBlock(n)
+    if (block && block.hash === stored.block_hash) return n
+  }
+  return Math.max(-1, blockNumber - MAX_REORG_DEPTH)
+}
+
+/**
+ * Delete everything indexed from parent-chain block `fromBlock` up.
+ */
+export const rollbackL1 = db.transaction((network, fromBlock) => {
+  const tickets = db.prepare('DELETE FROM retryable_tickets WHERE network = ? AND block_number >= ?').run(network, fromBlock).changes
+  const messages = db.prepare('DELETE FROM delayed_messages WHERE network = ? AND l1_block_number >= ?').run(network, fromBlock).changes
+  const batches = db.prepare('DELETE FROM sequencer_batches WHERE network = ? AND l1_block_number >= ?').run(network, fromBlock).changes
+  db.prepare("DELETE FROM indexed_blocks WHERE network = ? AND layer = 'L1' AND block_number >= ?").run(network, fromBlock)
+  return { tickets, messages, batches }
+})
+
+/**
+ * Delete everything indexed from L2 block `fromBlock` up: ticket mappings,
+ * redeem/cancel states set by orphaned events, Stylus rows and L2 events.
+ */
+export const rollbackL2 = db.transaction((network, fromBlock) => {
+  const mappings = db.prepare('DELETE FROM ticket_to_l2tx WHERE network = ? AND l2_block_number >= ?').run(network, fromBlock).changes
+  const states = db.prepare(`
+    UPDATE ticket_to_l2tx SET state = NULL, redeem_tx_hash = NULL, state_block_number = NULL, timeout = NULL, checked_at = NULL
+    WHERE network = ? AND state_block_number >= ?
+  `).run(network, fromBlock).changes
+  // State-only rows whose ticket creation was never indexed are now empty
+  db.prepare('DELETE FROM ticket_to_l2tx WHERE network = ? AND l2_tx_hash IS NULL AND state IS NULL').run(network)
+  const stylus = db.prepare('DELETE FROM stylus_meta WHERE network = ? AND block_number >= ?').run(network, fromBlock).changes
+  const events = ['l2_to_l1_messages', 'retryable_redeems', 'retryable_cancels']
+    .reduce((n, table) => n + db.prepare(`DELETE FROM ${table} WHERE network = ? AND l2_block_number >= ?`).run(network, fromBlock).changes, 0)
+  db.prepare("DELETE FROM indexed_blocks WHERE network = ? AND layer = 'L2' AND block_number >= ?").run(network, fromBlock)
+  return { mappings, states, stylus, events }
+})
+
+// Only logs emitted by the network's own Inbox/Bridge/SequencerInbox count, since
+// several networks can share a parent chain (One and Nova both settle to Ethereum)
+function isNetworkBridgeLog(log, net) {
+  const { inbox, bridge, sequencerInbox } = net.contracts || {}
+  if (!inbox && !bridge && !sequencerInbox) return true
+  const addr = (log.address || '').toLowerCase()
+  return [inbox, bridge, sequencerInbox].filter(Boolean).some(a => a.toLowerCase() === addr)
+}
+
+function parseWith(iface, log) {
+  try {
+    return iface.parseLog(log)
+  } catch (e) {
+    return null
+  }
+}
+
+// Delayed messages and sequencer batches from one parent-chain log. Returns the
+// table written to, or null.
+function indexBridgeLog(log, txHash, blockNumber, network) {
+  const l1 = { network, l1_tx_hash: txHash, l1_block_number: blockNumber }
+  const delivered = parseWith(bridgeInterface, log)
+  if (delivered && delivered.name === 'MessageDelivered') {
+    const a = delivered.args
+    upsertMessageDelivered.run({
+      ...l1,
+      message_index: Number(a.messageIndex),
+      kind: Number(a.kind),
+      sender: a.sender,
+      inbox: a.inbox,
+      message_data_hash: a.messageDataHash,
+      base_fee_l1: a.baseFeeL1.toString(),
+      timestamp: Number(a.timestamp),
+      before_inbox_acc: a.beforeInboxAcc
+    })
+    return 'messages'
+  }
+  const body = parseWith(inboxInterface, log)
+  if (body && body.name === 'InboxMessageDelivered') {
+    upsertMessageData.run({ ...l1, message_index: Number(body.args.messageNum), data: body.args.data })
+    return 'messages'
+  }
+  const batch = parseWith(sequencerInboxInterface, log)
+  if (batch && batch.name === 'SequencerBatchDelivered') {
+    const a = batch.args
+    insertBatch.run({
+      ...l1,
+      batch_index: Number(a.batchSequenceNumber),
+      before_acc: a.beforeAcc,
+      after_acc: a.afterAcc,
+      delayed_acc: a.delayedAcc,
+      after_delayed_messages_read: Number(a.afterDelayedMessagesRead),
+      min_timestamp: Number(a.timeBounds.minTimestamp),
+      max_timestamp: Number(a.timeBounds.maxTimestamp),
+      min_block_number: Number(a.timeBounds.minBlockNumber),
+      max_block_number: Number(a.timeBounds.maxBlockNumber),
+      data_location: Number(a.dataLocation)
+    })
+    return 'batches'
+  }
+  return null
+}
 
-export async function indexRange(startBlock, endBlock) {
-  const results = { inserted: 0 }
+// `reorgs` lists every rollback: [{ detectedAt, fromBlock, removed }]; `failedBlocks`
+// the blocks skipped on RPC errors, including a missing receipt for any of their txs
+// (those blocks are not checkpointed, so a retry indexes them again).
+// options.provider overrides the parent-chain provider (tests).
+export async function indexRange(startBlock, endBlock, network = DEFAULT_NETWORK, options = {}) {
+  const net = getNetwork(network)
+  if (!net) return { ok: false, error: `Unknown network: ${network}` }
+  const provider = options.provider || getProviders(net.name).l1Provider
+  const results = { inserted: 0, messages: 0, batches: 0, network: net.name, reorgs: [], failedBlocks: [] }
   for (let b = startBlock; b <= endBlock; b++) {
     try {
-      const block = await provider.getBlock(b, true)  // true = include full transactions
-      if (!block || !block.transactions) continue
-      for (const tx of block.transactions) {
+      // ethers v6 blocks list tx hashes; receipts carry everything needed
+      const block = await provider.getBlock(b)
+      if (!block || !block.transactions) {
+        // Below the requested end the block exists; the node just didn't return it
+        if (b < endBlock) results.failedBlocks.push(b)
+        continue
+      }
+      if (isOrphaned(net.name, 'L1', block)) {
+        if (results.reorgs.length >= MAX_REORGS_PER_RANGE) {
+          results.error = `Chain still reorganizing at block ${b}; stopped`
+          break
+        }
+        // Without a fork point the orphaned rows can't be found again later; stop here
+        let fork
         try {
-          const receipt = await provider.getTransactionReceipt(tx.hash)
-          if (!receipt || !receipt.logs) continue
+          fork = await findForkPoint(net.name, 'L1', b - 1, provider)
+        } catch (e) {
+          results.error = `Reorg at block ${b}: ${e.message}`
+          break
+        }
+        results.reorgs.push({ detectedAt: b, fromBlock: fork + 1, removed: rollbackL1(net.name, fork + 1) })
+        b = fork
+        continue
+      }
+      let receiptsMissing = false
+      for (const txHash of block.transactions) {
+        let receipt
+        try {
+          receipt = await provider.getTransactionReceipt(txHash)
+        } catch (e) {
+          receipt = null
+        }
+        if (!receipt) {
+          receiptsMissing = true
+          continue
+        }
+        try {
+          if (!receipt.logs) continue
           for (const log of receipt.logs) {
+            if (!isNetworkBridgeLog(log, net)) continue
+            try {
+              const table = indexBridgeLog(log, txHash, receipt.blockNumber, net.name)
+              if (table) results[table] += 1
+            } catch (e) {
+              // malformed event
+            }
             // try parse with inbox interface
             try {
               const parsed = inboxInterface.parseLog(log)
@@ -114,7 +504,7 @@ export async function indexRange(startBlock, endBlock) {
                 const ticketId = parsed.args.ticketId.toString()
                 const row = {
                   ticket_id: ticketId,
-                  l1_tx_hash: receipt.transactionHash,
+                  l1_tx_hash: txHash,
                   creator: parsed.args.from,
                   to_address: parsed.args.to,
                   l2_call_value: parsed.args.l2CallValue.toString(),
@@ -122,7 +512,9 @@ export async function indexRange(startBlock, endBlock) {
                   max_fee_per_gas: parsed.args.maxFeePerGas.toString(),
                   data: parsed.args.data,
                   block_number: receipt.blockNumber,
-                  created_at: Date.now()
+                  l1_timestamp: block.timestamp,
+                  created_at: Date.now(),
+                  network: net.name
                 }
                 insertStmt.run(row)
                 results.inserted += 1
@@ -135,55 +527,151 @@ export async function indexRange(startBlock, endBlock) {
           // skip transaction errors
         }
       }
+      if (receiptsMissing) {
+        results.failedBlocks.push(b)
+        continue
+      }
+      recordBlock(net.name, 'L1', block)
     } catch (e) {
-      // skip block errors
+      // skip block errors; callers that need full coverage retry these
+      results.failedBlocks.push(b)
     }
   }
+  pruneCheckpoints(net.name, 'L1', endBlock - MAX_REORG_DEPTH)
   return results
 }
 
-// Index L2 range to find ticket -> l2Tx mappings and stylus meta
-export async function indexL2Range(startBlock, endBlock) {
-  const results = { mapped: 0, stylusIndexed: 0 }
+// Index L2 range to find ticket -> l2Tx mappings and stylus meta.
+// `redeems` lists every redeem attempt seen (RedeemScheduled) with the retry tx outcome;
+// attempts from blocks later orphaned by a reorg are dropped.
+export async function indexL2Range(startBlock, endBlock, network = DEFAULT_NETWORK, options = {}) {
+  const results = { mapped: 0, stylusIndexed: 0, withdrawals: 0, cancels: 0, network, redeems: [], reorgs: [], failedBlocks: [] }
   try {
-    const { l2Provider } = getProviders()
+    const l2Provider = options.provider || getProviders(network).l2Provider
     for (let b = startBlock; b <= endBlock; b++) {
       try {
-        const block = await l2Provider.getBlockWithTransactions(b)
-        if (!block || !block.transactions) continue
-        for (const tx of block.transactions) {
+        const block = await l2Provider.getBlock(b)
+        if (!block || !block.transactions) {
+          if (b < endBlock) results.failedBlocks.push(b)
+          continue
+        }
+        if (isOrphaned(network, 'L2', block)) {
+          if (results.reorgs.length >= MAX_REORGS_PER_RANGE) {
+            results.error = `Chain still reorganizing at block ${b}; stopped`
+            break
+          }
+          // Without a fork point the orphaned rows can't be found again later; stop here
+          let fork
+          try {
+            fork = await findForkPoint(network, 'L2', b - 1, l2Provider)
+          } catch (e) {
+            results.error = `Reorg at block ${b}: ${e.message}`
+            break
+          }
+          results.reorgs.push({ detectedAt: b, fromBlock: fork + 1, removed: rollbackL2(network, fork + 1) })
+          results.redeems = results.redeems.filter(r => r.l2BlockNumber <= fork)
+          b = fork
+          continue
+        }
+        let receiptsMissing = false
+        for (const txHash of block.transactions) {
+          // fetch receipt; without it the block is incomplete and must be retried
+          let receipt
+          try {
+            receipt = await l2Provider.getTransactionReceipt(txHash)
+          } catch (e) {
+            receipt = null
+          }
+          if (!receipt) {
+            receiptsMissing = true
+            continue
+          }
           try {
-            // fetch receipt
-            const receipt = await l2Provider.getTransactionReceipt(tx.hash)
-            if (!receipt) continue
-
             // parse logs for ArbRetryable events and map ticket->tx
             for (const log of receipt.logs) {
               try {
                 const parsed = arbRetryableInterface.parseLog(log)
                 if (parsed && parsed.name === 'TicketCreated') {
-                  const ticketId = parsed.args[0] ? parsed.args[0].toString() : null
+                  // bytes32 topic; stored as a decimal string like the L1 ticket_id
+                  const ticketId = parsed.args[0] ? BigInt(parsed.args[0]).toString() : null
                   if (ticketId) {
-                    insertTicketToL2.run({ ticket_id: ticketId, l2_tx_hash: receipt.transactionHash, l2_block_number: receipt.blockNumber, indexed_at: Date.now() })
+                    insertTicketToL2.run({ ticket_id: ticketId, l2_tx_hash: txHash, l2_block_number: receipt.blockNumber, l2_timestamp: block.timestamp, indexed_at: Date.now(), network })
                     results.mapped += 1
                   }
                 }
-                // Stylus panics may appear in revert logs; store basic stylus record if present
-                if (parsed && parsed.name === 'Redeemed') {
-                  // noop for now
+                if (parsed && parsed.name === 'RedeemScheduled') {
+                  const retryTxHash = parsed.args.retryTxHash
+                  const retry = await l2Provider.getTransactionReceipt(retryTxHash).catch(() => null)
+                  const createdHere = receipt.logs.some(l => l.topics && l.topics[0] === TICKET_CREATED_TOPIC && l.topics[1] === parsed.args.ticketId)
+                  const ticketId = BigInt(parsed.args.ticketId).toString()
+                  if (retry && retry.status === 1) updateTicketState(ticketId, network, { state: 'REDEEMED', redeemTxHash: retryTxHash, blockNumber: retry.blockNumber })
+                  // Scheduled in the submit-retryable tx → auto-redeem; otherwise a manual redeem()
+                  const kind = createdHere ? 'AUTO' : 'MANUAL'
+                  insertRedeem.run({
+                    network,
+                    retry_tx_hash: retryTxHash,
+                    ticket_id: ticketId,
+                    sequence_num: Number(parsed.args.sequenceNum),
+                    kind,
+                    status: retry ? retry.status : null,
+                    donated_gas: parsed.args.donatedGas.toString(),
+                    gas_donor: parsed.args.gasDonor,
+                    max_refund: parsed.args.maxRefund.toString(),
+                    submission_fee_refund: parsed.args.submissionFeeRefund.toString(),
+                    l2_tx_hash: txHash,
+                    l2_block_number: receipt.blockNumber
+                  })
+                  results.redeems.push({
+                    ticketId,
+                    retryTxHash,
+                    kind,
+                    status: retry ? retry.status : null,
+                    from: retry ? retry.from : null,
+                    to: retry ? retry.to : null,
+                    l2BlockNumber: receipt.blockNumber
+                  })
+                }
+                if (parsed && parsed.name === 'Canceled') {
+                  const ticketId = BigInt(parsed.args.ticketId).toString()
+                  updateTicketState(ticketId, network, { state: 'CANCELED', blockNumber: receipt.blockNumber })
+                  insertCancel.run({ network, ticket_id: ticketId, l2_tx_hash: txHash, l2_block_number: receipt.blockNumber })
+                  results.cancels += 1
                 }
               } catch (e) {
                 // not a retryable event
               }
             }
 
+            // ArbSys L2ToL1Tx: withdrawals and other L2 → L1 messages
+            for (const log of receipt.logs) {
+              if ((log.address || '').toLowerCase() !== ARBSYS_ADDRESS) continue
+              const parsed = parseWith(arbSysInterface, log)
+              if (!parsed || parsed.name !== 'L2ToL1Tx') continue
+              const a = parsed.args
+              insertL2ToL1.run({
+                network,
+                position: a.position.toString(),
+                hash: ethers.toBeHex(a.hash, 32),
+                caller: a.caller,
+                destination: a.destination,
+                arb_block_num: Number(a.arbBlockNum),
+                eth_block_num: Number(a.ethBlockNum),
+                timestamp: Number(a.timestamp),
+                callvalue: a.callvalue.toString(),
+                data: a.data,
+                l2_tx_hash: txHash,
+                l2_block_number: receipt.blockNumber
+              })
+              results.withdrawals += 1
+            }
+
             // try simple Stylus detection via known precompile address in logs
             for (const l of receipt.logs) {
               try {
                 const addr = (l.address || '').toLowerCase()
                 if (addr === '0x0000000000000000000000000000000000000071') {
                   // store stylus meta (basic)
-                  insertStylus.run({ tx_hash: receipt.transactionHash, ticket_id: null, panic_code: null, panic_reason: 'Stylus precompile touched', gas_used: receipt.gasUsed ? receipt.gasUsed.toString() : null, indexed_at: Date.now() })
+                  insertStylus.run({ tx_hash: txHash, ticket_id: null, panic_code: null, panic_reason: 'Stylus precompile touched', gas_used: receipt.gasUsed ? receipt.gasUsed.toString() : null, block_number: receipt.blockNumber, indexed_at: Date.now(), network })
                   results.stylusIndexed += 1
                 }
               } catch (e) {}
@@ -193,39 +681,183 @@ export async function indexL2Range(startBlock, endBlock) {
             // skip per-tx errors
           }
         }
+        if (receiptsMissing) {
+          results.failedBlocks.push(b)
+          continue
+        }
+        recordBlock(network, 'L2', block)
       } catch (e) {
         // skip block errors
+        results.failedBlocks.push(b)
       }
     }
+    pruneCheckpoints(network, 'L2', endBlock - MAX_REORG_DEPTH)
   } catch (e) {
     return { ok: false, error: e.message }
   }
   return results
 }
 
-export function getTicket(ticketId) {
+// Query helpers take an optional network; null searches every network
+export function getTicket(ticketId, network = null) {
+  if (network) return db.prepare('SELECT * FROM retryable_tickets WHERE ticket_id = ? AND network = ?').get(ticketId, network)
   return db.prepare('SELECT * FROM retryable_tickets WHERE ticket_id = ?').get(ticketId)
 }
 
-export function findByL1Tx(l1tx) {
+export function findByL1Tx(l1tx, network = null) {
+  if (network) return db.prepare('SELECT * FROM retryable_tickets WHERE l1_tx_hash = ? AND network = ?').all(l1tx, network)
   return db.prepare('SELECT * FROM retryable_tickets WHERE l1_tx_hash = ?').all(l1tx)
 }
 
-export function findL2ForTicket(ticketId) {
+export function findL2ForTicket(ticketId, network = null) {
+  if (network) return db.prepare('SELECT * FROM ticket_to_l2tx WHERE ticket_id = ? AND network = ?').get(ticketId, network)
   return db.prepare('SELECT * FROM ticket_to_l2tx WHERE ticket_id = ?').get(ticketId)
 }
 
-export function listRecent(limit = 20) {
+/**
+ * Tickets created by (L1 sender) or targeting (L2 destination) an address,
+ * newest first, with the L2 tx that created each ticket and its last known
+ * state when indexed. fromBlock/toBlock bound the L1 creation block.
+ */
+export function findTicketsForAddress(address, { network = null, fromBlock = null, toBlock = null, limit = 500 } = {}) {
+  const addr = ethers.getAddress(address)
+  return db.prepare(`
+    SELECT t.*, m.l2_tx_hash, m.l2_block_number, m.state, m.redeem_tx_hash
+    FROM retryable_tickets t
+    LEFT JOIN ticket_to_l2tx m ON m.ticket_id = t.ticket_id AND m.network = t.network
+    WHERE (t.creator = @addr OR t.to_address = @addr)
+      AND (@network IS NULL OR t.network = @network)
+      AND (@fromBlock IS NULL OR t.block_number >= @fromBlock)
+      AND (@toBlock IS NULL OR t.block_number <= @toBlock)
+    ORDER BY t.block_number DESC
+    LIMIT @limit
+  `).all({ addr, network, fromBlock, toBlock, limit })
+}
+
+/**
+ * Tickets not known to be redeemed or canceled whose timeout falls before
+ * `expiresBefore` (unix seconds). The timeout is the precompile value when a
+ * check stored one, otherwise creation time (L2 block, else L1 block, else
+ * index time) + `lifetimeSec`. Never-checked tickets past their estimated
+ * timeout are included too (keepalive may have extended them), after the ones
+ * inside the window. Soonest first. `addresses` (checksummed) keeps tickets
+ * created by or sent to one of them.
+ */
+export function findExpiryCandidates({ network = null, now = Math.floor(Date.now() / 1000), expiresBefore, lifetimeSec, addresses = null, limit = 200 }) {
+  return db.prepare(`
+    SELECT * FROM (
+      SELECT t.*, m.l2_tx_hash, m.l2_block_number, m.l2_timestamp, m.state, m.timeout AS checked_timeout, m.checked_at,
+        COALESCE(m.timeout, COALESCE(m.l2_timestamp, t.l1_timestamp, t.created_at / 1000) + @lifetimeSec) AS estimated_timeout
+      FROM retryable_tickets t
+      LEFT JOIN ticket_to_l2tx m ON m.ticket_id = t.ticket_id AND m.network = t.network
+      WHERE (m.state IS NULL OR m.state = 'OPEN')
+        AND (@network IS NULL OR t.network = @network)
+        AND (@addresses IS NULL OR t.creator IN (SELECT value FROM json_each(@addresses)) OR t.to_address IN (SELECT value FROM json_each(@addresses)))
+    )
+    WHERE estimated_timeout <= @expiresBefore
+      AND (checked_timeout IS NULL OR checked_timeout >= @now)
+    ORDER BY (estimated_timeout < @now), estimated_timeout
+    LIMIT @limit
+  `).all({ network, now, expiresBefore, lifetimeSec, addresses: addresses ? JSON.stringify(addresses) : null, limit })
+}
+
+// ---- Bridge event queries ----
+
+// First batch whose afterDelayedMessagesRead passes the message: the batch that included it on L2
+const INCLUDED_IN_BATCH = `(SELECT MIN(b.batch_index) FROM sequencer_batches b
+  WHERE b.network = m.network AND b.after_delayed_messages_read > m.message_index) AS included_in_batch`
+
+/**
+ * Delayed messages, newest first, each with the batch that included it (null
+ * while still waiting in the delayed inbox, or when that batch isn't indexed yet).
+ */
+export function findDelayedMessages({ network = null, sender = null, kind = null, l1TxHash = null, fromBlock = null, toBlock = null, limit = 100 } = {}) {
+  return db.prepare(`
+    SELECT m.*, ${INCLUDED_IN_BATCH}
+    FROM delayed_messages m
+    WHERE (@network IS NULL OR m.network = @network)
+      AND (@sender IS NULL OR m.sender = @sender)
+      AND (@kind IS NULL OR m.kind = @kind)
+      AND (@l1TxHash IS NULL OR m.l1_tx_hash = @l1TxHash)
+      AND (@fromBlock IS NULL OR m.l1_block_number >= @fromBlock)
+      AND (@toBlock IS NULL OR m.l1_block_number <= @toBlock)
+    ORDER BY m.message_index DESC
+    LIMIT @limit
+  `).all({ network, sender: sender ? ethers.getAddress(sender) : null, kind, l1TxHash, fromBlock, toBlock, limit })
+}
+
+export function getDelayedMessage(messageIndex, network = DEFAULT_NETWORK) {
+  return db.prepare(`SELECT m.*, ${INCLUDED_IN_BATCH} FROM delayed_messages m WHERE m.network = ? AND m.message_index = ?`).get(network, messageIndex)
+}
+
+export function findSequencerBatches({ network = null, fromBlock = null, toBlock = null, limit = 100 } = {}) {
+  return db.prepare(`
+    SELECT * FROM sequencer_batches
+    WHERE (@network IS NULL OR network = @network)
+      AND (@fromBlock IS NULL OR l1_block_number >= @fromBlock)
+      AND (@toBlock IS NULL OR l1_block_number <= @toBlock)
+    ORDER BY batch_index DESC
+    LIMIT @limit
+  `).all({ network, fromBlock, toBlock, limit })
+}
+
+/**
+ * A batch plus the delayed messages it read: [previous batch's
+ * afterDelayedMessagesRead, this batch's). Null bounds when the previous batch
+ * isn't indexed.
+ */
+export function getSequencerBatch(batchIndex, network = DEFAULT_NETWORK) {
+  const batch = db.prepare('SELECT * FROM sequencer_batches WHERE network = ? AND batch_index = ?').get(network, batchIndex)
+  if (!batch) return null
+  const previous = db.prepare('SELECT after_delayed_messages_read FROM sequencer_batches WHERE network = ? AND batch_index = ?').get(network, batchIndex - 1)
+  const firstMessage = previous ? previous.after_delayed_messages_read : null
+  const messages = firstMessage !== null
+    ? db.prepare('SELECT * FROM delayed_messages WHERE network = ? AND message_index >= ? AND message_index < ? ORDER BY message_index').all(network, firstMessage, batch.after_delayed_messages_read)
+    : []
+  return { ...batch, delayedMessages: { from: firstMessage, to: batch.after_delayed_messages_read, indexed: messages } }
+}
+
+/**
+ * L2 → L1 messages sent by (caller) or to (destination) an address, or emitted by one L2 tx.
+ */
+export function findL2ToL1Messages({ network = null, address = null, l2TxHash = null, limit = 100 } = {}) {
+  return db.prepare(`
+    SELECT * FROM l2_to_l1_messages
+    WHERE (@network IS NULL OR network = @network)
+      AND (@address IS NULL OR caller = @address OR destination = @address)
+      AND (@l2TxHash IS NULL OR l2_tx_hash = @l2TxHash)
+    ORDER BY l2_block_number DESC
+    LIMIT @limit
+  `).all({ network, address: address ? ethers.getAddress(address) : null, l2TxHash, limit })
+}
+
+/**
+ * Redeem attempts (oldest first) and cancellation of one ticket.
+ */
+export function findRedeemEvents(ticketId, network = null) {
+  const redeems = network
+    ? db.prepare('SELECT * FROM retryable_redeems WHERE ticket_id = ? AND network = ? ORDER BY l2_block_number, sequence_num').all(ticketId, network)
+    : db.prepare('SELECT * FROM retryable_redeems WHERE ticket_id = ? ORDER BY l2_block_number, sequence_num').all(ticketId)
+  const cancel = network
+    ? db.prepare('SELECT * FROM retryable_cancels WHERE ticket_id = ? AND network = ?').get(ticketId, network)
+    : db.prepare('SELECT * FROM retryable_cancels WHERE ticket_id = ?').get(ticketId)
+  return { redeems, cancel: cancel || null }
+}
+
+export function listRecent(limit = 20, network = null) {
+  if (network) return db.prepare('SELECT * FROM retryable_tickets WHERE network = ? ORDER BY block_number DESC LIMIT ?').all(network, limit)
   return db.prepare('SELECT * FROM retryable_tickets ORDER BY block_number DESC LIMIT ?').all(limit)
 }
 
-export function stats() {
+export function stats(network = null) {
   try {
-    const row = db.prepare('SELECT COUNT(*) as cnt, MAX(block_number) as last_block FROM retryable_tickets').get()
+    const row = network
+      ? db.prepare('SELECT COUNT(*) as cnt, MAX(block_number) as last_block FROM retryable_tickets WHERE network = ?').get(network)
+      : db.prepare('SELECT COUNT(*) as cnt, MAX(block_number) as last_block FROM retryable_tickets').get()
     return { count: row ? row.cnt : 0, last_block: row ? row.last_block : null }
   } catch (e) {
     return { count: 0, last_block: null }
   }
 }
 
-export default { indexRange, indexL2Range, getTicket, findByL1Tx, findL2ForTicket, listRecent, stats }
+export default { indexRange, indexL2Range, getTicket, findByL1Tx, findL2ForTicket, findTicketsForAddress, findExpiryCandidates, updateTicketState, getIndexedBlock, rollbackL1, rollbackL2, findDelayedMessages, getDelayedMessage, findSequencerBatches, getSequencerBatch, findL2ToL1Messages, findRedeemEvents, listRecent, stats }
@@ -0,0 +1,196 @@
+/**
+ * Network Registry
+ * Chain IDs, RPC URLs and core bridge contract addresses for every chain the
+ * debugger can analyze: Arbitrum One, Nova, Sepolia and custom Orbit chains.
+ *
+ * "parent" is the chain retryables are submitted on (Ethereum for One/Nova,
+ * Sepolia for Arbitrum Sepolia, another Arbitrum chain for Orbit L3s). The rest
+ * of the codebase keeps calling it "L1" and the network itself "L2".
+ *
+ * Orbit chains are loaded from ORBIT_NETWORKS (inline JSON) or
+ * ORBIT_NETWORKS_FILE (path to a JSON file), both holding an array of:
+ *   { name, chainId, parent, rpcUrl, contracts: { inbox, bridge, sequencerInbox, rollup, outbox } }
+ * where `parent` names another registry entry (e.g. 'arbitrum-one').
+ */
+
+import fs from 'fs'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+export const DEFAULT_NETWORK = process.env.DEFAULT_NETWORK || 'arbitrum-one'
+
+// Built-in chains. Arbitrum One keeps the original L1_RPC_URL / ARBITRUM_RPC_URL variables.
+const BUILTIN_NETWORKS = [
+  {
+    name: 'arbitrum-one',
+    label: 'Arbitrum One',
+    chainId: 42161,
+    parentChainId: 1,
+    rpcEnv: 'ARBITRUM_RPC_URL',
+    parentRpcEnv: 'L1_RPC_URL',
+    contracts: {
+      inbox: '0x4Dbd4fc535Ac27206064B68FfCf827b0A60BAB3f',
+      bridge: '0x8315177aB297bA92A06054cE80a67Ed4DBd7ed3a',
+      sequencerInbox: '0x1c479675ad559DC151F6Ec7ed3FbF8ceE79582B6',
+      rollup: '0x5eF0D09d1E6204141B4d37530808eD19f60FBa35',
+      outbox: '0x0B9857ae2D4A3DBe74ffE1d7DF045bb7F96E4840'
+    }
+  },
+  {
+    name: 'arbitrum-nova',
+    label: 'Arbitrum Nova',
+    chainId: 42170,
+    parentChainId: 1,
+    rpcEnv: 'ARBITRUM_NOVA_RPC_URL',
+    parentRpcEnv: 'L1_RPC_URL',
+    contracts: {
+      inbox: '0xc4448b71118c9071Bcb9734A0EAc55D18A153949',
+      bridge: '0xC1Ebd02f738644983b6C4B2d440b8e77DdE276Bd',
+      sequencerInbox: '0x211E1c4c7f1bF5351Ac850Ed10FD68CFfCF6c21b',
+      rollup: '0xFb209827c58283535b744575e11953DCC4bEAD88',
+      outbox: '0xD4B80C3D7240325D18E645B49e6535A3Bf95cc58'
+    }
+  },
+  {
+    name: 'arbitrum-sepolia',
+    label: 'Arbitrum Sepolia',
+    chainId: 421614,
+    parentChainId: 11155111,
+    rpcEnv: 'ARBITRUM_SEPOLIA_RPC_URL',
+    parentRpcEnv: 'SEPOLIA_RPC_URL',
+    contracts: {
+      inbox: '0xaAe29B0366299461418F5324a79Afc425BE5ae21',
+      bridge: '0x38f918D0E9F1b721EDaA41302E399fa1B79333a9',
+      sequencerInbox: '0x6c97864CE4bEf387dE0b3310A44230f7E3F1be0D',
+      rollup: '0xd80810638dbDF9081b72C1B33c65375e807281C8',
+      outbox: '0x65f07C7D521164a4d5DaC6eB8Fac8DA067A3B78F'
+    }
+  }
+]
+
+function loadOrbitNetworks() {
+  let raw = process.env.ORBIT_NETWORKS || null
+  if (!raw && process.env.ORBIT_NETWORKS_FILE) {
+    try {
+      raw = fs.readFileSync(process.env.ORBIT_NETWORKS_FILE, 'utf8')
+    } catch (e) {
+      console.warn(`Could not read ORBIT_NETWORKS_FILE: ${e.message}`)
+    }
+  }
+  if (!raw) return []
+  try {
+    const list = JSON.parse(raw)
+    return Array.isArray(list) ? list : []
+  } catch (e) {
+    console.warn(`Invalid Orbit network config: ${e.message}`)
+    return []
+  }
+}
+
+/**
+ * Build a registry (name → network) from built-in and Orbit entries.
+ * Exported for tests; the module-level registry uses process.env.
+ */
+export function buildRegistry(orbitNetworks = [], env = process.env) {
+  const registry = new Map()
+
+  for (const n of BUILTIN_NETWORKS) {
+    registry.set(n.name, {
+      name: n.name,
+      label: n.label,
+      chainId: n.chainId,
+      parentChainId: n.parentChainId,
+      parent: null,
+      isOrbit: false,
+      rpcUrl: env[n.rpcEnv] || null,
+      parentRpcUrl: env[n.parentRpcEnv] || null,
+      contracts: { ...n.contracts }
+    })
+  }
+
+  // Orbit chains settle to a registry entry, so their parent RPC is that entry's RPC.
+  // Names are stored lowercase: getNetwork() lowercases what it looks up.
+  for (const o of orbitNetworks) {
+    if (!o || !o.name || !o.chainId) continue
+    const name = String(o.name).toLowerCase()
+    const parentName = o.parent ? String(o.parent).toLowerCase() : null
+    const parent = parentName ? registry.get(parentName) : null
+    registry.set(name, {
+      name,
+      label: o.label || o.name,
+      chainId: Number(o.chainId),
+      parentChainId: parent ? parent.chainId : (o.parentChainId ? Number(o.parentChainId) : null),
+      parent: parentName,
+      isOrbit: true,
+      rpcUrl: o.rpcUrl || null,
+      parentRpcUrl: o.parentRpcUrl || (parent ? parent.rpcUrl : null),
+      contracts: { ...(o.contracts || {}) }
+    })
+  }
+
+  return registry
+}
+
+const registry = buildRegistry(loadOrbitNetworks())
+
+/**
+ * Look up a network by name or chain ID. Returns null when unknown.
+ */
+export function getNetwork(nameOrChainId = DEFAULT_NETWORK, reg = registry) {
+  if (nameOrChainId === null || nameOrChainId === undefined || nameOrChainId === '') return reg.get(DEFAULT_NETWORK) || null
+  const key = String(nameOrChainId).toLowerCase()
+  if (reg.has(key)) return reg.get(key)
+  for (const n of reg.values()) {
+    if (String(n.chainId) === key) return n
+  }
+  return null
+}
+
+/**
+ * True when both the network's RPC and its parent chain's RPC are set.
+ */
+export function isConfigured(network) {
+  return !!(network && network.rpcUrl && network.parentRpcUrl)
+}
+
+/**
+ * List networks, optionally only the ones with RPCs configured.
+ */
+export function listNetworks({ configuredOnly = false } = {}, reg = registry) {
+  const all = Array.from(reg.values())
+  return configuredOnly ? all.filter(isConfigured) : all
+}
+
+/**
+ * Find the network whose bridge contracts (inbox, bridge, sequencerInbox,
+ * rollup, outbox) emitted one of `logs`. Used to tell which chain a parent-chain
+ * transaction targets when several networks share a parent.
+ */
+export function networkForLogs(logs, candidates = listNetworks()) {
+  const emitters = new Set((logs || []).map(l => (l.address || '').toLowerCase()))
+  for (const n of candidates) {
+    const addrs = Object.values(n.contracts || {}).filter(Boolean).map(a => a.toLowerCase())
+    if (addrs.some(a => emitters.has(a))) return n
+  }
+  return null
+}
+
+/**
+ * Public view of a network (no RPC URLs, which may embed API keys).
+ */
+export function describeNetwork(network) {
+  if (!network) return null
+  return {
+    name: network.name,
+    label: network.label,
+    chainId: network.chainId,
+    parentChainId: network.parentChainId,
+    parent: network.parent,
+    isOrbit: network.isOrbit,
+    configured: isConfigured(network),
+    contracts: network.contracts
+  }
+}
+
+export default { DEFAULT_NETWORK, buildRegistry, getNetwork, isConfigured, listNetworks, networkForLogs, describeNetwork }
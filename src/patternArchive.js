@@ -9,11 +9,16 @@
  * - failurePatterns: Aggregated patterns (contract bytecode hash → failure distribution)
  * - userTags: Community-provided context and remediation notes
  * - patternMatches: Cache of similar failure lookups
+ *
+ * Failures are partitioned by `network` (registry name from networks.js).
+ * failure_patterns stays a cross-network aggregate; pass a network to
+ * getFailurePattern() for a per-network breakdown computed from failures.
  */
 
 import Database from 'better-sqlite3'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { DEFAULT_NETWORK } from './networks.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const DB_PATH = path.join(__dirname, '..', 'data', 'patterns.db')
@@ -130,6 +135,7 @@ export function initPatternArchive() {
     CREATE INDEX IF NOT EXISTS idx_failures_reason ON failures(failure_reason);
     CREATE INDEX IF NOT EXISTS idx_failures_contract ON failures(contract_address_hash);
     CREATE INDEX IF NOT EXISTS idx_failures_timestamp ON failures(created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_failures_network ON failures(network);
     CREATE INDEX IF NOT EXISTS idx_patterns_risk ON failure_patterns(risk_score DESC);
     CREATE INDEX IF NOT EXISTS idx_tags_type ON user_tags(tag_type);
   `)
@@ -182,7 +188,7 @@ export function recordFailure(failureData) {
       failureData.blockNumberL2 || null,
       failureData.revertReason || null,
       failureData.traceHash || null,
-      failureData.network || 'arbitrum-one',
+      failureData.network || DEFAULT_NETWORK,
       failureData.isStylus ? 1 : 0,
       failureData.panicCode || null
     )
@@ -203,7 +209,7 @@ export function recordFailure(failureData) {
  * Returns failures matching: same contract + similar parameters
  * 
  * @param {string} contractAddressHash - Hash of contract address
- * @param {Object} params - Gas params to match against
+ * @param {Object} params - Gas params to match against (params.network restricts to one network)
  * @returns {Array} Similar failures with match scores
  */
 export function findSimilarFailures(contractAddressHash, params = {}) {
@@ -219,9 +225,10 @@ export function findSimilarFailures(contractAddressHash, params = {}) {
       ) as fix_count
     FROM failures f
     WHERE f.contract_address_hash = ?
+      AND (? IS NULL OR f.network = ?)
     ORDER BY f.created_at DESC
     LIMIT 50
-  `).all(contractAddressHash)
+  `).all(contractAddressHash, params.network || null, params.network || null)
   
   // Calculate similarity scores (same failure reason, similar gas params)
   const scored = exactMatches.map(failure => {
@@ -254,15 +261,35 @@ export function findSimilarFailures(contractAddressHash, params = {}) {
  * Shows: "This contract fails 70% due to LOW_GAS_LIMIT"
  * 
  * @param {string} contractBytecodeHash - Contract bytecode hash
+ * @param {string} network - Optional network; aggregates that network's failures only
  * @returns {Object} Pattern statistics
  */
-export function getFailurePattern(contractBytecodeHash) {
+export function getFailurePattern(contractBytecodeHash, network = null) {
   if (!db) initPatternArchive()
   
-  const pattern = db.prepare(`
-    SELECT * FROM failure_patterns
-    WHERE contract_bytecode_hash = ?
-  `).get(contractBytecodeHash)
+  const pattern = network
+    ? db.prepare(`
+      SELECT
+        contract_address_hash as contract_bytecode_hash,
+        network,
+        COUNT(*) as total_failures,
+        MAX(created_at) as most_recent_at,
+        COUNT(CASE WHEN failure_reason = 'OUT_OF_GAS' THEN 1 END) as failures_out_of_gas,
+        COUNT(CASE WHEN failure_reason = 'LOGIC_REVERT' THEN 1 END) as failures_logic_revert,
+        COUNT(CASE WHEN failure_reason = 'LOW_SUBMISSION_COST' THEN 1 END) as failures_low_submission_cost,
+        COUNT(CASE WHEN failure_reason = 'LOW_GAS_LIMIT' THEN 1 END) as failures_low_gas_limit,
+        COUNT(CASE WHEN failure_reason = 'LOW_GAS_PRICE' THEN 1 END) as failures_low_gas_price,
+        COUNT(CASE WHEN failure_reason = 'TIMEOUT' THEN 1 END) as failures_timeout,
+        AVG(gas_limit) as avg_gas_limit,
+        AVG(max_fee_per_gas) as avg_max_fee_per_gas
+      FROM failures
+      WHERE contract_address_hash = ? AND network = ?
+      GROUP BY contract_address_hash, network
+    `).get(contractBytecodeHash, network)
+    : db.prepare(`
+      SELECT * FROM failure_patterns
+      WHERE contract_bytecode_hash = ?
+    `).get(contractBytecodeHash)
   
   if (!pattern) return null
   
@@ -467,9 +494,9 @@ export function getTopRiskyContracts(limit = 20) {
 }
 
 /**
- * Get aggregate statistics across all failures
+ * Get aggregate statistics across all failures (or one network's)
  */
-export function getArchiveStats() {
+export function getArchiveStats(network = null) {
   if (!db) initPatternArchive()
   
   const stats = db.prepare(`
@@ -485,10 +512,20 @@ export function getArchiveStats() {
       AVG(gas_limit) as avg_gas_limit,
       AVG(max_fee_per_gas) as avg_max_fee_per_gas
     FROM failures
-  `).get()
+    WHERE (? IS NULL OR network = ?)
+  `).get(network, network)
   
+  const byNetwork = db.prepare(`
+    SELECT network, COUNT(*) as total_failures
+    FROM failures
+    GROUP BY network
+    ORDER BY total_failures DESC
+  `).all()
+
   return {
     ...stats,
+    network: network || 'all',
+    byNetwork,
     failureBreakdown: {
       outOfGas: stats.out_of_gas_count,
       lowGasLimit: stats.low_gas_limit_count,
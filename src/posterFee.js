@@ -0,0 +1,174 @@
+/**
+ * L1 Data (Poster) Fee Breakdown
+ * Arbitrum charges for the parent-chain calldata a tx occupies in its batch by
+ * adding "poster gas" to the tx's gasUsed:
+ *
+ *   gasUsed      = L2 execution gas + gasUsedForL1
+ *   gasUsedForL1 ≈ L1 price per calldata byte × tx size / L2 base fee
+ *
+ * Poster gas comes out of the same gas limit as execution, so a spike in the
+ * L1 price between estimation and inclusion leaves less gas for execution and
+ * can push a tx out of gas. Nitro receipts carry gasUsedForL1; ArbGasInfo
+ * (getPricesInWei, getL1BaseFeeEstimate) gives the prices at the tx's block and
+ * shortly before it, which is how a spike is recognized.
+ */
+
+import { ethers } from 'ethers'
+import { ARB_GAS_INFO_ADDRESS, ARB_GAS_INFO_ABI, getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK } from './networks.js'
+
+const RPC_TIMEOUT_MS = 5000
+
+// L1 base fee estimate at the tx block vs shortly before it at or above which poster gas counts as spiked
+export const L1_PRICE_SPIKE_RATIO = Number(process.env.L1_PRICE_SPIKE_RATIO || 1.5)
+// "Shortly before": this many L2 blocks earlier (~5 min on Arbitrum One), roughly when the tx was estimated
+export const L1_PRICE_REFERENCE_BLOCKS = Number(process.env.L1_PRICE_REFERENCE_BLOCKS || 1200)
+// Share of the gas limit taken by poster gas at which a spike can starve execution
+export const POSTER_GAS_SHARE_PCT = Number(process.env.POSTER_GAS_SHARE_PCT || 20)
+// Nitro's fixed per-tx size added to the calldata when pricing it (TxFixedCost)
+const TX_FIXED_COST_BYTES = 140
+
+function pct(part, whole) {
+  return whole > 0n ? Number((part * 10000n) / whole) / 100 : 0
+}
+
+/**
+ * Split a receipt's gasUsed into L2 execution and L1 poster gas (and wei when
+ * effectiveGasPrice is known).
+ */
+export function splitGasUsed({ gasUsed, gasUsedForL1 = 0, gasLimit = null, effectiveGasPrice = null }) {
+  const used = BigInt(gasUsed || 0)
+  const poster = BigInt(gasUsedForL1 || 0)
+  const execution = used > poster ? used - poster : 0n
+  const limit = gasLimit !== null && gasLimit !== undefined ? BigInt(gasLimit) : null
+  const price = effectiveGasPrice !== null && effectiveGasPrice !== undefined ? BigInt(effectiveGasPrice) : null
+  return {
+    gasUsed: used.toString(),
+    l2ExecutionGas: execution.toString(),
+    l1PosterGas: poster.toString(),
+    posterSharePct: pct(poster, used),
+    gasLimit: limit !== null ? limit.toString() : null,
+    posterShareOfLimitPct: limit !== null ? pct(poster, limit) : null,
+    effectiveGasPrice: price !== null ? price.toString() : null,
+    l2ExecutionFeeWei: price !== null ? (execution * price).toString() : null,
+    posterFeeWei: price !== null ? (poster * price).toString() : null,
+    totalFeeWei: price !== null ? (used * price).toString() : null
+  }
+}
+
+/**
+ * Upper-bound poster gas for `calldataBytes` of calldata at the given prices
+ * (the node brotli-compresses the tx first, so real charges are usually lower).
+ */
+export function estimatePosterGas({ calldataBytes, perL1CalldataByte, l2BaseFee }) {
+  const baseFee = BigInt(l2BaseFee)
+  if (baseFee <= 0n) return 0n
+  const fee = BigInt(calldataBytes + TX_FIXED_COST_BYTES) * BigInt(perL1CalldataByte)
+  return (fee + baseFee - 1n) / baseFee
+}
+
+/**
+ * Whether the L1 price at the tx block was a spike relative to `reference`
+ * (the estimate shortly before inclusion), and whether poster gas was a large
+ * enough share of the gas limit for that to matter.
+ */
+export function assessL1PriceSpike({ l1BaseFeeAtTx, l1BaseFeeReference, posterShareOfLimitPct }) {
+  if (l1BaseFeeAtTx === null || l1BaseFeeReference === null || BigInt(l1BaseFeeReference) === 0n) {
+    return { l1PriceRatio: null, l1PriceSpike: false, posterGasInflated: false }
+  }
+  const ratio = Number((BigInt(l1BaseFeeAtTx) * 100n) / BigInt(l1BaseFeeReference)) / 100
+  const spike = ratio >= L1_PRICE_SPIKE_RATIO
+  return {
+    l1PriceRatio: ratio,
+    l1PriceSpike: spike,
+    posterGasInflated: spike && posterShareOfLimitPct !== null && posterShareOfLimitPct >= POSTER_GAS_SHARE_PCT
+  }
+}
+
+async function readPrices(arbGasInfo, blockTag) {
+  const [prices, l1BaseFeeEstimate] = await Promise.all([
+    callWithTimeout(arbGasInfo.getPricesInWei({ blockTag }), RPC_TIMEOUT_MS),
+    callWithTimeout(arbGasInfo.getL1BaseFeeEstimate({ blockTag }), RPC_TIMEOUT_MS)
+  ])
+  return {
+    blockTag,
+    perL2Tx: prices.perL2Tx.toString(),
+    perL1CalldataByte: prices.perL1CalldataByte.toString(),
+    perArbGasBase: prices.perArbGasBase.toString(),
+    perArbGasTotal: prices.perArbGasTotal.toString(),
+    l1BaseFeeEstimate: l1BaseFeeEstimate.toString()
+  }
+}
+
+/**
+ * Current ArbGasInfo prices (getPricesInWei + getL1BaseFeeEstimate), or the
+ * prices at `options.blockTag`.
+ */
+export async function getCurrentPrices(options = {}) {
+  const { network = DEFAULT_NETWORK, blockTag = 'latest' } = options
+  const provider = options.provider || getProviders(network).l2Provider
+  return readPrices(new ethers.Contract(ARB_GAS_INFO_ADDRESS, ARB_GAS_INFO_ABI, provider), blockTag)
+}
+
+/**
+ * Execution / poster split of an L2 receipt plus the ArbGasInfo prices at its
+ * block and `referenceBlocks` blocks before it. The spike verdict compares those
+ * two, so it doesn't depend on when the analysis runs. Historic price lookups
+ * need an archive node; when they fail the split is still returned and the
+ * error is collected in `errors`.
+ *
+ * @param {Object} l2Receipt - Needs transactionHash (or hash), blockNumber, gasUsed
+ * @param {Object} options
+ * @param {string} options.network - Registry network name
+ * @param {string|number} options.gasLimit - The tx's gas limit (default: fetched with the tx)
+ * @param {number} options.referenceBlocks - How far before the tx block to take the reference price (default L1_PRICE_REFERENCE_BLOCKS)
+ * @param {Object} options.provider - L2 provider override (tests)
+ * @returns {Promise<Object>} { ok, ...splitGasUsed, prices: { atTx, reference }, referenceBlockNumber, l1PriceRatio, l1PriceSpike, posterGasInflated, errors }
+ */
+export async function getGasBreakdown(l2Receipt, options = {}) {
+  const { network = DEFAULT_NETWORK, referenceBlocks = L1_PRICE_REFERENCE_BLOCKS } = options
+  const txHash = l2Receipt ? (l2Receipt.transactionHash || l2Receipt.hash) : null
+  if (!txHash) return { ok: false, error: 'L2 receipt required' }
+
+  try {
+    const provider = options.provider || getProviders(network).l2Provider
+    // gasUsedForL1 is a Nitro receipt field ethers does not keep
+    const raw = await callWithTimeout(provider.send('eth_getTransactionReceipt', [txHash]), RPC_TIMEOUT_MS)
+    if (!raw) return { ok: false, error: `Receipt ${txHash} not found` }
+    let gasLimit = options.gasLimit ?? l2Receipt.gasLimit ?? null
+    if (gasLimit === null) {
+      const tx = await callWithTimeout(provider.send('eth_getTransactionByHash', [txHash]), RPC_TIMEOUT_MS).catch(() => null)
+      gasLimit = tx && tx.gas ? BigInt(tx.gas) : null
+    }
+
+    const split = splitGasUsed({
+      gasUsed: raw.gasUsed,
+      gasUsedForL1: raw.gasUsedForL1 || 0,
+      gasLimit,
+      effectiveGasPrice: raw.effectiveGasPrice ?? null
+    })
+    const blockNumber = Number(raw.blockNumber)
+    const referenceBlockNumber = Math.max(0, blockNumber - referenceBlocks)
+    const result = { ok: true, network, txHash, blockNumber, ...split, prices: { atTx: null, reference: null }, referenceBlockNumber, errors: [] }
+
+    const arbGasInfo = new ethers.Contract(ARB_GAS_INFO_ADDRESS, ARB_GAS_INFO_ABI, provider)
+    const priceAt = (tag) => readPrices(arbGasInfo, tag).catch(e => { result.errors.push(`ArbGasInfo at block ${tag}: ${e.shortMessage || e.message}`); return null })
+    const [atTx, reference] = await Promise.all([priceAt(blockNumber), priceAt(referenceBlockNumber)])
+    result.prices = { atTx, reference }
+
+    Object.assign(result, assessL1PriceSpike({
+      l1BaseFeeAtTx: atTx ? atTx.l1BaseFeeEstimate : null,
+      l1BaseFeeReference: reference ? reference.l1BaseFeeEstimate : null,
+      posterShareOfLimitPct: split.posterShareOfLimitPct
+    }))
+    // What the same calldata would have cost in poster gas at the pre-inclusion L1 price
+    result.posterGasAtReferenceL1Price = result.l1PriceRatio
+      ? ((BigInt(split.l1PosterGas) * BigInt(reference.l1BaseFeeEstimate)) / BigInt(atTx.l1BaseFeeEstimate)).toString()
+      : null
+    return result
+  } catch (e) {
+    return { ok: false, txHash, error: e.shortMessage || e.message }
+  }
+}
+
+export default { splitGasUsed, estimatePosterGas, assessL1PriceSpike, getCurrentPrices, getGasBreakdown, L1_PRICE_SPIKE_RATIO, L1_PRICE_REFERENCE_BLOCKS, POSTER_GAS_SHARE_PCT }
@@ -9,20 +9,31 @@
  * 
  * Uses:
  * - Pattern archive historical data
- * - Network conditions (base fee trends)
+ * - Network conditions (gas oracle p50/p90/p99 base fee bands, else the recent block average)
  * - Contract complexity heuristics
+ * - Exact submission fee from Inbox.calculateRetryableSubmissionFee
  */
 
 import { getFailurePattern, getArchiveStats } from './patternArchive.js'
 import { computeL2BaseFeeAverage } from './arbitrum.js'
+import { getGasBands, feeBand } from './gasOracle.js'
+import { DEFAULT_NETWORK } from './networks.js'
+import { computeSubmissionFee, compareSubmissionCost } from './submissionFee.js'
+
+// Headroom suggested over the exact submission fee; the L1 base fee can rise before inclusion
+const SUBMISSION_FEE_BUFFER_PCT = 30
+// Surplus below this share of the required fee is flagged as thin
+const THIN_SUBMISSION_SURPLUS_PCT = 10
 
 /**
  * Validate retryable parameters and predict success
  * 
  * @param {Object} params - Proposed retryable parameters
+ *   (l1BaseFee optionally pins the L1 base fee used for the submission fee; default: latest L1 block)
+ * @param {Object} options - { l1Provider, getGasBands } overrides (tests)
  * @returns {Object} Validation result with success probability
  */
-export async function validatePreSubmission(params) {
+export async function validatePreSubmission(params, options = {}) {
   const {
     contractAddress,
     contractBytecodeHash,
@@ -30,7 +41,9 @@ export async function validatePreSubmission(params) {
     maxFeePerGas,
     submissionCost,
     callDataLength = 0,
-    functionName = 'unknown'
+    functionName = 'unknown',
+    l1BaseFee = null,
+    network = DEFAULT_NETWORK
   } = params
 
   const result = {
@@ -48,7 +61,7 @@ export async function validatePreSubmission(params) {
     // ═══════════════════════════════════════════════════════════════════════════════
     
     if (contractBytecodeHash) {
-      const pattern = getFailurePattern(contractBytecodeHash)
+      const pattern = getFailurePattern(contractBytecodeHash, params.network || null)
       if (pattern && pattern.total_failures > 0) {
         // This contract has failure history - adjust probability
         const successRate = 1 - (pattern.total_failures / (pattern.total_failures + 50)) // normalize
@@ -162,52 +175,106 @@ export async function validatePreSubmission(params) {
     const maxFeePerGasNum = parseInt(maxFeePerGas)
     result.factors.maxFeePerGas = maxFeePerGasNum
     
-    // Get current network conditions
+    // Get current network conditions: gas oracle bands, or the recent block average while the oracle is short of samples
     try {
-      const currentBaseFee = await computeL2BaseFeeAverage(10)
-      if (currentBaseFee) {
+      let oracle = null
+      try {
+        oracle = (options.getGasBands || getGasBands)({ network })
+      } catch (e) {
+        result.warnings.push(`Gas oracle unavailable: ${e.message}`)
+      }
+      if (oracle && oracle.sufficient && oracle.l2BaseFee) {
+        const { p50, p90, p99 } = oracle.l2BaseFee
         result.networkConditions = {
-          avgBaseFeePerGas: currentBaseFee.toString(),
+          source: 'gas-oracle',
+          windowMinutes: oracle.windowMinutes,
+          samples: oracle.samples,
+          l2BaseFee: oracle.l2BaseFee,
+          l1BaseFeeEstimate: oracle.l1BaseFeeEstimate,
           timestamp: new Date().toISOString()
         }
-        
-        const currentBaseFeeNum = BigInt(currentBaseFee)
-        const userFee = BigInt(maxFeePerGasNum)
-        
-        // Check if fee is sufficient (should be at least equal to base fee)
-        if (userFee < currentBaseFeeNum) {
+        const band = feeBand(BigInt(maxFeePerGasNum), oracle.l2BaseFee)
+        result.factors.maxFeeBand = band
+        const window = `last ${oracle.windowMinutes} min`
+
+        if (band === 'BELOW_P50') {
           result.risks.push({
             type: 'INSUFFICIENT_MAX_FEE',
             severity: 'critical',
-            message: `Max fee (${maxFeePerGasNum}) is BELOW current base fee (${currentBaseFeeNum.toString()}). Will definitely fail auto-redeem.`,
-            dataPoint: `User: ${maxFeePerGasNum}, Base: ${currentBaseFeeNum.toString()}`
+            message: `Max fee (${maxFeePerGasNum}) is BELOW the median L2 base fee of the ${window} (${p50}). The base fee was higher more often than not; auto-redeem is likely to fail.`,
+            dataPoint: `User: ${maxFeePerGasNum}, p50: ${p50}, p90: ${p90}, p99: ${p99}`
           })
           result.successProbability -= 50
           result.suggestions.push({
             type: 'INCREASE_MAX_FEE_PER_GAS',
             current: maxFeePerGasNum,
-            suggested: Math.ceil(Number(currentBaseFeeNum) * 1.3),
-            reasoning: `Current base fee is ${currentBaseFeeNum.toString()}. Use at least +30% buffer.`
+            suggested: Number(p99),
+            reasoning: `p99 of the L2 base fee over the ${window} is ${p99}. A max fee at p99 covered 99% of recent blocks.`
           })
-        } else if (userFee < currentBaseFeeNum * 12n / 10n) {
-          // Less than 20% above base fee
+        } else if (band === 'P50_P90') {
           result.risks.push({
             type: 'LOW_MAX_FEE_BUFFER',
             severity: 'warning',
-            message: `Max fee has low buffer above base fee (${Math.round(Number((userFee / currentBaseFeeNum - 1n) * 100n))}% buffer)`,
-            dataPoint: `Buffer: ${Math.round(Number((userFee / currentBaseFeeNum - 1n) * 100n))}%`
+            message: `Max fee (${maxFeePerGasNum}) is below the p90 L2 base fee of the ${window} (${p90}); the base fee exceeded it in over 10% of samples`,
+            dataPoint: `User: ${maxFeePerGasNum}, p50: ${p50}, p90: ${p90}`
           })
           result.successProbability -= 10
           result.suggestions.push({
             type: 'INCREASE_MAX_FEE_BUFFER',
             current: maxFeePerGasNum,
-            suggested: Math.ceil(Number(currentBaseFeeNum) * 1.5),
-            reasoning: 'Gas prices are volatile. Keep 50% buffer above current base fee for safety.'
+            suggested: Number(p99),
+            reasoning: `Gas prices are volatile. p99 over the ${window} is ${p99}.`
           })
         } else {
           result.factors.maxFeeStatus = 'GOOD'
           result.successProbability += 10 // Bonus for good fee
         }
+      } else {
+        const currentBaseFee = await computeL2BaseFeeAverage(10, null, network)
+        if (currentBaseFee) {
+          result.networkConditions = {
+            source: 'block-average',
+            avgBaseFeePerGas: currentBaseFee.toString(),
+            timestamp: new Date().toISOString()
+          }
+          const currentBaseFeeNum = BigInt(currentBaseFee)
+          const userFee = BigInt(maxFeePerGasNum)
+
+          // Check if fee is sufficient (should be at least equal to base fee)
+          if (userFee < currentBaseFeeNum) {
+            result.risks.push({
+              type: 'INSUFFICIENT_MAX_FEE',
+              severity: 'critical',
+              message: `Max fee (${maxFeePerGasNum}) is BELOW current base fee (${currentBaseFeeNum.toString()}). Will definitely fail auto-redeem.`,
+              dataPoint: `User: ${maxFeePerGasNum}, Base: ${currentBaseFeeNum.toString()}`
+            })
+            result.successProbability -= 50
+            result.suggestions.push({
+              type: 'INCREASE_MAX_FEE_PER_GAS',
+              current: maxFeePerGasNum,
+              suggested: Math.ceil(Number(currentBaseFeeNum) * 1.3),
+              reasoning: `Current base fee is ${currentBaseFeeNum.toString()}. Use at least +30% buffer.`
+            })
+          } else if (userFee < currentBaseFeeNum * 12n / 10n) {
+            // Less than 20% above base fee
+            result.risks.push({
+              type: 'LOW_MAX_FEE_BUFFER',
+              severity: 'warning',
+              message: `Max fee has low buffer above base fee (${Math.round(Number((userFee / currentBaseFeeNum - 1n) * 100n))}% buffer)`,
+              dataPoint: `Buffer: ${Math.round(Number((userFee / currentBaseFeeNum - 1n) * 100n))}%`
+            })
+            result.successProbability -= 10
+            result.suggestions.push({
+              type: 'INCREASE_MAX_FEE_BUFFER',
+              current: maxFeePerGasNum,
+              suggested: Math.ceil(Number(currentBaseFeeNum) * 1.5),
+              reasoning: 'Gas prices are volatile. Keep 50% buffer above current base fee for safety.'
+            })
+          } else {
+            result.factors.maxFeeStatus = 'GOOD'
+            result.successProbability += 10 // Bonus for good fee
+          }
+        }
       }
     } catch (e) {
       result.warnings.push(`Could not check current network conditions: ${e.message}`)
@@ -217,39 +284,71 @@ export async function validatePreSubmission(params) {
     // FACTOR 4: Submission Cost Analysis
     // ═══════════════════════════════════════════════════════════════════════════════
     
-    const submissionCostNum = parseInt(submissionCost)
+    const submissionCostNum = parseInt(submissionCost) || 0
     result.factors.submissionCost = submissionCostNum
-    
-    if (submissionCostNum < 100) {
+
+    // Exact requirement: (1400 + 6 * calldata bytes) * L1 base fee, as the Inbox computes it
+    const fee = await computeSubmissionFee({ dataLength: callDataLength, baseFee: l1BaseFee, network, provider: options.l1Provider })
+    const suggested = fee.ok ? (BigInt(fee.requiredWei) * BigInt(100 + SUBMISSION_FEE_BUFFER_PCT) / 100n).toString() : null
+
+    // The Inbox always charges a submission fee, so zero reverts whatever the L1 base fee is
+    if (submissionCostNum <= 0) {
       result.risks.push({
-        type: 'CRITICALLY_LOW_SUBMISSION_COST',
+        type: 'MISSING_SUBMISSION_COST',
         severity: 'critical',
-        message: `Submission cost ${submissionCostNum} Wei is too low. Minimum: 1000 Wei`,
-        dataPoint: submissionCostNum
+        message: 'Submission cost is zero or missing. The Inbox will revert the L1 transaction.',
+        dataPoint: `Submission cost: ${submissionCostNum}`
       })
       result.successProbability -= 45
       result.suggestions.push({
         type: 'INCREASE_SUBMISSION_COST',
         current: submissionCostNum,
-        suggested: 10000,
-        reasoning: 'Submission cost must exceed base fee for auto-redeem. Use 10k+ Wei.'
-      })
-    } else if (submissionCostNum < 1000) {
-      result.risks.push({
-        type: 'LOW_SUBMISSION_COST',
-        severity: 'warning',
-        message: `Submission cost ${submissionCostNum} may be insufficient for auto-redeem`,
-        dataPoint: submissionCostNum
-      })
-      result.successProbability -= 20
-      result.suggestions.push({
-        type: 'INCREASE_SUBMISSION_COST',
-        current: submissionCostNum,
-        suggested: 5000,
-        reasoning: 'Increase to ensure auto-redeem succeeds without requiring manual redemption.'
+        suggested,
+        reasoning: 'Required: (1400 + 6 × calldata bytes) × L1 base fee, from Inbox.calculateRetryableSubmissionFee; the excess is refunded.'
       })
     }
 
+    if (fee.ok) {
+      const comparison = compareSubmissionCost(submissionCostNum, fee.requiredWei)
+      result.factors.submissionFee = { ...comparison, l1BaseFee: fee.baseFee, dataLength: fee.dataLength, source: fee.source }
+      const required = BigInt(fee.requiredWei)
+
+      // Zero is already flagged above
+      if (submissionCostNum > 0) {
+        if (!comparison.sufficient) {
+          result.risks.push({
+            type: 'INSUFFICIENT_SUBMISSION_COST',
+            severity: 'critical',
+            message: `Submission cost ${submissionCostNum} Wei is ${comparison.deficitWei} Wei short of the required ${fee.requiredWei} Wei. The Inbox will revert the L1 transaction.`,
+            dataPoint: `Deficit: ${comparison.deficitWei}`
+          })
+          result.successProbability -= 45
+          result.suggestions.push({
+            type: 'INCREASE_SUBMISSION_COST',
+            current: submissionCostNum,
+            suggested,
+            reasoning: `Required: (1400 + 6 × ${fee.dataLength} bytes) × L1 base fee ${fee.baseFee}. Add ${SUBMISSION_FEE_BUFFER_PCT}% for base fee movement until inclusion; the excess is refunded.`
+          })
+        } else if (BigInt(comparison.surplusWei) * 100n < required * BigInt(THIN_SUBMISSION_SURPLUS_PCT)) {
+          result.risks.push({
+            type: 'LOW_SUBMISSION_COST_BUFFER',
+            severity: 'warning',
+            message: `Submission cost covers the required ${fee.requiredWei} Wei with only ${comparison.surplusWei} Wei to spare. A small L1 base fee rise makes it revert.`,
+            dataPoint: `Surplus: ${comparison.surplusWei}`
+          })
+          result.successProbability -= 10
+          result.suggestions.push({
+            type: 'INCREASE_SUBMISSION_COST',
+            current: submissionCostNum,
+            suggested,
+            reasoning: `Add ${SUBMISSION_FEE_BUFFER_PCT}% over the exact fee; the excess is refunded on L2.`
+          })
+        }
+      }
+    } else {
+      result.warnings.push(`Could not compute the required submission fee: ${fee.error}`)
+    }
+
     // ═══════════════════════════════════════════════════════════════════════════════
     // FACTOR 5: Parameter Consistency
     // ═══════════════════════════════════════════════════════════════════════════════
@@ -310,7 +409,7 @@ export async function validatePreSubmission(params) {
       contractHistoryAdjustment: (result.factors.contractHistoricalFailureRate ? -Math.min(30, parseFloat(result.factors.contractHistoricalFailureRate)) / 2 : 0),
       gasLimitAdjustment: calculateGasAdjustment(gasLimitNum),
       feeAdjustment: (result.factors.maxFeeStatus === 'GOOD' ? 10 : -15),
-      submissionCostAdjustment: calculateSubmissionCostAdjustment(submissionCostNum),
+      submissionCostAdjustment: calculateSubmissionCostAdjustment(result.factors.submissionFee),
       finalScore: result.successProbability
     }
 
@@ -376,11 +475,12 @@ function calculateGasAdjustment(gasLimit) {
 }
 
 /**
- * Helper: Calculate submission cost adjustment
+ * Helper: Calculate submission cost adjustment from the exact fee comparison
  */
-function calculateSubmissionCostAdjustment(cost) {
-  if (cost < 100) return -45
-  if (cost < 1000) return -20
+function calculateSubmissionCostAdjustment(submissionFee) {
+  if (!submissionFee) return 0 // Requirement unknown
+  if (!submissionFee.sufficient) return -45
+  if (BigInt(submissionFee.surplusWei) * 100n < BigInt(submissionFee.requiredWei) * BigInt(THIN_SUBMISSION_SURPLUS_PCT)) return -10
   return 5 // Good
 }
 
@@ -440,8 +540,9 @@ function findMatchingSuggestion(suggestions, riskType) {
   const mapping = {
     'LOW_GAS_LIMIT': 'INCREASE_GAS_LIMIT',
     'CRITICALLY_LOW_GAS_LIMIT': 'INCREASE_GAS_LIMIT',
-    'LOW_SUBMISSION_COST': 'INCREASE_SUBMISSION_COST',
-    'CRITICALLY_LOW_SUBMISSION_COST': 'INCREASE_SUBMISSION_COST',
+    'INSUFFICIENT_SUBMISSION_COST': 'INCREASE_SUBMISSION_COST',
+    'MISSING_SUBMISSION_COST': 'INCREASE_SUBMISSION_COST',
+    'LOW_SUBMISSION_COST_BUFFER': 'INCREASE_SUBMISSION_COST',
     'INSUFFICIENT_MAX_FEE': 'INCREASE_MAX_FEE_PER_GAS'
   }
   const suggestType = mapping[riskType]
@@ -0,0 +1,149 @@
+/**
+ * Retryable Rescue Transactions
+ * Builds unsigned ArbRetryableTx calls for a stuck ticket so it can be rescued
+ * from the UI / API without another tool:
+ *
+ *   - redeem(ticketId)    anyone; re-executes the L2 call with the caller's gas
+ *   - keepalive(ticketId) anyone; extends the timeout by one lifetime (cost is burned as gas)
+ *   - cancel(ticketId)    beneficiary only; refunds the callvalue to the beneficiary
+ *
+ * Each payload carries a gas estimate and an eth_call simulation of the outcome.
+ */
+
+import { ethers } from 'ethers'
+import { ARB_RETRYABLE_ABI, ARB_RETRYABLE_ADDRESS, getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK, getNetwork } from './networks.js'
+import { probeRetryableTicket, chainTicketStatus } from './retryableResolver.js'
+import { ticketIdToTxHash } from './retryableHops.js'
+import { decodeRevertData } from './revertDecoder.js'
+
+const arbRetryableInterface = new ethers.Interface(ARB_RETRYABLE_ABI)
+const RPC_TIMEOUT_MS = 5000
+// Headroom on eth_estimateGas; redeem gas depends on L2 state at inclusion time
+const GAS_BUFFER_PCT = 20
+
+export const RESCUE_ACTIONS = ['redeem', 'keepalive', 'cancel']
+
+/**
+ * Unsigned calldata for each rescue action.
+ */
+export function encodeRescueCalls(ticketHash) {
+  return RESCUE_ACTIONS.map(action => ({
+    action,
+    to: ARB_RETRYABLE_ADDRESS,
+    data: arbRetryableInterface.encodeFunctionData(action, [ticketHash]),
+    value: '0x0'
+  }))
+}
+
+/**
+ * Which actions make sense for a ticket, and who may send them.
+ * Only an open (PENDING) ticket can be redeemed, kept alive or canceled.
+ */
+export function rescueAvailability(status, beneficiary, from = null) {
+  const open = status === 'PENDING'
+  const isBeneficiary = !!(from && beneficiary && from.toLowerCase() === beneficiary.toLowerCase())
+  return {
+    redeem: { available: open, callableBy: 'anyone' },
+    keepalive: { available: open, callableBy: 'anyone' },
+    cancel: {
+      available: open && (!from || isBeneficiary),
+      callableBy: beneficiary || 'beneficiary',
+      note: from && !isBeneficiary ? 'Only the ticket beneficiary can cancel' : null
+    }
+  }
+}
+
+export function withGasBuffer(estimate, pct = GAS_BUFFER_PCT) {
+  const gas = BigInt(estimate)
+  return gas + (gas * BigInt(pct)) / 100n
+}
+
+async function simulate(provider, tx, options) {
+  try {
+    const returnData = await callWithTimeout(provider.call(tx), RPC_TIMEOUT_MS)
+    let decoded = null
+    try {
+      const [value] = arbRetryableInterface.decodeFunctionResult(arbRetryableInterface.parseTransaction({ data: tx.data }).name, returnData)
+      decoded = value !== undefined ? value.toString() : null
+    } catch (e) {
+      // cancel() returns nothing
+    }
+    return { success: true, returnData, decoded, revert: null }
+  } catch (e) {
+    const data = e && (e.data || (e.info && e.info.error && e.info.error.data)) || null
+    const revert = await decodeRevertData(data, {
+      abis: [{ address: ARB_RETRYABLE_ADDRESS, abi: ARB_RETRYABLE_ABI }],
+      resolveSelector: options.resolveSelector
+    }).catch(() => null)
+    return { success: false, returnData: data, decoded: null, revert: revert || { message: e.shortMessage || e.message } }
+  }
+}
+
+/**
+ * Build redeem / keepalive / cancel payloads for a ticket.
+ *
+ * @param {string} ticketId - Ticket ID (hex or decimal)
+ * @param {Object} options
+ * @param {string} options.from - Sender the payloads are built and simulated for (default: beneficiary for cancel)
+ * @param {string} options.network - Registry network name
+ * @param {Object} options.provider - L2 provider override (tests)
+ * @param {Object} options.probe - probeRetryableTicket() result, if already fetched
+ * @returns {Promise<Object>} { ok, ticketId, status, beneficiary, expiresAt, transactions: [...] }
+ */
+export async function buildRescueTransactions(ticketId, options = {}) {
+  const { network = DEFAULT_NETWORK, from = null } = options
+  const ticketHash = ticketIdToTxHash(ticketId)
+  if (!ticketHash) return { ok: false, error: `Invalid ticket ID: ${ticketId}` }
+  if (from && !ethers.isAddress(from)) return { ok: false, error: `Invalid from address: ${from}` }
+
+  try {
+    const provider = options.provider || getProviders(network).l2Provider
+    const probe = options.probe || await probeRetryableTicket(ticketHash, { network, provider })
+    const status = chainTicketStatus(probe)
+    const availability = rescueAvailability(status, probe.beneficiary, from)
+    const net = getNetwork(network)
+    const feeData = await callWithTimeout(provider.getFeeData(), RPC_TIMEOUT_MS).catch(() => null)
+    const gasPrice = feeData && (feeData.maxFeePerGas || feeData.gasPrice) ? BigInt(feeData.maxFeePerGas || feeData.gasPrice) : null
+
+    const transactions = await Promise.all(encodeRescueCalls(ticketHash).map(async (call) => {
+      const sender = call.action === 'cancel' ? (from || probe.beneficiary) : from
+      const tx = { ...call, from: sender || undefined, chainId: net ? net.chainId : null }
+      const entry = { ...tx, from: sender || null, ...availability[call.action], gasEstimate: null, gasLimit: null, estimatedFeeWei: null, simulation: null }
+      if (!entry.available) return entry
+
+      const callTx = { to: tx.to, data: tx.data, from: tx.from }
+      entry.simulation = await simulate(provider, callTx, options)
+      try {
+        const estimate = await callWithTimeout(provider.estimateGas(callTx), RPC_TIMEOUT_MS)
+        entry.gasEstimate = estimate.toString()
+        entry.gasLimit = withGasBuffer(estimate).toString()
+        if (gasPrice !== null) entry.estimatedFeeWei = (BigInt(entry.gasLimit) * gasPrice).toString()
+      } catch (e) {
+        // eth_estimateGas fails when the call would revert; the simulation explains why
+        entry.gasEstimateError = e.shortMessage || e.message
+      }
+      return entry
+    }))
+
+    // keepalive has no msg.value; its fee is the gas it burns
+    const keepalive = transactions.find(t => t.action === 'keepalive')
+    return {
+      ok: true,
+      ticketId: ticketHash,
+      network,
+      status,
+      beneficiary: probe.beneficiary,
+      expiresAt: probe.expiresAt,
+      secondsUntilExpiry: probe.secondsUntilExpiry,
+      keepaliveFeeWei: keepalive ? keepalive.estimatedFeeWei : null,
+      gasPrice: gasPrice !== null ? gasPrice.toString() : null,
+      transactions,
+      probeError: probe.error || null
+    }
+  } catch (e) {
+    return { ok: false, ticketId: ticketHash, error: e.message }
+  }
+}
+
+export default { buildRescueTransactions, encodeRescueCalls, rescueAvailability, withGasBuffer, RESCUE_ACTIONS }
@@ -0,0 +1,176 @@
+/**
+ * Chained Retryable Tracing
+ * Follows retryables across rollup hops: an L1 deposit creates a retryable on
+ * an L2, whose execution creates another retryable on an Orbit L3 through that
+ * chain's Inbox, and so on.
+ *
+ * For each hop:
+ *   1. Parse RetryableTicketCreated from the receipt on the parent chain and
+ *      pick the child network whose Inbox/Bridge emitted it. The event has no
+ *      maxSubmissionCost; that comes from the matching InboxMessageDelivered body.
+ *   2. The ticket ID is the child chain's submit-retryable tx hash; its receipt
+ *      carries RedeemScheduled with the auto-redeem tx hash.
+ *   3. If the auto-redeem succeeded, its receipt becomes the parent-chain
+ *      receipt for the next hop.
+ *
+ * RPC access goes through `getReceipt(networkName, txHash)` so the walker can
+ * be exercised without providers.
+ */
+
+import { ethers } from 'ethers'
+import { ARB_RETRYABLE_ABI, findRetryableCreationLogs, getProviders, callWithTimeout } from './arbitrum.js'
+import { listNetworks, networkForLogs } from './networks.js'
+import { analyzeHopCausality } from './causalityAnalyzer.js'
+import { findRetryableSubmissions } from './submissionFee.js'
+
+const arbRetryableInterface = new ethers.Interface(ARB_RETRYABLE_ABI)
+const RPC_TIMEOUT_MS = 5000
+
+export const MAX_HOPS = 3
+
+async function defaultGetReceipt(networkName, txHash) {
+  const { l2Provider } = getProviders(networkName)
+  return callWithTimeout(l2Provider.getTransactionReceipt(txHash), RPC_TIMEOUT_MS)
+}
+
+// Ticket IDs are parsed as uint256 decimal strings; as tx hashes they are 32-byte hex
+export function ticketIdToTxHash(ticketId) {
+  try {
+    return ethers.toBeHex(BigInt(ticketId), 32)
+  } catch (e) {
+    return null
+  }
+}
+
+function receiptStatus(receipt) {
+  if (!receipt) return null
+  return receipt.status === 1 ? 'confirmed' : 'reverted'
+}
+
+function findRedeemScheduled(receipt) {
+  for (const log of (receipt && receipt.logs) || []) {
+    try {
+      const parsed = arbRetryableInterface.parseLog(log)
+      if (parsed && parsed.name === 'RedeemScheduled') {
+        return { retryTxHash: parsed.args.retryTxHash, sequenceNum: Number(parsed.args.sequenceNum) }
+      }
+    } catch (e) {
+      // not an ArbRetryableTx event
+    }
+  }
+  return null
+}
+
+// The submit-retryable message the same Inbox delivered for this ticket
+function findSubmission(retryable, inboxAddress, submissions) {
+  return submissions.find(s =>
+    s.inbox.toLowerCase() === String(inboxAddress).toLowerCase() &&
+    s.to.toLowerCase() === String(retryable.to).toLowerCase() &&
+    s.l2CallValue === retryable.l2CallValue &&
+    s.gasLimit === retryable.gasLimit &&
+    s.maxFeePerGas === retryable.maxFeePerGas) || null
+}
+
+/**
+ * Walk retryables starting from a receipt on chain `startChainId`.
+ *
+ * @param {Object} startReceipt - Receipt on the parent chain of the first hop
+ * @param {number} startChainId - Chain ID that receipt lives on
+ * @param {Object} options
+ * @param {Array} options.networks - Candidate networks (default: configured registry networks)
+ * @param {Function} options.getReceipt - (networkName, txHash) → receipt | null
+ * @param {number} options.maxHops - Stop after this many hops (default MAX_HOPS)
+ * @returns {Promise<Array>} One entry per hop, in order
+ */
+export async function traceRetryableHops(startReceipt, startChainId, options = {}) {
+  const {
+    networks = listNetworks({ configuredOnly: true }),
+    getReceipt = defaultGetReceipt,
+    maxHops = MAX_HOPS
+  } = options
+
+  const hops = []
+  let receipt = startReceipt
+  let chainId = startChainId
+
+  while (receipt && hops.length < maxHops) {
+    const children = networks.filter(n => n.parentChainId === chainId)
+    if (children.length === 0) break
+
+    // Several networks can share a parent; attribute each ticket by the contract that emitted it
+    const created = []
+    for (const log of receipt.logs || []) {
+      const [r] = findRetryableCreationLogs([log], receipt)
+      if (r) created.push({ retryable: r, inbox: log.address, network: networkForLogs([log], children) })
+    }
+    const match = created.find(c => c.network) || (children.length === 1 && created[0] ? { ...created[0], network: children[0] } : null)
+    if (!match) break
+    const { retryable, network } = match
+    const submission = findSubmission(retryable, match.inbox, findRetryableSubmissions(receipt))
+
+    const hop = {
+      hop: hops.length + 1,
+      network: network.name,
+      chainId: network.chainId,
+      parentChainId: chainId,
+      submission: {
+        txHash: receipt.transactionHash || receipt.hash || null,
+        blockNumber: receipt.blockNumber,
+        status: receiptStatus(receipt)
+      },
+      ticket: {
+        ticketId: retryable.ticketId,
+        from: retryable.from,
+        to: retryable.to,
+        parameters: {
+          maxGas: retryable.gasLimit,
+          gasPriceBid: retryable.maxFeePerGas,
+          // null when the receipt carries no decodable message body for the ticket
+          maxSubmissionCost: submission ? submission.maxSubmissionCost : null,
+          l2CallValue: retryable.l2CallValue,
+          dataLength: retryable.data ? (retryable.data.length / 2 - 1) : 0
+        }
+      },
+      creation: null,
+      execution: null,
+      status: 'PENDING',
+      verdict: null
+    }
+
+    const submitTxHash = ticketIdToTxHash(retryable.ticketId)
+    const creationReceipt = submitTxHash ? await getReceipt(network.name, submitTxHash).catch(() => null) : null
+    let executionReceipt = null
+    if (creationReceipt) {
+      hop.creation = { txHash: submitTxHash, blockNumber: creationReceipt.blockNumber, status: receiptStatus(creationReceipt) }
+      const scheduled = findRedeemScheduled(creationReceipt)
+      if (scheduled) {
+        executionReceipt = await getReceipt(network.name, scheduled.retryTxHash).catch(() => null)
+        hop.execution = executionReceipt ? {
+          txHash: scheduled.retryTxHash,
+          blockNumber: executionReceipt.blockNumber,
+          status: receiptStatus(executionReceipt),
+          gasUsed: executionReceipt.gasUsed ? executionReceipt.gasUsed.toString() : null,
+          from: executionReceipt.from,
+          to: executionReceipt.to
+        } : { txHash: scheduled.retryTxHash, status: null }
+      }
+    }
+
+    hop.status = !creationReceipt ? 'PENDING'
+      : creationReceipt.status !== 1 ? 'CREATION_FAILED'
+        : !hop.execution ? 'AWAITING_REDEEM'
+          : !executionReceipt ? 'PENDING'
+            : executionReceipt.status === 1 ? 'EXECUTED' : 'FAILED'
+    hop.verdict = analyzeHopCausality(hop, retryable, executionReceipt)
+    hops.push(hop)
+
+    // Only a successful execution can create the next hop's retryable
+    if (hop.status !== 'EXECUTED') break
+    receipt = executionReceipt
+    chainId = network.chainId
+  }
+
+  return hops
+}
+
+export default { traceRetryableHops, ticketIdToTxHash, MAX_HOPS }
@@ -0,0 +1,258 @@
+/**
+ * Retryable Ticket Resolver
+ * Exact ticket → L2 transaction resolution, replacing the old "recent logs on
+ * the destination contract" heuristics:
+ *
+ *   - submit-retryable tx hash = the ticket ID itself
+ *   - auto-redeem tx hash      = retryTxHash of the RedeemScheduled event in
+ *                                the submit-retryable receipt
+ *   - manual redeems           = later RedeemScheduled events for the ticket,
+ *                                emitted in the ArbRetryableTx.redeem() caller's tx
+ *
+ * Lifecycle events (RedeemScheduled, Redeemed, Canceled, LifetimeExtended) are
+ * fetched from the ArbRetryableTx precompile with the ticket ID as topic[1],
+ * in chunks over an arbitrary block range.
+ *
+ * probeRetryableTicket() reads the live ticket state from the same precompile
+ * (getTimeout, getBeneficiary, getLifetime): a ticket only exists while it is
+ * still redeemable, so these views are the source of truth for expiry.
+ */
+
+import { ethers } from 'ethers'
+import { ARB_RETRYABLE_ABI, ARB_RETRYABLE_ADDRESS, getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK } from './networks.js'
+import { ticketIdToTxHash } from './retryableHops.js'
+
+const arbRetryableInterface = new ethers.Interface(ARB_RETRYABLE_ABI)
+const RPC_TIMEOUT_MS = 5000
+// Topic-filtered queries on one precompile are sparse, so chunks can be wide
+const LOG_CHUNK_BLOCKS = Number(process.env.RETRYABLE_LOG_CHUNK || 100000)
+
+export const LIFECYCLE_EVENTS = ['RedeemScheduled', 'Redeemed', 'Canceled', 'LifetimeExtended']
+
+/**
+ * Parse ArbRetryableTx lifecycle logs for one ticket. Logs for other tickets
+ * and other contracts are ignored.
+ */
+export function parseLifecycleLogs(logs, ticketHash) {
+  const events = []
+  const want = ticketHash ? ticketHash.toLowerCase() : null
+  for (const log of logs || []) {
+    if ((log.address || '').toLowerCase() !== ARB_RETRYABLE_ADDRESS) continue
+    let parsed
+    try {
+      parsed = arbRetryableInterface.parseLog(log)
+    } catch (e) {
+      continue
+    }
+    if (!parsed || !LIFECYCLE_EVENTS.includes(parsed.name)) continue
+    if (want && String(log.topics[1]).toLowerCase() !== want) continue
+    const event = {
+      name: parsed.name,
+      ticketId: log.topics[1],
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash
+    }
+    if (parsed.name === 'RedeemScheduled') {
+      event.retryTxHash = parsed.args.retryTxHash
+      event.sequenceNum = Number(parsed.args.sequenceNum)
+      event.donatedGas = parsed.args.donatedGas.toString()
+      event.gasDonor = parsed.args.gasDonor
+      event.maxRefund = parsed.args.maxRefund.toString()
+      event.submissionFeeRefund = parsed.args.submissionFeeRefund.toString()
+    }
+    if (parsed.name === 'LifetimeExtended') event.newTimeout = parsed.args.newTimeout.toString()
+    events.push(event)
+  }
+  return events
+}
+
+/**
+ * Turn RedeemScheduled events into redeem attempts. The one scheduled by the
+ * submit-retryable tx is the auto-redeem; the rest are manual redeems.
+ */
+export function buildRedeemAttempts(submitTxHash, events) {
+  const submit = (submitTxHash || '').toLowerCase()
+  return (events || [])
+    .filter(e => e.name === 'RedeemScheduled')
+    .sort((a, b) => a.sequenceNum - b.sequenceNum)
+    .map(e => ({
+      kind: (e.transactionHash || '').toLowerCase() === submit ? 'AUTO' : 'MANUAL',
+      sequenceNum: e.sequenceNum,
+      scheduledIn: e.transactionHash,
+      scheduledAtBlock: e.blockNumber,
+      txHash: e.retryTxHash,
+      donatedGas: e.donatedGas,
+      gasDonor: e.gasDonor,
+      receipt: null,
+      status: null
+    }))
+}
+
+/**
+ * Overall ticket status from the resolved pieces.
+ * NOT_FOUND | CREATION_FAILED | CANCELED | REDEEMED | REDEEM_FAILED | AWAITING_REDEEM
+ */
+export function ticketStatus({ creation, attempts, canceled }) {
+  if (!creation) return 'NOT_FOUND'
+  if (creation.status === 0) return 'CREATION_FAILED'
+  if ((attempts || []).some(a => a.status === 1)) return 'REDEEMED'
+  if (canceled) return 'CANCELED'
+  if ((attempts || []).some(a => a.status === 0)) return 'REDEEM_FAILED'
+  return 'AWAITING_REDEEM'
+}
+
+function summarizeReceipt(receipt) {
+  if (!receipt) return null
+  return {
+    txHash: receipt.transactionHash || receipt.hash || null,
+    blockNumber: receipt.blockNumber,
+    status: receipt.status,
+    gasUsed: receipt.gasUsed ? receipt.gasUsed.toString() : null,
+    from: receipt.from,
+    to: receipt.to
+  }
+}
+
+async function getLogsChunked(provider, filter, fromBlock, toBlock) {
+  const logs = []
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_BLOCKS) {
+    const end = Math.min(toBlock, start + LOG_CHUNK_BLOCKS - 1)
+    const chunk = await callWithTimeout(provider.getLogs({ ...filter, fromBlock: start, toBlock: end }), RPC_TIMEOUT_MS)
+    logs.push(...(chunk || []))
+  }
+  return logs
+}
+
+/**
+ * Resolve a ticket to its exact L2 transactions.
+ *
+ * @param {string} ticketId - Ticket ID (hex or decimal)
+ * @param {Object} options
+ * @param {number} options.fromBlock - First L2 block to search (default: creation block)
+ * @param {number|string} options.toBlock - Last L2 block (default: latest)
+ * @param {string} options.network - Registry network name
+ * @param {Object} options.provider - L2 provider override (tests)
+ * @returns {Promise<Object>} { ok, ticketId, submitTxHash, creation, autoRedeem, redeemAttempts, canceled, lifetimeExtensions, events, range, status }
+ */
+export async function resolveRetryableTicket(ticketId, options = {}) {
+  const { network = DEFAULT_NETWORK } = options
+  const submitTxHash = ticketIdToTxHash(ticketId)
+  if (!submitTxHash) return { ok: false, error: `Invalid ticket ID: ${ticketId}` }
+  try {
+    const provider = options.provider || getProviders(network).l2Provider
+    const creationReceipt = await callWithTimeout(provider.getTransactionReceipt(submitTxHash), RPC_TIMEOUT_MS)
+    const creation = summarizeReceipt(creationReceipt)
+
+    // The auto-redeem is scheduled in the creation receipt itself
+    const creationEvents = parseLifecycleLogs(creationReceipt ? creationReceipt.logs : [], submitTxHash)
+
+    const latest = options.toBlock === undefined || options.toBlock === 'latest'
+      ? await callWithTimeout(provider.getBlockNumber(), RPC_TIMEOUT_MS)
+      : Number(options.toBlock)
+    const fromBlock = options.fromBlock !== undefined ? Number(options.fromBlock) : (creation ? creation.blockNumber : null)
+
+    let events = creationEvents
+    if (fromBlock !== null) {
+      const logs = await getLogsChunked(provider, { address: ARB_RETRYABLE_ADDRESS, topics: [null, submitTxHash] }, fromBlock, latest)
+      const seen = new Set()
+      events = []
+      for (const e of [...creationEvents, ...parseLifecycleLogs(logs, submitTxHash)]) {
+        const key = `${e.transactionHash}:${e.name}:${e.sequenceNum ?? ''}`
+        if (seen.has(key)) continue
+        seen.add(key)
+        events.push(e)
+      }
+    }
+
+    const attempts = buildRedeemAttempts(submitTxHash, events)
+    await Promise.all(attempts.map(async (a) => {
+      const r = await callWithTimeout(provider.getTransactionReceipt(a.txHash), RPC_TIMEOUT_MS).catch(() => null)
+      a.receipt = summarizeReceipt(r)
+      a.status = r ? r.status : null
+    }))
+
+    const canceled = events.find(e => e.name === 'Canceled') || null
+    return {
+      ok: true,
+      ticketId: submitTxHash,
+      network,
+      submitTxHash,
+      creation,
+      autoRedeem: attempts.find(a => a.kind === 'AUTO') || null,
+      redeemAttempts: attempts,
+      canceled: canceled ? { transactionHash: canceled.transactionHash, blockNumber: canceled.blockNumber } : null,
+      lifetimeExtensions: events.filter(e => e.name === 'LifetimeExtended').length,
+      events,
+      range: fromBlock !== null ? { fromBlock, toBlock: latest } : null,
+      status: ticketStatus({ creation, attempts, canceled })
+    }
+  } catch (e) {
+    return { ok: false, ticketId: submitTxHash, error: e.message }
+  }
+}
+
+const NO_TICKET_SELECTOR = arbRetryableInterface.getError('NoTicketWithID').selector
+
+function isNoTicketError(e) {
+  if (!e) return false
+  if (e.revert && e.revert.name === 'NoTicketWithID') return true
+  return typeof e.data === 'string' && e.data.toLowerCase().startsWith(NO_TICKET_SELECTOR)
+}
+
+/**
+ * Read live ticket state from ArbRetryableTx.
+ *
+ * @returns {Promise<Object>} { exists, timeout, expiresAt, secondsUntilExpiry, beneficiary, lifetimeSec, error }
+ *   exists is true/false from the precompile, or null when the views could not be called.
+ */
+export async function probeRetryableTicket(ticketId, options = {}) {
+  const { network = DEFAULT_NETWORK, now = Math.floor(Date.now() / 1000) } = options
+  const ticketHash = ticketIdToTxHash(ticketId)
+  const result = { ticketId: ticketHash, exists: null, timeout: null, expiresAt: null, secondsUntilExpiry: null, beneficiary: null, lifetimeSec: null, error: null }
+  if (!ticketHash) return { ...result, error: `Invalid ticket ID: ${ticketId}` }
+  try {
+    const provider = options.provider || getProviders(network).l2Provider
+    const precompile = new ethers.Contract(ARB_RETRYABLE_ADDRESS, ARB_RETRYABLE_ABI, provider)
+    const lifetime = await callWithTimeout(precompile.getLifetime(), RPC_TIMEOUT_MS).catch(() => null)
+    if (lifetime !== null) result.lifetimeSec = Number(lifetime)
+    try {
+      const [timeout, beneficiary] = await Promise.all([
+        callWithTimeout(precompile.getTimeout(ticketHash), RPC_TIMEOUT_MS),
+        callWithTimeout(precompile.getBeneficiary(ticketHash), RPC_TIMEOUT_MS)
+      ])
+      result.exists = true
+      result.timeout = Number(timeout)
+      result.expiresAt = new Date(result.timeout * 1000).toISOString()
+      result.secondsUntilExpiry = result.timeout - now
+      result.beneficiary = beneficiary
+    } catch (e) {
+      if (!isNoTicketError(e)) throw e
+      result.exists = false
+    }
+  } catch (e) {
+    result.error = e.message
+  }
+  return result
+}
+
+/**
+ * Ticket status from chain state: the precompile probe decides whether the
+ * ticket is still open, the resolved redeem history explains why it's gone.
+ * PENDING | EXPIRED | REDEEMED | CANCELED | NOT_FOUND | UNKNOWN
+ */
+export function chainTicketStatus(probe, resolved = null, now = Math.floor(Date.now() / 1000)) {
+  const history = resolved && resolved.ok ? resolved.status : null
+  if (probe && probe.exists === true) return probe.timeout !== null && probe.timeout < now ? 'EXPIRED' : 'PENDING'
+  if (probe && probe.exists === false) {
+    if (history === 'REDEEMED') return 'REDEEMED'
+    if (history === 'CANCELED') return 'CANCELED'
+    if (history === 'NOT_FOUND' || history === 'CREATION_FAILED') return 'NOT_FOUND'
+    return 'EXPIRED'
+  }
+  // Precompile unreachable: fall back to what the receipts show
+  if (history === 'REDEEMED' || history === 'CANCELED') return history
+  return 'UNKNOWN'
+}
+
+export default { resolveRetryableTicket, probeRetryableTicket, chainTicketStatus, parseLifecycleLogs, buildRedeemAttempts, ticketStatus, LIFECYCLE_EVENTS }
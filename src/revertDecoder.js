@@ -0,0 +1,160 @@
+/**
+ * Revert Data Decoder
+ * Turns raw revert bytes from a trace into a named error with typed arguments.
+ *
+ * Decoding order:
+ * 1. Error(string)   → standard require/revert message
+ * 2. Panic(uint256)  → compiler panic, described via PANIC_CODES
+ * 3. Custom errors   → looked up in user-uploaded ABIs (POST /abi/upload)
+ * 4. Custom errors   → looked up via resolveSelector (4byte cache)
+ *
+ * Output format:
+ * { selector, kind, name, signature, args: [{ name, type, value }], message, source }
+ */
+
+import { ethers } from 'ethers'
+import { PANIC_CODES } from './stylusParser.js'
+import { resolveSelector as defaultResolveSelector } from './abiResolver.js'
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'
+const PANIC_SELECTOR = '0x4e487b71'
+
+// Convert decoded values (BigInt, Result, bytes) into JSON-safe values
+function toPlain(value) {
+  if (typeof value === 'bigint') return value.toString()
+  if (Array.isArray(value)) return Array.from(value).map(toPlain)
+  return value
+}
+
+function formatArgs(args) {
+  return args.map((a) => (a.name ? `${a.name}=${JSON.stringify(a.value)}` : JSON.stringify(a.value))).join(', ')
+}
+
+// Build the output shape from an ethers ErrorFragment and its decoded values
+function fromFragment(fragment, decoded, selector, source) {
+  const args = fragment.inputs.map((input, idx) => ({
+    name: input.name || null,
+    type: input.format('sighash'),
+    value: toPlain(decoded[idx])
+  }))
+  return {
+    selector,
+    kind: 'CustomError',
+    name: fragment.name,
+    signature: fragment.format('sighash'),
+    args,
+    message: `${fragment.name}(${formatArgs(args)})`,
+    source
+  }
+}
+
+// Try every error fragment in an ABI whose selector matches
+function decodeWithAbi(abi, selector, revertData, source) {
+  let iface
+  try {
+    iface = new ethers.Interface(abi)
+  } catch (e) {
+    return null
+  }
+  let found = null
+  iface.forEachError((fragment) => {
+    if (found || fragment.selector.toLowerCase() !== selector) return
+    try {
+      const decoded = iface.decodeErrorResult(fragment, revertData)
+      found = fromFragment(fragment, decoded, selector, source)
+    } catch (e) {
+      // selector collision or malformed payload, keep looking
+    }
+  })
+  return found
+}
+
+/**
+ * Decode raw revert data.
+ *
+ * @param {string} revertData - Hex revert payload (selector + ABI-encoded args)
+ * @param {Object} options
+ * @param {Array<{ address: string, abi: Array }>} options.abis - Candidate ABIs, most relevant first
+ * @param {Function} options.resolveSelector - Selector → { ok, results: [{ text }] } lookup
+ * @returns {Promise<Object|null>} Decoded error, or null if revertData is not decodable at all
+ */
+export async function decodeRevertData(revertData, options = {}) {
+  const { abis = [], resolveSelector = defaultResolveSelector } = options
+  if (!revertData || typeof revertData !== 'string') return null
+  const hex = revertData.startsWith('0x') ? revertData.toLowerCase() : '0x' + revertData.toLowerCase()
+  if (!/^0x[0-9a-f]*$/.test(hex) || hex.length < 10) return null
+
+  const selector = hex.slice(0, 10)
+  const coder = ethers.AbiCoder.defaultAbiCoder()
+  const payload = '0x' + hex.slice(10)
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    try {
+      const [reason] = coder.decode(['string'], payload)
+      return {
+        selector,
+        kind: 'Error',
+        name: 'Error',
+        signature: 'Error(string)',
+        args: [{ name: 'reason', type: 'string', value: String(reason) }],
+        message: String(reason),
+        source: 'builtin'
+      }
+    } catch (e) {
+      // fall through to raw result
+    }
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    try {
+      const [code] = coder.decode(['uint256'], payload)
+      const codeStr = '0x' + code.toString(16).padStart(2, '0')
+      const description = PANIC_CODES[codeStr] || `Unknown panic code ${codeStr}`
+      return {
+        selector,
+        kind: 'Panic',
+        name: 'Panic',
+        signature: 'Panic(uint256)',
+        args: [{ name: 'code', type: 'uint256', value: code.toString() }],
+        panicCode: codeStr,
+        message: `Panic(${codeStr}): ${description}`,
+        source: 'builtin'
+      }
+    } catch (e) {
+      // fall through to raw result
+    }
+  }
+
+  // Custom error: uploaded ABIs first (exact parameter names), then selector resolver
+  for (const entry of abis) {
+    if (!entry || !Array.isArray(entry.abi)) continue
+    const decoded = decodeWithAbi(entry.abi, selector, hex, entry.address ? `abi:${entry.address}` : 'abi')
+    if (decoded) return decoded
+  }
+
+  try {
+    const resolved = resolveSelector ? await resolveSelector(selector) : null
+    if (resolved && resolved.ok && Array.isArray(resolved.results)) {
+      for (const r of resolved.results) {
+        if (!r || !r.text) continue
+        const decoded = decodeWithAbi([`error ${r.text}`], selector, hex, 'resolveSelector')
+        if (decoded) return decoded
+      }
+    }
+  } catch (e) {
+    // resolver unavailable, return raw
+  }
+
+  return {
+    selector,
+    kind: 'unknown',
+    name: null,
+    signature: null,
+    args: [],
+    message: null,
+    rawData: hex,
+    source: null
+  }
+}
+
+export default { decodeRevertData }
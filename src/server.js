@@ -10,15 +10,25 @@ import path from 'path'
 import fs from 'fs'
 import { fileURLToPath } from 'url'
 import { createRequire } from 'module'
-import { findTxOnProviders, fetchL1Logs, findRetryableCreationLogs, findL2TransactionFromRetryable, fetchL2TraceInfo, getProviders, findRetryableLifecycle, debugTraceTransaction, findRetryableLifecycleViaIndexer, computeL2BaseFeeAverage, fetchL2GasPriceHistory, extractMemoryStorageAccess } from './arbitrum.js'
-import { analyzeCrossChainCausality, computeCausalGraph } from './causalityAnalyzer.js'
+import { computeL2BaseFeeAverage, getProviders } from './arbitrum.js'
+import { resolveRetryableTicket, probeRetryableTicket, chainTicketStatus } from './retryableResolver.js'
+import { buildRescueTransactions } from './rescueBuilder.js'
+import { replayTransaction, validateOverrides } from './forkReplay.js'
+import { findMinimumGas } from './gasMinimum.js'
+import { getCurrentPrices, estimatePosterGas } from './posterFee.js'
+import { estimateDeposit } from './depositEstimator.js'
+import { addressFailureHistory } from './addressHistory.js'
+import watchlist from './watchlist.js'
+import backfillJobs from './backfillJobs.js'
+import gasOracle from './gasOracle.js'
+import { scanExpiringTickets, RETRYABLE_LIFETIME_SECONDS, DEFAULT_WITHIN_HOURS as DEFAULT_EXPIRY_WINDOW_HOURS, EXPIRY_SCAN_LIMIT } from './expiryScanner.js'
+import { DEFAULT_NETWORK, getNetwork, listNetworks, describeNetwork } from './networks.js'
+import { analyzeTransaction } from './analyzer.js'
 import { resolveSelector } from './abiResolver.js'
 import abiCache from './abiCache.js'
-import { WebSocketProvider } from 'ethers'
-import { normalizeTrace, buildTimeline } from './traceNormalizer.js'
-import { detectStylusExecution, decodeStylusPanic, extractWasmExecutionContext, classifyStylusFailure, getStylusTimelineNode } from './stylusParser.js'
+import { WebSocketProvider, isAddress } from 'ethers'
+import { createConcurrencyLimiter, createBatchHandler } from './batchAnalysis.js'
 import indexer from './indexer.js'
-import { cacheGet, cacheSet } from './cache.js'
 import { initPatternArchive, recordFailure, findSimilarFailures, getFailurePattern, addUserTag, getTopRiskyContracts, getArchiveStats } from './patternArchive.js'
 import { validatePreSubmission, estimateGasLimit, getDetailedRecommendations } from './preSubmissionValidator.js'
 import { createHash } from 'crypto'
@@ -87,6 +97,9 @@ const PORT = process.env.PORT || 3000
 // Initialize pattern archive on startup
 initPatternArchive()
 initLeaderboardAnalytics()
+watchlist.initWatchlist()
+backfillJobs.initBackfillJobs()
+gasOracle.initGasOracle()
 // Initialize auth DB (creates data/auth.db and optional admin user)
 auth.initAuth()
 
@@ -109,12 +122,13 @@ CONSTRAINT 1: Revert Reasons May Be Unavailable
 ════════════════════════════════════════════════════════════════════════════════
 What we DO:
   ✅ Decode Error(string) revert reasons from trace
+  ✅ Decode Panic(uint256) codes (arithmetic, division by zero, out of bounds)
+  ✅ Decode custom errors when an uploaded ABI or the selector cache knows them
   ✅ Show raw hex if revert data present but not decodable
   ✅ Classify as "LOGIC_REVERT" even if reason unknown
 
 What we DON'T support (by design):
-  ❌ Custom error types (require contract ABI we don't have)
-  ❌ Panic codes from EVM (arithmetic, division by zero, out of bounds)
+  ❌ Custom error types with no uploaded ABI and no known selector
   ❌ Low-level calls that don't bubble up reason
   ❌ Contract-specific error context
 
@@ -162,7 +176,7 @@ What we DON'T provide (by design):
 Reasoning: We're designed for real-time debugging, not archival. Optional
 indexer provides performance for recent data.
 
-Fallback: indexer.findByL1Tx() → findRetryableLifecycle() via RPC logs
+Fallback: indexer.findByL1Tx() → resolveRetryableTicket() via ticket-topic RPC logs
 
 
 CONSTRAINT 4: This is Debugging, NOT Design Consulting
@@ -192,567 +206,52 @@ Not consulting = "How should you redesign?"
 // In-memory ABI storage for contract verification
 const abiStorage = new Map()
 
-/**
- * Comprehensive failure classifier that returns structured attribution.
- * 
- * CONSTRAINT 1 - Revert Reasons May Be Unavailable:
- *   This function decodes Error(string) reverts from the trace. However, not all
- *   revert types can be decoded:
- *   - Custom error types require the contract ABI (not always available)
- *   - Panic codes (arithmetic, bounds) are logged but not fully interpreted
- *   - Low-level calls that don't bubble revert reason appear as failed calls
- *   
- *   Fallback: Raw hex data is provided for manual inspection. Users can upload
- *   contract ABIs via POST /abi/upload for better custom error decoding.
- * 
- * CONSTRAINT 4 - Debugging Not Design:
- *   This function explains WHY the transaction failed (causality analysis only).
- *   It does NOT provide:
- *   - Architectural redesign suggestions
- *   - Gas optimization advice
- *   - Security audit findings
- *   - "Best practices" recommendations
- *   
- *   Scope: Answer "What happened?" not "How should I redesign?"
- */
-async function classifyFailureDetailed(detection, retryable, l2TraceInfo, retryableLifecycle, timings = null) {
-  const hints = []
-  let debugTrace = null // Store trace for later use in rawData
-  const result = {
-    failureAt: 'UNKNOWN', // L1_SUBMISSION | RETRYABLE_CREATION | AUTO_REDEEM | MANUAL_REDEEM | L2_EXECUTION | UNKNOWN
-    failureReason: 'UNKNOWN', // OUT_OF_GAS | LOGIC_REVERT | TIMEOUT | LOW_SUBMISSION_COST | LOW_GAS_LIMIT | UNKNOWN
-    hints: []
-  }
-
-  // L1 failure takes precedence
-  if (detection.l1Receipt && detection.l1Receipt.status === 0) {
-    result.failureAt = 'L1_SUBMISSION'
-    result.failureReason = 'LOGIC_REVERT'
-    hints.push({ type: 'L1_FAILURE', message: 'L1 transaction reverted', severity: 'critical' })
-  }
-
-  // Retryable heuristics
-  if (retryable) {
-    try {
-      const gasLimit = BigInt(retryable.gasLimit || '0')
-      const submissionCost = BigInt(retryable.l2CallValue || '0')
-
-      if (gasLimit > 0 && gasLimit < 100000n) {
-        hints.push({ type: 'LOW_GAS_LIMIT', message: `maxGas (${retryable.gasLimit}) may be insufficient.`, severity: 'warning' })
-        if (result.failureAt === 'UNKNOWN') result.failureReason = 'LOW_GAS_LIMIT'
-      }
-      if (submissionCost > 0 && submissionCost < 1000n) {
-        hints.push({ type: 'LOW_SUBMISSION_COST', message: 'Submission cost appears low. Retryable may fail to auto-redeem.', severity: 'warning' })
-        if (result.failureAt === 'UNKNOWN') result.failureReason = 'LOW_SUBMISSION_COST'
-      }
-      // Heuristic: gas price bid (maxFeePerGas) too low relative to recent L2 base fee
-      try {
-        const maxFeePerGas = BigInt(retryable.maxFeePerGas || '0')
-        if (maxFeePerGas > 0n) {
-            try {
-            // Use recent average base fee instead of a single-block snapshot
-            const t_avg = Date.now()
-            const avgBaseFee = await computeL2BaseFeeAverage(10)
-            if (timings) timings.computeL2BaseFeeAverageMs = Date.now() - t_avg
-            if (avgBaseFee && avgBaseFee > 0n) {
-              // threshold = avgBaseFee * 1.2
-              const threshold = avgBaseFee * 12n / 10n
-              if (maxFeePerGas < threshold) {
-                hints.push({ type: 'LOW_GAS_PRICE', message: `maxFeePerGas (${retryable.maxFeePerGas}) appears low relative to recent L2 base fee (avg ${avgBaseFee.toString()}).`, severity: 'warning' })
-                if (result.failureAt === 'UNKNOWN') result.failureReason = 'LOW_GAS_PRICE'
-              }
-            }
-          } catch (e) {
-            // ignore provider errors
-          }
-        }
-      } catch (e) {}
-    } catch (e) {}
-  }
-
-  // If there's lifecycle info for the retryable ticket, use it
-  if (retryableLifecycle && Array.isArray(retryableLifecycle.events) && retryableLifecycle.events.length > 0) {
-    // Find Redeemed events
-    const redeemed = retryableLifecycle.events.filter(e => e.name === 'Redeemed')
-    if (redeemed.length > 0) {
-      // Determine whether auto or manual by proximity to creation block
-      const created = retryableLifecycle.events.find(e => e.name === 'TicketCreated')
-      if (created) {
-        const createdBlock = Number(created.blockNumber)
-        const firstRedeemBlock = Number(redeemed[0].blockNumber)
-        const delta = Math.abs(firstRedeemBlock - createdBlock)
-        if (delta <= 50) {
-          result.failureAt = 'AUTO_REDEEM'
-        } else {
-          result.failureAt = 'MANUAL_REDEEM'
-        }
-      } else {
-        result.failureAt = 'MANUAL_REDEEM'
-      }
-      // If a redeem transaction exists, try to determine its status
-      // We can attempt to fetch the tx receipt
-      try {
-        const { l2Provider } = getProviders()
-        const txr = await l2Provider.getTransactionReceipt(redeemed[0].transactionHash)
-        if (txr && txr.status === 0) {
-          result.failureReason = 'LOGIC_REVERT'
-          hints.push({ type: 'REDEEM_FAILED', message: 'Redeem transaction reverted on L2', severity: 'critical' })
-        } else {
-          // Redeem succeeded; if original l2 execution failed, attribute accordingly
-          if (detection.l2Receipt && detection.l2Receipt.status === 0) {
-            result.failureAt = 'L2_EXECUTION'
-            result.failureReason = 'LOGIC_REVERT'
-          } else {
-            // If everything succeeded, mark unknown
-            if (result.failureAt === 'UNKNOWN') result.failureAt = 'UNKNOWN'
-          }
-        }
-      } catch (e) {
-        // ignore
-      }
-    }
-  }
-
-    // L2 receipt indicates execution failure
-  if (detection.l2Receipt && detection.l2Receipt.status === 0) {
-    result.failureAt = 'L2_EXECUTION'
-    hints.push({ type: 'L2_REVERT', message: 'L2 execution reverted. Check contract logic or calldata.', severity: 'critical' })
-
-    // Prefer debug trace output when available to determine exact cause
-    try {
-      const t_debug = Date.now()
-      debugTrace = await debugTraceTransaction(detection.l2Receipt.transactionHash)
-      if (t_debug && timings) timings.debugTraceTransactionMs = Date.now() - t_debug
-      if (debugTrace) {
-        // If RPC returned an error field
-        if (debugTrace.error) {
-          const em = String(debugTrace.error).toLowerCase()
-          hints.push({ type: 'TRACE_ERROR', message: String(debugTrace.error), severity: 'critical' })
-          if (em.includes('out of gas')) result.failureReason = 'OUT_OF_GAS'
-          else if (em.includes('revert')) result.failureReason = 'LOGIC_REVERT'
-        }
-
-        // Check common return value fields for revert signature (0x08c379a0)
-        const raw = debugTrace.returnValue || (debugTrace.result && debugTrace.result.returnValue) || debugTrace.output || (debugTrace.result && debugTrace.result.output) || null
-        if (raw && String(raw).toLowerCase().includes('08c379a0')) {
-          result.failureReason = 'LOGIC_REVERT'
-          hints.push({ type: 'REVERT_RAW', message: `Revert data present (hex trimmed): ${String(raw).slice(0,200)}`, severity: 'critical' })
-          try {
-            // Check cache first
-            const cacheKey = 'revert:' + (detection.l2Receipt && detection.l2Receipt.transactionHash ? detection.l2Receipt.transactionHash : '')
-            const cached = cacheGet(cacheKey)
-            if (cached) {
-              result.failureMessage = cached
-              hints.push({ type: 'REVERT_MESSAGE', message: result.failureMessage, severity: 'critical' })
-            } else {
-              // Attempt to decode Error(string) revert reason
-              // CONSTRAINT: Only Error(string) reverts are decoded. Custom error types require
-              // the contract ABI, which we don't always have. Panics and low-level failures
-              // that don't bubble revert reason will show as hex data instead.
-              const { AbiCoder } = await import('ethers')
-              const abi = new AbiCoder()
-              // strip selector (first 4 bytes -> 8 hex chars + '0x')
-              const payload = '0x' + String(raw).replace(/^0x/, '').slice(8)
-              const dec = abi.decode(['string'], payload)
-              if (dec && dec[0]) {
-                result.failureMessage = String(dec[0])
-                hints.push({ type: 'REVERT_MESSAGE', message: result.failureMessage, severity: 'critical' })
-                try { cacheSet(cacheKey, result.failureMessage, 1000 * 60 * 60) } catch (e) {}
-              }
-            }
-          } catch (e) {
-            // ignore decode failures
-          }
-        }
-      }
-    } catch (e) {
-      // Ignore trace failures
-    }
-
-    // If trace didn't reveal cause, fall back to gas heuristics and provider.call
-    if (result.failureReason === 'UNKNOWN') {
-      try {
-        const gasUsed = detection.l2Receipt.gasUsed ? BigInt(detection.l2Receipt.gasUsed) : null
-        const gasLimit = detection.l2Receipt.gasLimit ? BigInt(detection.l2Receipt.gasLimit) : null
-        if (gasUsed && gasLimit && gasLimit > 0n) {
-          // More granular heuristic: if gasUsed is >= 99% of gasLimit, likely OOG
-          const percentUsed = Number(gasUsed) / Number(gasLimit)
-          if (percentUsed >= 0.99) result.failureReason = 'OUT_OF_GAS'
-          else result.failureReason = 'LOGIC_REVERT'
-        } else {
-          try {
-            const { l2Provider } = getProviders()
-            const tx = await l2Provider.getTransaction(detection.l2Receipt.transactionHash)
-            if (tx) {
-              try {
-                await l2Provider.call({ to: tx.to, data: tx.data })
-              } catch (callErr) {
-                const msg = (callErr && callErr.message) ? String(callErr.message) : ''
-                if (msg.toLowerCase().includes('out of gas')) result.failureReason = 'OUT_OF_GAS'
-                else if (msg.toLowerCase().includes('revert')) result.failureReason = 'LOGIC_REVERT'
-              }
-            }
-          } catch (e) {}
-        }
-      } catch (e) {}
-    }
-  }
-
-  // If still unknown but we had retryable and no L2 execution, mark potential auto redeem failure
-  if (result.failureAt === 'UNKNOWN' && retryable) {
-    result.failureAt = 'AUTO_REDEEM'
-    if (result.failureReason === 'UNKNOWN') result.failureReason = 'LOW_SUBMISSION_COST'
-    hints.push({ type: 'AUTO_REDEEM_MAYBE', message: 'No L2 execution found for the retryable ticket. It may have failed to auto-redeem.', severity: 'warning' })
+// Candidate ABIs for custom error decoding: the failing contract's ABI first, then every other upload
+// (errors are often raised by a library or callee rather than the top-level `to` address)
+function abisForRevertDecoding(targetAddress) {
+  const target = targetAddress ? String(targetAddress).toLowerCase() : null
+  const out = []
+  if (target && abiStorage.has(target)) out.push({ address: target, abi: abiStorage.get(target) })
+  for (const [address, abi] of abiStorage.entries()) {
+    if (address !== target) out.push({ address, abi })
   }
+  return out
+}
 
-  result.hints = hints.length > 0 ? hints : [{ type: 'UNKNOWN', message: 'No failure detected', severity: 'info' }]
-  return { result, debugTrace }
+// Resolve the optional `network` param (body or query; registry name or chain ID).
+// Returns { network } — null when omitted — or { error } for an unknown network.
+function networkParam(req) {
+  const raw = (req.body && req.body.network) || (req.query && req.query.network) || null
+  if (!raw) return { network: null }
+  const net = getNetwork(raw)
+  if (!net) return { error: `Unknown network: ${raw}. See GET /networks` }
+  return { network: net.name }
 }
 
+// List registry networks (RPC URLs omitted) and which ones are configured
+app.get('/networks', (req, res) => {
+  res.json({
+    defaultNetwork: DEFAULT_NETWORK,
+    networks: listNetworks().map(describeNetwork)
+  })
+})
+
 app.post('/analyze', async (req, res) => {
   try {
     const { txHash, sessionId } = req.body
     if (!txHash) return res.status(400).json({ error: 'txHash required' })
-
-    const start = Date.now()
-    const rpcTimings = {}
-
-    // Notify session subscribers that analysis started
-    if (sessionId) {
-      recordEvent(sessionId, 'analysis_started', {
-        txHash,
-        timestamp: new Date().toISOString(),
-        totalSteps: 8
-      })
-      broadcastToSession(sessionId, {
-        type: 'analysis_started',
-        txHash,
-        totalSteps: 8
-      })
-    }
-
-    // Step 1: Detect L1 vs L2
-    const t_find = Date.now()
-    const detection = await findTxOnProviders(txHash)
-    rpcTimings.findTxOnProvidersMs = Date.now() - t_find
-
-    if (sessionId) {
-      recordEvent(sessionId, 'step_completed', { step: 1, description: 'Detected transaction location' })
-      broadcastToSession(sessionId, {
-        type: 'step_completed',
-        step: 1,
-        description: 'Detected transaction location',
-        data: { isL1: !!detection.l1Receipt, isL2: !!detection.l2Receipt }
-      })
-    }
-
-    // Step 2-4: Parallelize independent RPC calls with 5-second timeout per call
-    const t_parallel = Date.now()
-    
-    // Setup parallel promises with timeout guards
-    const timeoutPromise = (promise, ms, label) => Promise.race([
-      promise,
-      new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timeout`)), ms))
-    ]).catch(err => {
-      console.warn(`⚠️ ${label} failed or timed out:`, err.message)
-      return null
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ error: networkError })
+
+    const responseData = await analyzeTransaction(txHash, {
+      network,
+      getAbis: abisForRevertDecoding,
+      // Mirror progress into the shareable session (if one was given)
+      onProgress: sessionId ? (type, payload) => {
+        recordEvent(sessionId, type, payload)
+        broadcastToSession(sessionId, { type, ...payload })
+      } : null
     })
-
-    const [l1Logs, l2TraceInfoResult, gasPriceHistoryResult] = await Promise.all([
-      timeoutPromise(
-        detection.l1Receipt ? fetchL1Logs(detection.l1Receipt) : Promise.resolve(null),
-        5000,
-        'fetchL1Logs'
-      ),
-      timeoutPromise(
-        detection.l2Receipt ? fetchL2TraceInfo(detection.l2Receipt.transactionHash) : Promise.resolve(null),
-        5000,
-        'fetchL2TraceInfo'
-      ),
-      timeoutPromise(
-        fetchL2GasPriceHistory(50), // Reduced from 100 to 50 blocks for speed
-        3000,
-        'fetchL2GasPriceHistory'
-      )
-    ])
-
-    rpcTimings.parallelCallsMs = Date.now() - t_parallel
-    const retryables = detection.l1Receipt && l1Logs ? findRetryableCreationLogs(l1Logs, detection.l1Receipt) : []
-    const l2TraceInfo = l2TraceInfoResult
-    const gasPriceHistory = gasPriceHistoryResult
-
-    if (sessionId) {
-      recordEvent(sessionId, 'step_completed', { step: 2, description: 'Fetched logs and trace data' })
-      broadcastToSession(sessionId, {
-        type: 'step_completed',
-        step: 2,
-        description: 'Fetched logs and trace data',
-        data: { retryablesFound: retryables.length, hasTrace: !!l2TraceInfo }
-      })
-    }
-
-    // Step 3: If we found a retryable, attempt to find L2 tx (parallelized with lifecycle lookup)
-    let l2Search = null
-    let retryableLifecycleNew = null
-    const retryableForParallel = retryables[0] || null
-    
-    if (retryableForParallel) {
-      const [l2SearchResult, lifecycleResult] = await Promise.all([
-        timeoutPromise(
-          findL2TransactionFromRetryable(retryableForParallel, 100),
-          3000,
-          'findL2TransactionFromRetryable'
-        ),
-        timeoutPromise(
-          (async () => {
-            try {
-              const indexerResult = await findRetryableLifecycleViaIndexer(detection.txHash)
-              if (indexerResult.ok && indexerResult.tickets && indexerResult.tickets.length > 0) {
-                return { ok: true, events: [], indexerTickets: indexerResult.tickets }
-              }
-              return await findRetryableLifecycle(retryableForParallel.ticketId, 400)
-            } catch (e) {
-              return null
-            }
-          })(),
-          4000,
-          'findRetryableLifecycle'
-        )
-      ])
-      l2Search = l2SearchResult
-      retryableLifecycleNew = lifecycleResult
-
-      if (sessionId) {
-        recordEvent(sessionId, 'step_completed', { step: 3, description: 'Analyzed retryable ticket' })
-        broadcastToSession(sessionId, {
-          type: 'step_completed',
-          step: 3,
-          description: 'Analyzed retryable ticket',
-          data: { found: !!l2Search?.found }
-        })
-      }
-    }
-
-    // Step 5: Classify failures (detailed)
-    // Use already-fetched retryable and lifecycle from parallel execution in Step 3
-    const retryable = retryables[0] || null
-    // If parallel execution found lifecycle, use it; otherwise use null
-    const retryableLifecycle = retryableLifecycleNew
-    const failureDetailsObj = await classifyFailureDetailed(detection, retryable, l2TraceInfo, retryableLifecycle, rpcTimings)
-    const failureDetails = failureDetailsObj.result
-    const debugTrace = failureDetailsObj.debugTrace
-    const failureHints = failureDetails.hints
-
-    // Step 5b: Detect Stylus (WASM) execution
-    const l2ReceiptForStylusDetection = detection.l2Receipt ? {
-      to: detection.l2Receipt.to,
-      status: detection.l2Receipt.status,
-      gasUsed: detection.l2Receipt.gasUsed,
-      gasLimit: detection.l2Receipt.gasLimit,
-      contractAddress: detection.l2Receipt.contractAddress
-    } : null
-    const stylusMarkers = detectStylusExecution(l2ReceiptForStylusDetection, l1Logs)
-    const stylusContext = extractWasmExecutionContext(l2ReceiptForStylusDetection, l1Logs)
-    
-    if (stylusMarkers && stylusMarkers.isWasmContract) {
-      const stylusFails = classifyStylusFailure(stylusMarkers, null, l2ReceiptForStylusDetection)
-      failureHints.push(...stylusFails)
-    }
-
-    // Step 6: Normalize trace into action graph
-    const actionGraph = normalizeTrace(detection, retryables, l2TraceInfo)
-    
-    // Add Stylus node if applicable
-    if (stylusMarkers && stylusMarkers.isWasmContract) {
-      const stylusNode = getStylusTimelineNode(stylusMarkers, stylusContext)
-      if (stylusNode) {
-        actionGraph.push({
-          id: actionGraph.length + 1,
-          timestamp: null,
-          action: stylusNode.action,
-          status: stylusContext?.status === 'failure' ? 'failed' : 'confirmed',
-          details: stylusNode.details
-        })
-      }
-    }
-
-
-    const timeline = buildTimeline(actionGraph, failureHints)
-
-    // Step 7: Analyze cross-chain causality if we have both L1 and L2 data with a retryable
-    let crossChainCausality = null
-    let causalGraph = null
-    if (retryable && detection.l2Receipt) {
-      try {
-        crossChainCausality = analyzeCrossChainCausality(
-          detection,
-          retryable,
-          detection.l2Receipt,
-          failureDetails.failureReason,
-          failureDetails.failureMessage
-        )
-        causalGraph = computeCausalGraph(detection, retryables, detection.l2Receipt)
-      } catch (e) {
-        // Causality analysis is optional; don't fail the entire response
-        console.error('Causality analysis error:', e.message)
-      }
-    }
-      // Return analysis
-      // Enrich receipts with block timestamps (parallelized with timeout)
-      try {
-        const { l1Provider, l2Provider } = getProviders()
-        await Promise.all([
-          (async () => {
-            if (detection.l1Receipt && detection.l1Receipt.blockNumber) {
-              try {
-                const b1 = await timeoutPromise(
-                  l1Provider.getBlock(detection.l1Receipt.blockNumber),
-                  2000,
-                  'L1 block fetch'
-                )
-                detection.l1Receipt.blockTimestamp = b1 ? b1.timestamp : null
-              } catch (e) {
-                // ignore
-              }
-            }
-          })(),
-          (async () => {
-            if (detection.l2Receipt && detection.l2Receipt.blockNumber) {
-              try {
-                const b2 = await timeoutPromise(
-                  l2Provider.getBlock(detection.l2Receipt.blockNumber),
-                  2000,
-                  'L2 block fetch'
-                )
-                detection.l2Receipt.blockTimestamp = b2 ? b2.timestamp : null
-              } catch (e) {
-                // ignore
-              }
-            }
-          })()
-        ])
-      } catch (e) {
-        // providers not available or error fetching blocks - continue
-      }
-
-    const responseData = {
-      txHash: detection.txHash,
-      foundOn: detection.foundOn,
-      failureAt: failureDetails.failureAt,
-      failureReason: failureDetails.failureReason,
-      failureMessage: failureDetails.failureMessage || null,
-      explanation: crossChainCausality && crossChainCausality.humanMessage ? crossChainCausality.humanMessage : (failureDetails.failureMessage || null),
-      timeline: timeline,
-      stylusMetadata: stylusMarkers,
-      crossChainCausality: crossChainCausality,
-      causalGraph: causalGraph,
-      rawData: {
-        // Full L1 Receipt (unfiltered)
-        l1Receipt: detection.l1Receipt ? {
-          transactionHash: detection.l1Receipt.transactionHash,
-          status: detection.l1Receipt.status,
-          blockNumber: detection.l1Receipt.blockNumber,
-          blockTimestamp: detection.l1Receipt.blockTimestamp || null,
-          // Extended fields for advanced verification
-          gasUsed: detection.l1Receipt.gasUsed ? detection.l1Receipt.gasUsed.toString() : null,
-          gasLimit: detection.l1Receipt.gasLimit ? detection.l1Receipt.gasLimit.toString() : null,
-          from: detection.l1Receipt.from,
-          to: detection.l1Receipt.to,
-          value: detection.l1Receipt.value ? detection.l1Receipt.value.toString() : null,
-          nonce: detection.l1Receipt.nonce,
-          contractAddress: detection.l1Receipt.contractAddress,
-          cumulativeGasUsed: detection.l1Receipt.cumulativeGasUsed ? detection.l1Receipt.cumulativeGasUsed.toString() : null,
-          effectiveGasPrice: detection.l1Receipt.effectiveGasPrice ? detection.l1Receipt.effectiveGasPrice.toString() : null,
-          logsCount: detection.l1Receipt.logs ? detection.l1Receipt.logs.length : 0,
-          type: detection.l1Receipt.type
-        } : null,
-        // Full L2 Receipt (unfiltered)
-        l2Receipt: detection.l2Receipt ? {
-          transactionHash: detection.l2Receipt.transactionHash,
-          status: detection.l2Receipt.status,
-          blockNumber: detection.l2Receipt.blockNumber,
-          blockTimestamp: detection.l2Receipt.blockTimestamp || null,
-          // Extended fields for advanced verification
-          gasUsed: detection.l2Receipt.gasUsed ? detection.l2Receipt.gasUsed.toString() : null,
-          gasLimit: detection.l2Receipt.gasLimit ? detection.l2Receipt.gasLimit.toString() : null,
-          from: detection.l2Receipt.from,
-          to: detection.l2Receipt.to,
-          value: detection.l2Receipt.value ? detection.l2Receipt.value.toString() : null,
-          nonce: detection.l2Receipt.nonce,
-          contractAddress: detection.l2Receipt.contractAddress,
-          cumulativeGasUsed: detection.l2Receipt.cumulativeGasUsed ? detection.l2Receipt.cumulativeGasUsed.toString() : null,
-          effectiveGasPrice: detection.l2Receipt.effectiveGasPrice ? detection.l2Receipt.effectiveGasPrice.toString() : null,
-          logsCount: detection.l2Receipt.logs ? detection.l2Receipt.logs.length : 0,
-          type: detection.l2Receipt.type
-        } : null,
-        // All L1 logs (not just retryable events)
-        l1Logs: l1Logs ? l1Logs.map((log, idx) => ({
-          logIndex: log.logIndex,
-          address: log.address,
-          topics: log.topics,
-          data: log.data,
-          transactionIndex: idx,
-          removed: false
-        })) : [],
-        // All L2 logs (if available)
-        l2Logs: detection.l2Receipt && detection.l2Receipt.logs ? detection.l2Receipt.logs.map((log) => ({
-          logIndex: log.logIndex,
-          address: log.address,
-          topics: log.topics,
-          data: log.data,
-          removed: false,
-          blockHash: detection.l2Receipt.blockHash
-        })) : [],
-        retryableTickets: retryables,
-        l2TraceInfo: l2TraceInfo,
-        // Debug trace if available
-        l2DebugTrace: l2TraceInfo && l2TraceInfo._debugTrace ? l2TraceInfo._debugTrace : null,
-        // Memory and storage access patterns from trace
-        traceAnalysis: debugTrace ? extractMemoryStorageAccess(debugTrace) : null,
-        // Historical gas price data for context
-        gasPriceHistory: gasPriceHistory
-      },
-      errors: detection.errors
-    }
-    // attach timing info so callers can assert <10s requirement
-    responseData.responseTimeMs = Date.now() - start
-    
-    // Record this analysis in pattern archive (async, don't block response)
-    try {
-      recordFailure({
-        l1TxHashPrefix: detection.txHash ? String(detection.txHash).slice(0, 10) : null,
-        l2TxHashPrefix: detection.l2Receipt ? String(detection.l2Receipt.transactionHash).slice(0, 10) : null,
-        contractAddressHash: detection.l2Receipt && detection.l2Receipt.to ? createHash('sha256').update(detection.l2Receipt.to).digest('hex').slice(0, 16) : null,
-        failureAt: failureDetails.failureAt,
-        failureReason: failureDetails.failureReason,
-        gasLimit: retryable ? parseInt(retryable.gasLimit) : null,
-        maxFeePerGas: retryable ? parseInt(retryable.maxFeePerGas) : null,
-        submissionCost: retryable ? parseInt(retryable.l2CallValue) : null,
-        revertReason: failureDetails.failureMessage,
-        isStylus: !!(stylusMarkers && stylusMarkers.isWasmContract),
-        panicCode: stylusMarkers ? stylusMarkers.panicCode : null,
-        callDataLength: retryable ? (retryable.data ? retryable.data.length : 0) : null
-      })
-    } catch (e) {
-      console.error('Error recording pattern:', e.message)
-      // Don't fail the main request
-    }
-    
-    // Notify session subscribers of analysis completion
-    if (sessionId) {
-      recordEvent(sessionId, 'analysis_completed', {
-        txHash,
-        failureReason: failureDetails ? failureDetails.failureReason : null,
-        responseTimeMs: Date.now() - start
-      })
-      broadcastToSession(sessionId, {
-        type: 'analysis_completed',
-        txHash,
-        failureReason: failureDetails ? failureDetails.failureReason : null,
-        responseTimeMs: Date.now() - start
-      })
-    }
-    
     return res.json(responseData)
   } catch (e) {
     // Notify session of analysis error
@@ -768,6 +267,83 @@ app.post('/analyze', async (req, res) => {
   }
 })
 
+// Batch analysis: one shared limiter so concurrent batches can't flood the RPC providers
+const BATCH_MAX_HASHES = Number(process.env.ANALYZE_BATCH_MAX || 500)
+const batchLimiter = createConcurrencyLimiter(Number(process.env.ANALYZE_BATCH_CONCURRENCY || 4))
+
+/**
+ * POST /analyze/batch
+ * Analyze many tx hashes with the same pipeline as /analyze.
+ *
+ * Input: { txHashes: ["0x...", ...], full?: boolean, network?: string }
+ * Without `network`, each hash is auto-detected across the configured networks.
+ * Output (application/x-ndjson): one { type: 'result' } line per hash as it completes,
+ * then a final { type: 'summary' } line grouping failures by failureAt/failureReason.
+ */
+app.post('/analyze/batch', createBatchHandler({
+  analyze: (txHash, network) => analyzeTransaction(txHash, { network, getAbis: abisForRevertDecoding }),
+  limiter: batchLimiter,
+  maxHashes: BATCH_MAX_HASHES,
+  resolveNetwork: networkParam
+}))
+
+/**
+ * GET /address/:addr/failures
+ * Retryables created by or targeting an address, with their state and failed redeem
+ * attempts (from the indexer, any range), plus its reverted non-retryable L2 txs in an
+ * L2 block range, each classified with the /analyze pipeline.
+ *
+ * Query: network?, fromBlock?, toBlock? (non-retryable L2 scan, default last 500 blocks),
+ *        l1FromBlock?, l1ToBlock? (ticket creation), onlyFailed?, limit? (pipeline runs, default 50)
+ */
+app.get('/address/:addr/failures', async (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const { fromBlock, toBlock, l1FromBlock, l1ToBlock, onlyFailed, limit } = req.query
+    const num = (v) => (v !== undefined && v !== '' ? Number(v) : null)
+    const net = network || DEFAULT_NETWORK
+    const result = await addressFailureHistory(req.params.addr, {
+      network: net,
+      fromBlock: num(fromBlock),
+      toBlock: num(toBlock),
+      l1FromBlock: num(l1FromBlock),
+      l1ToBlock: num(l1ToBlock),
+      onlyFailed: onlyFailed === 'true' || onlyFailed === '1',
+      limit: Math.min(num(limit) || 50, BATCH_MAX_HASHES),
+      analyze: (txHash) => analyzeTransaction(txHash, { network: net, getAbis: abisForRevertDecoding }),
+      limiter: batchLimiter
+    })
+    if (!result.ok) return res.status(400).json(result)
+    return res.json(result)
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+/**
+ * POST /replay
+ * Re-execute an L2 tx on a local anvil fork at its parent block, with optional overrides.
+ *
+ * Input: { txHash, network?, overrides?: { gasLimit?, data?, value?, from? } }
+ * Output: { ok, result: { success, gasUsed, revert }, comparison: { fixed, verifiedGasLimit, ... } }
+ */
+app.post('/replay', async (req, res) => {
+  try {
+    const { txHash, overrides = {} } = req.body
+    if (!txHash) return res.status(400).json({ ok: false, error: 'txHash required' })
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const overrideErrors = validateOverrides(overrides)
+    if (overrideErrors.length > 0) return res.status(400).json({ ok: false, error: overrideErrors.join('; ') })
+    const result = await replayTransaction(txHash, { network: network || DEFAULT_NETWORK, overrides, getAbis: abisForRevertDecoding })
+    if (!result.ok) return res.status(400).json(result)
+    return res.json(result)
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
 app.get('/', (req, res) => res.send('Arbitrum Debugger MVP backend'))
 
 // Endpoint to run indexer for a block range (optional)
@@ -777,13 +353,85 @@ app.post('/indexer/run', async (req, res) => {
     if (typeof startBlock !== 'number' || typeof endBlock !== 'number') {
       return res.status(400).json({ error: 'startBlock and endBlock (numbers) required' })
     }
-    const result = await indexer.indexRange(startBlock, endBlock)
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ error: networkError })
+    const result = await indexer.indexRange(startBlock, endBlock, network || DEFAULT_NETWORK)
     return res.json({ success: true, result })
   } catch (e) {
     return res.status(500).json({ error: e.message })
   }
 })
 
+/**
+ * Backfill jobs: large historical ranges indexed in chunks in the background.
+ *
+ * POST /indexer/jobs { startBlock, endBlock, layer?: 'L1'|'L2', chunkSize?, concurrency?, network? } → 202
+ * GET /indexer/jobs, GET /indexer/jobs/:id → per-job progress, throughput and chunk errors
+ * POST /indexer/jobs/:id/cancel, POST /indexer/jobs/:id/resume (re-queues failed chunks)
+ */
+app.post('/indexer/jobs', (req, res) => {
+  try {
+    const { startBlock, endBlock, layer, chunkSize, concurrency } = req.body || {}
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const created = backfillJobs.createBackfillJob({
+      network: network || DEFAULT_NETWORK,
+      layer: layer || 'L1',
+      startBlock,
+      endBlock,
+      chunkSize: chunkSize !== undefined ? chunkSize : backfillJobs.DEFAULT_CHUNK_SIZE,
+      concurrency: concurrency !== undefined ? concurrency : 2
+    })
+    if (!created.ok) return res.status(400).json(created)
+    backfillJobs.startBackfillJob(created.job.id)
+    return res.status(202).json({ ok: true, job: backfillJobs.getJobProgress(created.job.id) })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+app.get('/indexer/jobs', (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500)
+    return res.json({ ok: true, jobs: backfillJobs.listJobs({ limit }) })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+app.get('/indexer/jobs/:id', (req, res) => {
+  try {
+    const job = backfillJobs.getJobProgress(Number(req.params.id))
+    if (!job) return res.status(404).json({ ok: false, error: `No backfill job ${req.params.id}` })
+    return res.json({ ok: true, job })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+app.post('/indexer/jobs/:id/cancel', (req, res) => {
+  try {
+    const result = backfillJobs.cancelBackfillJob(Number(req.params.id))
+    if (!result.ok) return res.status(404).json(result)
+    return res.json(result)
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+app.post('/indexer/jobs/:id/resume', (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!backfillJobs.getJobProgress(id)) return res.status(404).json({ ok: false, error: `No backfill job ${req.params.id}` })
+    // Exists but already running or canceled
+    const result = backfillJobs.resumeBackfillJob(id)
+    if (!result.ok) return res.status(409).json(result)
+    return res.json(result)
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
 // Simple SSE mempool relay. Requires ARBITRUM_WS_URL in env to subscribe to pending
 const sseClients = new Set()
 let wsProvider = null
@@ -895,9 +543,12 @@ app.get('/mempool/stream', (req, res) => {
 // Server status endpoint for admin/debug panel
 app.get('/status', async (req, res) => {
   try {
-    const indexerStats = (indexer && typeof indexer.stats === 'function') ? indexer.stats() : { count: 0, last_block: null }
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const indexerStats = (indexer && typeof indexer.stats === 'function') ? indexer.stats(network) : { count: 0, last_block: null }
     const abiStats = (abiCache && typeof abiCache.stats === 'function') ? abiCache.stats() : { count: 0 }
-    return res.json({ ok: true, sseClientCount: sseClients.size, wsUrlPresent: !!process.env.ARBITRUM_WS_URL, wsConnected, indexer: indexerStats, abiCache: abiStats })
+    const networks = listNetworks({ configuredOnly: true }).map(n => n.name)
+    return res.json({ ok: true, sseClientCount: sseClients.size, wsUrlPresent: !!process.env.ARBITRUM_WS_URL, wsConnected, network: network || 'all', networks, indexer: indexerStats, abiCache: abiStats })
   } catch (e) {
     return res.status(500).json({ ok: false, error: e.message })
   }
@@ -908,27 +559,237 @@ app.get('/indexer/ticket/:ticketId', async (req, res) => {
   try {
     const ticketId = req.params.ticketId
     if (!ticketId) return res.status(400).json({ ok: false, error: 'ticketId required' })
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
     const { default: indexerModule } = await import('./indexer.js')
-    const ticket = indexerModule.getTicket ? indexerModule.getTicket(ticketId) : null
-    const mapping = indexerModule.findL2ForTicket ? indexerModule.findL2ForTicket(ticketId) : null
+    const ticket = indexerModule.getTicket ? indexerModule.getTicket(ticketId, network) : null
+    const mapping = indexerModule.findL2ForTicket ? indexerModule.findL2ForTicket(ticketId, network) : null
     return res.json({ ok: true, ticket, mapping })
   } catch (e) {
     return res.status(500).json({ ok: false, error: e.message })
   }
 })
 
+/*
+ * Watchlist: the indexer worker stores alerts for watched addresses (and calls their
+ * webhooks); the server relays new alerts to SSE and WebSocket subscribers.
+ */
+const WATCHLIST_POLL_MS = Number(process.env.WATCHLIST_POLL_MS || 5000)
+const watchlistSseClients = new Set()
+const watchlistWsClients = new Set()
+let lastWatchlistAlertId = watchlist.latestAlertId()
+
+setInterval(() => {
+  try {
+    const alerts = watchlist.listAlerts({ sinceId: lastWatchlistAlertId, limit: 500 })
+    for (const alert of alerts) {
+      lastWatchlistAlertId = Math.max(lastWatchlistAlertId, alert.id)
+      for (const client of Array.from(watchlistSseClients)) {
+        try { client.write(`event: alert\ndata: ${JSON.stringify(alert)}\n\n`) } catch (e) { watchlistSseClients.delete(client) }
+      }
+      for (const ws of Array.from(watchlistWsClients)) {
+        if (ws.readyState !== 1) { watchlistWsClients.delete(ws); continue }
+        ws.send(JSON.stringify({ type: 'watchlist_alert', alert }))
+      }
+    }
+  } catch (e) {
+    console.warn('Watchlist poll error', e.message)
+  }
+}, WATCHLIST_POLL_MS).unref()
+
+/**
+ * POST /watchlist
+ * Input: { address, kind: 'CONTRACT' | 'CREATOR', network?, webhookUrl?, label? }
+ * CONTRACT matches the retryable's L2 destination, CREATOR its L1 sender.
+ */
+app.post('/watchlist', (req, res) => {
+  try {
+    const { address, kind, webhookUrl, label } = req.body || {}
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const result = watchlist.addWatch({ address, kind, network, webhookUrl, label })
+    if (!result.ok) return res.status(400).json(result)
+    return res.status(result.created ? 201 : 200).json(result)
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+app.get('/watchlist', (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    return res.json({ ok: true, watches: watchlist.listWatches(network) })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+app.delete('/watchlist/:id', (req, res) => {
+  try {
+    const removed = watchlist.removeWatch(Number(req.params.id))
+    if (!removed) return res.status(404).json({ ok: false, error: 'Watch not found' })
+    return res.json({ ok: true })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+// GET /watchlist/alerts?sinceId=&limit=&network=
+app.get('/watchlist/alerts', (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const sinceId = Number(req.query.sinceId || 0)
+    const limit = Math.min(Number(req.query.limit || 100), 500)
+    return res.json({ ok: true, alerts: watchlist.listAlerts({ sinceId, limit, network }) })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+// SSE stream of new alerts (`event: alert`); ?sinceId= replays stored alerts first
+app.get('/watchlist/alerts/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+  res.write('\n')
+  if (req.query.sinceId !== undefined) {
+    for (const alert of watchlist.listAlerts({ sinceId: Number(req.query.sinceId), limit: 500 })) {
+      if (alert.id <= lastWatchlistAlertId) res.write(`event: alert\ndata: ${JSON.stringify(alert)}\n\n`)
+    }
+  }
+  watchlistSseClients.add(res)
+  req.on('close', () => {
+    watchlistSseClients.delete(res)
+  })
+})
+
 app.get('/indexer/stylus/:txHash', async (req, res) => {
   try {
     const tx = req.params.txHash
     if (!tx) return res.status(400).json({ ok: false, error: 'txHash required' })
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
     const { getStylusMeta } = await import('./indexer.js')
-    const meta = getStylusMeta ? getStylusMeta(tx) : null
+    const meta = getStylusMeta ? getStylusMeta(tx, network) : null
     return res.json({ ok: true, meta })
   } catch (e) {
     return res.status(500).json({ ok: false, error: e.message })
   }
 })
 
+/*
+ * Bridge events from the indexer, for correlating deposits, batches and
+ * withdrawals offline. Lists take network?, limit? (max 500) plus the filters below.
+ */
+function indexerQueryLimit(req) {
+  return Math.min(Number(req.query.limit) || 100, 500)
+}
+
+function optionalInt(value) {
+  if (value === undefined || value === '') return { value: null }
+  const n = Number(value)
+  return Number.isInteger(n) && n >= 0 ? { value: n } : { error: `Not a block/index number: ${value}` }
+}
+
+// Query: sender?, kind?, l1TxHash?, fromBlock?, toBlock? (L1 blocks)
+app.get('/indexer/messages', (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const { sender, l1TxHash } = req.query
+    if (sender && !isAddress(sender)) return res.status(400).json({ ok: false, error: 'sender must be an address' })
+    const kind = optionalInt(req.query.kind)
+    const fromBlock = optionalInt(req.query.fromBlock)
+    const toBlock = optionalInt(req.query.toBlock)
+    const badParam = [kind, fromBlock, toBlock].find(p => p.error)
+    if (badParam) return res.status(400).json({ ok: false, error: badParam.error })
+    const messages = indexer.findDelayedMessages({ network, sender: sender || null, kind: kind.value, l1TxHash: l1TxHash || null, fromBlock: fromBlock.value, toBlock: toBlock.value, limit: indexerQueryLimit(req) })
+    return res.json({ ok: true, messages })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+app.get('/indexer/messages/:index', (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const index = optionalInt(req.params.index)
+    if (index.error) return res.status(400).json({ ok: false, error: index.error })
+    const message = indexer.getDelayedMessage(index.value, network || DEFAULT_NETWORK)
+    if (!message) return res.status(404).json({ ok: false, error: `Delayed message ${req.params.index} not indexed` })
+    return res.json({ ok: true, message })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+// Query: fromBlock?, toBlock? (L1 blocks)
+app.get('/indexer/batches', (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const fromBlock = optionalInt(req.query.fromBlock)
+    const toBlock = optionalInt(req.query.toBlock)
+    const badParam = [fromBlock, toBlock].find(p => p.error)
+    if (badParam) return res.status(400).json({ ok: false, error: badParam.error })
+    const batches = indexer.findSequencerBatches({ network, fromBlock: fromBlock.value, toBlock: toBlock.value, limit: indexerQueryLimit(req) })
+    return res.json({ ok: true, batches })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+app.get('/indexer/batches/:batchIndex', (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const batchIndex = optionalInt(req.params.batchIndex)
+    if (batchIndex.error) return res.status(400).json({ ok: false, error: batchIndex.error })
+    const batch = indexer.getSequencerBatch(batchIndex.value, network || DEFAULT_NETWORK)
+    if (!batch) return res.status(404).json({ ok: false, error: `Batch ${req.params.batchIndex} not indexed` })
+    return res.json({ ok: true, batch })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+// Query: address? (caller or destination), l2TxHash?
+app.get('/indexer/withdrawals', (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const { address, l2TxHash } = req.query
+    if (address && !isAddress(address)) return res.status(400).json({ ok: false, error: 'address must be an address' })
+    const withdrawals = indexer.findL2ToL1Messages({ network, address: address || null, l2TxHash: l2TxHash || null, limit: indexerQueryLimit(req) })
+    return res.json({ ok: true, withdrawals })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+// Ticket ID as hex (bytes32) or decimal
+app.get('/indexer/redeems/:ticketId', (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    let ticketId
+    try {
+      ticketId = BigInt(req.params.ticketId).toString()
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: `Invalid ticket ID: ${req.params.ticketId}` })
+    }
+    const events = indexer.findRedeemEvents(ticketId, network)
+    return res.json({ ok: true, ticketId, ticket: indexer.getTicket(ticketId, network) || null, ...events })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
 // Persistent admin TODOs (simple JSON file)
 const TODOS_PATH = path.join(process.cwd(), 'data', 'frontend_todos.json')
 
@@ -1179,7 +1040,9 @@ app.post('/abi/decode', async (req, res) => {
 })
 
 // Compute retryable lifecycle details with educational information
-function computeRetryableLifecycle(ticket, lifecycleEvents) {
+// `resolved` is resolveRetryableTicket() output (exact auto/manual redeem attempts);
+// `probe` is probeRetryableTicket() output (live ArbRetryableTx state: timeout, beneficiary, lifetime)
+function computeRetryableLifecycle(ticket, resolved, probe = null) {
   const createdAtMs = ticket ? (ticket.created_at || Date.now()) : Date.now()
   const createdAtSec = Math.floor(createdAtMs / 1000)
   const now = Math.floor(Date.now() / 1000)
@@ -1189,10 +1052,10 @@ function computeRetryableLifecycle(ticket, lifecycleEvents) {
   const autoRedeemDeadline = createdAtSec + autoRedeemWindowSec
   const autoRedeemExpired = now > autoRedeemDeadline
 
-  // Manual redeem window: 7 days (604800 seconds) from creation
-  const manualRedeemWindowSec = 7 * 86400
-  const manualRedeemDeadline = createdAtSec + manualRedeemWindowSec
-  const manualRedeemExpired = now > manualRedeemDeadline
+  // Manual redeem window: the precompile's timeout when the ticket still exists,
+  // otherwise getLifetime() from creation (7 days if the precompile is unreachable)
+  const manualRedeemWindowSec = probe && probe.lifetimeSec ? probe.lifetimeSec : 7 * 86400
+  const manualRedeemDeadline = probe && probe.exists ? probe.timeout : createdAtSec + manualRedeemWindowSec
 
   // Parse lifecycle events
   let autoRedeemAttempted = false
@@ -1201,23 +1064,26 @@ function computeRetryableLifecycle(ticket, lifecycleEvents) {
   let manualRedeemSucceeded = false
   let extendedCount = 0
 
-  if (lifecycleEvents && Array.isArray(lifecycleEvents.events)) {
-    for (const event of lifecycleEvents.events) {
-      if (event.name === 'Redeemed') {
-        const blockDelta = event.blockNumber - (ticket ? ticket.block_number : 0)
-        if (blockDelta <= 50) {
-          autoRedeemAttempted = true
-          autoRedeemSucceeded = true
-        } else {
-          manualRedeemAttempted = true
-          manualRedeemSucceeded = true
-        }
-      }
-      if (event.name === 'LifetimeExtended') {
-        extendedCount++
-      }
+  let canceled = false
+  const redeemAttempts = resolved && resolved.ok ? resolved.redeemAttempts : []
+
+  for (const attempt of redeemAttempts) {
+    if (attempt.kind === 'AUTO') {
+      autoRedeemAttempted = true
+      autoRedeemSucceeded = autoRedeemSucceeded || attempt.status === 1
+    } else {
+      manualRedeemAttempted = true
+      manualRedeemSucceeded = manualRedeemSucceeded || attempt.status === 1
     }
   }
+  if (resolved && resolved.ok) {
+    extendedCount = resolved.lifetimeExtensions
+    canceled = !!resolved.canceled
+  }
+
+  const status = chainTicketStatus(probe, resolved, now)
+  const manualRedeemExpired = status === 'EXPIRED'
+  const redeemable = status === 'PENDING'
 
   return {
     createdAt: createdAtMs,
@@ -1232,11 +1098,22 @@ function computeRetryableLifecycle(ticket, lifecycleEvents) {
     manualRedeemAttempted,
     manualRedeemSucceeded,
     lifetimeExtensions: extendedCount,
-    status: manualRedeemExpired ? 'EXPIRED' : (manualRedeemSucceeded ? 'REDEEMED' : (autoRedeemSucceeded ? 'AUTO_REDEEMED' : 'PENDING')),
+    canceled,
+    submitTxHash: resolved && resolved.ok ? resolved.submitTxHash : null,
+    redeemAttempts,
+    // Live precompile state
+    ticketExists: probe ? probe.exists : null,
+    timeout: probe ? probe.timeout : null,
+    expiresAt: probe ? probe.expiresAt : null,
+    secondsUntilExpiry: probe ? probe.secondsUntilExpiry : null,
+    beneficiary: probe ? probe.beneficiary : null,
+    probeError: probe ? probe.error : null,
+    status,
+    redeemedBy: manualRedeemSucceeded ? 'MANUAL' : (autoRedeemSucceeded ? 'AUTO' : null),
     educationalNotes: {
-      autoRedeem: autoRedeemSucceeded ? '✅ Auto-redeem succeeded within 1 hour' : (autoRedeemExpired ? '❌ Auto-redeem window expired' : '⏳ Auto-redeem possible (within 1 hour)'),
-      manualRedeem: manualRedeemSucceeded ? '✅ Manually redeemed' : (manualRedeemExpired ? '❌ Ticket expired - unclaimable' : '⏳ Can be manually redeemed (7 day window)'),
-      whoCanRedeem: !manualRedeemSucceeded && !manualRedeemExpired ? 'Anyone (originally beneficiary address, then anyone after auto-redeem window)' : 'N/A',
+      autoRedeem: autoRedeemSucceeded ? '✅ Auto-redeem succeeded' : (autoRedeemAttempted ? '❌ Auto-redeem reverted' : (autoRedeemExpired ? '❌ Auto-redeem window expired' : '⏳ Auto-redeem possible (within 1 hour)')),
+      manualRedeem: manualRedeemSucceeded ? '✅ Manually redeemed' : (manualRedeemExpired ? '❌ Ticket expired - unclaimable' : (redeemable ? `⏳ Can be manually redeemed until ${probe.expiresAt}` : (canceled ? '❌ Ticket canceled by beneficiary' : 'Ticket state unknown'))),
+      whoCanRedeem: redeemable ? `Anyone can redeem; only the beneficiary (${probe.beneficiary}) can cancel` : 'N/A',
       expiryWarning: manualRedeemExpired ? '⚠️ Ticket has expired. All funds lost unless refund address claimed within grace period.' : null
     }
   }
@@ -1247,16 +1124,22 @@ app.get('/retryable/search', async (req, res) => {
   try {
     const tx = req.query.tx
     if (!tx) return res.status(400).json({ ok: false, error: 'tx query parameter required' })
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
     try {
       const indexerModule = indexer
       if (!indexerModule) return res.json({ ok: false, tickets: [] })
-      const list = indexerModule.findByL1Tx ? indexerModule.findByL1Tx(tx) : []
+      const list = indexerModule.findByL1Tx ? indexerModule.findByL1Tx(tx, network) : []
       
-      // Enhance each ticket with lifecycle details
+      // Enhance each ticket with lifecycle details (from the ticket's own network)
       const enhanced = await Promise.all(list.map(async (ticket) => {
         try {
-          const lifecycle = await findRetryableLifecycle(ticket.ticket_id, 800)
-          const details = computeRetryableLifecycle(ticket, lifecycle)
+          const ticketNetwork = ticket.network || DEFAULT_NETWORK
+          const [resolved, probe] = await Promise.all([
+            resolveRetryableTicket(ticket.ticket_id, { network: ticketNetwork }),
+            probeRetryableTicket(ticket.ticket_id, { network: ticketNetwork })
+          ])
+          const details = computeRetryableLifecycle(ticket, resolved, probe)
           return { ...ticket, lifecycle: details }
         } catch (e) {
           return { ...ticket, lifecycle: { status: 'UNKNOWN', error: e.message } }
@@ -1272,6 +1155,41 @@ app.get('/retryable/search', async (req, res) => {
   }
 })
 
+// Unsigned redeem / keepalive / cancel payloads for a stuck ticket, with gas
+// estimates and eth_call-simulated outcomes ("rescue this ticket" panel)
+app.get('/retryable/rescue', async (req, res) => {
+  try {
+    const ticket = req.query.ticket
+    if (!ticket) return res.status(400).json({ ok: false, error: 'ticket query parameter required' })
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const result = await buildRescueTransactions(ticket, { network: network || DEFAULT_NETWORK, from: req.query.from || null })
+    if (!result.ok) return res.status(400).json(result)
+    return res.json(result)
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+// Unredeemed tickets whose timeout falls within the next `withinHours`, confirmed
+// through the ArbRetryableTx precompile (see expiryScanner.js)
+app.get('/retryable/expiring', async (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const withinHours = req.query.withinHours !== undefined ? Number(req.query.withinHours) : DEFAULT_EXPIRY_WINDOW_HOURS
+    if (!Number.isFinite(withinHours) || withinHours <= 0 || withinHours > RETRYABLE_LIFETIME_SECONDS / 3600) {
+      return res.status(400).json({ ok: false, error: `withinHours must be between 0 and ${RETRYABLE_LIFETIME_SECONDS / 3600}` })
+    }
+    const limit = req.query.limit !== undefined ? Math.min(Number(req.query.limit) || EXPIRY_SCAN_LIMIT, EXPIRY_SCAN_LIMIT) : EXPIRY_SCAN_LIMIT
+    const result = await scanExpiringTickets({ network: network || DEFAULT_NETWORK, withinHours, limit })
+    if (!result.ok) return res.status(500).json(result)
+    return res.json(result)
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
 // ============ ABI Management Endpoints ============
 
 // Upload or update a contract ABI for an address
@@ -1366,25 +1284,30 @@ app.delete('/abi/:address', (req, res) => {
  * POST /validate/pre-submit
  * Validate retryable parameters and predict success probability
  * 
- * Input: {contractAddress, gasLimit, maxFeePerGas, submissionCost, callDataLength}
- * Output: Success probability + risks + suggestions
+ * Input: {contractAddress, gasLimit, maxFeePerGas, submissionCost, callDataLength, l1BaseFee?}
+ * Output: Success probability + risks + suggestions (submission cost is checked against
+ * Inbox.calculateRetryableSubmissionFee at the current or given L1 base fee)
  */
 app.post('/validate/pre-submit', async (req, res) => {
   try {
-    const { contractAddress, contractBytecodeHash, gasLimit, maxFeePerGas, submissionCost, callDataLength, functionName } = req.body
+    const { contractAddress, contractBytecodeHash, gasLimit, maxFeePerGas, submissionCost, callDataLength, functionName, l1BaseFee } = req.body
     
     if (!gasLimit || !maxFeePerGas) {
       return res.status(400).json({ error: 'gasLimit and maxFeePerGas required' })
     }
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ error: networkError })
     
     const validationResult = await validatePreSubmission({
+      network: network || DEFAULT_NETWORK,
       contractAddress,
       contractBytecodeHash,
       gasLimit: parseInt(gasLimit),
       maxFeePerGas: parseInt(maxFeePerGas),
       submissionCost: submissionCost ? parseInt(submissionCost) : 0,
       callDataLength: callDataLength ? parseInt(callDataLength) : 0,
-      functionName: functionName || 'unknown'
+      functionName: functionName || 'unknown',
+      l1BaseFee: l1BaseFee || null
     })
     
     return res.json({
@@ -1431,6 +1354,30 @@ app.post('/validate/estimate-gas', (req, res) => {
   }
 })
 
+/**
+ * POST /validate/estimate-deposit
+ * Recommend a complete retryable parameter set (SDK ParentToChildMessageGasEstimator equivalent)
+ *
+ * Input: {to, data, l2CallValue, from, excessFeeRefundAddress?, callValueRefundAddress?, contractType?,
+ *         buffers?: {submissionFeePct, gasLimitPct, maxFeePerGasPct}, network?}
+ * Output: {params: {maxSubmissionCost, gasLimit, maxFeePerGas, deposit, ...}, estimates, buffers, validation}
+ */
+app.post('/validate/estimate-deposit', async (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const result = await estimateDeposit({ ...req.body, network: network || DEFAULT_NETWORK })
+    if (!result.ok) return res.status(400).json(result)
+    return res.json({
+      ...result,
+      recommendations: result.validation ? getDetailedRecommendations(result.validation) : []
+    })
+  } catch (e) {
+    console.error('Error estimating deposit:', e)
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
 /**
  * GET /validate/check-parameters
  * Quick validation of single parameter
@@ -1444,6 +1391,8 @@ app.get('/validate/check-parameters', async (req, res) => {
     if (!type || !value) {
       return res.status(400).json({ error: 'type and value required' })
     }
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ error: networkError })
     
     let assessment = { parameter: type, value: value, status: 'unknown' }
     
@@ -1470,7 +1419,7 @@ app.get('/validate/check-parameters', async (req, res) => {
       case 'max_fee':
         try {
           const feeNum = parseInt(value)
-          const baseFee = await computeL2BaseFeeAverage(10)
+          const baseFee = await computeL2BaseFeeAverage(10, null, network || DEFAULT_NETWORK)
           if (baseFee) {
             const baseFeeNum = BigInt(baseFee)
             const userFee = BigInt(feeNum)
@@ -1603,6 +1552,8 @@ app.post('/patterns/record', createLimiter, (req, res) => {
     if (!failureReason || typeof failureReason !== 'string') {
       return res.status(400).json({ error: 'failureReason required' })
     }
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ error: networkError })
 
     // Basic sanitization/truncation to avoid excessive storage
     const safeTxHash = String(txHash).slice(0, 256)
@@ -1625,7 +1576,8 @@ app.post('/patterns/record', createLimiter, (req, res) => {
       revertReason: revertReason ? String(revertReason).slice(0, 512) : null,
       isStylus: !!isStylus,
       panicCode: panicCode ? String(panicCode).slice(0, 128) : null,
-      callDataLength: req.body.callDataLength ? parseInt(req.body.callDataLength) : null
+      callDataLength: req.body.callDataLength ? parseInt(req.body.callDataLength) : null,
+      network: network || DEFAULT_NETWORK
     })
     
     return res.json({
@@ -1652,23 +1604,28 @@ app.get('/patterns/similar/:contractAddress', (req, res) => {
   try {
     const { contractAddress } = req.params
     const { failureReason, gasLimit } = req.query
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ error: networkError })
     
     const contractHash = createHash('sha256').update(contractAddress).digest('hex').slice(0, 16)
     
     const similar = findSimilarFailures(contractHash, {
       failureReason,
-      gasLimit: gasLimit ? parseInt(gasLimit) : null
+      gasLimit: gasLimit ? parseInt(gasLimit) : null,
+      network
     })
     
     return res.json({
       ok: true,
       contract: contractAddress,
+      network: network || 'all',
       matchCount: similar.length,
       similar: similar.map(s => ({
         failureReason: s.failure_reason,
         gasLimit: s.gas_limit,
         maxFeePerGas: s.max_fee_per_gas,
         revertReason: s.revert_reason,
+        network: s.network,
         matchScore: (s.matchScore * 100).toFixed(1) + '%',
         fixedCount: s.fixedCount,
         recordedAt: s.created_at
@@ -1689,8 +1646,10 @@ app.get('/patterns/similar/:contractAddress', (req, res) => {
 app.get('/patterns/contract/:contractBytecodeHash', (req, res) => {
   try {
     const { contractBytecodeHash } = req.params
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ error: networkError })
     
-    const pattern = getFailurePattern(contractBytecodeHash)
+    const pattern = getFailurePattern(contractBytecodeHash, network)
     
     if (!pattern) {
       return res.json({
@@ -1758,10 +1717,14 @@ app.get('/patterns/risky', (req, res) => {
  */
 app.get('/patterns/stats', (req, res) => {
   try {
-    const stats = getArchiveStats()
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ error: networkError })
+    const stats = getArchiveStats(network)
     
     return res.json({
       ok: true,
+      network: stats.network,
+      byNetwork: stats.byNetwork,
       totalFailuresRecorded: stats.total_failures,
       uniqueContractsAffected: stats.unique_contracts,
       averageGasLimit: Math.round(stats.avg_gas_limit),
@@ -1898,6 +1861,17 @@ wss.on('connection', (ws, req) => {
           }))
           break
 
+        case 'watchlist_subscribe':
+          // Receive { type: 'watchlist_alert', alert } messages
+          watchlistWsClients.add(ws)
+          ws.send(JSON.stringify({ type: 'watchlist_subscribed' }))
+          break
+
+        case 'watchlist_unsubscribe':
+          watchlistWsClients.delete(ws)
+          ws.send(JSON.stringify({ type: 'watchlist_unsubscribed' }))
+          break
+
         case 'ping':
           // Keep-alive ping
           ws.send(JSON.stringify({ type: 'pong' }))
@@ -1917,6 +1891,7 @@ wss.on('connection', (ws, req) => {
 
   ws.on('close', () => {
     removeClient(ws)
+    watchlistWsClients.delete(ws)
     console.log(`✅ WebSocket client disconnected: ${clientId}`)
   })
 
@@ -1933,11 +1908,14 @@ wss.on('connection', (ws, req) => {
 app.post('/sessions/create', (req, res) => {
   try {
     const { creatorAddress, contractAddress, transactionHash, ttl } = req.body
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
 
     const sessionId = createSession({
       creatorAddress: creatorAddress || 'anonymous',
       contractAddress,
       transactionHash,
+      network: network || DEFAULT_NETWORK,
       ttl: ttl || 3600
     })
 
@@ -1981,7 +1959,9 @@ app.get('/sessions/:sessionId', (req, res) => {
 // List all active sessions (admin view)
 app.get('/sessions', (req, res) => {
   try {
-    const sessions = listActiveSessions()
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const sessions = listActiveSessions(network)
     const stats = getSessionStats()
 
     res.json({
@@ -2101,7 +2081,7 @@ app.get('/leaderboard/stats', (req, res) => {
  */
 
 // Task 8.1: Estimate optimal gas using ML
-app.post('/gas/estimate-optimal', (req, res) => {
+app.post('/gas/estimate-optimal', async (req, res) => {
   try {
     const {
       contractAddress,
@@ -2109,7 +2089,9 @@ app.post('/gas/estimate-optimal', (req, res) => {
       bytecode,
       calldata,
       networkBaseFee,
-      gasUsedInFailure
+      gasUsedInFailure,
+      posterGasInFailure,
+      measure
     } = req.body
 
     if (!contractAddress) {
@@ -2118,6 +2100,25 @@ app.post('/gas/estimate-optimal', (req, res) => {
         error: 'contractAddress required'
       })
     }
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+
+    // Optional: measure the real threshold first ({ data, from, value, blockTag, aliasSender, marginPct })
+    let measuredMinimum = null
+    if (measure) {
+      measuredMinimum = await findMinimumGas({ ...measure, to: contractAddress, network: network || DEFAULT_NETWORK })
+    }
+
+    // L1 poster gas for this calldata at current ArbGasInfo prices; skipped when the node can't answer
+    let posterGas = req.body.posterGas ?? null
+    if (posterGas === null && typeof calldata === 'string' && /^(0x)?[0-9a-fA-F]*$/.test(calldata)) {
+      try {
+        const prices = await getCurrentPrices({ network: network || DEFAULT_NETWORK })
+        posterGas = estimatePosterGas({ calldataBytes: Math.ceil(calldata.replace(/^0x/, '').length / 2), perL1CalldataByte: prices.perL1CalldataByte, l2BaseFee: prices.perArbGasTotal }).toString()
+      } catch (e) {
+        // no live prices: estimate execution gas only
+      }
+    }
 
     const estimation = estimateOptimalGas({
       contractAddress,
@@ -2125,7 +2126,10 @@ app.post('/gas/estimate-optimal', (req, res) => {
       bytecode,
       calldata,
       networkBaseFee: networkBaseFee || 1,
-      gasUsedInFailure
+      gasUsedInFailure,
+      posterGasInFailure,
+      posterGas,
+      measuredMinimum
     })
 
     const tips = getGasOptimizationTips(estimation)
@@ -2141,6 +2145,68 @@ app.post('/gas/estimate-optimal', (req, res) => {
   }
 })
 
+/**
+ * POST /gas/minimum
+ * Binary-search the smallest gas limit at which an L2 call succeeds (eth_call at blockTag).
+ *
+ * Input: { to, data, from?, value?, blockTag?, aliasSender?, marginPct?, network? }
+ *    or: { txHash, ... } to take to/data/from/value from an L2 tx and search at its parent block
+ * Output: { ok, minimumGas, recommended, marginPct, estimateGas, iterations }
+ */
+app.post('/gas/minimum', async (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const params = { ...req.body, network: network || DEFAULT_NETWORK }
+    if (params.txHash) {
+      const { l2Provider } = getProviders(params.network)
+      const tx = await l2Provider.getTransaction(params.txHash)
+      if (!tx) return res.status(404).json({ ok: false, error: `Transaction ${params.txHash} not found` })
+      params.to = params.to || tx.to
+      params.data = params.data || tx.data
+      params.from = params.from || tx.from
+      params.value = params.value ?? tx.value.toString()
+      if (params.blockTag === undefined && tx.blockNumber) params.blockTag = tx.blockNumber - 1
+    }
+    const result = await findMinimumGas(params)
+    if (!result.ok) return res.status(400).json(result)
+    return res.json(result)
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
+/**
+ * GET /gas/oracle
+ * L2 base fee, L1 base fee estimate and ArbGasInfo price bands (p50/p90/p99, min, max)
+ * from the gas oracle worker's samples (npm run gas-oracle:worker).
+ *
+ * Query: network?, windows? (comma-separated minutes, default GAS_ORACLE_WINDOW_MINUTES)
+ * Output: { ok, network, latest, windows: [{ windowMinutes, samples, sufficient, l2BaseFee, l1BaseFeeEstimate, perL1CalldataByte, perArbGasTotal }] }
+ */
+app.get('/gas/oracle', (req, res) => {
+  try {
+    const { network, error: networkError } = networkParam(req)
+    if (networkError) return res.status(400).json({ ok: false, error: networkError })
+    const raw = req.query.windows ? String(req.query.windows).split(',') : [gasOracle.DEFAULT_WINDOW_MINUTES]
+    const windows = raw.map(Number)
+    const maxMinutes = gasOracle.RETENTION_HOURS * 60
+    if (windows.some(w => !Number.isFinite(w) || w <= 0 || w > maxMinutes)) {
+      return res.status(400).json({ ok: false, error: `windows must be minutes between 0 and ${maxMinutes}` })
+    }
+    const name = network || DEFAULT_NETWORK
+    const now = Date.now()
+    return res.json({
+      ok: true,
+      network: name,
+      latest: gasOracle.getLatestSample(name),
+      windows: windows.map(windowMinutes => gasOracle.getGasBands({ network: name, windowMinutes, now }))
+    })
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message })
+  }
+})
+
 // Task 8.2: Get gas history for contract
 app.get('/gas/history/:contractAddress', (req, res) => {
   try {
@@ -2270,6 +2336,9 @@ server.listen(PORT, () => {
   console.log(`✅ Server listening on port ${PORT}`)
   console.log(`   HTTP: http://localhost:${PORT}`)
   console.log(`   WS: ws://localhost:${PORT}`)
+  // Backfills interrupted by a restart pick up from their unfinished chunks
+  const resumed = backfillJobs.resumeInterruptedJobs()
+  if (resumed.length > 0) console.log(`   Resumed backfill jobs: ${resumed.join(', ')}`)
 })
 
 // Graceful shutdown on signals
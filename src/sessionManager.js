@@ -16,6 +16,7 @@ import Database from 'better-sqlite3';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DEFAULT_NETWORK } from './networks.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const dbPath = path.join(__dirname, '../data/sessions.db');
@@ -41,6 +42,7 @@ export function initSessionManager() {
         creator_address TEXT,
         contract_address TEXT,
         transaction_hash TEXT,
+        network TEXT DEFAULT 'arbitrum-one',
         status TEXT DEFAULT 'active', -- active | completed | failed | archived
         viewer_count INTEGER DEFAULT 0,
         event_count INTEGER DEFAULT 0,
@@ -73,6 +75,13 @@ export function initSessionManager() {
       CREATE INDEX IF NOT EXISTS idx_session_viewers_session_id ON session_viewers(session_id);
     `);
 
+    // Sessions created before multi-network support were all Arbitrum One
+    const sessionColumns = db.prepare('PRAGMA table_info(sessions)').all().map(c => c.name);
+    if (!sessionColumns.includes('network')) {
+      db.exec("ALTER TABLE sessions ADD COLUMN network TEXT DEFAULT 'arbitrum-one'");
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_network ON sessions(network)');
+
     console.log('✅ Session manager initialized');
     return true;
   } catch (error) {
@@ -87,6 +96,7 @@ export function initSessionManager() {
  * @param {string} options.creatorAddress - Ethereum address of creator
  * @param {string} options.contractAddress - Contract being debugged
  * @param {string} options.transactionHash - Transaction being analyzed
+ * @param {string} options.network - Network the transaction lives on (default: DEFAULT_NETWORK)
  * @param {number} options.ttl - Time-to-live in seconds (default: 3600 = 1 hour)
  * @returns {string} Unique session ID
  */
@@ -95,6 +105,7 @@ export function createSession(options = {}) {
     creatorAddress = 'anonymous',
     contractAddress = '',
     transactionHash = '',
+    network = DEFAULT_NETWORK,
     ttl = 3600 // 1 hour default
   } = options;
 
@@ -107,8 +118,8 @@ export function createSession(options = {}) {
     const stmt = db.prepare(`
       INSERT INTO sessions (
         id, created_at, expires_at, creator_address, contract_address, 
-        transaction_hash, status, viewer_count, event_count, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        transaction_hash, network, status, viewer_count, event_count, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -118,6 +129,7 @@ export function createSession(options = {}) {
       creatorAddress,
       contractAddress,
       transactionHash,
+      network,
       'active',
       0,
       0,
@@ -130,6 +142,7 @@ export function createSession(options = {}) {
       creatorAddress,
       contractAddress,
       transactionHash,
+      network,
       createdAt: now,
       expiresAt,
       status: 'active',
@@ -188,6 +201,7 @@ export function getSession(sessionId) {
     creatorAddress: session.creatorAddress,
     contractAddress: session.contractAddress,
     transactionHash: session.transactionHash,
+    network: session.network,
     createdAt: session.createdAt,
     expiresAt: session.expiresAt,
     status: session.status,
@@ -400,17 +414,20 @@ export function getShareId(sessionId) {
 
 /**
  * List all active sessions (admin view)
+ * @param {string} network - Optional network filter
  * @returns {Array} Array of active sessions
  */
-export function listActiveSessions() {
+export function listActiveSessions(network = null) {
   const sessions = [];
   
   for (const [sessionId, session] of activeSessions) {
+    if (network && session.network !== network) continue;
     sessions.push({
       id: sessionId,
       shareId: getShareId(sessionId),
       creatorAddress: session.creatorAddress,
       contractAddress: session.contractAddress,
+      network: session.network,
       status: session.status,
       viewers: session.subscribers.size,
       events: session.events.length,
@@ -227,7 +227,10 @@ export function estimateOptimalGas(options = {}) {
     bytecode = '',
     calldata = '',
     networkBaseFee = 1,
-    gasUsedInFailure = null
+    gasUsedInFailure = null,
+    posterGasInFailure = null, // gasUsedForL1 of that failure (posterFee.js)
+    posterGas = null, // L1 poster gas for this calldata at current prices
+    measuredMinimum = null // findMinimumGas() result from gasMinimum.js
   } = options;
 
   const reasoning = [];
@@ -310,11 +313,34 @@ export function estimateOptimalGas(options = {}) {
   }
 
   // Factor 5: If we saw an out-of-gas failure, use that as baseline
+  // Only its execution part: the poster gas in it was priced at that moment's L1 fee
   if (gasUsedInFailure && gasUsedInFailure > 0) {
-    const suggestedFromFailure = Math.ceil(gasUsedInFailure * 1.25); // Add 25% buffer
+    const failurePosterGas = Math.min(Number(posterGasInFailure) || 0, gasUsedInFailure);
+    const executionInFailure = gasUsedInFailure - failurePosterGas;
+    const suggestedFromFailure = Math.ceil(executionInFailure * 1.25); // Add 25% buffer
     gasRecommendation = Math.max(gasRecommendation, suggestedFromFailure);
     confidence_score += 20; // Failure data is very reliable
-    reasoning.push(`Adjusted for previous OUT_OF_GAS: ${gasUsedInFailure} → ${suggestedFromFailure}`);
+    reasoning.push(failurePosterGas > 0
+      ? `Adjusted for previous OUT_OF_GAS: ${gasUsedInFailure} (${failurePosterGas} of it L1 poster gas) → execution ${executionInFailure} → ${suggestedFromFailure}`
+      : `Adjusted for previous OUT_OF_GAS: ${gasUsedInFailure} → ${suggestedFromFailure}`);
+    if (failurePosterGas > 0) factors.posterGasInFailure = failurePosterGas;
+  }
+
+  // Factor 6: Measured threshold from eth_call binary search beats every heuristic above
+  if (measuredMinimum && measuredMinimum.ok) {
+    const measured = Number(measuredMinimum.recommended);
+    gasRecommendation = measured;
+    confidence_score += 50;
+    factors.measuredMinimum = measuredMinimum;
+    reasoning.push(`Measured minimum ${measuredMinimum.minimumGas} at block ${measuredMinimum.blockTag} + ${measuredMinimum.marginPct}% margin → ${measured}`);
+  }
+
+  // Factor 7: L1 poster gas comes out of the same gas limit; price it separately with a margin for L1 fee moves
+  if (posterGas && Number(posterGas) > 0) {
+    const posterWithMargin = Math.ceil(Number(posterGas) * 1.5);
+    gasRecommendation += posterWithMargin;
+    factors.posterGas = Number(posterGas);
+    reasoning.push(`L1 poster gas at current prices: ${posterGas} (+50% for L1 fee spikes) → +${posterWithMargin}`);
   }
 
   // Determine confidence level
@@ -368,6 +394,10 @@ export function getGasOptimizationTips(estimation) {
     }
   }
 
+  if (estimation.factors.posterGasInFailure) {
+    tips.push('📦 Part of the failed gas was L1 poster gas - re-estimate right before sending, since L1 price spikes raise it');
+  }
+
   if (estimation.reasoning.some(r => r.includes('loops'))) {
     tips.push('⚠️ Potential loop detected - may need dynamic gas adjustment');
   }
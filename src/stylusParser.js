@@ -10,7 +10,9 @@
  * 
  * CONSTRAINT 2 - Stylus Support is Best-Effort Only:
  *   What we DO:
- *   ✅ Detect WASM execution via precompile 0x71 (ArbWasm)
+ *   ✅ Detect WASM execution: call target is an activated Stylus program (ArbWasm
+ *      codehashVersion / programVersion), or a direct call to precompile 0x71
+ *   ✅ Report activation version, re-activation need, init gas, memory footprint, asm size
  *   ✅ Decode standard panic codes (arithmetic, bounds, assertion)
  *   ✅ Extract bytecode hash and mark transaction as Stylus execution
  *   ✅ Show panic in failure classification
@@ -34,8 +36,8 @@ const STYLUS_REVERT_SIGS = {
   '0x08c379a0': 'Error' // Error(string)
 }
 
-// Stylus panic codes
-const PANIC_CODES = {
+// Stylus panic codes (shared with revertDecoder.js)
+export const PANIC_CODES = {
   '0x00': 'Generic panic',
   '0x01': 'Assertion failed (assert() failed)',
   '0x11': 'Arithmetic underflow or overflow',
@@ -57,8 +59,9 @@ const ARBITRUM_CALLDATA_SIZE_ADDR = '0x0000000000000000000000000000000000000072'
 
 /**
  * Detect if a transaction involves Stylus (WASM) execution.
+ * `program` is the call target's ArbWasm metadata (stylusProgram.getStylusProgram).
  */
-export function detectStylusExecution(l2Receipt, l2Logs) {
+export function detectStylusExecution(l2Receipt, l2Logs, program = null) {
   if (!l2Receipt) return null
 
   const stylusMarkers = {
@@ -68,11 +71,23 @@ export function detectStylusExecution(l2Receipt, l2Logs) {
     panicDetected: false,
     panicReason: null,
     returnData: null,
-    rawRevertData: null
+    rawRevertData: null,
+    activationVersion: null,
+    needsReactivation: false,
+    program: null
   }
 
-  // Check if execution touched Arbitrum WASM precompile
-  if (l2Receipt.to && l2Receipt.to.toLowerCase() === ARBITRUM_WASM_ADDR.toLowerCase()) {
+  // Call target's code is a Stylus program (activated or not)
+  if (program && program.ok && program.isStylus) {
+    stylusMarkers.isWasmContract = true
+    stylusMarkers.wasmAddress = program.address
+    stylusMarkers.activationVersion = program.activationVersion
+    stylusMarkers.needsReactivation = program.needsReactivation
+    stylusMarkers.program = program
+  }
+
+  // Direct call to the ArbWasm precompile (activateProgram, keepalive)
+  if (!stylusMarkers.isWasmContract && l2Receipt.to && l2Receipt.to.toLowerCase() === ARBITRUM_WASM_ADDR.toLowerCase()) {
     stylusMarkers.isWasmContract = true
     stylusMarkers.wasmAddress = ARBITRUM_WASM_ADDR
   }
@@ -174,10 +189,25 @@ export function classifyStylusFailure(stylusMarkers, panicData, l2Receipt) {
     })
   }
 
-  // Check for out-of-gas
-  if (l2Receipt && l2Receipt.gasUsed) {
+  // A call into a program that isn't active reverts before any WASM runs
+  const program = stylusMarkers.program
+  if (program && program.status !== 'ACTIVE' && l2Receipt && l2Receipt.status === 0) {
+    const reason = {
+      NOT_ACTIVATED: 'has never been activated',
+      NEEDS_UPGRADE: `was activated at Stylus v${program.activationVersion} and the chain now runs v${program.stylusVersion}`,
+      EXPIRED: 'has an expired activation'
+    }[program.status]
+    failures.push({
+      type: program.needsReactivation ? 'STYLUS_NEEDS_REACTIVATION' : 'STYLUS_NOT_ACTIVATED',
+      message: `Stylus program ${program.address} ${reason}; calls revert until ArbWasm.activateProgram(${program.address}) is called.`,
+      severity: 'critical'
+    })
+  }
+
+  // Check for out-of-gas (needs the tx's gas limit)
+  if (l2Receipt && l2Receipt.gasUsed && l2Receipt.gasLimit) {
     const gasUsedNum = BigInt(l2Receipt.gasUsed)
-    const gasLimitNum = BigInt(l2Receipt.gasLimit || 0)
+    const gasLimitNum = BigInt(l2Receipt.gasLimit)
     if (gasUsedNum >= gasLimitNum) {
       failures.push({
         type: 'WASM_OUT_OF_GAS',
@@ -207,10 +237,24 @@ export function getStylusTimelineNode(stylusMarkers, executionContext) {
     return null
   }
 
+  const program = stylusMarkers.program
+  const target = program
+    ? {
+        'Program': program.address,
+        'Activation': program.status,
+        'Activation Version': program.activationVersion ?? 'unknown',
+        'Stylus Version': program.stylusVersion ?? 'unknown',
+        'Needs Reactivation': program.needsReactivation ? 'Yes' : 'No',
+        'Init Gas': program.initGas ?? 'unknown',
+        'Memory Footprint (pages)': program.memoryFootprintPages ?? 'unknown',
+        'ASM Size (bytes)': program.asmSize ?? 'unknown'
+      }
+    : { 'WASM Precompile': stylusMarkers.wasmAddress }
+
   return {
     action: 'STYLUS_WASM_EXECUTION',
     details: {
-      'WASM Precompile': stylusMarkers.wasmAddress,
+      ...target,
       'Gas Used': executionContext?.gasUsed || 'unknown',
       'Status': executionContext?.status || 'unknown',
       'Logs Emitted': executionContext?.logs || 0,
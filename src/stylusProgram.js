@@ -0,0 +1,113 @@
+/**
+ * Stylus Program Metadata (ArbWasm)
+ * A Stylus contract is deployed as prefixed, compressed WASM (0xEFF000...) and
+ * only runs after ArbWasm.activateProgram has compiled it for the chain's
+ * current Stylus version. Calls to it revert while it is not activated, after
+ * a Stylus upgrade (ProgramNeedsUpgrade) and once the activation has expired
+ * (ProgramExpired); in the last two cases anyone can re-activate it.
+ *
+ * For a call target this reports whether its code is a Stylus program, the
+ * version it was activated at, whether it needs re-activation, and the
+ * activated program's init gas, memory footprint, asm size and time left.
+ */
+
+import { ethers } from 'ethers'
+import { ARB_WASM_ADDRESS, ARB_WASM_ABI, getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK } from './networks.js'
+
+const RPC_TIMEOUT_MS = 5000
+// Stylus deployment prefix (EOF-style magic 0xEF, 0xF0, version 0x00)
+const STYLUS_CODE_PREFIX = '0xeff000'
+
+export function isStylusBytecode(code) {
+  return typeof code === 'string' && code.toLowerCase().startsWith(STYLUS_CODE_PREFIX)
+}
+
+/**
+ * Stylus activation state of the code at `address`.
+ * status: NOT_STYLUS | NOT_ACTIVATED | ACTIVE | NEEDS_UPGRADE | EXPIRED
+ *
+ * @param {string} address - Program (call target) address
+ * @param {Object} options
+ * @param {string} options.network - Registry network name
+ * @param {string|number} options.blockTag - Block to read at (default latest)
+ * @param {Object} options.provider - L2 provider override (tests)
+ * @returns {Promise<Object>} { ok, address, isStylus, status, codehash, activationVersion, stylusVersion, needsReactivation, initGas, initGasWhenCached, memoryFootprintPages, asmSize, timeLeftSeconds, errors }
+ */
+export async function getStylusProgram(address, options = {}) {
+  const { network = DEFAULT_NETWORK, blockTag = 'latest' } = options
+  if (!address || !ethers.isAddress(address)) return { ok: false, error: 'Program address required' }
+
+  try {
+    const provider = options.provider || getProviders(network).l2Provider
+    const code = await callWithTimeout(provider.getCode(address, blockTag), RPC_TIMEOUT_MS)
+    const result = {
+      ok: true,
+      network,
+      address,
+      blockTag,
+      isStylus: isStylusBytecode(code),
+      status: 'NOT_STYLUS',
+      codehash: null,
+      activationVersion: null,
+      stylusVersion: null,
+      needsReactivation: false,
+      expiredAgeSeconds: null,
+      initGas: null,
+      initGasWhenCached: null,
+      memoryFootprintPages: null,
+      asmSize: null,
+      timeLeftSeconds: null,
+      errors: []
+    }
+    if (!result.isStylus) return result
+
+    result.codehash = ethers.keccak256(code)
+    const arbWasm = new ethers.Contract(ARB_WASM_ADDRESS, ARB_WASM_ABI, provider)
+    const overrides = { blockTag }
+    result.stylusVersion = Number(await callWithTimeout(arbWasm.stylusVersion(overrides), RPC_TIMEOUT_MS))
+
+    try {
+      result.activationVersion = Number(await callWithTimeout(arbWasm.codehashVersion(result.codehash, overrides), RPC_TIMEOUT_MS))
+      result.status = 'ACTIVE'
+    } catch (e) {
+      const revert = e.revert ? e.revert.name : null
+      if (revert === 'ProgramNotActivated') {
+        result.status = 'NOT_ACTIVATED'
+      } else if (revert === 'ProgramNeedsUpgrade') {
+        result.status = 'NEEDS_UPGRADE'
+        result.activationVersion = Number(e.revert.args[0])
+      } else if (revert === 'ProgramExpired') {
+        result.status = 'EXPIRED'
+        result.expiredAgeSeconds = Number(e.revert.args[0])
+      } else {
+        throw e
+      }
+    }
+    result.needsReactivation = result.status === 'NEEDS_UPGRADE' || result.status === 'EXPIRED'
+    if (result.status !== 'ACTIVE') return result
+
+    // The remaining queries need an active program; a failure only drops that fact
+    const read = (label, call) => callWithTimeout(call, RPC_TIMEOUT_MS).catch(e => { result.errors.push(`ArbWasm.${label}: ${e.shortMessage || e.message}`); return null })
+    const [programVersion, initGas, footprint, asmSize, timeLeft] = await Promise.all([
+      read('programVersion', arbWasm.programVersion(address, overrides)),
+      read('programInitGas', arbWasm.programInitGas(address, overrides)),
+      read('programMemoryFootprint', arbWasm.programMemoryFootprint(address, overrides)),
+      read('codehashAsmSize', arbWasm.codehashAsmSize(result.codehash, overrides)),
+      read('programTimeLeft', arbWasm.programTimeLeft(address, overrides))
+    ])
+    if (programVersion !== null) result.activationVersion = Number(programVersion)
+    if (initGas) {
+      result.initGas = initGas.gas.toString()
+      result.initGasWhenCached = initGas.gasWhenCached.toString()
+    }
+    if (footprint !== null) result.memoryFootprintPages = Number(footprint)
+    if (asmSize !== null) result.asmSize = Number(asmSize)
+    if (timeLeft !== null) result.timeLeftSeconds = Number(timeLeft)
+    return result
+  } catch (e) {
+    return { ok: false, address, error: e.shortMessage || e.message }
+  }
+}
+
+export default { isStylusBytecode, getStylusProgram }
@@ -0,0 +1,233 @@
+/**
+ * Retryable Submission Fee
+ * The exact submission fee a retryable must cover, as the Inbox computes it:
+ *
+ *   Inbox.calculateRetryableSubmissionFee(dataLength, baseFee)
+ *     = (1400 + 6 * dataLength) * baseFee
+ *
+ * where baseFee is the parent chain block.basefee when the ticket is created.
+ * The Inbox reverts the submission with InsufficientSubmissionCost when
+ * maxSubmissionCost is below it; whatever is left over is refunded on L2.
+ *
+ * Used by the pre-submission validator (proposed params) and the failure
+ * classifier (params recovered from the L1 receipt or calldata).
+ */
+
+import { ethers } from 'ethers'
+import { INBOX_ABI, BRIDGE_ABI, getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK, getNetwork } from './networks.js'
+
+const inboxInterface = new ethers.Interface(INBOX_ABI)
+const bridgeInterface = new ethers.Interface(BRIDGE_ABI)
+const RPC_TIMEOUT_MS = 5000
+
+// Bridge MessageDelivered kind for submit-retryable messages
+export const L1_MESSAGE_TYPE_SUBMIT_RETRYABLE = 9
+
+// Packed retryable message: 9 words followed by the L2 calldata
+const RETRYABLE_MESSAGE_WORDS = 9
+
+/**
+ * Local copy of the Inbox formula, used when the L1 call is unavailable.
+ */
+export function submissionFeeFormula(dataLength, baseFee) {
+  return (1400n + 6n * BigInt(dataLength)) * BigInt(baseFee)
+}
+
+/**
+ * Decode the InboxMessageDelivered body of a submit-retryable message.
+ * Returns null when the payload does not have the retryable layout.
+ */
+export function decodeRetryableMessageData(data) {
+  const bytes = ethers.getBytes(data)
+  if (bytes.length < RETRYABLE_MESSAGE_WORDS * 32) return null
+  const word = (i) => BigInt(ethers.hexlify(bytes.slice(i * 32, (i + 1) * 32)))
+  const address = (i) => ethers.getAddress(ethers.toBeHex(word(i), 20))
+  const dataLength = word(8)
+  if (BigInt(bytes.length) !== BigInt(RETRYABLE_MESSAGE_WORDS * 32) + dataLength) return null
+  return {
+    to: address(0),
+    l2CallValue: word(1).toString(),
+    deposit: word(2).toString(),
+    maxSubmissionCost: word(3).toString(),
+    excessFeeRefundAddress: address(4),
+    callValueRefundAddress: address(5),
+    gasLimit: word(6).toString(),
+    maxFeePerGas: word(7).toString(),
+    dataLength: Number(dataLength)
+  }
+}
+
+/**
+ * Submit-retryable messages delivered by an L1 receipt, paired with the
+ * L1 base fee the Bridge recorded for each.
+ */
+export function findRetryableSubmissions(receipt) {
+  if (!receipt || !Array.isArray(receipt.logs)) return []
+  const delivered = new Map()
+  const bodies = []
+  for (const log of receipt.logs) {
+    try {
+      const parsed = bridgeInterface.parseLog(log)
+      if (parsed && parsed.name === 'MessageDelivered') {
+        delivered.set(parsed.args.messageIndex.toString(), { kind: Number(parsed.args.kind), baseFeeL1: parsed.args.baseFeeL1.toString() })
+        continue
+      }
+    } catch (e) {
+      // not a Bridge event
+    }
+    try {
+      const parsed = inboxInterface.parseLog(log)
+      if (parsed && parsed.name === 'InboxMessageDelivered') {
+        bodies.push({ messageIndex: parsed.args.messageNum.toString(), inbox: log.address, data: parsed.args.data })
+      }
+    } catch (e) {
+      // not an Inbox event
+    }
+  }
+
+  const submissions = []
+  for (const body of bodies) {
+    const meta = delivered.get(body.messageIndex)
+    if (meta && meta.kind !== L1_MESSAGE_TYPE_SUBMIT_RETRYABLE) continue
+    const decoded = decodeRetryableMessageData(body.data)
+    if (!decoded) continue
+    submissions.push({ messageIndex: body.messageIndex, inbox: body.inbox, baseFeeL1: meta ? meta.baseFeeL1 : null, ...decoded })
+  }
+  return submissions
+}
+
+/**
+ * Retryable params from a createRetryableTicket / unsafeCreateRetryableTicket
+ * call. Covers reverted submissions, which emit no logs.
+ */
+export function decodeRetryableSubmissionTx(tx) {
+  if (!tx || !tx.data) return null
+  let parsed
+  try {
+    parsed = inboxInterface.parseTransaction({ data: tx.data, value: tx.value || 0n })
+  } catch (e) {
+    return null
+  }
+  if (!parsed || !['createRetryableTicket', 'unsafeCreateRetryableTicket'].includes(parsed.name)) return null
+  const a = parsed.args
+  return {
+    to: a.to,
+    l2CallValue: a.l2CallValue.toString(),
+    deposit: BigInt(tx.value || 0).toString(),
+    maxSubmissionCost: a.maxSubmissionCost.toString(),
+    excessFeeRefundAddress: a.excessFeeRefundAddress,
+    callValueRefundAddress: a.callValueRefundAddress,
+    gasLimit: a.gasLimit.toString(),
+    maxFeePerGas: a.maxFeePerGas.toString(),
+    dataLength: ethers.dataLength(a.data)
+  }
+}
+
+/**
+ * Provided vs required submission fee.
+ */
+export function compareSubmissionCost(provided, required) {
+  const p = BigInt(provided || 0)
+  const r = BigInt(required)
+  return {
+    providedWei: p.toString(),
+    requiredWei: r.toString(),
+    deficitWei: p < r ? (r - p).toString() : '0',
+    surplusWei: p > r ? (p - r).toString() : '0',
+    sufficient: p >= r
+  }
+}
+
+/**
+ * Required submission fee from the Inbox on the parent chain.
+ *
+ * @param {Object} params
+ * @param {number} params.dataLength - L2 calldata length in bytes
+ * @param {string|bigint} params.baseFee - L1 base fee; default: baseFeePerGas of `blockTag`
+ * @param {number|string} params.blockTag - Creation block (default 'latest')
+ * @param {string} params.inbox - Inbox address (default: the network's Inbox)
+ * @param {string} params.network - Registry network name
+ * @param {Object} params.provider - L1 provider override (tests)
+ * @returns {Promise<Object>} { ok, requiredWei, baseFee, dataLength, blockTag, source: 'INBOX' | 'FORMULA' }
+ */
+export async function computeSubmissionFee(params = {}) {
+  const { dataLength = 0, blockTag = 'latest', network = DEFAULT_NETWORK } = params
+  const net = getNetwork(network)
+  if (!net) return { ok: false, error: `Unknown network: ${network}` }
+  const inbox = params.inbox || (net.contracts && net.contracts.inbox)
+  if (!inbox) return { ok: false, error: `No Inbox configured for ${network}` }
+
+  try {
+    const provider = params.provider || getProviders(network).l1Provider
+    let baseFee = params.baseFee !== undefined && params.baseFee !== null ? BigInt(params.baseFee) : null
+    if (baseFee === null) {
+      const block = await callWithTimeout(provider.getBlock(blockTag), RPC_TIMEOUT_MS)
+      if (!block || block.baseFeePerGas === null || block.baseFeePerGas === undefined) return { ok: false, error: `No L1 base fee for block ${blockTag}` }
+      baseFee = BigInt(block.baseFeePerGas)
+    }
+
+    let requiredWei
+    let source = 'INBOX'
+    try {
+      const data = inboxInterface.encodeFunctionData('calculateRetryableSubmissionFee', [dataLength, baseFee])
+      const returnData = await callWithTimeout(provider.call({ to: inbox, data, blockTag }), RPC_TIMEOUT_MS)
+      requiredWei = inboxInterface.decodeFunctionResult('calculateRetryableSubmissionFee', returnData)[0]
+    } catch (e) {
+      // Older Inbox or no archive state at blockTag; same formula off-chain
+      requiredWei = submissionFeeFormula(dataLength, baseFee)
+      source = 'FORMULA'
+    }
+    return { ok: true, requiredWei: requiredWei.toString(), baseFee: baseFee.toString(), dataLength: Number(dataLength), blockTag, source }
+  } catch (e) {
+    return { ok: false, error: e.message }
+  }
+}
+
+/**
+ * Exact submission-fee check for an L1 receipt: the retryable params come from
+ * the delivered message (or the Inbox calldata for reverted submissions) and
+ * the required fee is computed with the L1 base fee at the creation block.
+ *
+ * @returns {Promise<Object|null>} null when the receipt is not a retryable submission
+ */
+export async function checkRetryableSubmissionFee(receipt, options = {}) {
+  if (!receipt) return null
+  const { network = DEFAULT_NETWORK } = options
+  const net = getNetwork(network)
+  const provider = options.provider || getProviders(network).l1Provider
+
+  let submission = findRetryableSubmissions(receipt)[0] || null
+  let inbox = submission ? submission.inbox : null
+  if (!submission) {
+    // Reverted submissions have no logs; only decode calls made to the Inbox
+    const configuredInbox = net && net.contracts ? net.contracts.inbox : null
+    if (receipt.status !== 0 || !receipt.to || !configuredInbox || receipt.to.toLowerCase() !== configuredInbox.toLowerCase()) return null
+    const tx = await callWithTimeout(provider.getTransaction(receipt.transactionHash || receipt.hash), RPC_TIMEOUT_MS)
+    submission = decodeRetryableSubmissionTx(tx)
+    if (!submission) return null
+    inbox = configuredInbox
+  }
+
+  const fee = await computeSubmissionFee({
+    dataLength: submission.dataLength,
+    baseFee: submission.baseFeeL1,
+    blockTag: receipt.blockNumber,
+    inbox,
+    network,
+    provider
+  })
+  if (!fee.ok) return { ok: false, error: fee.error, maxSubmissionCost: submission.maxSubmissionCost }
+  return {
+    ok: true,
+    ...compareSubmissionCost(submission.maxSubmissionCost, fee.requiredWei),
+    maxSubmissionCost: submission.maxSubmissionCost,
+    dataLength: fee.dataLength,
+    l1BaseFee: fee.baseFee,
+    blockNumber: receipt.blockNumber,
+    messageIndex: submission.messageIndex || null,
+    source: fee.source
+  }
+}
+
+export default { computeSubmissionFee, checkRetryableSubmissionFee, compareSubmissionCost, findRetryableSubmissions, decodeRetryableSubmissionTx, decodeRetryableMessageData, submissionFeeFormula }
@@ -6,8 +6,14 @@
  *   { id, timestamp, action, status, details },
  *   ...
  * ]
+ *
+ * When a callTracer trace is supplied, every call frame (CALL, DELEGATECALL,
+ * STATICCALL, CREATE, ...) becomes a CALL_FRAME node between L2_EXECUTION and
+ * FAILURE, and the deepest reverted frame is flagged as the failure origin.
+ * A posterFee.getGasBreakdown() result splits L2_EXECUTION's gasUsed into
+ * execution and L1 poster gas.
  */
-export function normalizeTrace(detection, retryables, l2TraceInfo) {
+export function normalizeTrace(detection, retryables, l2TraceInfo, callTrace = null, gasBreakdown = null) {
   const actions = []
   let actionId = 1
   const tsToIso = (ts) => {
@@ -78,12 +84,49 @@ export function normalizeTrace(detection, retryables, l2TraceInfo) {
         txHash: detection.l2Receipt.transactionHash,
         blockNumber: detection.l2Receipt.blockNumber,
         gasUsed: detection.l2Receipt.gasUsed ? detection.l2Receipt.gasUsed.toString() : '0',
+        // gasUsed = L2 execution gas + L1 poster gas (posterFee.js)
+        l2ExecutionGas: gasBreakdown ? gasBreakdown.l2ExecutionGas : null,
+        l1PosterGas: gasBreakdown ? gasBreakdown.l1PosterGas : null,
+        posterFeeWei: gasBreakdown ? gasBreakdown.posterFeeWei : null,
         to: detection.l2Receipt.to,
         from: detection.l2Receipt.from
       }
     })
   }
 
+  // Action 4b: Internal call frames from callTracer output
+  const frames = flattenCallTree(callTrace)
+  const l2Ts = detection.l2Receipt && detection.l2Receipt.blockTimestamp ? tsToIso(detection.l2Receipt.blockTimestamp) : new Date().toISOString()
+  const frameActionIds = new Map()
+  let originAction = null
+  for (const frame of frames) {
+    const id = actionId++
+    frameActionIds.set(frame.index, id)
+    const node = {
+      id,
+      timestamp: l2Ts,
+      action: 'CALL_FRAME',
+      status: frame.reverted ? 'failed' : 'confirmed',
+      details: {
+        callType: frame.type,
+        depth: frame.depth,
+        parentId: frame.parentIndex !== null ? frameActionIds.get(frame.parentIndex) : null,
+        from: frame.from,
+        to: frame.to,
+        selector: frame.selector,
+        gas: frame.gas,
+        gasUsed: frame.gasUsed,
+        value: frame.value,
+        reverted: frame.reverted,
+        error: frame.error,
+        revertReason: frame.revertReason,
+        isFailureOrigin: frame.isFailureOrigin
+      }
+    }
+    if (frame.isFailureOrigin) originAction = node
+    actions.push(node)
+  }
+
   // Action 5: Failure Node (if applicable)
   if (
     (detection.l1Receipt && detection.l1Receipt.status === 0) ||
@@ -98,7 +141,111 @@ export function normalizeTrace(detection, retryables, l2TraceInfo) {
         location: detection.l1Receipt && detection.l1Receipt.status === 0 ? 'L1' : 'L2',
         reason: detection.l1Receipt && detection.l1Receipt.status === 0
           ? 'L1 transaction reverted'
-          : 'L2 execution reverted'
+          : (originAction ? describeOrigin(originAction.details) : 'L2 execution reverted'),
+        originActionId: originAction ? originAction.id : null
+      }
+    })
+  }
+
+  return actions
+}
+
+/**
+ * Normalize L2 → L1 withdrawals into their own action list:
+ * WITHDRAWAL_INITIATED → ASSERTION_CREATED → CHALLENGE_PERIOD →
+ * ASSERTION_CONFIRMED → OUTBOX_EXECUTED, one chain per withdrawal.
+ * `withdrawals` come from withdrawals.trackWithdrawal(); `outboxExecution`
+ * from withdrawals.analyzeOutboxExecution() when the analyzed tx is the L1 claim.
+ */
+export function normalizeWithdrawalTrace(detection, withdrawals = [], outboxExecution = null) {
+  const actions = []
+  let actionId = 1
+  const tsToIso = (ts) => (ts ? new Date(Number(ts) * 1000).toISOString() : new Date().toISOString())
+
+  for (const w of withdrawals || []) {
+    const l2Ts = tsToIso(w.timestamp)
+    actions.push({
+      id: actionId++,
+      timestamp: l2Ts,
+      action: 'WITHDRAWAL_INITIATED',
+      status: 'confirmed',
+      details: {
+        l2TxHash: w.l2TxHash,
+        position: w.position,
+        caller: w.caller,
+        destination: w.destination,
+        callvalue: w.callvalue,
+        arbBlockNum: w.arbBlockNum,
+        ethBlockNum: w.ethBlockNum
+      }
+    })
+
+    actions.push({
+      id: actionId++,
+      timestamp: l2Ts,
+      action: 'ASSERTION_CREATED',
+      status: w.assertion ? 'confirmed' : (w.confirmation ? 'unknown' : 'pending'),
+      details: w.assertion
+        ? { kind: w.assertion.kind, nodeNum: w.assertion.nodeNum, assertionHash: w.assertion.assertionHash, l1BlockNumber: w.assertion.l1BlockNumber, l1TxHash: w.assertion.l1TxHash, l2BlockNumber: w.assertion.l2BlockNumber }
+        : { reason: w.confirmation ? 'Assertion not located; confirmation found' : 'No assertion covers this L2 block yet' }
+    })
+
+    const cp = w.challengePeriod
+    actions.push({
+      id: actionId++,
+      timestamp: l2Ts,
+      action: 'CHALLENGE_PERIOD',
+      status: w.confirmation || w.status === 'EXECUTED' ? 'confirmed' : 'pending',
+      details: cp ? {
+        confirmPeriodBlocks: cp.confirmPeriodBlocks,
+        confirmableAtL1Block: cp.confirmableAtL1Block,
+        blocksRemaining: w.confirmation ? 0 : cp.blocksRemaining,
+        secondsRemaining: w.confirmation ? 0 : cp.secondsRemaining,
+        elapsedPct: w.confirmation ? 100 : cp.elapsedPct
+      } : {}
+    })
+
+    actions.push({
+      id: actionId++,
+      timestamp: l2Ts,
+      action: 'ASSERTION_CONFIRMED',
+      status: w.confirmation ? 'confirmed' : (w.status === 'EXECUTED' ? 'unknown' : 'pending'),
+      details: w.confirmation
+        ? { kind: w.confirmation.kind, l1BlockNumber: w.confirmation.l1BlockNumber, l1TxHash: w.confirmation.l1TxHash }
+        : {}
+    })
+
+    const execution = w.outbox && w.outbox.execution
+    actions.push({
+      id: actionId++,
+      timestamp: l2Ts,
+      action: 'OUTBOX_EXECUTED',
+      status: w.status === 'EXECUTED' ? 'confirmed' : 'pending',
+      details: {
+        outbox: w.outbox ? w.outbox.address : null,
+        l1TxHash: execution ? execution.l1TxHash : null,
+        reason: w.status === 'CONFIRMED' ? 'Confirmed but not executed: call Outbox.executeTransaction on L1' : null
+      }
+    })
+  }
+
+  // The analyzed tx is itself the L1 Outbox claim
+  if (outboxExecution) {
+    const l1 = detection && detection.l1Receipt
+    actions.push({
+      id: actionId++,
+      timestamp: l1 && l1.blockTimestamp ? tsToIso(l1.blockTimestamp) : new Date().toISOString(),
+      action: 'OUTBOX_EXECUTION',
+      status: outboxExecution.executed ? 'confirmed' : 'failed',
+      details: {
+        l1TxHash: outboxExecution.l1TxHash,
+        position: outboxExecution.call.index,
+        l2Sender: outboxExecution.call.l2Sender,
+        to: outboxExecution.call.to,
+        l2Block: outboxExecution.call.l2Block,
+        value: outboxExecution.call.value,
+        reason: outboxExecution.reason,
+        message: outboxExecution.message
       }
     })
   }
@@ -106,6 +253,82 @@ export function normalizeTrace(detection, retryables, l2TraceInfo) {
   return actions
 }
 
+/**
+ * Flatten a callTracer result into a pre-order list of frames.
+ * Accepts either the raw callTracer object or the { detailedTrace } wrapper
+ * returned by debugTraceTransaction(). Returns [] when no call tree is present.
+ */
+export function flattenCallTree(trace) {
+  const root = trace && trace.detailedTrace ? trace.detailedTrace : trace
+  if (!root || typeof root !== 'object' || !root.type) return []
+
+  const frames = []
+  const walk = (call, depth, parentIndex) => {
+    const index = frames.length
+    const frame = {
+      index,
+      parentIndex,
+      depth,
+      type: String(call.type).toUpperCase(),
+      from: call.from || null,
+      to: call.to || null,
+      selector: call.input && call.input.length >= 10 ? call.input.slice(0, 10) : null,
+      gas: hexToDecimal(call.gas),
+      gasUsed: hexToDecimal(call.gasUsed),
+      value: hexToDecimal(call.value) || '0',
+      reverted: !!call.error,
+      error: call.error || null,
+      revertReason: call.revertReason || null,
+      output: call.output || null,
+      isFailureOrigin: false,
+      children: []
+    }
+    frames.push(frame)
+    if (parentIndex !== null) frames[parentIndex].children.push(index)
+    if (Array.isArray(call.calls)) {
+      for (const child of call.calls) walk(child, depth + 1, index)
+    }
+  }
+  walk(root, 0, null)
+
+  const origin = findFailureOrigin(frames)
+  if (origin) origin.isFailureOrigin = true
+  return frames
+}
+
+// Follow the revert down the tree: from a reverted frame, descend into its last
+// reverted child (the call whose failure propagated) until none is left.
+// If the top-level call succeeded, fall back to the deepest reverted frame anywhere.
+function findFailureOrigin(frames) {
+  if (frames.length === 0) return null
+  let current = frames[0].reverted ? frames[0] : null
+  if (!current) {
+    const reverted = frames.filter((f) => f.reverted)
+    if (reverted.length === 0) return null
+    current = reverted.reduce((deepest, f) => (f.depth > deepest.depth ? f : deepest))
+  }
+  while (true) {
+    const revertedChildren = current.children.map((i) => frames[i]).filter((f) => f.reverted)
+    if (revertedChildren.length === 0) return current
+    current = revertedChildren[revertedChildren.length - 1]
+  }
+}
+
+function describeOrigin(details) {
+  const where = `${details.callType} to ${details.to || 'unknown'} at depth ${details.depth}`
+  const why = details.revertReason || details.error || 'reverted'
+  return `L2 execution reverted in ${where}: ${why}`
+}
+
+function hexToDecimal(value) {
+  if (value === undefined || value === null) return null
+  try {
+    return BigInt(value).toString()
+  } catch (e) {
+    return String(value)
+  }
+}
+
 /**
  * Convert action graph to timeline with visual metadata.
  */
@@ -0,0 +1,308 @@
+/**
+ * Watchlist Alerts
+ * Users register contract addresses (L2 destination of a retryable) or creator
+ * addresses (L1 sender). While the indexer worker ingests L2 blocks, every
+ * failed redeem of a matching ticket raises an alert, and matching tickets that
+ * stay unredeemed raise a second alert when they get close to expiry.
+ *
+ * Alerts carry the classifyFailureDetailed() classification and are
+ *   - POSTed to the watch's webhook (or WATCHLIST_WEBHOOK_URL) by the worker
+ *   - stored in data/watchlist.db, where the server picks them up and pushes
+ *     them to SSE (/watchlist/alerts/stream) and WebSocket subscribers
+ *
+ * Alerts are unique per (watch, type, ticket), so re-indexed blocks don't repeat them.
+ */
+
+import Database from 'better-sqlite3'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { ethers } from 'ethers'
+import { getProviders, callWithTimeout } from './arbitrum.js'
+import { getNetwork } from './networks.js'
+import { classifyFailureDetailed } from './analyzer.js'
+import { probeRetryableTicket } from './retryableResolver.js'
+import { applyL1ToL2Alias } from './gasMinimum.js'
+import { findExpiryCandidates, updateTicketState } from './indexer.js'
+import { RETRYABLE_LIFETIME_SECONDS } from './expiryScanner.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const DB_PATH = path.join(__dirname, '..', 'data', 'watchlist.db')
+const RPC_TIMEOUT_MS = 5000
+const WEBHOOK_TIMEOUT_MS = 5000
+const DEFAULT_WEBHOOK_URL = process.env.WATCHLIST_WEBHOOK_URL || null
+const EXPIRY_WARNING_HOURS = Number(process.env.WATCHLIST_EXPIRY_WARNING_HOURS || 48)
+
+export const WATCH_KINDS = ['CONTRACT', 'CREATOR']
+export const ALERT_TYPES = ['REDEEM_FAILED', 'EXPIRING']
+
+let db = null
+
+export function initWatchlist(dbPath = DB_PATH) {
+  db = new Database(dbPath)
+  db.pragma('journal_mode = WAL')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS watchlist (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      address TEXT NOT NULL,         -- checksummed
+      kind TEXT NOT NULL,            -- CONTRACT | CREATOR
+      network TEXT,                  -- NULL = every network
+      webhook_url TEXT,
+      label TEXT,
+      created_at INTEGER,
+      UNIQUE(address, kind, network)
+    );
+
+    CREATE TABLE IF NOT EXISTS watchlist_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      watch_id INTEGER NOT NULL,
+      type TEXT NOT NULL,            -- REDEEM_FAILED | EXPIRING
+      ticket_id TEXT NOT NULL,       -- decimal, like the indexer
+      network TEXT,
+      tx_hash TEXT,
+      payload TEXT,                  -- JSON alert body
+      webhook_status TEXT,
+      created_at INTEGER,
+      UNIQUE(watch_id, type, ticket_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_watchlist_address ON watchlist(address);
+  `)
+  return db
+}
+
+function requireDb() {
+  if (!db) initWatchlist()
+  return db
+}
+
+/**
+ * Register an address. Returns { ok, watch } or { ok: false, error }.
+ */
+export function addWatch({ address, kind = 'CONTRACT', network = null, webhookUrl = null, label = null } = {}) {
+  if (!address || !ethers.isAddress(address)) return { ok: false, error: 'address required' }
+  if (!WATCH_KINDS.includes(kind)) return { ok: false, error: `kind must be one of ${WATCH_KINDS.join(', ')}` }
+  if (network && !getNetwork(network)) return { ok: false, error: `Unknown network: ${network}` }
+  if (webhookUrl && !/^https?:\/\//.test(webhookUrl)) return { ok: false, error: 'webhookUrl must be an http(s) URL' }
+  const d = requireDb()
+  const row = { address: ethers.getAddress(address), kind, network: network || null, webhook_url: webhookUrl, label, created_at: Date.now() }
+  // UNIQUE doesn't catch NULL networks (NULLs are distinct in SQLite), so look up first
+  const existing = d.prepare('SELECT * FROM watchlist WHERE address = ? AND kind = ? AND network IS ?').get(row.address, kind, row.network)
+  if (existing) return { ok: true, created: false, watch: existing }
+  const info = d.prepare(`
+    INSERT INTO watchlist (address, kind, network, webhook_url, label, created_at)
+    VALUES (@address, @kind, @network, @webhook_url, @label, @created_at)
+  `).run(row)
+  return { ok: true, created: true, watch: d.prepare('SELECT * FROM watchlist WHERE id = ?').get(info.lastInsertRowid) }
+}
+
+export function removeWatch(id) {
+  const d = requireDb()
+  return d.prepare('DELETE FROM watchlist WHERE id = ?').run(id).changes > 0
+}
+
+export function listWatches(network = null) {
+  const d = requireDb()
+  if (network) return d.prepare('SELECT * FROM watchlist WHERE network IS NULL OR network = ? ORDER BY id').all(network)
+  return d.prepare('SELECT * FROM watchlist ORDER BY id').all()
+}
+
+/**
+ * Watches matching a ticket. `creator` is the L1 sender, `to` the L2 destination;
+ * `l2Sender` (the retry tx sender, i.e. the aliased creator for contracts) covers
+ * tickets whose L1 side isn't indexed yet.
+ */
+export function matchWatches(network, { creator = null, to = null, l2Sender = null } = {}) {
+  const lower = (a) => (a ? a.toLowerCase() : null)
+  return listWatches(network).filter(w => {
+    const addr = w.address.toLowerCase()
+    if (w.kind === 'CONTRACT') return lower(to) === addr
+    return lower(creator) === addr || lower(l2Sender) === addr || lower(l2Sender) === applyL1ToL2Alias(w.address).toLowerCase()
+  })
+}
+
+export function listAlerts({ sinceId = 0, limit = 100, network = null } = {}) {
+  const d = requireDb()
+  const rows = network
+    ? d.prepare('SELECT * FROM watchlist_alerts WHERE id > ? AND network = ? ORDER BY id LIMIT ?').all(sinceId, network, limit)
+    : d.prepare('SELECT * FROM watchlist_alerts WHERE id > ? ORDER BY id LIMIT ?').all(sinceId, limit)
+  return rows.map(r => ({ ...JSON.parse(r.payload), id: r.id, webhookStatus: r.webhook_status }))
+}
+
+export function latestAlertId() {
+  const row = requireDb().prepare('SELECT MAX(id) AS id FROM watchlist_alerts').get()
+  return row && row.id ? row.id : 0
+}
+
+/**
+ * POST an alert as JSON. Resolves with a status string; never throws.
+ */
+export async function deliverWebhook(url, alert, fetchImpl = fetch) {
+  try {
+    const res = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'watchlist_alert', alert }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    })
+    return res.ok ? 'DELIVERED' : `FAILED: HTTP ${res.status}`
+  } catch (e) {
+    return `FAILED: ${e.message}`
+  }
+}
+
+/**
+ * Store an alert for a watch and deliver its webhook. Returns the alert, or
+ * null when this (watch, type, ticket) already alerted.
+ */
+export async function raiseAlert(watch, alert, { fetchImpl = fetch } = {}) {
+  const d = requireDb()
+  const body = { ...alert, watch: { id: watch.id, address: watch.address, kind: watch.kind, label: watch.label }, createdAt: new Date().toISOString() }
+  const info = d.prepare(`
+    INSERT OR IGNORE INTO watchlist_alerts (watch_id, type, ticket_id, network, tx_hash, payload, webhook_status, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(watch.id, alert.type, alert.ticketId, alert.network, alert.txHash || null, JSON.stringify(body), null, Date.now())
+  if (info.changes === 0) return null
+
+  const url = watch.webhook_url || DEFAULT_WEBHOOK_URL
+  let webhookStatus = null
+  if (url) {
+    webhookStatus = await deliverWebhook(url, { ...body, id: Number(info.lastInsertRowid) }, fetchImpl)
+    d.prepare('UPDATE watchlist_alerts SET webhook_status = ? WHERE id = ?').run(webhookStatus, info.lastInsertRowid)
+  }
+  return { ...body, id: Number(info.lastInsertRowid), webhookStatus }
+}
+
+/**
+ * Classify a failed redeem with the /analyze classifier, from the indexed
+ * ticket (L1 side, when known) and the retry tx receipt.
+ */
+export async function classifyRedeemFailure(ticket, redeem, network) {
+  const { l1Provider, l2Provider } = getProviders(network)
+  const [l1Receipt, l2Receipt] = await Promise.all([
+    ticket && ticket.l1_tx_hash ? callWithTimeout(l1Provider.getTransactionReceipt(ticket.l1_tx_hash), RPC_TIMEOUT_MS).catch(() => null) : null,
+    callWithTimeout(l2Provider.getTransactionReceipt(redeem.retryTxHash), RPC_TIMEOUT_MS).catch(() => null)
+  ])
+  const retryable = ticket ? {
+    ticketId: ticket.ticket_id,
+    from: ticket.creator,
+    to: ticket.to_address,
+    l2CallValue: ticket.l2_call_value,
+    gasLimit: ticket.gas_limit,
+    maxFeePerGas: ticket.max_fee_per_gas,
+    data: ticket.data
+  } : null
+  const lifecycle = { redeemAttempts: [{ kind: redeem.kind, txHash: redeem.retryTxHash, status: 0 }] }
+  const detection = { txHash: ticket ? ticket.l1_tx_hash : redeem.retryTxHash, l1Receipt, l2Receipt }
+  const { result } = await classifyFailureDetailed(detection, retryable, null, lifecycle, null, { network })
+  return {
+    failureAt: result.failureAt,
+    failureReason: result.failureReason,
+    failureMessage: result.failureMessage || null,
+    hints: result.hints
+  }
+}
+
+/**
+ * Alert on failed redeems from an indexL2Range() result.
+ *
+ * @param {string} network
+ * @param {Object} indexed - { redeems: [{ ticketId, retryTxHash, kind, status, from, to }] }
+ * @param {Object} options - { lookupTicket, classify, fetchImpl } overrides
+ * @returns {Promise<Array>} Alerts raised
+ */
+export async function processIndexedResults(network, indexed, options = {}) {
+  const { lookupTicket = () => null, classify = classifyRedeemFailure, fetchImpl } = options
+  const raised = []
+  // A ticket redeemed later in the same range is not worth an alert
+  const redeemed = new Set((indexed.redeems || []).filter(r => r.status === 1).map(r => r.ticketId))
+  for (const redeem of indexed.redeems || []) {
+    if (redeem.status !== 0 || redeemed.has(redeem.ticketId)) continue
+    const ticket = lookupTicket(redeem.ticketId, network) || null
+    const watches = matchWatches(network, {
+      creator: ticket ? ticket.creator : null,
+      to: ticket ? ticket.to_address : redeem.to,
+      l2Sender: redeem.from
+    })
+    if (watches.length === 0) continue
+
+    let classification
+    try {
+      classification = await classify(ticket, redeem, network)
+    } catch (e) {
+      classification = { failureAt: redeem.kind === 'AUTO' ? 'AUTO_REDEEM' : 'MANUAL_REDEEM', failureReason: 'UNKNOWN', error: e.message }
+    }
+    for (const watch of watches) {
+      const alert = await raiseAlert(watch, {
+        type: 'REDEEM_FAILED',
+        network,
+        ticketId: redeem.ticketId,
+        txHash: redeem.retryTxHash,
+        redeemKind: redeem.kind,
+        l1TxHash: ticket ? ticket.l1_tx_hash : null,
+        classification
+      }, { fetchImpl })
+      if (alert) raised.push(alert)
+    }
+  }
+  return raised
+}
+
+/**
+ * Alert on open tickets created by or sent to a watched address that expire
+ * within `withinHours`. Candidates come from the indexer's expiry query; a
+ * probe that finds the ticket gone (redeemed, canceled or expired) is stored
+ * so later passes don't probe it again.
+ *
+ * @param {string} network
+ * @param {Object} options - { withinHours, now, findCandidates, probe, recordState, fetchImpl } overrides
+ * @returns {Promise<Array>} Alerts raised
+ */
+export async function checkExpiringWatched(network, options = {}) {
+  const {
+    withinHours = EXPIRY_WARNING_HOURS,
+    now = Math.floor(Date.now() / 1000),
+    findCandidates = findExpiryCandidates,
+    probe = (ticketId) => probeRetryableTicket(ticketId, { network }),
+    recordState = updateTicketState,
+    fetchImpl
+  } = options
+  const watches = listWatches(network)
+  if (watches.length === 0) return []
+  const d = requireDb()
+  const alerted = d.prepare("SELECT 1 FROM watchlist_alerts WHERE type = 'EXPIRING' AND watch_id = ? AND ticket_id = ?")
+  const lastFailure = d.prepare("SELECT payload FROM watchlist_alerts WHERE type = 'REDEEM_FAILED' AND network = ? AND ticket_id = ? ORDER BY id DESC LIMIT 1")
+
+  const addresses = [...new Set(watches.map(w => w.address))]
+  const candidates = findCandidates({ network, now, expiresBefore: now + withinHours * 3600, lifetimeSec: RETRYABLE_LIFETIME_SECONDS, addresses })
+  const raised = []
+  for (const c of candidates) {
+    const pending = matchWatches(network, { creator: c.creator, to: c.to_address }).filter(w => !alerted.get(w.id, c.ticket_id))
+    if (pending.length === 0) continue
+    const state = await probe(c.ticket_id).catch(() => null)
+    if (!state || state.exists === null || state.exists === undefined) continue
+    if (!state.exists) {
+      recordState(c.ticket_id, network, { state: 'CLOSED' })
+      continue
+    }
+    recordState(c.ticket_id, network, { state: 'OPEN', timeout: state.timeout })
+    if (state.secondsUntilExpiry === null || state.secondsUntilExpiry < 0 || state.secondsUntilExpiry > withinHours * 3600) continue
+    const failure = lastFailure.get(network, c.ticket_id)
+    const failed = failure ? JSON.parse(failure.payload) : null
+    for (const watch of pending) {
+      const alert = await raiseAlert(watch, {
+        type: 'EXPIRING',
+        network,
+        ticketId: c.ticket_id,
+        txHash: failed ? failed.txHash : (c.l2_tx_hash || c.l1_tx_hash),
+        l1TxHash: c.l1_tx_hash,
+        expiresAt: state.expiresAt,
+        secondsUntilExpiry: state.secondsUntilExpiry,
+        classification: failed ? failed.classification : null
+      }, { fetchImpl })
+      if (alert) raised.push(alert)
+    }
+  }
+  return raised
+}
+
+export default { initWatchlist, addWatch, removeWatch, listWatches, matchWatches, listAlerts, latestAlertId, raiseAlert, deliverWebhook, processIndexedResults, checkExpiringWatched, classifyRedeemFailure }
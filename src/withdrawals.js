@@ -0,0 +1,385 @@
+/**
+ * L2 → L1 Withdrawal Tracking
+ * Follows Nitro L2 → L1 messages through their lifecycle:
+ *
+ *   1. INITIATED            ArbSys L2ToL1Tx emitted in the L2 tx
+ *   2. AWAITING_ASSERTION   no rollup assertion covers the L2 block yet
+ *   3. IN_CHALLENGE_PERIOD  assertion created, waiting confirmPeriodBlocks
+ *   4. CONFIRMED            assertion confirmed; executable on L1 (a withdrawal
+ *                           stuck here just needs Outbox.executeTransaction)
+ *   5. EXECUTED             Outbox.isSpent(position) is true
+ *
+ * Also explains L1 Outbox.executeTransaction calls, including why they reverted.
+ */
+
+import { ethers } from 'ethers'
+import { ARBSYS_ABI, ARBSYS_ADDRESS, OUTBOX_ABI, ROLLUP_ABI, getProviders, callWithTimeout } from './arbitrum.js'
+import { DEFAULT_NETWORK, getNetwork } from './networks.js'
+
+const arbSysInterface = new ethers.Interface(ARBSYS_ABI)
+const outboxInterface = new ethers.Interface(OUTBOX_ABI)
+const rollupInterface = new ethers.Interface(ROLLUP_ABI)
+
+const RPC_TIMEOUT_MS = 5000
+const L1_BLOCK_TIME_SEC = 12
+// Arbitrum One's confirmPeriodBlocks (~6.4 days); used when the rollup can't be queried
+const DEFAULT_CONFIRM_PERIOD_BLOCKS = 45818
+// Many RPCs cap eth_getLogs ranges; scan in chunks
+const LOG_CHUNK_BLOCKS = Number(process.env.WITHDRAWAL_LOG_CHUNK || 5000)
+// Assertions are normally posted within hours of the L2 block; search ~1 day of L1 blocks
+const ASSERTION_SEARCH_BLOCKS = 7200
+const EXECUTION_SEARCH_BLOCKS = 50000
+
+/**
+ * Parse ArbSys L2ToL1Tx events from an L2 receipt.
+ */
+export function findWithdrawals(receipt) {
+  if (!receipt || !receipt.logs) return []
+  const out = []
+  for (const log of receipt.logs) {
+    if ((log.address || '').toLowerCase() !== ARBSYS_ADDRESS) continue
+    try {
+      const parsed = arbSysInterface.parseLog(log)
+      if (!parsed || parsed.name !== 'L2ToL1Tx') continue
+      out.push({
+        l2TxHash: receipt.transactionHash || receipt.hash || null,
+        caller: parsed.args.caller,
+        destination: parsed.args.destination,
+        hash: ethers.toBeHex(parsed.args.hash, 32),
+        position: parsed.args.position.toString(),
+        arbBlockNum: Number(parsed.args.arbBlockNum),
+        ethBlockNum: Number(parsed.args.ethBlockNum),
+        timestamp: Number(parsed.args.timestamp),
+        callvalue: parsed.args.callvalue.toString(),
+        data: parsed.args.data
+      })
+    } catch (e) {
+      // not an L2ToL1Tx event
+    }
+  }
+  return out
+}
+
+/**
+ * Decode an Outbox.executeTransaction call. Returns null for any other calldata.
+ */
+export function decodeOutboxExecution(tx) {
+  if (!tx || !tx.data) return null
+  try {
+    const parsed = outboxInterface.parseTransaction({ data: tx.data, value: tx.value || 0n })
+    if (!parsed || parsed.name !== 'executeTransaction') return null
+    return {
+      index: parsed.args.index.toString(),
+      l2Sender: parsed.args.l2Sender,
+      to: parsed.args.to,
+      l2Block: Number(parsed.args.l2Block),
+      l1Block: Number(parsed.args.l1Block),
+      l2Timestamp: Number(parsed.args.l2Timestamp),
+      value: parsed.args.value.toString(),
+      data: parsed.args.data,
+      proofLength: parsed.args.proof.length
+    }
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Challenge-period countdown from the L1 block the period started at.
+ */
+export function computeChallengeCountdown({ startL1Block, confirmPeriodBlocks, currentL1Block, blockTimeSec = L1_BLOCK_TIME_SEC }) {
+  const confirmableAtL1Block = startL1Block + confirmPeriodBlocks
+  const blocksRemaining = Math.max(0, confirmableAtL1Block - currentL1Block)
+  const elapsed = Math.min(confirmPeriodBlocks, Math.max(0, currentL1Block - startL1Block))
+  return {
+    startL1Block,
+    confirmPeriodBlocks,
+    confirmableAtL1Block,
+    blocksRemaining,
+    secondsRemaining: blocksRemaining * blockTimeSec,
+    estimatedConfirmableAt: new Date(Date.now() + blocksRemaining * blockTimeSec * 1000).toISOString(),
+    elapsedPct: confirmPeriodBlocks > 0 ? Math.round((elapsed / confirmPeriodBlocks) * 100) : 100
+  }
+}
+
+/**
+ * Lifecycle status from what was found on L1.
+ */
+export function withdrawalStatus({ assertion = null, confirmation = null, spent = false }) {
+  if (spent) return 'EXECUTED'
+  if (confirmation) return 'CONFIRMED'
+  if (assertion) return 'IN_CHALLENGE_PERIOD'
+  return 'AWAITING_ASSERTION'
+}
+
+async function getLogsChunked(provider, filter, fromBlock, toBlock, onLogs) {
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_BLOCKS) {
+    const end = Math.min(toBlock, start + LOG_CHUNK_BLOCKS - 1)
+    const logs = await callWithTimeout(provider.getLogs({ ...filter, fromBlock: start, toBlock: end }), RPC_TIMEOUT_MS)
+    // onLogs returns a truthy value to stop scanning
+    const done = await onLogs(logs || [])
+    if (done) return done
+  }
+  return null
+}
+
+async function l2BlockNumberForHash(l2Provider, blockHash) {
+  const block = await callWithTimeout(l2Provider.getBlock(blockHash), RPC_TIMEOUT_MS).catch(() => null)
+  return block ? block.number : null
+}
+
+// First assertion whose after-state L2 block is at or past arbBlockNum: pre-BoLD
+// NodeCreated or BoLD AssertionCreated. A BoLD assertion carries its own confirm period.
+async function findAssertion(ctx, arbBlockNum, ethBlockNum) {
+  const { l1Provider, l2Provider, rollup, currentL1Block } = ctx
+  const topics = [[rollupInterface.getEvent('NodeCreated').topicHash, rollupInterface.getEvent('AssertionCreated').topicHash]]
+  return getLogsChunked(l1Provider, { address: rollup, topics }, ethBlockNum, Math.min(currentL1Block, ethBlockNum + ASSERTION_SEARCH_BLOCKS), async (logs) => {
+    for (const log of logs) {
+      const parsed = rollupInterface.parseLog(log)
+      if (!parsed) continue
+      const l2BlockHash = parsed.args.assertion.afterState.globalState.bytes32Vals[0]
+      const l2BlockNumber = await l2BlockNumberForHash(l2Provider, l2BlockHash)
+      if (l2BlockNumber === null || l2BlockNumber < arbBlockNum) continue
+      const found = { kind: parsed.name, l1BlockNumber: log.blockNumber, l1TxHash: log.transactionHash, l2BlockHash, l2BlockNumber }
+      if (parsed.name === 'NodeCreated') return { ...found, nodeNum: parsed.args.nodeNum.toString() }
+      return { ...found, assertionHash: parsed.args.assertionHash, confirmPeriodBlocks: Number(parsed.args.assertion.beforeStateData.configData.confirmPeriodBlocks) }
+    }
+    return null
+  })
+}
+
+// Confirmation of a known node/assertion, else the first BoLD AssertionConfirmed covering arbBlockNum
+async function findConfirmation(ctx, assertion, arbBlockNum, fromBlock) {
+  const { l1Provider, l2Provider, rollup, currentL1Block } = ctx
+  if (fromBlock > currentL1Block) return null
+  if (assertion && assertion.kind === 'AssertionCreated') {
+    const topics = [rollupInterface.getEvent('AssertionConfirmed').topicHash, assertion.assertionHash]
+    return getLogsChunked(l1Provider, { address: rollup, topics }, fromBlock, currentL1Block, async (logs) => {
+      const log = logs[0]
+      if (!log) return null
+      const parsed = rollupInterface.parseLog(log)
+      return { kind: 'AssertionConfirmed', assertionHash: assertion.assertionHash, l1BlockNumber: log.blockNumber, l1TxHash: log.transactionHash, l2BlockHash: parsed.args.blockHash, l2BlockNumber: assertion.l2BlockNumber, sendRoot: parsed.args.sendRoot }
+    })
+  }
+  if (assertion) {
+    const topics = [rollupInterface.getEvent('NodeConfirmed').topicHash, ethers.toBeHex(BigInt(assertion.nodeNum), 32)]
+    return getLogsChunked(l1Provider, { address: rollup, topics }, fromBlock, currentL1Block, async (logs) => {
+      const log = logs[0]
+      if (!log) return null
+      const parsed = rollupInterface.parseLog(log)
+      return { kind: 'NodeConfirmed', l1BlockNumber: log.blockNumber, l1TxHash: log.transactionHash, l2BlockHash: parsed.args.blockHash, sendRoot: parsed.args.sendRoot }
+    })
+  }
+  const topic = rollupInterface.getEvent('AssertionConfirmed').topicHash
+  return getLogsChunked(l1Provider, { address: rollup, topics: [topic] }, fromBlock, Math.min(currentL1Block, fromBlock + ASSERTION_SEARCH_BLOCKS), async (logs) => {
+    for (const log of logs) {
+      const parsed = rollupInterface.parseLog(log)
+      const l2BlockNumber = await l2BlockNumberForHash(l2Provider, parsed.args.blockHash)
+      if (l2BlockNumber !== null && l2BlockNumber >= arbBlockNum) {
+        return { kind: 'AssertionConfirmed', assertionHash: parsed.args.assertionHash, l1BlockNumber: log.blockNumber, l1TxHash: log.transactionHash, l2BlockHash: parsed.args.blockHash, l2BlockNumber, sendRoot: parsed.args.sendRoot }
+      }
+    }
+    return null
+  })
+}
+
+async function findExecutionTx(ctx, withdrawal, fromBlock) {
+  const { l1Provider, outbox, currentL1Block } = ctx
+  const topics = [
+    outboxInterface.getEvent('OutBoxTransactionExecuted').topicHash,
+    ethers.zeroPadValue(withdrawal.destination, 32),
+    ethers.zeroPadValue(withdrawal.caller, 32)
+  ]
+  return getLogsChunked(l1Provider, { address: outbox, topics }, fromBlock, Math.min(currentL1Block, fromBlock + EXECUTION_SEARCH_BLOCKS), async (logs) => {
+    for (const log of logs) {
+      const parsed = outboxInterface.parseLog(log)
+      if (parsed.args.transactionIndex.toString() === withdrawal.position) {
+        return { l1TxHash: log.transactionHash, l1BlockNumber: log.blockNumber }
+      }
+    }
+    return null
+  })
+}
+
+async function buildContext(network, options = {}) {
+  const net = getNetwork(network)
+  if (!net) throw new Error(`Unknown network: ${network}`)
+  const providers = options.l1Provider && options.l2Provider ? null : getProviders(net.name)
+  const l1Provider = options.l1Provider || providers.l1Provider
+  const l2Provider = options.l2Provider || providers.l2Provider
+  const { rollup = null, outbox = null } = net.contracts || {}
+  const currentL1Block = await callWithTimeout(l1Provider.getBlockNumber(), RPC_TIMEOUT_MS)
+  let confirmPeriodBlocks = DEFAULT_CONFIRM_PERIOD_BLOCKS
+  if (rollup) {
+    try {
+      const rollupContract = new ethers.Contract(rollup, ROLLUP_ABI, l1Provider)
+      confirmPeriodBlocks = Number(await callWithTimeout(rollupContract.confirmPeriodBlocks(), RPC_TIMEOUT_MS))
+    } catch (e) {
+      // keep default
+    }
+  }
+  return { net, l1Provider, l2Provider, rollup, outbox, currentL1Block, confirmPeriodBlocks }
+}
+
+async function isSpent(ctx, position) {
+  if (!ctx.outbox) return null
+  const outboxContract = new ethers.Contract(ctx.outbox, OUTBOX_ABI, ctx.l1Provider)
+  return callWithTimeout(outboxContract.isSpent(BigInt(position)), RPC_TIMEOUT_MS)
+}
+
+// Assertion covering arbBlockNum, its confirmation and the challenge countdown
+async function locateAssertion(ctx, arbBlockNum, ethBlockNum, errors) {
+  let assertion = null
+  let confirmation = null
+  if (ctx.rollup) {
+    try {
+      assertion = await findAssertion(ctx, arbBlockNum, ethBlockNum)
+    } catch (e) {
+      errors.push(`assertion lookup: ${e.message}`)
+    }
+  }
+  // BoLD: the assertion is confirmable confirmPeriodBlocks (from its parent's config) after creation
+  const confirmPeriodBlocks = assertion && assertion.confirmPeriodBlocks ? assertion.confirmPeriodBlocks : ctx.confirmPeriodBlocks
+  if (ctx.rollup) {
+    try {
+      const from = (assertion ? assertion.l1BlockNumber : ethBlockNum) + confirmPeriodBlocks
+      confirmation = await findConfirmation(ctx, assertion, arbBlockNum, from)
+    } catch (e) {
+      errors.push(`confirmation lookup: ${e.message}`)
+    }
+  }
+
+  // Before an assertion exists, ethBlockNum is the earliest the period could have started
+  const challengePeriod = computeChallengeCountdown({
+    startL1Block: assertion ? assertion.l1BlockNumber : ethBlockNum,
+    confirmPeriodBlocks,
+    currentL1Block: ctx.currentL1Block
+  })
+  return { assertion, confirmation, challengePeriod }
+}
+
+/**
+ * Rollup assertion status of an L2 block, without the Outbox side of
+ * trackWithdrawal. `ethBlockNum` is the first L1 block to search from (the
+ * block its batch was posted in, or the L2ToL1Tx ethBlockNum).
+ *
+ * status: AWAITING_ASSERTION | IN_CHALLENGE_PERIOD | CONFIRMED
+ * `options.l1Provider` / `options.l2Provider` override the providers (tests).
+ */
+export async function trackAssertion(arbBlockNum, ethBlockNum, network = DEFAULT_NETWORK, options = {}) {
+  const result = { status: 'AWAITING_ASSERTION', assertion: null, confirmation: null, challengePeriod: null, errors: [] }
+  let ctx
+  try {
+    ctx = await buildContext(network, options)
+  } catch (e) {
+    result.errors.push(e.message)
+    return result
+  }
+  Object.assign(result, await locateAssertion(ctx, arbBlockNum, ethBlockNum, result.errors))
+  result.status = withdrawalStatus({ assertion: result.assertion, confirmation: result.confirmation })
+  return result
+}
+
+/**
+ * Track one withdrawal (from findWithdrawals) through assertion, challenge
+ * period and Outbox execution. RPC failures are collected in `errors`.
+ * `options.l1Provider` / `options.l2Provider` override the providers (tests).
+ */
+export async function trackWithdrawal(withdrawal, network = DEFAULT_NETWORK, options = {}) {
+  const result = {
+    ...withdrawal,
+    network,
+    status: 'AWAITING_ASSERTION',
+    assertion: null,
+    confirmation: null,
+    challengePeriod: null,
+    outbox: { address: null, spent: null, execution: null },
+    errors: []
+  }
+  let ctx
+  try {
+    ctx = await buildContext(network, options)
+  } catch (e) {
+    result.errors.push(e.message)
+    return result
+  }
+  result.outbox.address = ctx.outbox
+
+  try {
+    result.outbox.spent = await isSpent(ctx, withdrawal.position)
+  } catch (e) {
+    result.errors.push(`isSpent: ${e.message}`)
+  }
+
+  Object.assign(result, await locateAssertion(ctx, withdrawal.arbBlockNum, withdrawal.ethBlockNum, result.errors))
+
+  if (result.outbox.spent && ctx.outbox) {
+    try {
+      const from = result.confirmation ? result.confirmation.l1BlockNumber : withdrawal.ethBlockNum + ctx.confirmPeriodBlocks
+      result.outbox.execution = await findExecutionTx(ctx, withdrawal, from)
+    } catch (e) {
+      result.errors.push(`execution lookup: ${e.message}`)
+    }
+  }
+
+  result.status = withdrawalStatus({ assertion: result.assertion, confirmation: result.confirmation, spent: !!result.outbox.spent })
+  return result
+}
+
+/**
+ * Explain an L1 transaction sent to the network's Outbox. Returns null when the
+ * tx is not an executeTransaction call on that Outbox.
+ *
+ * reason: null (executed) | ALREADY_EXECUTED | WITHDRAWAL_NOT_CONFIRMED | OUTBOX_CALL_REVERTED
+ * `options.l1Provider` / `options.l2Provider` override the providers (tests).
+ */
+export async function analyzeOutboxExecution(l1Receipt, tx, network = DEFAULT_NETWORK, options = {}) {
+  const net = getNetwork(network)
+  const outbox = net && net.contracts ? net.contracts.outbox : null
+  if (!l1Receipt || !tx || !outbox || (tx.to || '').toLowerCase() !== outbox.toLowerCase()) return null
+  const call = decodeOutboxExecution(tx)
+  if (!call) return null
+
+  const result = {
+    l1TxHash: l1Receipt.transactionHash || l1Receipt.hash || null,
+    network,
+    executed: l1Receipt.status === 1,
+    reverted: l1Receipt.status !== 1,
+    call,
+    spent: null,
+    confirmation: null,
+    reason: null,
+    message: null,
+    errors: []
+  }
+  if (result.executed) {
+    result.message = `Withdrawal #${call.index} executed on L1 (${call.value} wei to ${call.to})`
+    return result
+  }
+
+  try {
+    const ctx = await buildContext(network, options)
+    result.spent = await isSpent(ctx, call.index)
+    if (!result.spent) {
+      // Same assertion lookup as trackWithdrawal: NodeCreated/NodeConfirmed or BoLD AssertionCreated/AssertionConfirmed
+      const located = await locateAssertion(ctx, call.l2Block, call.l1Block, result.errors)
+      result.confirmation = located.confirmation
+    }
+  } catch (e) {
+    result.errors.push(e.message)
+  }
+
+  if (result.spent) {
+    result.reason = 'ALREADY_EXECUTED'
+    result.message = `Withdrawal #${call.index} was already executed by another transaction; the Outbox rejects re-execution.`
+  } else if (!result.confirmation) {
+    result.reason = 'WITHDRAWAL_NOT_CONFIRMED'
+    result.message = `No confirmed assertion covers L2 block ${call.l2Block} yet; executeTransaction reverts until the challenge period ends.`
+  } else {
+    result.reason = 'OUTBOX_CALL_REVERTED'
+    result.message = `Withdrawal is confirmed and unspent, so the proof was invalid or the call to ${call.to} reverted on L1.`
+  }
+  return result
+}
+
+export default { findWithdrawals, decodeOutboxExecution, computeChallengeCountdown, withdrawalStatus, trackWithdrawal, trackAssertion, analyzeOutboxExecution }
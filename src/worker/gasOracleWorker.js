@@ -0,0 +1,51 @@
+import { fileURLToPath } from 'url'
+import { getProviders } from '../arbitrum.js'
+import { DEFAULT_NETWORK, getNetwork } from '../networks.js'
+import gasOracle from '../gasOracle.js'
+
+const SAMPLE_MS = Number(process.env.GAS_ORACLE_SAMPLE_MS || 15_000)
+const PRUNE_MS = 60 * 60_000
+// Comma-separated registry names; defaults to the indexer's networks
+const GAS_ORACLE_NETWORKS = (process.env.GAS_ORACLE_NETWORKS || process.env.INDEXER_NETWORKS || DEFAULT_NETWORK).split(',').map(n => n.trim()).filter(Boolean)
+
+async function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
+
+function ensureProvider(network) {
+  if (!getNetwork(network)) throw new Error(`Unknown network: ${network}`)
+  const p = getProviders(network)
+  if (!p || !p.l2Provider) throw new Error('Providers not configured')
+}
+
+async function sampleLoop(networks = GAS_ORACLE_NETWORKS) {
+  console.log(`Gas oracle worker starting for ${networks.join(', ')} (every ${SAMPLE_MS}ms)...`)
+  gasOracle.initGasOracle()
+  let lastPrune = 0
+  try {
+    for (const network of networks) ensureProvider(network)
+    while (true) {
+      for (const network of networks) {
+        try {
+          const sample = await gasOracle.recordSample(network)
+          console.log(`[${network}] Gas sample at block ${sample.blockNumber}: base fee ${sample.l2BaseFee}, L1 estimate ${sample.l1BaseFeeEstimate}`)
+        } catch (e) {
+          console.warn(`[${network}] Gas sample error`, e.message)
+        }
+      }
+      if (Date.now() - lastPrune >= PRUNE_MS) {
+        lastPrune = Date.now()
+        const removed = gasOracle.pruneSamples()
+        if (removed > 0) console.log(`Pruned ${removed} gas sample(s) older than ${gasOracle.RETENTION_HOURS}h`)
+      }
+      await sleep(SAMPLE_MS)
+    }
+  } catch (e) {
+    console.error('Gas oracle worker fatal error:', e.message)
+    process.exit(1)
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  sampleLoop().catch(e => { console.error(e); process.exit(1) })
+}
+
+export default { sampleLoop }
@@ -1,20 +1,32 @@
 import fs from 'fs'
 import path from 'path'
+import { fileURLToPath } from 'url'
 import { getProviders } from '../arbitrum.js'
 import indexer from '../indexer.js'
+import { DEFAULT_NETWORK, getNetwork } from '../networks.js'
+import watchlist from '../watchlist.js'
+import { scanExpiringTickets } from '../expiryScanner.js'
 
 const STATE_PATH = path.join(process.cwd(), 'data', 'indexer_state.json')
-const REORG_DEPTH = 12
 const LOOP_DELAY_MS = Number(process.env.INDEXER_LOOP_MS || 15_000)
 const L2_BATCH = Number(process.env.INDEXER_L2_BATCH || 20)
 const L1_BATCH = Number(process.env.INDEXER_L1_BATCH || 20)
+const EXPIRY_SCAN_MS = Number(process.env.EXPIRY_SCAN_MS || 10 * 60_000)
+// Comma-separated registry names, e.g. "arbitrum-one,arbitrum-nova,my-orbit-l3"
+const INDEXER_NETWORKS = (process.env.INDEXER_NETWORKS || DEFAULT_NETWORK).split(',').map(n => n.trim()).filter(Boolean)
 
+// State is keyed by network: { "arbitrum-one": { lastL1, lastL2 }, ... }.
+// A pre-multi-network state file ({ lastL1, lastL2 }) belongs to Arbitrum One.
 function readState() {
   try {
-    if (!fs.existsSync(STATE_PATH)) return { lastL1: 0, lastL2: 0 }
-    return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'))
+    if (!fs.existsSync(STATE_PATH)) return {}
+    const raw = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'))
+    if (raw && (raw.lastL1 !== undefined || raw.lastL2 !== undefined)) {
+      return { 'arbitrum-one': { lastL1: raw.lastL1 || 0, lastL2: raw.lastL2 || 0 } }
+    }
+    return raw || {}
   } catch (e) {
-    return { lastL1: 0, lastL2: 0 }
+    return {}
   }
 }
 
@@ -26,53 +38,106 @@ function writeState(state) {
 
 async function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
 
-async function ensureProviders() {
-  const p = getProviders()
+async function ensureProviders(network) {
+  if (!getNetwork(network)) throw new Error(`Unknown network: ${network}`)
+  const p = getProviders(network)
   if (!p || !p.l1Provider || !p.l2Provider) throw new Error('Providers not configured')
   return p
 }
 
-async function indexLoop() {
-  console.log('Indexer worker starting...')
+// Last block of a range that is safe to checkpoint: blocks from the first failed
+// one on are indexed again next pass (indexing a block twice is harmless)
+function lastIndexedBlock(res, endBlock) {
+  const failed = (res && res.failedBlocks) || []
+  return failed.length > 0 ? Math.min(...failed) - 1 : endBlock
+}
+
+// One L1 batch + one L2 batch for a single network
+async function indexNetworkOnce(network, state) {
+  const { l1Provider, l2Provider } = await ensureProviders(network)
+  const netState = state[network] || (state[network] = { lastL1: 0, lastL2: 0 })
+
+  // L1 (parent chain) indexing. No rewind: the indexer compares each block's
+  // parent hash with its checkpoint and rolls back orphaned rows itself.
+  const latestL1 = await l1Provider.getBlockNumber()
+  const startL1 = netState.lastL1 ? netState.lastL1 + 1 : 0
+  const endL1 = Math.min(latestL1, startL1 + L1_BATCH)
+  if (endL1 >= startL1) {
+    console.log(`[${network}] Indexing L1 blocks ${startL1}..${endL1}`)
+    try {
+      const res = await indexer.indexRange(startL1, endL1, network)
+      console.log(`[${network}] L1 index result:`, res)
+      logReorgs(network, 'L1', res)
+      // A range abandoned mid-reorg is indexed again next pass
+      if (!res.error) netState.lastL1 = Math.max(netState.lastL1, lastIndexedBlock(res, endL1))
+    } catch (e) { console.warn(`[${network}] L1 index error`, e.message) }
+    writeState(state)
+  }
+
+  // L2 indexing
+  const latestL2 = await l2Provider.getBlockNumber()
+  const startL2 = netState.lastL2 ? netState.lastL2 + 1 : 0
+  const endL2 = Math.min(latestL2, startL2 + L2_BATCH)
+  if (endL2 >= startL2) {
+    console.log(`[${network}] Indexing L2 blocks ${startL2}..${endL2}`)
+    try {
+      const res2 = await indexer.indexL2Range(startL2, endL2, network)
+      console.log(`[${network}] L2 index result:`, { ...res2, redeems: res2.redeems ? res2.redeems.length : 0 })
+      logReorgs(network, 'L2', res2)
+      if (!res2.error) {
+        netState.lastL2 = Math.max(netState.lastL2, lastIndexedBlock(res2, endL2))
+        await alertWatchers(network, res2)
+      }
+    } catch (e) { console.warn(`[${network}] L2 index error`, e.message) }
+    writeState(state)
+  }
+}
+
+function logReorgs(network, layer, res) {
+  for (const r of (res && res.reorgs) || []) {
+    console.warn(`[${network}] ${layer} reorg detected at block ${r.detectedAt}; rolled back from ${r.fromBlock}`, r.removed)
+  }
+  if (res && res.error) console.warn(`[${network}] ${layer} index error`, res.error)
+}
+
+// Failed redeems / near-expiry tickets on watched addresses → watchlist alerts
+async function alertWatchers(network, indexed) {
+  try {
+    const failed = await watchlist.processIndexedResults(network, indexed, { lookupTicket: indexer.getTicket })
+    const expiring = await watchlist.checkExpiringWatched(network)
+    if (failed.length + expiring.length > 0) console.log(`[${network}] Watchlist alerts: ${failed.length} failed, ${expiring.length} expiring`)
+  } catch (e) { console.warn(`[${network}] Watchlist alert error`, e.message) }
+}
+
+// Unredeemed tickets near their timeout; the precompile checks are rate-limited by EXPIRY_SCAN_MS
+const lastExpiryScan = {}
+async function scanExpiring(network) {
+  if (Date.now() - (lastExpiryScan[network] || 0) < EXPIRY_SCAN_MS) return
+  lastExpiryScan[network] = Date.now()
+  const res = await scanExpiringTickets({ network })
+  if (!res.ok) return console.warn(`[${network}] Expiry scan error`, res.error)
+  if (res.expiring.length > 0) console.warn(`[${network}] ${res.expiring.length} unredeemed ticket(s) expire within ${res.withinHours}h:`, res.expiring.map(t => `${t.ticketId} (${t.expiresAt})`).join(', '))
+  console.log(`[${network}] Expiry scan:`, { probed: res.probed, expiring: res.expiring.length, closed: res.closed, extended: res.extended, errors: res.errors.length })
+}
+
+async function indexLoop(networks = INDEXER_NETWORKS) {
+  console.log(`Indexer worker starting for ${networks.join(', ')}...`)
   let state = readState()
+  watchlist.initWatchlist()
   try {
-    const { l1Provider, l2Provider } = await ensureProviders()
+    for (const network of networks) await ensureProviders(network)
     while (true) {
-      try {
-        // L1 indexing
-        const latestL1 = await l1Provider.getBlockNumber()
-        let startL1 = Math.max(0, (state.lastL1 || 0) - REORG_DEPTH)
-        const endL1 = Math.min(latestL1, startL1 + L1_BATCH)
-        if (endL1 >= startL1) {
-          console.log(`Indexing L1 blocks ${startL1}..${endL1}`)
-          try {
-            const res = await indexer.indexRange(startL1, endL1)
-            console.log('L1 index result:', res)
-          } catch (e) { console.warn('L1 index error', e.message) }
-          state.lastL1 = endL1
-          writeState(state)
+      for (const network of networks) {
+        try {
+          await indexNetworkOnce(network, state)
+          await scanExpiring(network)
+        } catch (e) {
+          console.warn(`[${network}] Indexer loop error`, e.message)
+          await sleep(5000)
         }
-
-        // L2 indexing
-        const latestL2 = await l2Provider.getBlockNumber()
-        let startL2 = Math.max(0, (state.lastL2 || 0) - REORG_DEPTH)
-        const endL2 = Math.min(latestL2, startL2 + L2_BATCH)
-        if (endL2 >= startL2) {
-          console.log(`Indexing L2 blocks ${startL2}..${endL2}`)
-          try {
-            const res2 = await indexer.indexL2Range(startL2, endL2)
-            console.log('L2 index result:', res2)
-          } catch (e) { console.warn('L2 index error', e.message) }
-          state.lastL2 = endL2
-          writeState(state)
-        }
-
-        // sleep until next loop
-        await sleep(LOOP_DELAY_MS)
-      } catch (e) {
-        console.warn('Indexer loop error', e.message)
-        await sleep(5000)
       }
+      // sleep until next loop
+      await sleep(LOOP_DELAY_MS)
     }
   } catch (e) {
     console.error('Indexer worker fatal error:', e.message)
@@ -80,7 +145,7 @@ async function indexLoop() {
   }
 }
 
-if (require.main === module) {
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
   indexLoop().catch(e => { console.error(e); process.exit(1) })
 }
 
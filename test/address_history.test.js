@@ -0,0 +1,93 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { insertTicket, insertMapping, updateTicketState, findTicketsForAddress } from '../src/indexer.js'
+import { addressFailureHistory, resolveScanRange, isFailedAnalysis, ADDRESS_SCAN_MAX_BLOCKS } from '../src/addressHistory.js'
+
+// The indexer stores addresses checksummed, as decoded from the event
+const ROUTER = ethers.getAddress('0x' + '1a'.repeat(20))
+const TARGET = ethers.getAddress('0x' + '2b'.repeat(20))
+const OTHER = ethers.getAddress('0x' + '3c'.repeat(20))
+const L1_OK = '0x' + 'a1'.repeat(32)
+const L1_FAILED = '0x' + 'a2'.repeat(32)
+const L2_FAILED = '0x' + 'b1'.repeat(32)
+const L2_OK = '0x' + 'b2'.repeat(32)
+const L2_RETRY = '0x' + 'b4'.repeat(32)
+const FAILED_REDEEM = '0x' + 'd1'.repeat(32)
+const NETWORK = 'arbitrum-sepolia'
+
+// L2 blocks 100..102: one reverted and one successful tx from the router, one unrelated,
+// and a reverted retry tx (type 0x68) that the scan leaves to the indexer
+function mockL2() {
+  const blocks = {
+    101: [{ hash: L2_FAILED, from: ROUTER, to: TARGET }, { hash: '0x' + 'b3'.repeat(32), from: OTHER, to: OTHER }, { hash: L2_RETRY, type: 0x68, from: OTHER, to: ROUTER }],
+    102: [{ hash: L2_OK, from: OTHER, to: ROUTER }]
+  }
+  return {
+    getBlockNumber: async () => 102,
+    getBlock: async (b) => ({ number: b, prefetchedTransactions: blocks[b] || [] }),
+    getTransactionReceipt: async (hash) => ({ status: hash === L2_FAILED || hash === L2_RETRY ? 0 : 1 })
+  }
+}
+
+async function run() {
+  const base = { l2_call_value: '0', gas_limit: '100000', max_fee_per_gas: '100000000', data: '0x', network: NETWORK }
+  assert.ok(insertTicket({ ...base, ticket_id: '7001', l1_tx_hash: L1_OK, creator: ROUTER, to_address: TARGET, block_number: 5000 }))
+  assert.ok(insertTicket({ ...base, ticket_id: '7002', l1_tx_hash: L1_FAILED, creator: OTHER, to_address: ROUTER, block_number: 5001 }))
+  assert.ok(insertTicket({ ...base, ticket_id: '7003', l1_tx_hash: '0x' + 'a3'.repeat(32), creator: OTHER, to_address: OTHER, block_number: 5002 }))
+  insertMapping('7001', '0x' + 'c1'.repeat(32), 900, NETWORK)
+  updateTicketState('7002', NETWORK, { state: 'OPEN' })
+
+  // Lowercase input matches checksummed rows; L1 block filter applies to creation block
+  const rows = findTicketsForAddress(ROUTER.toLowerCase(), { network: NETWORK })
+  assert.deepEqual(rows.map(r => r.ticket_id), ['7002', '7001'])
+  assert.equal(rows[1].l2_tx_hash, '0x' + 'c1'.repeat(32))
+  assert.deepEqual(findTicketsForAddress(ROUTER, { network: NETWORK, fromBlock: 5001 }).map(r => r.ticket_id), ['7002'])
+
+  assert.deepEqual(resolveScanRange({ latest: 1000 }), { fromBlock: 501, toBlock: 1000 })
+  assert.ok(resolveScanRange({ fromBlock: 0, toBlock: ADDRESS_SCAN_MAX_BLOCKS }).error)
+  assert.ok(resolveScanRange({ fromBlock: 10, toBlock: 5 }).error)
+  assert.equal(isFailedAnalysis({ failureAt: 'UNKNOWN', failureReason: 'UNKNOWN' }), false)
+
+  // Redeem events as indexed; 7002's failed auto-redeem is far outside the scanned L2 range
+  const findRedeems = (ticketId) => ({
+    redeems: ticketId === '7002'
+      ? [{ retry_tx_hash: FAILED_REDEEM, kind: 'AUTO', status: 0, sequence_num: 0, l2_tx_hash: '0x' + 'c2'.repeat(32), l2_block_number: 50 }]
+      : [{ retry_tx_hash: '0x' + 'd2'.repeat(32), kind: 'AUTO', status: 1, sequence_num: 0, l2_tx_hash: '0x' + 'c1'.repeat(32), l2_block_number: 900 }],
+    cancel: null
+  })
+
+  const analyzed = []
+  const analyze = async (txHash) => {
+    analyzed.push(txHash)
+    if (txHash === L1_OK) return { failureAt: 'UNKNOWN', failureReason: 'UNKNOWN' }
+    if (txHash === L1_FAILED) return { failureAt: 'AUTO_REDEEM', failureReason: 'LOGIC_REVERT', failureMessage: 'paused' }
+    return { failureAt: 'L2_EXECUTION', failureReason: 'OUT_OF_GAS' }
+  }
+  const history = await addressFailureHistory(ROUTER, { network: NETWORK, fromBlock: 100, provider: mockL2(), analyze, findRedeems })
+  assert.equal(history.ok, true)
+  assert.deepEqual(history.scannedL2Range, { fromBlock: 100, toBlock: 102 })
+  assert.ok(history.limits.l2Failures.includes(`${ADDRESS_SCAN_MAX_BLOCKS} blocks`))
+  assert.equal(history.limits.ticketsTruncated, false)
+  assert.equal(history.retryables[0].state, 'OPEN')
+  assert.deepEqual(history.retryables[0].failedRedeems.map(r => [r.retryTxHash, r.l2BlockNumber]), [[FAILED_REDEEM, 50]])
+  assert.deepEqual(history.retryables[1].failedRedeems, [])
+  assert.deepEqual(history.retryables.map(r => [r.ticketId, r.role]), [['7002', 'TARGET'], ['7001', 'CREATOR']])
+  assert.equal(history.retryables[0].classification.failureAt, 'AUTO_REDEEM')
+  assert.equal(history.retryables[1].classification.failed, false)
+  assert.deepEqual(history.l2Failures.map(f => [f.txHash, f.direction]), [[L2_FAILED, 'FROM']])
+  assert.equal(history.l2Failures[0].classification.failureReason, 'OUT_OF_GAS')
+  assert.equal(analyzed.length, 3)
+  assert.equal(history.summary.analyzed, 3)
+
+  const failedOnly = await addressFailureHistory(ROUTER, { network: NETWORK, fromBlock: 100, provider: mockL2(), analyze, findRedeems, onlyFailed: true, limit: 1 })
+  assert.equal(failedOnly.truncated, true)
+  assert.equal(failedOnly.classified, 1)
+  assert.deepEqual(failedOnly.retryables.map(r => r.ticketId), ['7002'])
+  assert.equal(failedOnly.l2Failures.length, 0)
+
+  assert.equal((await addressFailureHistory('nope', { provider: mockL2(), analyze })).ok, false)
+
+  console.log('Address history test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
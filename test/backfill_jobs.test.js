@@ -0,0 +1,100 @@
+import assert from 'assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { execFileSync } from 'child_process'
+import backfillJobs from '../src/backfillJobs.js'
+
+const NETWORK = 'arbitrum-sepolia'
+
+async function run() {
+  backfillJobs.initBackfillJobs(':memory:')
+
+  assert.deepEqual(backfillJobs.planChunks(10, 34, 10), [{ startBlock: 10, endBlock: 19 }, { startBlock: 20, endBlock: 29 }, { startBlock: 30, endBlock: 34 }])
+  assert.equal(backfillJobs.createBackfillJob({ network: 'nope', startBlock: 1, endBlock: 2 }).ok, false)
+  assert.equal(backfillJobs.createBackfillJob({ network: NETWORK, startBlock: 5, endBlock: 2 }).ok, false)
+  assert.equal(backfillJobs.createBackfillJob({ network: NETWORK, startBlock: 1, endBlock: 2, concurrency: 99 }).ok, false)
+  assert.equal(backfillJobs.createBackfillJob({ network: NETWORK, layer: 'L3', startBlock: 1, endBlock: 2 }).ok, false)
+
+  // L1 job: 5 chunks, block 25 fails once (retried), chunk 40-49 always fails
+  const { job } = backfillJobs.createBackfillJob({ network: NETWORK, startBlock: 0, endBlock: 49, chunkSize: 10, concurrency: 2 })
+  assert.equal(job.status, 'QUEUED')
+  assert.equal(job.progress.chunks.total, 5)
+  let active = 0
+  let maxActive = 0
+  const calls = []
+  let flaky = true
+  const indexRange = async (from, to, network) => {
+    calls.push([from, to, network])
+    active++
+    maxActive = Math.max(maxActive, active)
+    await new Promise(resolve => setTimeout(resolve, 5))
+    active--
+    if (from === 20 && flaky) { flaky = false; return { inserted: 0, reorgs: [], failedBlocks: [25] } }
+    if (from === 40) return { inserted: 0, reorgs: [], failedBlocks: [41, 42] }
+    return { inserted: 2, reorgs: from === 0 ? [{ fromBlock: 3 }] : [], failedBlocks: [] }
+  }
+  const done = await backfillJobs.runBackfillJob(job.id, { indexRange })
+  assert.equal(maxActive, 2)
+  assert.equal(done.status, 'COMPLETED_WITH_ERRORS')
+  assert.deepEqual(done.progress.chunks, { total: 5, done: 4, running: 0, pending: 0, failed: 1 })
+  assert.equal(done.progress.blocksDone, 40)
+  assert.equal(done.progress.percent, 80)
+  assert.equal(done.progress.rows, 8)
+  assert.equal(done.progress.reorgs, 1)
+  assert.ok(done.throughput.blocksPerSecond > 0)
+  assert.equal(done.errors.length, 1)
+  assert.equal(done.errors[0].startBlock, 40)
+  assert.equal(done.errors[0].attempts, 3)
+  assert.match(done.errors[0].error, /41, 42/)
+  assert.equal(calls.filter(c => c[0] === 20).length, 2)
+  assert.ok(calls.every(c => c[2] === NETWORK))
+
+  // Resume re-runs only the failed chunk
+  calls.length = 0
+  const resumed = backfillJobs.resumeBackfillJob(job.id, { indexRange: async (from, to) => { calls.push([from, to]); return { inserted: 1, failedBlocks: [] } } })
+  assert.equal(resumed.ok, true)
+  assert.equal(resumed.job.status, 'RUNNING')
+  assert.equal(backfillJobs.resumeBackfillJob(job.id).ok, false)
+  await backfillJobs.startBackfillJob(job.id)
+  assert.deepEqual(calls, [[40, 49]])
+  assert.equal(backfillJobs.getJobProgress(job.id).status, 'COMPLETED')
+  assert.equal(backfillJobs.getJobProgress(job.id).errors.length, 0)
+
+  // Canceled jobs are not restarted; unknown jobs are reported as such
+  const { job: canceled } = backfillJobs.createBackfillJob({ network: NETWORK, startBlock: 0, endBlock: 9 })
+  assert.equal(backfillJobs.cancelBackfillJob(canceled.id).job.status, 'CANCELED')
+  const refused = backfillJobs.resumeBackfillJob(canceled.id, { indexRange: async () => { throw new Error('should not run') } })
+  assert.equal(refused.ok, false)
+  assert.match(refused.error, /canceled/)
+  assert.equal(backfillJobs.getJobProgress(canceled.id).status, 'CANCELED')
+  assert.match(backfillJobs.resumeBackfillJob(999999).error, /No backfill job/)
+
+  // Crash mid-run: a separate process dies inside chunk 110 of an L2 job
+  const dbPath = path.join(os.tmpdir(), `backfill-test-${process.pid}.db`)
+  const child = `
+    import backfillJobs from ${JSON.stringify(new URL('../src/backfillJobs.js', import.meta.url).href)}
+    backfillJobs.initBackfillJobs(${JSON.stringify(dbPath)})
+    const { job } = backfillJobs.createBackfillJob({ network: '${NETWORK}', layer: 'L2', startBlock: 100, endBlock: 129, chunkSize: 10, concurrency: 1 })
+    await backfillJobs.runBackfillJob(job.id, { indexL2Range: async (from) => { if (from === 110) process.exit(0); return { mapped: 1, failedBlocks: [] } } })
+  `
+  execFileSync(process.execPath, ['--input-type=module', '-e', child], { timeout: 30000 })
+
+  backfillJobs.initBackfillJobs(dbPath)
+  const [interrupted] = backfillJobs.listJobs()
+  assert.equal(interrupted.status, 'RUNNING')
+  assert.deepEqual(interrupted.progress.chunks, { total: 3, done: 1, running: 1, pending: 1, failed: 0 })
+  const l2Calls = []
+  const ids = backfillJobs.resumeInterruptedJobs({ indexL2Range: async (from) => { l2Calls.push(from); return { mapped: 1, failedBlocks: [] } } })
+  assert.deepEqual(ids, [interrupted.id])
+  await backfillJobs.startBackfillJob(interrupted.id)
+  assert.deepEqual(l2Calls, [110, 120])
+  const finished = backfillJobs.getJobProgress(interrupted.id)
+  assert.equal(finished.status, 'COMPLETED')
+  assert.equal(finished.progress.rows, 3)
+  for (const suffix of ['', '-wal', '-shm']) fs.rmSync(dbPath + suffix, { force: true })
+
+  console.log('Backfill jobs test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,78 @@
+import assert from 'assert'
+import http from 'http'
+import express from 'express'
+import bodyParser from 'body-parser'
+import { createConcurrencyLimiter, normalizeHashList, runBatch, summarizeBatch, createBatchHandler } from '../src/batchAnalysis.js'
+
+const hash = (n) => '0x' + n.toString(16).padStart(64, '0')
+
+async function run() {
+  // Hash validation + de-duplication
+  const { hashes, invalid } = normalizeHashList([hash(1), hash(1).toUpperCase().replace('0X', '0x'), 'nope', hash(2)])
+  assert.deepEqual(hashes, [hash(1), hash(2)])
+  assert.deepEqual(invalid, ['nope'])
+
+  // Concurrency never exceeds the limit, even across two batches sharing a limiter
+  const limiter = createConcurrencyLimiter(2)
+  let inFlight = 0
+  let peak = 0
+  const fakeAnalyze = async (txHash) => {
+    inFlight++
+    peak = Math.max(peak, inFlight)
+    await new Promise(r => setTimeout(r, 5))
+    inFlight--
+    if (txHash === hash(5)) throw new Error('rpc down')
+    const n = parseInt(txHash, 16)
+    return { failureAt: 'L2_EXECUTION', failureReason: n % 2 === 0 ? 'OUT_OF_GAS' : 'LOGIC_REVERT' }
+  }
+
+  const streamed = []
+  const [entries] = await Promise.all([
+    runBatch([1, 2, 3, 4, 5, 6].map(hash), fakeAnalyze, { limiter, onResult: (e) => streamed.push(e.txHash) }),
+    runBatch([7, 8].map(hash), fakeAnalyze, { limiter })
+  ])
+  assert(peak <= 2, `Expected at most 2 concurrent analyses, saw ${peak}`)
+  assert.equal(streamed.length, 6)
+  assert.equal(entries[4].ok, false)
+
+  const summary = summarizeBatch(entries)
+  console.log('Batch summary:', JSON.stringify(summary.groups.map(g => [g.failureReason, g.count])))
+  assert.equal(summary.analyzed, 5)
+  assert.equal(summary.errored, 1)
+  assert.equal(summary.groups[0].failureReason, 'OUT_OF_GAS')
+  assert.equal(summary.groups[0].count, 3)
+
+  // Route: the NDJSON stream carries every result and the summary (the request body being read is not a disconnect)
+  const app = express()
+  app.use(bodyParser.json())
+  app.post('/analyze/batch', createBatchHandler({
+    analyze: async (txHash, network) => {
+      await new Promise(r => setTimeout(r, 10))
+      return { network, foundOn: 'L2', failureAt: 'L2_EXECUTION', failureReason: 'LOGIC_REVERT' }
+    },
+    limiter: createConcurrencyLimiter(1),
+    resolveNetwork: (req) => ({ network: req.body.network || null })
+  }))
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)) })
+  const body = await new Promise((resolve, reject) => {
+    const req = http.request({ port: server.address().port, path: '/analyze/batch', method: 'POST', headers: { 'content-type': 'application/json' } }, (res) => {
+      let data = ''
+      res.on('data', chunk => { data += chunk })
+      res.on('end', () => resolve(data))
+    })
+    req.on('error', reject)
+    req.end(JSON.stringify({ txHashes: [hash(1), hash(2)], network: 'arbitrum-one' }))
+  })
+  server.close()
+  const lines = body.trim().split('\n').map(l => JSON.parse(l))
+  assert.equal(lines.length, 3)
+  assert.deepEqual(lines.slice(0, 2).map(l => l.type), ['result', 'result'])
+  assert.deepEqual(lines.slice(0, 2).map(l => l.txHash).sort(), [hash(1), hash(2)])
+  assert.equal(lines[0].network, 'arbitrum-one')
+  assert.equal(lines[2].type, 'summary')
+  assert.equal(lines[2].analyzed, 2)
+
+  console.log('Batch analysis test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,130 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+
+// Throwaway Orbit entry with a SequencerInbox; src/ is imported after the registry env is set
+const NETWORK = 'batch-status-test-l3'
+const SEQUENCER_INBOX = ethers.getAddress('0x' + '5e'.repeat(20))
+process.env.ORBIT_NETWORKS = JSON.stringify([{ name: NETWORK, chainId: 990003, contracts: { sequencerInbox: SEQUENCER_INBOX } }])
+const { NODE_INTERFACE_ABI, NODE_INTERFACE_ADDRESS, SEQUENCER_INBOX_ABI } = await import('../src/arbitrum.js')
+const { getBatchStatus, finalityLevel, batchTimelineNodes, FINALITY_CONFIRMATIONS } = await import('../src/batchStatus.js')
+
+const nodeInterface = new ethers.Interface(NODE_INTERFACE_ABI)
+const sequencerInbox = new ethers.Interface(SEQUENCER_INBOX_ABI)
+const BLOCK_HASH = ethers.id('l2-block-500')
+const BATCH_TX = ethers.id('batch-tx-77')
+
+// L2 node answering the NodeInterface; `batch` null makes findBatchContainingBlock revert
+function mockL2({ batch, confirmations }) {
+  return {
+    call: async ({ to, data }) => {
+      assert.equal(to, NODE_INTERFACE_ADDRESS)
+      const { name, args } = nodeInterface.parseTransaction({ data })
+      if (name === 'findBatchContainingBlock') {
+        assert.equal(args[0], 500n)
+        if (batch === null) throw Object.assign(new Error('requested block 500 is after latest on-chain block 499 published in batch 76'), { code: 'CALL_EXCEPTION' })
+        return nodeInterface.encodeFunctionResult(name, [batch])
+      }
+      assert.equal(args[0], BLOCK_HASH)
+      return nodeInterface.encodeFunctionResult(name, [confirmations])
+    }
+  }
+}
+
+function mockL1({ latest, finalized, deliveryBlock }) {
+  const filters = []
+  const { topics, data } = sequencerInbox.encodeEventLog('SequencerBatchDelivered', [77, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroHash, 12, [0, 0, 0, 0], 1])
+  return {
+    filters,
+    getBlockNumber: async () => latest,
+    getBlock: async (tag) => {
+      assert.equal(tag, 'finalized')
+      if (finalized === null) throw new Error('invalid block tag')
+      return { number: finalized }
+    },
+    getLogs: async (filter) => {
+      filters.push(filter)
+      const inRange = deliveryBlock >= filter.fromBlock && deliveryBlock <= filter.toBlock
+      return inRange && filter.topics[1] === ethers.toBeHex(77, 32)
+        ? [{ address: SEQUENCER_INBOX, topics, data, blockNumber: deliveryBlock, transactionHash: BATCH_TX }]
+        : []
+    }
+  }
+}
+
+async function run() {
+  // Finality levels: the finalized tag wins over the confirmation fallback
+  assert.equal(finalityLevel({ batch: null }), 'SOFT')
+  assert.equal(finalityLevel({ batch: '1', l1BlockNumber: 100, finalizedBlock: 100 }), 'HARD')
+  assert.equal(finalityLevel({ batch: '1', l1BlockNumber: 101, finalizedBlock: 100, l1Confirmations: 500 }), 'POSTED')
+  assert.equal(finalityLevel({ batch: '1', l1BlockNumber: 101, l1Confirmations: FINALITY_CONFIRMATIONS }), 'HARD')
+  assert.equal(finalityLevel({ batch: '1', l1BlockNumber: 101, l1Confirmations: FINALITY_CONFIRMATIONS - 1 }), 'POSTED')
+
+  const receipt = { blockNumber: 500, blockHash: BLOCK_HASH }
+  const assertionCalls = []
+  const trackAssertion = async (arbBlockNum, fromL1Block, network) => {
+    assertionCalls.push([arbBlockNum, fromL1Block, network])
+    return { status: 'IN_CHALLENGE_PERIOD', assertion: { nodeNum: '9' }, confirmation: null, challengePeriod: { blocksRemaining: 1200 }, errors: [] }
+  }
+
+  // Posted, not yet finalized: batch tx found near latest - confirmations + 1
+  const l1 = mockL1({ latest: 1000, finalized: 950, deliveryBlock: 991 })
+  const posted = await getBatchStatus(receipt, { network: NETWORK, provider: mockL2({ batch: 77, confirmations: 10 }), l1Provider: l1, trackAssertion })
+  assert.equal(posted.ok, true)
+  assert.equal(posted.batch, '77')
+  assert.equal(posted.l1TxHash, BATCH_TX)
+  assert.equal(posted.l1BlockNumber, 991)
+  assert.equal(posted.l1Confirmations, 10)
+  assert.equal(posted.finalizedL1Block, 950)
+  assert.equal(posted.finality, 'POSTED')
+  assert.deepEqual(posted.errors, [])
+  assert.equal(l1.filters[0].address, SEQUENCER_INBOX)
+  assert.ok(l1.filters[0].toBlock <= 1000)
+  assert.deepEqual(assertionCalls[0], [500, 991, NETWORK])
+  assert.equal(posted.assertion.status, 'IN_CHALLENGE_PERIOD')
+  assert.equal(posted.assertion.confirmed, false)
+
+  const [batchNode, assertionNode] = batchTimelineNodes(posted)
+  assert.equal(batchNode.action, 'SEQUENCER_BATCH_POSTED')
+  assert.equal(batchNode.status, 'confirmed')
+  assert.equal(batchNode.details.l1TxHash, BATCH_TX)
+  assert.equal(batchNode.details.finality, 'POSTED')
+  assert.equal(assertionNode.action, 'ASSERTION_CONFIRMED')
+  assert.equal(assertionNode.status, 'pending')
+  assert.equal(assertionNode.details.blocksRemaining, 1200)
+
+  // Hard finality and a confirmed assertion; no finalized tag → confirmation count decides
+  const hard = await getBatchStatus(receipt, {
+    network: NETWORK,
+    provider: mockL2({ batch: 77, confirmations: 200 }),
+    l1Provider: mockL1({ latest: 1190, finalized: null, deliveryBlock: 991 }),
+    trackAssertion: async () => ({ status: 'CONFIRMED', assertion: null, confirmation: { kind: 'AssertionConfirmed', l1TxHash: ethers.id('confirm'), l1BlockNumber: 1100 }, challengePeriod: null, errors: [] })
+  })
+  assert.equal(hard.finality, 'HARD')
+  assert.equal(hard.finalizedL1Block, null)
+  assert.equal(hard.assertion.confirmed, true)
+  assert.equal(batchTimelineNodes(hard)[1].status, 'confirmed')
+
+  // Not in a posted batch yet: soft finality, no parent-chain lookups
+  const softL1 = mockL1({ latest: 1000, finalized: 950, deliveryBlock: 991 })
+  const soft = await getBatchStatus(receipt, { network: NETWORK, provider: mockL2({ batch: null }), l1Provider: softL1, trackAssertion })
+  assert.equal(soft.ok, true)
+  assert.equal(soft.batch, null)
+  assert.equal(soft.finality, 'SOFT')
+  assert.deepEqual(soft.errors, [])
+  assert.equal(softL1.filters.length, 0)
+  assert.equal(assertionCalls.length, 1)
+  assert.ok(soft.explanation.startsWith('Soft finality'))
+  assert.equal(batchTimelineNodes(soft)[0].status, 'pending')
+
+  // Node errors are not mistaken for "not posted"
+  const down = await getBatchStatus(receipt, { network: NETWORK, provider: { call: async () => { throw new Error('connection refused') } }, l1Provider: softL1, trackAssertion })
+  assert.equal(down.finality, 'UNKNOWN')
+  assert.equal(down.errors.length, 1)
+  assert.equal(batchTimelineNodes(down)[0].status, 'unknown')
+
+  assert.equal((await getBatchStatus({ blockNumber: 500 }, { network: NETWORK })).ok, false)
+
+  console.log('Batch status test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
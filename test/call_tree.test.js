@@ -0,0 +1,61 @@
+import assert from 'assert'
+import { normalizeTrace, flattenCallTree } from '../src/traceNormalizer.js'
+
+// Router → Vault (DELEGATECALL) → Token: the token reverts three calls deep
+const callTrace = {
+  type: 'CALL',
+  from: '0xuser',
+  to: '0xrouter',
+  gas: '0x30d40',
+  gasUsed: '0x1d4c0',
+  value: '0x0',
+  input: '0x12345678',
+  error: 'execution reverted',
+  calls: [
+    { type: 'STATICCALL', from: '0xrouter', to: '0xoracle', gas: '0x2710', gasUsed: '0x3e8', input: '0xfeaf968c' },
+    {
+      type: 'DELEGATECALL',
+      from: '0xrouter',
+      to: '0xvault',
+      gas: '0x186a0',
+      gasUsed: '0x9c40',
+      input: '0xb6b55f25',
+      error: 'execution reverted',
+      calls: [
+        { type: 'CALL', from: '0xrouter', to: '0xtoken', gas: '0xc350', gasUsed: '0x1388', value: '0xde0b6b3a7640000', input: '0xa9059cbb', error: 'execution reverted', revertReason: 'ERC20: transfer amount exceeds balance' }
+      ]
+    }
+  ]
+}
+
+async function run() {
+  const frames = flattenCallTree({ detailedTrace: callTrace })
+  assert.equal(frames.length, 4, 'Expected one frame per call')
+  assert.deepEqual(frames.map(f => f.depth), [0, 1, 1, 2])
+  assert.equal(frames[3].value, '1000000000000000000')
+  const origins = frames.filter(f => f.isFailureOrigin)
+  assert.equal(origins.length, 1)
+  assert.equal(origins[0].to, '0xtoken')
+
+  const detection = { l2Receipt: { transactionHash: '0xL2', blockNumber: 10, status: 0, gasUsed: 120000n, to: '0xrouter', from: '0xuser' } }
+  const actions = normalizeTrace(detection, [], null, { detailedTrace: callTrace })
+  const frameNodes = actions.filter(a => a.action === 'CALL_FRAME')
+  assert.equal(frameNodes.length, 4)
+  assert.equal(frameNodes[3].details.parentId, frameNodes[2].id, 'Nested frame should point at its parent node')
+  assert.equal(frameNodes[1].status, 'confirmed')
+
+  const failure = actions[actions.length - 1]
+  console.log('Failure reason:', failure.details.reason)
+  assert.equal(failure.action, 'FAILURE')
+  assert.equal(failure.details.originActionId, frameNodes[3].id)
+  assert(failure.details.reason.includes('depth 2'), 'Expected failure reason to name the origin depth')
+
+  // Without a call tree the timeline is unchanged
+  const plain = normalizeTrace(detection, [], null)
+  assert.equal(plain.filter(a => a.action === 'CALL_FRAME').length, 0)
+  assert.equal(plain[plain.length - 1].details.reason, 'L2 execution reverted')
+
+  console.log('Call tree test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,55 @@
+import assert from 'assert'
+import { EXIT_CODES, exitCodeForAnalysis, exitCodeForValidation, formatAnalysis, renderTable } from '../src/cliOutput.js'
+import { main } from '../src/cli.js'
+
+async function run() {
+  const analysis = {
+    txHash: '0x' + 'ab'.repeat(32),
+    foundOn: 'l1',
+    failureAt: 'AUTO_REDEEM',
+    failureReason: 'OUT_OF_GAS',
+    explanation: 'Auto-redeem ran out of gas',
+    timeline: {
+      actions: [
+        { id: 1, action: 'L1_SUBMISSION', status: 'success', details: { txHash: '0x01' } },
+        { id: 2, action: 'FAILURE', status: 'failed', details: { reason: 'Out of gas | retry' } }
+      ],
+      failureClassification: [{ severity: 'error', type: 'OUT_OF_GAS', message: 'gas exhausted' }]
+    }
+  }
+
+  // Exit codes reflect failure class
+  assert.equal(exitCodeForAnalysis(analysis), EXIT_CODES.AUTO_REDEEM)
+  assert.equal(exitCodeForAnalysis({ foundOn: 'unknown' }), EXIT_CODES.NOT_FOUND)
+  assert.equal(exitCodeForAnalysis({ foundOn: 'l2', failureAt: 'UNKNOWN', failureReason: 'UNKNOWN' }), EXIT_CODES.OK)
+  assert.equal(exitCodeForAnalysis({ foundOn: 'l2', failureAt: 'UNKNOWN', failureReason: 'LOGIC_REVERT' }), EXIT_CODES.UNATTRIBUTED_FAILURE)
+  assert.equal(exitCodeForValidation({ risks: [{ severity: 'critical' }] }), EXIT_CODES.VALIDATION_CRITICAL)
+  assert.equal(exitCodeForValidation({ risks: [{ severity: 'warning' }] }), EXIT_CODES.OK)
+
+  // Table columns are aligned
+  const lines = renderTable(['A', 'Value'], [['long-key', 1], ['k', null]]).split('\n')
+  assert.equal(lines[0], 'A         Value')
+  assert.equal(lines[3], 'k')
+
+  // Markdown escapes pipes; JSON round-trips
+  const md = formatAnalysis(analysis, 'markdown')
+  assert(md.includes('### Timeline'))
+  assert(md.includes('Out of gas \\| retry'))
+  assert.deepEqual(JSON.parse(formatAnalysis(analysis, 'json')), analysis)
+  assert(formatAnalysis(analysis, 'table').includes('Failure classification'))
+
+  // Importing the CLI doesn't run it; a malformed tx hash is a usage error before any RPC
+  const logError = console.error
+  console.error = () => {}
+  try {
+    assert.equal(await main(['analyze', '0x1234']), EXIT_CODES.USAGE)
+    assert.equal(await main(['analyze', 'ab'.repeat(32)]), EXIT_CODES.USAGE)
+    assert.equal(await main(['analyze']), EXIT_CODES.USAGE)
+  } finally {
+    console.error = logError
+  }
+
+  console.log('CLI output test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
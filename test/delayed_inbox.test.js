@@ -0,0 +1,115 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+
+// Throwaway Orbit entry so the registry has a Bridge/SequencerInbox pair; src/ is imported after the env is set
+const NETWORK = 'delayed-inbox-test-l3'
+const BRIDGE = ethers.getAddress('0x' + '6b'.repeat(20))
+const SEQUENCER_INBOX = ethers.getAddress('0x' + '6c'.repeat(20))
+process.env.ORBIT_NETWORKS = JSON.stringify([{ name: NETWORK, chainId: 990004, contracts: { bridge: BRIDGE, sequencerInbox: SEQUENCER_INBOX } }])
+const { BRIDGE_ABI, SEQUENCER_INBOX_ABI } = await import('../src/arbitrum.js')
+const { findDelayedMessages, assessDelayedMessage, checkDelayedInbox } = await import('../src/delayedInbox.js')
+const { classifyFailureDetailed } = await import('../src/analyzer.js')
+
+const bridge = new ethers.Interface(BRIDGE_ABI)
+const sequencerInbox = new ethers.Interface(SEQUENCER_INBOX_ABI)
+const SENDER = ethers.getAddress('0x' + '3d'.repeat(20))
+const DATA_HASH = ethers.id('message-41')
+const DELAY_BLOCKS = 5760
+const DELAY_SECONDS = 86400
+const SENT_AT = 1700000000
+
+function deliveredLog(index, address = BRIDGE) {
+  const { topics, data } = bridge.encodeEventLog('MessageDelivered', [index, ethers.ZeroHash, ethers.ZeroAddress, 9, SENDER, DATA_HASH, 25000000000n, SENT_AT])
+  return { address, topics, data, blockNumber: 300 }
+}
+
+// Parent RPC: raw blocks (with an Arbitrum-style l1BlockNumber for block 300) and SequencerInbox reads
+function mockParent({ totalRead, latest }) {
+  return {
+    send: async (method, [tag]) => {
+      assert.equal(method, 'eth_getBlockByNumber')
+      if (tag === 'latest') return { number: '0x9999', l1BlockNumber: ethers.toQuantity(latest.number), timestamp: ethers.toQuantity(latest.timestamp) }
+      assert.equal(tag, ethers.toQuantity(300))
+      return { number: tag, l1BlockNumber: ethers.toQuantity(19000000), timestamp: ethers.toQuantity(SENT_AT) }
+    },
+    call: async ({ to, data }) => {
+      assert.equal(to.toLowerCase(), SEQUENCER_INBOX.toLowerCase())
+      const { name } = sequencerInbox.parseTransaction({ data })
+      if (name === 'totalDelayedMessagesRead') return sequencerInbox.encodeFunctionResult(name, [totalRead])
+      if (name === 'maxTimeVariation') return sequencerInbox.encodeFunctionResult(name, [DELAY_BLOCKS, 64, DELAY_SECONDS, 768])
+      throw new Error(`unexpected call ${name}`)
+    }
+  }
+}
+
+async function run() {
+  const receipt = { transactionHash: ethers.id('l1-deposit'), blockNumber: 300, status: 1, logs: [deliveredLog(41), deliveredLog(99, ethers.getAddress('0x' + '77'.repeat(20)))] }
+  const [message, ...others] = findDelayedMessages(receipt, BRIDGE)
+  assert.equal(others.length, 0)
+  assert.equal(message.messageIndex, 41)
+  assert.equal(message.kind, 9)
+  assert.equal(message.sender, SENDER)
+  assert.equal(findDelayedMessages(receipt).length, 2)
+  assert.deepEqual(findDelayedMessages({ logs: [] }), [])
+
+  // Waiting: inside the delay, no forceInclusion params yet
+  const base = { ...message, l1BlockNumber: 19000000 }
+  const params = { totalDelayedMessagesRead: 41, delayBlocks: DELAY_BLOCKS, delaySeconds: DELAY_SECONDS, sequencerInbox: SEQUENCER_INBOX }
+  const waiting = assessDelayedMessage(base, { ...params, currentBlock: 19000000 + 3000, currentTimestamp: SENT_AT + 43200 })
+  assert.equal(waiting.included, false)
+  assert.equal(waiting.waitedSeconds, 43200)
+  assert.equal(waiting.waitedPct, 50)
+  assert.equal(waiting.forceIncludable, false)
+  assert.equal(waiting.forceInclusion, null)
+  assert.equal(waiting.blocksRemaining, DELAY_BLOCKS + 1 - 3000)
+  assert.equal(waiting.secondsRemaining, DELAY_SECONDS + 1 - 43200)
+
+  // Exactly at the delay is still too soon (the SequencerInbox check is strict); both bounds must pass
+  assert.equal(assessDelayedMessage(base, { ...params, currentBlock: 19000000 + DELAY_BLOCKS, currentTimestamp: SENT_AT + DELAY_SECONDS + 10 }).forceIncludable, false)
+  assert.equal(assessDelayedMessage(base, { ...params, currentBlock: 19000000 + DELAY_BLOCKS + 10, currentTimestamp: SENT_AT + DELAY_SECONDS }).forceIncludable, false)
+
+  const overdue = assessDelayedMessage(base, { ...params, currentBlock: 19000000 + DELAY_BLOCKS + 1, currentTimestamp: SENT_AT + DELAY_SECONDS + 1 })
+  assert.equal(overdue.forceIncludable, true)
+  assert.equal(overdue.forceInclusion.to, SEQUENCER_INBOX)
+  assert.equal(overdue.forceInclusion.args._totalDelayedMessagesRead, '42')
+  const decoded = sequencerInbox.decodeFunctionData('forceInclusion', overdue.forceInclusion.data)
+  assert.equal(decoded[0], 42n)
+  assert.equal(decoded[1], 9n)
+  assert.deepEqual(decoded[2].map(Number), [19000000, SENT_AT])
+  assert.equal(decoded[3], 25000000000n)
+  assert.equal(decoded[4], SENDER)
+  assert.equal(decoded[5], DATA_HASH)
+
+  // Already read by the sequencer
+  assert.equal(assessDelayedMessage(base, { ...params, totalDelayedMessagesRead: 42, currentBlock: 19100000, currentTimestamp: SENT_AT + 999999 }).forceIncludable, false)
+
+  // On chain: block numbers come from the parent's l1BlockNumber field
+  const latest = { number: 19000000 + DELAY_BLOCKS + 100, timestamp: SENT_AT + DELAY_SECONDS + 600 }
+  const report = await checkDelayedInbox(receipt, { network: NETWORK, provider: mockParent({ totalRead: 41, latest }) })
+  assert.equal(report.ok, true)
+  assert.equal(report.delayBlocks, DELAY_BLOCKS)
+  assert.equal(report.pending, 1)
+  assert.equal(report.forceIncludable, true)
+  assert.equal(report.messages[0].l1BlockNumber, 19000000)
+  assert.equal(report.messages[0].waitedBlocks, DELAY_BLOCKS + 100)
+  assert.equal(await checkDelayedInbox({ logs: [] }, { network: NETWORK }), null)
+
+  // Classifier: an L1 message the sequencer never included is DELAYED_INBOX, not AUTO_REDEEM
+  const retryable = { ticketId: '1', gasLimit: '300000', maxFeePerGas: '0' }
+  const detection = { l1Receipt: receipt, l2Receipt: null }
+  const { result } = await classifyFailureDetailed(detection, retryable, null, null, null, { network: NETWORK, l1Provider: mockParent({ totalRead: 41, latest }) })
+  assert.equal(result.failureAt, 'DELAYED_INBOX')
+  assert.equal(result.failureReason, 'NOT_INCLUDED_BY_SEQUENCER')
+  assert.ok(result.hints.some(h => h.type === 'FORCE_INCLUSION_AVAILABLE'))
+  assert.ok(!result.hints.some(h => h.type === 'AUTO_REDEEM_MAYBE'))
+  assert.equal(result.delayedInbox.messages[0].forceInclusion.args.kind, 9)
+
+  // Included message: falls through to the existing auto-redeem heuristic
+  const included = await classifyFailureDetailed(detection, retryable, null, null, null, { network: NETWORK, l1Provider: mockParent({ totalRead: 42, latest }) })
+  assert.equal(included.result.failureAt, 'AUTO_REDEEM')
+  assert.equal(included.result.delayedInbox.pending, 0)
+
+  console.log('Delayed inbox test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
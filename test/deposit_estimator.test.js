@@ -0,0 +1,79 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { INBOX_ABI, NODE_INTERFACE_ABI, NODE_INTERFACE_ADDRESS } from '../src/arbitrum.js'
+import { estimateDeposit, resolveBuffers, withBuffer } from '../src/depositEstimator.js'
+
+const inbox = new ethers.Interface(INBOX_ABI)
+const nodeInterface = new ethers.Interface(NODE_INTERFACE_ABI)
+const SENDER = '0x' + '11'.repeat(20)
+const TARGET = '0x' + '22'.repeat(20)
+const REFUND = '0x' + '33'.repeat(20)
+const DATA = '0x' + 'ab'.repeat(100)
+const L1_BASE_FEE = 10000000000n // 10 gwei
+const L2_GAS_PRICE = 10000000n // 0.01 gwei
+
+const l1Provider = {
+  getBlock: async () => ({ baseFeePerGas: L1_BASE_FEE }),
+  call: async (req) => {
+    const [len, fee] = inbox.decodeFunctionData('calculateRetryableSubmissionFee', req.data)
+    return inbox.encodeFunctionResult('calculateRetryableSubmissionFee', [(1400n + 6n * len) * fee])
+  }
+}
+
+function l2Provider({ estimateFails = false } = {}) {
+  const estimated = []
+  return {
+    estimated,
+    getFeeData: async () => ({ gasPrice: L2_GAS_PRICE }),
+    estimateGas: async (tx) => {
+      estimated.push(tx)
+      if (estimateFails) throw new Error('execution reverted')
+      return 150000n
+    }
+  }
+}
+
+async function run() {
+  assert.equal(withBuffer(1000n, 300), 4000n)
+  assert.equal(withBuffer(1000n, 12.5), 1125n)
+  assert.deepEqual(resolveBuffers({ gasLimitPct: 20 }).buffers, { submissionFeePct: 300, gasLimitPct: 20, maxFeePerGasPct: 500 })
+  assert.ok(resolveBuffers({ maxFeePerGasPct: -1 }).error)
+
+  // NodeInterface estimate with SDK default buffers; validation sees the recommended values
+  const provider = l2Provider()
+  const graded = []
+  const validate = async (params) => { graded.push(params); return { successProbability: 90, risks: [], suggestions: [] } }
+  const result = await estimateDeposit({ to: TARGET, data: DATA, l2CallValue: '1000', from: SENDER, callValueRefundAddress: REFUND }, { provider, l1Provider, validate })
+  assert.equal(result.ok, true)
+  const required = (1400n + 6n * 100n) * L1_BASE_FEE
+  assert.equal(result.estimates.submissionFee.requiredWei, required.toString())
+  assert.equal(result.params.maxSubmissionCost, (required * 4n).toString())
+  assert.equal(result.params.maxFeePerGas, (L2_GAS_PRICE * 6n).toString())
+  assert.equal(result.params.gasLimit, '150000')
+  assert.equal(result.estimates.gasLimit.source, 'NODE_INTERFACE')
+  assert.equal(result.params.deposit, (required * 4n + 150000n * L2_GAS_PRICE * 6n + 1000n).toString())
+  assert.equal(result.params.excessFeeRefundAddress, ethers.getAddress(SENDER))
+  assert.equal(result.params.callValueRefundAddress, REFUND)
+
+  const call = provider.estimated[0]
+  assert.equal(call.to, NODE_INTERFACE_ADDRESS)
+  const args = nodeInterface.decodeFunctionData('estimateRetryableTicket', call.data)
+  assert.equal(args[1], ethers.parseEther('1') + 1000n)
+  assert.equal(args[6], DATA)
+  assert.equal(graded[0].submissionCost, result.params.maxSubmissionCost)
+  assert.equal(graded[0].callDataLength, 100)
+
+  // Node can't estimate (call reverts): heuristic gas limit with the caller's buffer
+  const fallback = await estimateDeposit({ to: TARGET, data: DATA, from: SENDER, buffers: { gasLimitPct: 10 } }, { provider: l2Provider({ estimateFails: true }), l1Provider, validate: null })
+  assert.equal(fallback.estimates.gasLimit.source, 'HEURISTIC')
+  assert.equal(fallback.estimates.gasLimit.error, 'execution reverted')
+  assert.equal(fallback.params.gasLimit, withBuffer(fallback.estimates.gasLimit.estimate, 10).toString())
+  assert.equal(fallback.validation, null)
+
+  assert.equal((await estimateDeposit({ to: TARGET, from: 'nope' }, { provider, l1Provider })).ok, false)
+  assert.equal((await estimateDeposit({ to: TARGET, from: SENDER, l2CallValue: '1.5' }, { provider, l1Provider })).ok, false)
+
+  console.log('Deposit estimator test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,67 @@
+import assert from 'assert'
+import { insertTicket, insertMapping, updateTicketState, findExpiryCandidates } from '../src/indexer.js'
+import { scanExpiringTickets, RETRYABLE_LIFETIME_SECONDS } from '../src/expiryScanner.js'
+
+// Own network name so rows from other tests never show up as candidates
+const NETWORK = 'expiry-scanner-test'
+const NOW = 1900000000
+const HOUR = 3600
+const LIFETIME = RETRYABLE_LIFETIME_SECONDS
+
+async function run() {
+  const base = { l1_tx_hash: '0x' + 'e1'.repeat(32), creator: '0x' + '11'.repeat(20), to_address: '0x' + '22'.repeat(20), l2_call_value: '5', gas_limit: '0', max_fee_per_gas: '0', data: '0x', block_number: 1, network: NETWORK }
+  insertTicket({ ...base, ticket_id: '8001', l1_timestamp: NOW - LIFETIME + HOUR })
+  // L2 creation time wins over the L1 block time
+  insertTicket({ ...base, ticket_id: '8002', l1_timestamp: NOW - LIFETIME + HOUR })
+  insertMapping('8002', '0x' + 'e2'.repeat(32), 10, NETWORK, NOW - LIFETIME + 2 * HOUR)
+  insertTicket({ ...base, ticket_id: '8003', l1_timestamp: NOW - LIFETIME + HOUR })
+  insertTicket({ ...base, ticket_id: '8004', l1_timestamp: NOW - HOUR })
+  // Past its estimated timeout but never checked: maybe kept alive
+  insertTicket({ ...base, ticket_id: '8005', l1_timestamp: NOW - LIFETIME - 24 * HOUR })
+  for (const id of ['8001', '8002', '8004', '8005']) updateTicketState(id, NETWORK, { state: null })
+  updateTicketState('8003', NETWORK, { state: 'REDEEMED', redeemTxHash: '0x' + 'e3'.repeat(32) })
+
+  const query = { network: NETWORK, now: NOW, expiresBefore: NOW + 24 * HOUR, lifetimeSec: LIFETIME }
+  assert.deepEqual(findExpiryCandidates(query).map(t => t.ticket_id), ['8001', '8002', '8005'])
+  assert.equal(findExpiryCandidates(query)[1].estimated_timeout, NOW + 2 * HOUR)
+  // Watched-address filter matches the creator or the destination
+  assert.equal(findExpiryCandidates({ ...query, addresses: [base.to_address] }).length, 3)
+  assert.equal(findExpiryCandidates({ ...query, addresses: [base.creator, '0x' + '33'.repeat(20)] }).length, 3)
+  assert.deepEqual(findExpiryCandidates({ ...query, addresses: ['0x' + '33'.repeat(20)] }), [])
+
+  const probes = {
+    8001: { exists: true, timeout: NOW + HOUR, expiresAt: new Date((NOW + HOUR) * 1000).toISOString(), beneficiary: base.creator },
+    8002: { exists: false },
+    8005: { exists: true, timeout: NOW + 5 * 24 * HOUR, beneficiary: base.creator }
+  }
+  const probed = []
+  const probe = async (id, { now }) => { probed.push(id); assert.equal(now, NOW); return probes[id] }
+
+  const first = await scanExpiringTickets({ network: NETWORK, withinHours: 24, now: NOW, probe })
+  assert.equal(first.ok, true)
+  assert.equal(first.probed, 3)
+  assert.equal(first.closed, 1)
+  assert.equal(first.extended, 1)
+  assert.equal(first.expiring.length, 1)
+  const [ticket] = first.expiring
+  assert.equal(ticket.ticketId, '0x' + (8001).toString(16).padStart(64, '0'))
+  assert.equal(ticket.secondsUntilExpiry, HOUR)
+  assert.equal(ticket.l2CallValue, '5')
+  assert.ok(ticket.rescue.startsWith('/retryable/rescue?ticket=0x'))
+
+  // Closed and extended tickets are remembered; only the open one is probed again
+  probed.length = 0
+  const second = await scanExpiringTickets({ network: NETWORK, withinHours: 24, now: NOW, probe })
+  assert.deepEqual(probed, ['8001'])
+  assert.equal(second.expiring.length, 1)
+  // ...and drops out once the precompile timeout is past
+  assert.equal((await scanExpiringTickets({ network: NETWORK, withinHours: 24, now: NOW + 2 * HOUR, probe })).probed, 0)
+
+  const failing = await scanExpiringTickets({ network: NETWORK, withinHours: 24, now: NOW, probe: async () => ({ exists: null, error: 'rpc down' }) })
+  assert.deepEqual(failing.errors, [{ ticketId: '8001', error: 'rpc down' }])
+  assert.equal((await scanExpiringTickets({ network: NETWORK, withinHours: 0 })).ok, false)
+
+  console.log('Expiry scanner test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,97 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { replayTransaction, buildReplayTx, validateOverrides, compareReplay } from '../src/forkReplay.js'
+
+const SENDER = '0x' + '11'.repeat(20)
+const TARGET = '0x' + '22'.repeat(20)
+const OTHER = '0x' + '33'.repeat(20)
+const TX_HASH = '0x' + 'ab'.repeat(32)
+
+function revertWith(reason) {
+  const err = new Error('execution reverted')
+  err.data = ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])])
+  return err
+}
+
+// Stands in for an anvil fork: succeeds once the gas limit reaches `needed`
+function mockFork(needed, reason) {
+  const sent = []
+  let lastGas = 0n
+  const provider = {
+    send: async (method, params) => {
+      sent.push(method)
+      if (method === 'eth_getBalance') return '0x0'
+      if (method === 'eth_call') {
+        if (BigInt(params[0].gas) < needed) throw revertWith(reason)
+        return '0x'
+      }
+      if (method === 'eth_sendTransaction') {
+        lastGas = BigInt(params[0].gas)
+        return '0x' + 'cd'.repeat(32)
+      }
+      return null
+    },
+    getTransactionReceipt: async () => lastGas >= needed
+      ? { status: 1, gasUsed: needed - 1000n }
+      : { status: 0, gasUsed: lastGas }
+  }
+  let stopped = false
+  return { sent, stopped: () => stopped, launch: async ({ blockNumber }) => ({ provider, blockNumber, stop: () => { stopped = true } }) }
+}
+
+async function run() {
+  assert.deepEqual(validateOverrides({ gasLimit: '500000', data: '0xabcd', value: '0', from: SENDER }), [])
+  assert.equal(validateOverrides({ gasLimit: 'lots', data: '0xabc', from: 'nope' }).length, 3)
+  assert.equal(validateOverrides({ gasLimit: '0' }).length, 1)
+  assert.equal(validateOverrides({ gasLimit: 21000 }).length, 1)
+  assert.deepEqual(validateOverrides({ gasLimit: 21001 }), [])
+
+  const original = { from: SENDER, to: TARGET, data: '0x1234', value: 0n, gasLimit: 100000n, blockNumber: 500 }
+  const built = buildReplayTx(original, { gasLimit: '300000', from: OTHER })
+  assert.equal(built.gasLimit, 300000n)
+  assert.equal(built.from, OTHER)
+  assert.equal(built.data, '0x1234')
+  assert.deepEqual(built.overridden, ['gasLimit', 'from'])
+
+  const cmp = compareReplay({ status: 0, gasUsed: 100000n }, { success: true, gasUsed: '180000' })
+  assert.equal(cmp.fixed, true)
+  assert.equal(cmp.gasUsedDelta, '80000')
+  assert.equal(cmp.verifiedGasLimit, '180000')
+
+  const l2 = {
+    getTransaction: async () => original,
+    getTransactionReceipt: async () => ({ status: 0, gasUsed: 100000n })
+  }
+
+  // Same params: still out of gas, revert reason decoded, fork stopped
+  const fork1 = mockFork(200000n, 'insufficient gas for swap')
+  const same = await replayTransaction(TX_HASH, { provider: l2, startFork: fork1.launch })
+  assert.equal(same.ok, true)
+  assert.equal(same.forkBlock, 499)
+  assert.equal(same.result.success, false)
+  assert.equal(same.result.outOfGas, true)
+  assert.equal(same.result.revert.message, 'insufficient gas for swap')
+  assert.equal(same.comparison.fixed, false)
+  assert.ok(fork1.sent.includes('anvil_impersonateAccount'))
+  assert.ok(fork1.stopped())
+
+  // Raised gasLimit: succeeds and reports the measured gas
+  const fork2 = mockFork(200000n, 'insufficient gas for swap')
+  const fixed = await replayTransaction(TX_HASH, { provider: l2, startFork: fork2.launch, overrides: { gasLimit: '250000' } })
+  assert.equal(fixed.result.success, true)
+  assert.equal(fixed.result.gasUsed, '199000')
+  assert.equal(fixed.comparison.fixed, true)
+  assert.equal(fixed.comparison.verifiedGasLimit, '199000')
+  assert.deepEqual(fixed.replayTx.overridden, ['gasLimit'])
+
+  // Fork that fails to start is reported, not thrown
+  const broken = await replayTransaction(TX_HASH, { provider: l2, startFork: async () => { throw new Error('anvil not found') } })
+  assert.equal(broken.ok, false)
+  assert.equal(broken.error, 'anvil not found')
+
+  assert.equal((await replayTransaction(TX_HASH, { provider: l2, overrides: { gasLimit: '-1' } })).ok, false)
+
+  console.log('Fork replay test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
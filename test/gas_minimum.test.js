@@ -0,0 +1,65 @@
+import assert from 'assert'
+import { binarySearchMinimumGas, withMargin, applyL1ToL2Alias, findMinimumGas } from '../src/gasMinimum.js'
+import { estimateOptimalGas } from '../src/smartGasEstimation.js'
+
+const TARGET = '0x' + '22'.repeat(20)
+const SENDER = '0x' + '11'.repeat(20)
+
+// Stands in for an L2 node: the call succeeds once gasLimit reaches `needed`
+function mockProvider(needed, { estimate = needed + 5000n, alwaysRevert = false } = {}) {
+  const calls = []
+  return {
+    calls,
+    estimateGas: async () => {
+      if (alwaysRevert) throw new Error('execution reverted')
+      return estimate
+    },
+    call: async (tx) => {
+      calls.push(tx)
+      if (alwaysRevert || BigInt(tx.gasLimit) < needed) throw new Error('execution reverted')
+      return '0x'
+    }
+  }
+}
+
+async function run() {
+  const search = await binarySearchMinimumGas(async gas => gas >= 123456n, { high: 1000000n, tolerance: 1n })
+  assert.equal(search.found, true)
+  assert.equal(search.minimumGas, 123456n)
+  assert.equal((await binarySearchMinimumGas(async () => false, { high: 1000000n })).found, false)
+
+  assert.equal(withMargin(100000n, 10), '110000')
+  assert.equal(withMargin('200000', 12.5), '225000')
+
+  assert.equal(applyL1ToL2Alias('0x0000000000000000000000000000000000000000'), '0x1111000000000000000000000000000000001111')
+  // Wraps around the 160-bit address space
+  assert.equal(applyL1ToL2Alias('0xffffffffffffffffffffffffffffffffffffffff'), '0x1111000000000000000000000000000000001110')
+
+  // Threshold bracketed within the default tolerance, upper bound seeded by estimateGas
+  const provider = mockProvider(180000n)
+  const found = await findMinimumGas({ to: TARGET, data: '0x1234', from: SENDER, aliasSender: true, blockTag: 499, provider })
+  assert.equal(found.ok, true)
+  assert.ok(BigInt(found.minimumGas) >= 180000n && BigInt(found.minimumGas) <= 181000n)
+  assert.equal(found.recommended, withMargin(found.minimumGas, 10))
+  assert.equal(found.estimateGas, '185000')
+  assert.equal(found.from, applyL1ToL2Alias(SENDER))
+  assert.ok(provider.calls.every(tx => tx.blockTag === 499 && BigInt(tx.gasLimit) <= 185000n))
+
+  // Reverts at any gas: not a gas problem
+  const reverting = await findMinimumGas({ to: TARGET, provider: mockProvider(0n, { alwaysRevert: true }) })
+  assert.equal(reverting.ok, false)
+  assert.equal(reverting.revert, 'execution reverted')
+
+  assert.equal((await findMinimumGas({ to: 'nope', provider })).ok, false)
+
+  // A measured threshold overrides the heuristics and raises confidence
+  const heuristic = estimateOptimalGas({ contractAddress: TARGET, calldata: '0x1234' })
+  const measured = estimateOptimalGas({ contractAddress: TARGET, calldata: '0x1234', measuredMinimum: found })
+  assert.equal(measured.recommended, Number(found.recommended))
+  assert.equal(measured.factors.confidenceScore, heuristic.factors.confidenceScore + 50)
+  assert.ok(measured.reasoning.some(r => r.includes('Measured minimum')))
+
+  console.log('Gas minimum test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,135 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { ARB_GAS_INFO_ABI, ARB_GAS_INFO_ADDRESS } from '../src/arbitrum.js'
+import { initGasOracle, recordSample, pruneSamples, getLatestSample, getGasBands, feeBand, percentile } from '../src/gasOracle.js'
+import { classifyFailureDetailed } from '../src/analyzer.js'
+import { validatePreSubmission } from '../src/preSubmissionValidator.js'
+
+const arbGasInfo = new ethers.Interface(ARB_GAS_INFO_ABI)
+const NETWORK = 'arbitrum-one'
+const MINUTE = 60_000
+const NOW = 1_700_000_000_000
+
+// L2 node whose latest block (and ArbGasInfo prices at it) moves with `head`
+function mockL2(head) {
+  return {
+    getBlock: async (tag) => {
+      assert.equal(tag, 'latest')
+      return { number: head.number, timestamp: head.number * 2, baseFeePerGas: BigInt(head.baseFee) }
+    },
+    call: async ({ to, data, blockTag }) => {
+      assert.equal(to.toLowerCase(), ARB_GAS_INFO_ADDRESS.toLowerCase())
+      assert.equal(blockTag, head.number)
+      const { name } = arbGasInfo.parseTransaction({ data })
+      if (name === 'getL1BaseFeeEstimate') return arbGasInfo.encodeFunctionResult(name, [head.l1BaseFee])
+      return arbGasInfo.encodeFunctionResult(name, [0, head.l1BaseFee * 16n, 0, head.baseFee, 0, head.baseFee])
+    }
+  }
+}
+
+async function run() {
+  initGasOracle(':memory:')
+
+  // Nearest rank: p90 of 1..10 is 9, p99 is 10
+  const ten = Array.from({ length: 10 }, (_, i) => BigInt(i + 1))
+  assert.equal(percentile(ten, 50), 5n)
+  assert.equal(percentile(ten, 90), 9n)
+  assert.equal(percentile(ten, 99), 10n)
+  assert.equal(percentile([], 50), null)
+
+  // Empty window: no bands, not sufficient
+  const empty = getGasBands({ network: NETWORK, now: NOW })
+  assert.equal(empty.samples, 0)
+  assert.equal(empty.sufficient, false)
+  assert.equal(empty.l2BaseFee, null)
+  assert.equal(getLatestSample(NETWORK), null)
+
+  // One sample a minute for 20 minutes; base fee 1..20 gwei-tenths
+  const head = { number: 0, baseFee: 0n, l1BaseFee: 0n }
+  const provider = mockL2(head)
+  for (let i = 1; i <= 20; i++) {
+    Object.assign(head, { number: 1000 + i, baseFee: BigInt(i) * 10_000_000n, l1BaseFee: BigInt(i) * 1_000_000_000n })
+    const sample = await recordSample(NETWORK, { provider, now: NOW - (20 - i) * MINUTE })
+    assert.equal(sample.blockNumber, 1000 + i)
+  }
+  // Re-sampling the same block replaces it
+  await recordSample(NETWORK, { provider, now: NOW })
+
+  const latest = getLatestSample(NETWORK)
+  assert.equal(latest.blockNumber, 1020)
+  assert.equal(latest.l2BaseFee, '200000000')
+  assert.equal(latest.perL1CalldataByte, (20n * 16n * 1_000_000_000n).toString())
+
+  const hour = getGasBands({ network: NETWORK, windowMinutes: 60, now: NOW })
+  assert.equal(hour.samples, 20)
+  assert.equal(hour.sufficient, true)
+  assert.deepEqual(hour.l2BaseFee, { p50: '100000000', p90: '180000000', p99: '200000000', min: '10000000', max: '200000000' })
+  assert.equal(hour.l1BaseFeeEstimate.p90, '18000000000')
+  assert.equal(hour.perArbGasTotal.p50, '100000000')
+
+  // Short window only sees the last five samples
+  const five = getGasBands({ network: NETWORK, windowMinutes: 5, now: NOW })
+  assert.equal(five.samples, 5)
+  assert.equal(five.sufficient, false)
+  assert.equal(five.l2BaseFee.min, '160000000')
+  assert.equal(getGasBands({ network: 'arbitrum-nova', now: NOW }).samples, 0)
+
+  assert.equal(feeBand(50_000_000n, hour.l2BaseFee), 'BELOW_P50')
+  assert.equal(feeBand(150_000_000n, hour.l2BaseFee), 'P50_P90')
+  assert.equal(feeBand('190000000', hour.l2BaseFee), 'P90_P99')
+  assert.equal(feeBand(200_000_000n, hour.l2BaseFee), 'ABOVE_P99')
+  assert.equal(feeBand(1n, null), null)
+
+  // Classifier: LOW_GAS_PRICE below p90 of the window, none at p99
+  const getBands = () => hour
+  const detection = { l1Receipt: null, l2Receipt: null }
+  const timings = {}
+  const low = await classifyFailureDetailed(detection, { gasLimit: '300000', maxFeePerGas: '150000000' }, null, null, timings, { network: NETWORK, getGasBands: getBands })
+  const hint = low.result.hints.find(h => h.type === 'LOW_GAS_PRICE')
+  assert.equal(hint.band, 'P50_P90')
+  assert.equal(hint.bands.p90, '180000000')
+  assert.ok(hint.message.includes('between p50 and p90'))
+  assert.equal(low.result.failureReason, 'LOW_GAS_PRICE')
+  assert.ok('gasBandsMs' in timings)
+  assert.equal(timings.computeL2BaseFeeAverageMs, undefined)
+  const ok = await classifyFailureDetailed(detection, { gasLimit: '300000', maxFeePerGas: '200000000' }, null, null, null, { network: NETWORK, getGasBands: getBands })
+  assert.ok(!ok.result.hints.some(h => h.type === 'LOW_GAS_PRICE'))
+
+  // Historic tx: the window ends at its L2 block, where 150000000 was above every sample
+  const asked = []
+  const atBlock = (q) => { asked.push(q.now); return getGasBands(q) }
+  const l2Provider = { getBlock: async (n) => { assert.equal(n, 4000); return { number: 4000, timestamp: (NOW - 10 * MINUTE) / 1000 } } }
+  const lifecycle = { creation: { blockNumber: 4000 }, redeemAttempts: [] }
+  const historic = await classifyFailureDetailed(detection, { gasLimit: '300000', maxFeePerGas: '150000000' }, null, lifecycle, null, { network: NETWORK, getGasBands: atBlock, l2Provider })
+  assert.deepEqual(asked, [NOW - 10 * MINUTE])
+  assert.ok(!historic.result.hints.some(h => h.type === 'LOW_GAS_PRICE'))
+  const historicLow = await classifyFailureDetailed(detection, { gasLimit: '300000', maxFeePerGas: '80000000' }, null, lifecycle, null, { network: NETWORK, getGasBands: atBlock, l2Provider })
+  const historicHint = historicLow.result.hints.find(h => h.type === 'LOW_GAS_PRICE')
+  assert.equal(historicHint.bands.samples, 10)
+  assert.equal(historicHint.bands.p90, '90000000')
+  assert.ok(historicHint.message.includes('before L2 block 4000'))
+
+  // Validator: below p50 critical, below p90 warning, p99 suggested; bands reported as network conditions
+  const l1Provider = { call: async () => { throw new Error('offline') } }
+  const params = { contractAddress: ethers.ZeroAddress, gasLimit: '300000', submissionCost: '1000000000000000', l1BaseFee: '1000000000', network: NETWORK }
+  const critical = await validatePreSubmission({ ...params, maxFeePerGas: '50000000' }, { l1Provider, getGasBands: getBands })
+  assert.equal(critical.networkConditions.source, 'gas-oracle')
+  assert.equal(critical.networkConditions.l2BaseFee.p99, '200000000')
+  assert.equal(critical.factors.maxFeeBand, 'BELOW_P50')
+  assert.equal(critical.risks.find(r => r.type === 'INSUFFICIENT_MAX_FEE').severity, 'critical')
+  assert.equal(critical.suggestions.find(s => s.type === 'INCREASE_MAX_FEE_PER_GAS').suggested, 200000000)
+  const buffer = await validatePreSubmission({ ...params, maxFeePerGas: '150000000' }, { l1Provider, getGasBands: getBands })
+  assert.ok(buffer.risks.some(r => r.type === 'LOW_MAX_FEE_BUFFER'))
+  assert.ok(!buffer.risks.some(r => r.type === 'INSUFFICIENT_MAX_FEE'))
+  const good = await validatePreSubmission({ ...params, maxFeePerGas: '190000000' }, { l1Provider, getGasBands: getBands })
+  assert.equal(good.factors.maxFeeStatus, 'GOOD')
+  assert.ok(good.successProbability > buffer.successProbability)
+
+  // Retention: samples older than 10 minutes go, the one exactly at the cutoff stays
+  assert.equal(pruneSamples({ retentionHours: 10 / 60, now: NOW }), 9)
+  assert.equal(getGasBands({ network: NETWORK, now: NOW }).samples, 11)
+
+  console.log('Gas oracle test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
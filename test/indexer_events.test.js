@@ -0,0 +1,106 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+
+// Throwaway Orbit entry so the rows stay out of real networks in data/tickets.db;
+// src/ is imported after the registry env is set
+const NETWORK = 'events-test-l3'
+const INBOX = ethers.getAddress('0x' + '9b'.repeat(20))
+const BRIDGE = ethers.getAddress('0x' + '9c'.repeat(20))
+const SEQUENCER_INBOX = ethers.getAddress('0x' + '9d'.repeat(20))
+process.env.ORBIT_NETWORKS = JSON.stringify([{ name: NETWORK, chainId: 990002, contracts: { inbox: INBOX, bridge: BRIDGE, sequencerInbox: SEQUENCER_INBOX } }])
+const { INBOX_ABI, BRIDGE_ABI, SEQUENCER_INBOX_ABI, ARBSYS_ABI, ARBSYS_ADDRESS, ARB_RETRYABLE_ABI } = await import('../src/arbitrum.js')
+const { default: indexer } = await import('../src/indexer.js')
+
+const SENDER = ethers.getAddress('0x' + '2c'.repeat(20))
+const TICKET = ethers.toBeHex(9201, 32)
+const RETRY_TX = ethers.id('retry-9201')
+const encode = (abi, address, name, args) => ({ address, ...new ethers.Interface(abi).encodeEventLog(name, args) })
+
+// Every block has one tx carrying `logs`
+function mockChain(blocks, extraReceipts = {}) {
+  const chain = {}
+  const receipts = { ...extraReceipts }
+  for (const [n, logs] of Object.entries(blocks)) {
+    const number = Number(n)
+    const txHash = ethers.id(`${NETWORK}-tx-${number}`)
+    chain[number] = { number, hash: ethers.id(`${NETWORK}-block-${number}`), parentHash: ethers.id(`${NETWORK}-block-${number - 1}`), transactions: [txHash] }
+    receipts[txHash] = { blockNumber: number, status: 1, logs }
+  }
+  return { getBlock: async (n) => chain[n] || null, getTransactionReceipt: async (h) => receipts[h] || null }
+}
+
+const delivered = (index, kind) => encode(BRIDGE_ABI, BRIDGE, 'MessageDelivered', [index, ethers.ZeroHash, INBOX, kind, SENDER, ethers.id(`data-${index}`), 30000000000n, 1700000000 + index])
+
+async function run() {
+  indexer.rollbackL1(NETWORK, 0)
+  indexer.rollbackL2(NETWORK, 0)
+
+  const l1 = mockChain({
+    200: [delivered(5, 9), encode(INBOX_ABI, INBOX, 'InboxMessageDelivered', [5, '0x1234'])],
+    201: [delivered(6, 12), encode(BRIDGE_ABI, ethers.getAddress('0x' + '77'.repeat(20)), 'MessageDelivered', [7, ethers.ZeroHash, INBOX, 9, SENDER, ethers.ZeroHash, 0, 0])],
+    202: [encode(SEQUENCER_INBOX_ABI, SEQUENCER_INBOX, 'SequencerBatchDelivered', [40, ethers.id('before'), ethers.id('after'), ethers.id('delayed'), 6, [1700000000, 1700000100, 190, 202], 1])],
+    203: [encode(SEQUENCER_INBOX_ABI, SEQUENCER_INBOX, 'SequencerBatchDelivered', [39, ethers.ZeroHash, ethers.id('before'), ethers.ZeroHash, 5, [0, 0, 0, 0], 1])]
+  })
+  const res = await indexer.indexRange(200, 203, NETWORK, { provider: l1 })
+  assert.equal(res.messages, 3)
+  assert.equal(res.batches, 2)
+
+  // Message 7 came from a foreign Bridge and is ignored
+  const messages = indexer.findDelayedMessages({ network: NETWORK })
+  assert.deepEqual(messages.map(m => m.message_index), [6, 5])
+  const [m6, m5] = messages
+  assert.equal(m5.kind, 9)
+  assert.equal(m5.data, '0x1234')
+  assert.equal(m5.base_fee_l1, '30000000000')
+  assert.equal(m5.sender, SENDER)
+  assert.equal(m5.included_in_batch, 40)
+  assert.equal(m6.data, null)
+  // Batch 40 read messages below 6: message 6 is still waiting
+  assert.equal(m6.included_in_batch, null)
+  assert.deepEqual(indexer.findDelayedMessages({ network: NETWORK, kind: 12, sender: SENDER.toLowerCase() }).map(m => m.message_index), [6])
+
+  const batch = indexer.getSequencerBatch(40, NETWORK)
+  assert.equal(batch.max_block_number, 202)
+  assert.deepEqual([batch.delayedMessages.from, batch.delayedMessages.to], [5, 6])
+  assert.deepEqual(batch.delayedMessages.indexed.map(m => m.message_index), [5])
+  assert.deepEqual(indexer.findSequencerBatches({ network: NETWORK, fromBlock: 203 }).map(b => b.batch_index), [39])
+
+  // L2: withdrawal, auto-redeem scheduled (and failed), then canceled
+  const l2 = mockChain({
+    600: [encode(ARBSYS_ABI, ARBSYS_ADDRESS, 'L2ToL1Tx', [SENDER, SENDER, 77n, (1n << 192n) + 3n, 600, 200, 1700000500, 10n ** 18n, '0x'])],
+    601: [
+      encode(ARB_RETRYABLE_ABI, '0x000000000000000000000000000000000000006E', 'TicketCreated', [TICKET]),
+      encode(ARB_RETRYABLE_ABI, '0x000000000000000000000000000000000000006E', 'RedeemScheduled', [TICKET, RETRY_TX, 0, 100000, SENDER, 5000n, 700n])
+    ],
+    602: [encode(ARB_RETRYABLE_ABI, '0x000000000000000000000000000000000000006E', 'Canceled', [TICKET])]
+  }, { [RETRY_TX]: { blockNumber: 601, status: 0, from: SENDER, to: SENDER, logs: [] } })
+  const res2 = await indexer.indexL2Range(600, 602, NETWORK, { provider: l2 })
+  assert.equal(res2.withdrawals, 1)
+  assert.equal(res2.cancels, 1)
+
+  const [withdrawal] = indexer.findL2ToL1Messages({ network: NETWORK, address: SENDER })
+  assert.equal(withdrawal.position, ((1n << 192n) + 3n).toString())
+  assert.equal(withdrawal.callvalue, (10n ** 18n).toString())
+  assert.equal(withdrawal.eth_block_num, 200)
+  assert.equal(indexer.findL2ToL1Messages({ network: NETWORK, l2TxHash: withdrawal.l2_tx_hash }).length, 1)
+
+  const events = indexer.findRedeemEvents('9201', NETWORK)
+  assert.equal(events.redeems.length, 1)
+  assert.equal(events.redeems[0].kind, 'AUTO')
+  assert.equal(events.redeems[0].status, 0)
+  assert.equal(events.redeems[0].submission_fee_refund, '700')
+  assert.equal(events.cancel.l2_block_number, 602)
+
+  // Rollbacks cover the new tables
+  assert.deepEqual(indexer.rollbackL1(NETWORK, 202), { tickets: 0, messages: 0, batches: 2 })
+  assert.equal(indexer.getDelayedMessage(5, NETWORK).included_in_batch, null)
+  assert.equal(indexer.rollbackL2(NETWORK, 601).events, 2)
+  assert.deepEqual(indexer.findRedeemEvents('9201', NETWORK), { redeems: [], cancel: null })
+  assert.equal(indexer.findL2ToL1Messages({ network: NETWORK }).length, 1)
+
+  indexer.rollbackL1(NETWORK, 0)
+  indexer.rollbackL2(NETWORK, 0)
+  console.log('Indexer bridge events test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,102 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+
+// A throwaway Orbit entry keeps these rows away from real networks in data/tickets.db.
+// The registry is built on first import, so everything from src/ is imported after this.
+const NETWORK = 'reorg-test-l3'
+const INBOX = ethers.getAddress('0x' + '9a'.repeat(20))
+process.env.ORBIT_NETWORKS = JSON.stringify([{ name: NETWORK, chainId: 990001, contracts: { inbox: INBOX } }])
+const { INBOX_ABI, ARB_RETRYABLE_ABI } = await import('../src/arbitrum.js')
+const { default: indexer, getIndexedBlock, upsertStylusMeta } = await import('../src/indexer.js')
+
+const inbox = new ethers.Interface(INBOX_ABI)
+const arbRetryable = new ethers.Interface(ARB_RETRYABLE_ABI)
+const SENDER = ethers.getAddress('0x' + '1b'.repeat(20))
+const hash = (tag, n) => ethers.id(`${tag}-${n}`)
+
+function ticketLog(ticketId) {
+  const { topics, data } = inbox.encodeEventLog('RetryableTicketCreated', [ticketId, SENDER, SENDER, 0, SENDER, SENDER, 100000, 100000000, '0x'])
+  return { address: INBOX, topics, data }
+}
+
+// Mock chain: blocks[n] = { hash, logs }; parentHash follows the previous block
+function mockChain(blocks, fork = 'a') {
+  const byHash = {}
+  const chain = {}
+  for (const [n, b] of Object.entries(blocks)) {
+    const number = Number(n)
+    const txHash = hash(`${fork}-tx`, number)
+    chain[number] = { number, hash: b.hash, parentHash: blocks[number - 1] ? blocks[number - 1].hash : hash('genesis', 0), transactions: b.logs ? [txHash] : [] }
+    if (b.logs) byHash[txHash] = { blockNumber: number, status: 1, logs: b.logs, gasUsed: 21000n }
+  }
+  return {
+    getBlock: async (n) => chain[n] || null,
+    getTransactionReceipt: async (h) => byHash[h] || null
+  }
+}
+
+async function run() {
+  // Parent chain: ticket 9101 in block 101, 9102 in block 102
+  const l1a = { 100: { hash: hash('a', 100) }, 101: { hash: hash('a', 101), logs: [ticketLog(9101)] }, 102: { hash: hash('a', 102), logs: [ticketLog(9102)] } }
+  let res = await indexer.indexRange(100, 102, NETWORK, { provider: mockChain(l1a) })
+  assert.equal(res.inserted, 2)
+  assert.deepEqual(res.reorgs, [])
+  assert.equal(getIndexedBlock(NETWORK, 'L1', 102).block_hash, hash('a', 102))
+
+  // Blocks 101-102 replaced: 9102 was orphaned, 9101 moved to block 102 with different params
+  const l1b = { 100: l1a[100], 101: { hash: hash('b', 101) }, 102: { hash: hash('b', 102), logs: [ticketLog(9101)] }, 103: { hash: hash('b', 103) } }
+  res = await indexer.indexRange(103, 103, NETWORK, { provider: mockChain(l1b, 'b') })
+  assert.equal(res.reorgs.length, 1)
+  assert.deepEqual(res.reorgs[0], { detectedAt: 103, fromBlock: 101, removed: { tickets: 2, messages: 0, batches: 0 } })
+  assert.equal(indexer.getTicket('9102', NETWORK), undefined)
+  assert.equal(indexer.getTicket('9101', NETWORK).block_number, 102)
+  assert.equal(getIndexedBlock(NETWORK, 'L1', 101).block_hash, hash('b', 101))
+  assert.equal(getIndexedBlock(NETWORK, 'L1', 103).block_hash, hash('b', 103))
+
+  // Indexing the same canonical range again is a no-op
+  res = await indexer.indexRange(101, 103, NETWORK, { provider: mockChain(l1b, 'b') })
+  assert.deepEqual(res.reorgs, [])
+
+  // L2: ticket created in block 501 (orphaned); Stylus row in 502 (orphaned); 500 survives
+  const created = (id) => { const e = arbRetryable.encodeEventLog('TicketCreated', [ethers.toBeHex(id, 32)]); return { address: '0x000000000000000000000000000000000000006E', ...e } }
+  const l2a = { 500: { hash: hash('l2a', 500), logs: [created(9100)] }, 501: { hash: hash('l2a', 501), logs: [created(9101)] }, 502: { hash: hash('l2a', 502) } }
+  res = await indexer.indexL2Range(500, 502, NETWORK, { provider: mockChain(l2a, 'l2a') })
+  assert.equal(res.mapped, 2)
+  upsertStylusMeta({ txHash: hash('stylus', 502), blockNumber: 502, network: NETWORK })
+
+  // The tip block itself is replaced: detected from block 503's parent hash
+  const l2b = { ...l2a, 502: { hash: hash('l2b', 502) }, 503: { hash: hash('l2b', 503) } }
+  res = await indexer.indexL2Range(503, 503, NETWORK, { provider: mockChain(l2b, 'l2b') })
+  assert.deepEqual(res.reorgs.map(r => r.fromBlock), [502])
+  assert.equal(res.reorgs[0].removed.stylus, 1)
+  assert.ok(indexer.findL2ForTicket('9101', NETWORK))
+
+  // Deeper: 501 replaced too, so its ticket mapping goes
+  const l2c = { ...l2a, 501: { hash: hash('l2c', 501) }, 502: { hash: hash('l2c', 502) }, 503: { hash: hash('l2c', 503) }, 504: { hash: hash('l2c', 504) } }
+  res = await indexer.indexL2Range(504, 504, NETWORK, { provider: mockChain(l2c, 'l2c') })
+  assert.deepEqual(res.reorgs.map(r => r.fromBlock), [501])
+  assert.equal(res.reorgs[0].removed.mappings, 1)
+  assert.equal(indexer.findL2ForTicket('9101', NETWORK), undefined)
+  assert.ok(indexer.findL2ForTicket('9100', NETWORK))
+
+  // A receipt the node fails to return, or a block missing below the end, is retried, not checkpointed
+  const gappy = { 200: { hash: hash('g', 200) }, 201: { hash: hash('g', 201), logs: [ticketLog(9201)] }, 203: { hash: hash('g', 203) } }
+  const flaky = mockChain(gappy, 'g')
+  flaky.getTransactionReceipt = async () => { throw new Error('header not found') }
+  res = await indexer.indexRange(200, 204, NETWORK, { provider: flaky })
+  assert.deepEqual(res.failedBlocks, [201, 202])
+  assert.ok(getIndexedBlock(NETWORK, 'L1', 200))
+  assert.equal(getIndexedBlock(NETWORK, 'L1', 201), undefined)
+  assert.ok(getIndexedBlock(NETWORK, 'L1', 203))
+  res = await indexer.indexL2Range(600, 602, NETWORK, { provider: { getBlock: async (n) => (n === 600 ? { number: 600, hash: hash('g', 600), parentHash: hash('g', 599), transactions: [hash('g-tx', 600)] } : null), getTransactionReceipt: async () => null } })
+  assert.deepEqual(res.failedBlocks, [600, 601])
+  assert.equal(getIndexedBlock(NETWORK, 'L2', 600), undefined)
+
+  // Reset so the next run starts from the same state
+  indexer.rollbackL1(NETWORK, 0)
+  indexer.rollbackL2(NETWORK, 0)
+
+  console.log('Indexer reorg test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,67 @@
+import assert from 'assert'
+
+// Orbit entries for the module registry (built on first import): one with an RPC, one without
+process.env.ORBIT_NETWORKS = JSON.stringify([
+  { name: 'rpc-test-l3', chainId: 333001, rpcUrl: 'http://127.0.0.1:9', parentChainId: 42161 },
+  { name: 'no-rpc-test-l3', chainId: 333002 }
+])
+const { buildRegistry, getNetwork, isConfigured, listNetworks, networkForLogs } = await import('../src/networks.js')
+const { getProviders } = await import('../src/arbitrum.js')
+
+async function run() {
+  const env = {
+    L1_RPC_URL: 'http://l1',
+    ARBITRUM_RPC_URL: 'http://one',
+    ARBITRUM_NOVA_RPC_URL: 'http://nova'
+  }
+  const orbit = [{
+    name: 'test-l3',
+    chainId: 333333,
+    parent: 'arbitrum-one',
+    rpcUrl: 'http://l3',
+    contracts: { inbox: '0x00000000000000000000000000000000000000a1', bridge: '0x00000000000000000000000000000000000000b1' }
+  }]
+  const reg = buildRegistry(orbit, env)
+
+  // Lookup by name and by chain ID
+  assert.equal(getNetwork('arbitrum-nova', reg).chainId, 42170)
+  assert.equal(getNetwork('421614', reg).name, 'arbitrum-sepolia')
+  assert.equal(getNetwork(42161, reg).name, 'arbitrum-one')
+  assert.equal(getNetwork('nope', reg), null)
+
+  // Orbit L3 uses its parent network's RPC as its "L1"
+  const l3 = getNetwork('test-l3', reg)
+  assert.equal(l3.parentRpcUrl, 'http://one')
+  assert.equal(l3.parentChainId, 42161)
+  assert.ok(l3.isOrbit)
+
+  // Mixed-case Orbit names are reachable by any casing; the label keeps the original
+  const mixed = buildRegistry([{ name: 'MyL3', chainId: 444444, parent: 'Arbitrum-One' }], env)
+  assert.equal(getNetwork('MyL3', mixed).chainId, 444444)
+  assert.equal(getNetwork('myl3', mixed).name, 'myl3')
+  assert.equal(getNetwork('MyL3', mixed).label, 'MyL3')
+  assert.equal(getNetwork('MyL3', mixed).parentRpcUrl, 'http://one')
+
+  // Sepolia has no RPCs in this env
+  assert.equal(isConfigured(getNetwork('arbitrum-sepolia', reg)), false)
+  const configured = listNetworks({ configuredOnly: true }, reg).map(n => n.name)
+  assert.deepEqual(configured, ['arbitrum-one', 'arbitrum-nova', 'test-l3'])
+
+  // A parent-chain receipt is attributed to the network whose bridge emitted the log
+  const candidates = listNetworks({ configuredOnly: true }, reg)
+  const novaLog = { address: '0xC1Ebd02f738644983b6C4B2d440b8e77DdE276Bd'.toLowerCase() }
+  assert.equal(networkForLogs([{ address: '0x1234' }, novaLog], candidates).name, 'arbitrum-nova')
+  assert.equal(networkForLogs([{ address: '0x00000000000000000000000000000000000000A1' }], candidates).name, 'test-l3')
+  assert.equal(networkForLogs([{ address: '0x1234' }], candidates), null)
+
+  // Providers: chain ID pinned from the registry; no RPC URL → a clear error, not localhost:8545
+  const { l2Provider } = getProviders('rpc-test-l3')
+  assert.equal((await l2Provider.getNetwork()).chainId, 333001n)
+  await assert.rejects(getProviders('no-rpc-test-l3').l2Provider.getBlockNumber(), /No RPC configured for no-rpc-test-l3/)
+  await assert.rejects(getProviders('no-rpc-test-l3').l1Provider.getBlock(1), /No RPC configured for no-rpc-test-l3 parent chain/)
+  l2Provider.destroy()
+
+  console.log('Networks test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
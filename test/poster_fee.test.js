@@ -0,0 +1,124 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { ARB_GAS_INFO_ABI, ARB_GAS_INFO_ADDRESS } from '../src/arbitrum.js'
+import { splitGasUsed, estimatePosterGas, assessL1PriceSpike, getGasBreakdown, L1_PRICE_SPIKE_RATIO } from '../src/posterFee.js'
+import { analyzeCrossChainCausality } from '../src/causalityAnalyzer.js'
+import { normalizeTrace } from '../src/traceNormalizer.js'
+import { estimateOptimalGas, getGasOptimizationTips } from '../src/smartGasEstimation.js'
+
+const arbGasInfo = new ethers.Interface(ARB_GAS_INFO_ABI)
+const TX = ethers.id('oog-during-spike')
+const GWEI = 1000000000n
+
+// Nitro node: raw receipt (block 1000) with gasUsedForL1, ArbGasInfo answering per block tag;
+// l1BaseFeeBefore at the reference block, l1BaseFeeNow at latest
+function mockL2({ l1BaseFeeAtTx, l1BaseFeeBefore, l1BaseFeeNow = l1BaseFeeBefore, archive = true }) {
+  return {
+    send: async (method, [hash]) => {
+      assert.equal(hash, TX)
+      if (method === 'eth_getTransactionReceipt') return { transactionHash: TX, blockNumber: '0x3e8', gasUsed: ethers.toQuantity(400000), gasUsedForL1: ethers.toQuantity(150000), effectiveGasPrice: ethers.toQuantity(GWEI / 10n), status: '0x0' }
+      if (method === 'eth_getTransactionByHash') return { hash: TX, gas: ethers.toQuantity(400000) }
+      throw new Error(`unexpected ${method}`)
+    },
+    call: async ({ to, data, blockTag }) => {
+      assert.equal(to.toLowerCase(), ARB_GAS_INFO_ADDRESS.toLowerCase())
+      if (blockTag !== 'latest' && !archive) throw new Error('missing trie node')
+      const l1BaseFee = blockTag === 1000 ? l1BaseFeeAtTx : (blockTag === 'latest' ? l1BaseFeeNow : l1BaseFeeBefore)
+      const { name } = arbGasInfo.parseTransaction({ data })
+      if (name === 'getL1BaseFeeEstimate') return arbGasInfo.encodeFunctionResult(name, [l1BaseFee])
+      return arbGasInfo.encodeFunctionResult(name, [0, l1BaseFee * 16n, 0, GWEI / 10n, 0, GWEI / 10n])
+    }
+  }
+}
+
+async function run() {
+  // Split: gasUsed = execution + poster
+  const split = splitGasUsed({ gasUsed: 400000n, gasUsedForL1: 150000n, gasLimit: 500000n, effectiveGasPrice: 10n })
+  assert.equal(split.l2ExecutionGas, '250000')
+  assert.equal(split.l1PosterGas, '150000')
+  assert.equal(split.posterSharePct, 37.5)
+  assert.equal(split.posterShareOfLimitPct, 30)
+  assert.equal(split.posterFeeWei, '1500000')
+  assert.equal(split.l2ExecutionFeeWei, '2500000')
+  const noPoster = splitGasUsed({ gasUsed: '21000' })
+  assert.equal(noPoster.l1PosterGas, '0')
+  assert.equal(noPoster.posterShareOfLimitPct, null)
+  assert.equal(noPoster.posterFeeWei, null)
+
+  // (100 bytes + 140 fixed) × 16 wei/byte / 2 wei per gas, rounded up
+  assert.equal(estimatePosterGas({ calldataBytes: 100, perL1CalldataByte: 16, l2BaseFee: 2 }), 1920n)
+  assert.equal(estimatePosterGas({ calldataBytes: 1, perL1CalldataByte: 1, l2BaseFee: 2 }), 71n)
+  assert.equal(estimatePosterGas({ calldataBytes: 100, perL1CalldataByte: 16, l2BaseFee: 0 }), 0n)
+
+  assert.equal(assessL1PriceSpike({ l1BaseFeeAtTx: 30n, l1BaseFeeReference: 10n, posterShareOfLimitPct: 30 }).posterGasInflated, true)
+  assert.equal(assessL1PriceSpike({ l1BaseFeeAtTx: 30n, l1BaseFeeReference: 10n, posterShareOfLimitPct: 5 }).posterGasInflated, false)
+  assert.equal(assessL1PriceSpike({ l1BaseFeeAtTx: 11n, l1BaseFeeReference: 10n, posterShareOfLimitPct: 30 }).l1PriceSpike, false)
+  assert.equal(assessL1PriceSpike({ l1BaseFeeAtTx: null, l1BaseFeeReference: 10n, posterShareOfLimitPct: 30 }).l1PriceRatio, null)
+
+  // On chain: prices at the tx block were 3× those 200 blocks earlier; today's price doesn't matter
+  const breakdown = await getGasBreakdown({ transactionHash: TX }, { referenceBlocks: 200, provider: mockL2({ l1BaseFeeAtTx: 60n * GWEI, l1BaseFeeBefore: 20n * GWEI, l1BaseFeeNow: 60n * GWEI }) })
+  assert.equal(breakdown.ok, true)
+  assert.equal(breakdown.blockNumber, 1000)
+  assert.equal(breakdown.gasLimit, '400000')
+  assert.equal(breakdown.l1PosterGas, '150000')
+  assert.equal(breakdown.l2ExecutionGas, '250000')
+  assert.equal(breakdown.prices.atTx.blockTag, 1000)
+  assert.equal(breakdown.prices.atTx.l1BaseFeeEstimate, (60n * GWEI).toString())
+  assert.equal(breakdown.referenceBlockNumber, 800)
+  assert.equal(breakdown.prices.reference.blockTag, 800)
+  assert.equal(breakdown.prices.reference.perL1CalldataByte, (320n * GWEI).toString())
+  assert.equal(breakdown.l1PriceRatio, 3)
+  assert.ok(breakdown.l1PriceRatio >= L1_PRICE_SPIKE_RATIO)
+  assert.equal(breakdown.posterGasInflated, true)
+  assert.equal(breakdown.posterGasAtReferenceL1Price, '50000')
+  assert.deepEqual(breakdown.errors, [])
+  // Same tx with a steady L1 price before it: no spike, even if the price is lower today
+  const steady = await getGasBreakdown({ transactionHash: TX }, { provider: mockL2({ l1BaseFeeAtTx: 60n * GWEI, l1BaseFeeBefore: 55n * GWEI, l1BaseFeeNow: 10n * GWEI }) })
+  assert.equal(steady.referenceBlockNumber, 0)
+  assert.equal(steady.l1PriceSpike, false)
+  assert.equal(steady.posterGasInflated, false)
+
+  // Non-archive node: split survives, no spike verdict
+  const pruned = await getGasBreakdown({ transactionHash: TX, gasLimit: 500000n }, { provider: mockL2({ l1BaseFeeAtTx: 60n * GWEI, l1BaseFeeBefore: 20n * GWEI, archive: false }) })
+  assert.equal(pruned.ok, true)
+  assert.equal(pruned.gasLimit, '500000')
+  assert.equal(pruned.prices.atTx, null)
+  assert.equal(pruned.prices.reference, null)
+  assert.equal(pruned.posterGasInflated, false)
+  assert.equal(pruned.errors.length, 2)
+  assert.equal((await getGasBreakdown(null)).ok, false)
+
+  // Causality: a plain L2 tx (no retryable) that ran out of gas during the spike is L1-caused
+  const l2Receipt = { transactionHash: TX, status: 0, gasUsed: 400000n }
+  const causality = analyzeCrossChainCausality({ l2Receipt }, null, l2Receipt, 'OUT_OF_GAS', null, breakdown)
+  assert.equal(causality.chain, 'L1_CAUSED')
+  assert.equal(causality.causalityType, 'L1_PRICE_SPIKE')
+  assert.equal(causality.gasSplit.l1PosterGas, '150000')
+  assert.ok(causality.humanMessage.includes('3x its level 200 blocks before inclusion'))
+  assert.equal(causality.recommendations[1].suggested, '550000')
+
+  // Without the spike the split is reported but not blamed
+  const calm = analyzeCrossChainCausality({ l2Receipt }, null, l2Receipt, 'OUT_OF_GAS', null, { ...breakdown, posterGasInflated: false, l1PriceSpike: false })
+  assert.equal(calm.causalityType, null)
+  assert.equal(calm.gasSplit.l2ExecutionGas, '250000')
+  assert.equal(analyzeCrossChainCausality({ l2Receipt }, null, l2Receipt, 'OUT_OF_GAS', null).gasSplit, null)
+
+  // Timeline: L2_EXECUTION carries the split
+  const [execution] = normalizeTrace({ l2Receipt: { ...l2Receipt, blockNumber: 1000 } }, [], null, null, breakdown)
+  assert.equal(execution.action, 'L2_EXECUTION')
+  assert.equal(execution.details.l1PosterGas, '150000')
+  assert.equal(execution.details.l2ExecutionGas, '250000')
+  assert.equal(normalizeTrace({ l2Receipt }, [], null)[0].details.l1PosterGas, null)
+
+  // Smart estimation: failure baseline uses execution gas only, current poster gas added with margin
+  const plain = estimateOptimalGas({ calldata: '0x1234', gasUsedInFailure: 400000 })
+  const split2 = estimateOptimalGas({ calldata: '0x1234', gasUsedInFailure: 400000, posterGasInFailure: 150000, posterGas: 50000 })
+  assert.equal(plain.recommended, 500000)
+  assert.equal(split2.recommended, Math.ceil(250000 * 1.25) + 75000)
+  assert.equal(split2.factors.posterGas, 50000)
+  assert.ok(getGasOptimizationTips(split2).some(t => t.includes('poster gas')))
+
+  console.log('Poster fee test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
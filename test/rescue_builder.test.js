@@ -0,0 +1,85 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { ARB_RETRYABLE_ABI, ARB_RETRYABLE_ADDRESS } from '../src/arbitrum.js'
+import { buildRescueTransactions, encodeRescueCalls, rescueAvailability, withGasBuffer } from '../src/rescueBuilder.js'
+
+const arbRetryable = new ethers.Interface(ARB_RETRYABLE_ABI)
+
+const TICKET = '0x' + '0a'.repeat(32)
+const BENEFICIARY = '0x' + '55'.repeat(20)
+const STRANGER = '0x' + '66'.repeat(20)
+const RETRY_TX = '0x' + 'a1'.repeat(32)
+
+function revertWith(reason) {
+  const err = new Error('execution reverted')
+  err.data = ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])])
+  return err
+}
+
+async function run() {
+  const calls = encodeRescueCalls(TICKET)
+  assert.deepEqual(calls.map(c => c.action), ['redeem', 'keepalive', 'cancel'])
+  assert.ok(calls.every(c => c.to === ARB_RETRYABLE_ADDRESS))
+  assert.equal(arbRetryable.parseTransaction({ data: calls[0].data }).args[0], TICKET)
+
+  assert.equal(withGasBuffer(100000n), 120000n)
+
+  const closed = rescueAvailability('REDEEMED', BENEFICIARY)
+  assert.equal(closed.redeem.available, false)
+  const strangerView = rescueAvailability('PENDING', BENEFICIARY, STRANGER)
+  assert.equal(strangerView.redeem.available, true)
+  assert.equal(strangerView.cancel.available, false)
+  assert.ok(strangerView.cancel.note)
+
+  // Open ticket: redeem simulates the retry tx hash, keepalive reverts (timeout too far out)
+  const sent = []
+  const provider = {
+    getFeeData: async () => ({ gasPrice: 10000000n }),
+    call: async (tx) => {
+      sent.push(tx)
+      const fn = arbRetryable.parseTransaction({ data: tx.data }).name
+      if (fn === 'getLifetime') return arbRetryable.encodeFunctionResult('getLifetime', [604800n])
+      if (fn === 'getTimeout') return arbRetryable.encodeFunctionResult('getTimeout', [BigInt(Math.floor(Date.now() / 1000) + 3600)])
+      if (fn === 'getBeneficiary') return arbRetryable.encodeFunctionResult('getBeneficiary', [BENEFICIARY])
+      if (fn === 'redeem') return arbRetryable.encodeFunctionResult('redeem', [RETRY_TX])
+      if (fn === 'keepalive') throw revertWith('timeout too far into the future')
+      return '0x'
+    },
+    estimateGas: async (tx) => {
+      const fn = arbRetryable.parseTransaction({ data: tx.data }).name
+      if (fn === 'keepalive') throw revertWith('timeout too far into the future')
+      return fn === 'redeem' ? 500000n : 30000n
+    }
+  }
+  const result = await buildRescueTransactions(BigInt(TICKET).toString(), { provider, resolveSelector: async () => ({ ok: false }) })
+  assert.equal(result.ok, true)
+  assert.equal(result.status, 'PENDING')
+  assert.equal(result.beneficiary.toLowerCase(), BENEFICIARY)
+
+  const [redeem, keepalive, cancel] = result.transactions
+  assert.equal(redeem.simulation.success, true)
+  assert.equal(redeem.simulation.decoded, RETRY_TX)
+  assert.equal(redeem.gasLimit, '600000')
+  assert.equal(redeem.estimatedFeeWei, (600000n * 10000000n).toString())
+  assert.equal(keepalive.simulation.success, false)
+  assert.equal(keepalive.simulation.revert.message, 'timeout too far into the future')
+  assert.equal(keepalive.gasLimit, null)
+  // cancel is built and simulated from the beneficiary
+  assert.equal(cancel.from.toLowerCase(), BENEFICIARY)
+  assert.equal(cancel.simulation.success, true)
+  assert.ok(sent.some(tx => tx.from && tx.from.toLowerCase() === BENEFICIARY))
+
+  // Ticket gone: nothing to rescue, no simulations
+  const gone = await buildRescueTransactions(TICKET, {
+    provider,
+    probe: { exists: false, beneficiary: null, expiresAt: null, secondsUntilExpiry: null, error: null }
+  })
+  assert.equal(gone.status, 'EXPIRED')
+  assert.ok(gone.transactions.every(t => !t.available && t.simulation === null))
+
+  assert.equal((await buildRescueTransactions(TICKET, { provider, from: 'nope' })).ok, false)
+
+  console.log('Rescue builder test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,88 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { INBOX_ABI, ARB_RETRYABLE_ABI } from '../src/arbitrum.js'
+import { traceRetryableHops, ticketIdToTxHash } from '../src/retryableHops.js'
+import { buildRegistry, listNetworks } from '../src/networks.js'
+import { computeCausalGraph } from '../src/causalityAnalyzer.js'
+
+const inbox = new ethers.Interface(INBOX_ABI)
+const arbRetryable = new ethers.Interface(ARB_RETRYABLE_ABI)
+
+const L3_INBOX = '0x00000000000000000000000000000000000000a1'
+const ONE_INBOX = '0x4Dbd4fc535Ac27206064B68FfCf827b0A60BAB3f'
+
+function ticketLog(address, ticketId, gasLimit, l2CallValue = 0n) {
+  const { topics, data } = inbox.encodeEventLog('RetryableTicketCreated', [
+    ticketId, '0x' + '11'.repeat(20), '0x' + '22'.repeat(20), l2CallValue, '0x' + '11'.repeat(20), '0x' + '11'.repeat(20), gasLimit, 100000000n, '0x1234'
+  ])
+  return { address, topics, data }
+}
+
+// Packed submit-retryable body the Inbox delivers alongside the ticket
+function messageLog(address, { gasLimit, l2CallValue, maxSubmissionCost }) {
+  const word = (v) => ethers.zeroPadValue(ethers.toBeHex(BigInt(v)), 32)
+  const body = ethers.concat([word('0x' + '22'.repeat(20)), word(l2CallValue), word(10n ** 16n), word(maxSubmissionCost), word('0x' + '11'.repeat(20)), word('0x' + '11'.repeat(20)), word(gasLimit), word(100000000n), word(2), '0x1234'])
+  const { topics, data } = inbox.encodeEventLog('InboxMessageDelivered', [7, body])
+  return { address, topics, data }
+}
+
+function redeemScheduledLog(ticketHash, retryTxHash) {
+  const { topics, data } = arbRetryable.encodeEventLog('RedeemScheduled', [ticketHash, retryTxHash, 0n, 100000n, '0x' + '33'.repeat(20), 0n, 0n])
+  return { address: '0x000000000000000000000000000000000000006E', topics, data }
+}
+
+async function run() {
+  const reg = buildRegistry([{ name: 'test-l3', chainId: 333333, parent: 'arbitrum-one', rpcUrl: 'http://l3', contracts: { inbox: L3_INBOX } }],
+    { L1_RPC_URL: 'http://l1', ARBITRUM_RPC_URL: 'http://one' })
+  const networks = listNetworks({ configuredOnly: true }, reg)
+
+  const l2Ticket = 1001n
+  const l3Ticket = 2002n
+  const l2Retry = '0x' + 'aa'.repeat(32)
+  const l3Retry = '0x' + 'bb'.repeat(32)
+
+  // L1 deposit → Arbitrum One ticket; its auto-redeem creates an L3 ticket that runs out of gas
+  const l1Receipt = { transactionHash: '0x' + '01'.repeat(32), blockNumber: 10, status: 1, logs: [
+    ticketLog(ONE_INBOX, l2Ticket, 500000n, 5n),
+    messageLog(ONE_INBOX, { gasLimit: 500000n, l2CallValue: 5n, maxSubmissionCost: 123456n })
+  ] }
+  const receipts = {
+    'arbitrum-one': {
+      [ticketIdToTxHash(l2Ticket)]: { blockNumber: 20, status: 1, logs: [redeemScheduledLog(ticketIdToTxHash(l2Ticket), l2Retry)] },
+      [l2Retry]: { transactionHash: l2Retry, blockNumber: 20, status: 1, gasUsed: 300000n, logs: [ticketLog(L3_INBOX, l3Ticket, 50000n)] }
+    },
+    'test-l3': {
+      [ticketIdToTxHash(l3Ticket)]: { blockNumber: 5, status: 1, logs: [redeemScheduledLog(ticketIdToTxHash(l3Ticket), l3Retry)] },
+      [l3Retry]: { blockNumber: 5, status: 0, gasUsed: 50000n, logs: [] }
+    }
+  }
+  const getReceipt = async (net, hash) => (receipts[net] || {})[hash] || null
+
+  const hops = await traceRetryableHops(l1Receipt, 1, { networks, getReceipt })
+  console.log('Hops:', hops.map(h => `${h.hop}:${h.network}:${h.status}`).join(' → '))
+  assert.equal(hops.length, 2)
+  assert.equal(hops[0].network, 'arbitrum-one')
+  assert.equal(hops[0].status, 'EXECUTED')
+  assert.equal(hops[0].execution.txHash, l2Retry)
+  // maxSubmissionCost from the Inbox message body, not the ticket's call value
+  assert.equal(hops[0].ticket.parameters.maxSubmissionCost, '123456')
+  assert.equal(hops[0].ticket.parameters.l2CallValue, '5')
+  assert.equal(hops[1].network, 'test-l3')
+  assert.equal(hops[1].ticket.parameters.maxGas, '50000')
+  assert.equal(hops[1].ticket.parameters.maxSubmissionCost, null)
+  assert.equal(hops[1].status, 'FAILED')
+  assert.equal(hops[1].verdict.failureReason, 'OUT_OF_GAS')
+  assert.equal(hops[1].verdict.chain, 'L1_CAUSED')
+
+  const graph = computeCausalGraph({ l1Receipt, l2Receipt: null }, [], null, hops)
+  assert.equal(graph.firstFailedHop.hop, 2)
+
+  // Ticket not yet created on the child chain → PENDING, walk stops
+  const pending = await traceRetryableHops(l1Receipt, 1, { networks, getReceipt: async () => null })
+  assert.equal(pending.length, 1)
+  assert.equal(pending[0].status, 'PENDING')
+
+  console.log('Retryable hops test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,118 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { ARB_RETRYABLE_ABI, ARB_RETRYABLE_ADDRESS } from '../src/arbitrum.js'
+import { resolveRetryableTicket, probeRetryableTicket, chainTicketStatus, parseLifecycleLogs, buildRedeemAttempts, ticketStatus } from '../src/retryableResolver.js'
+
+const arbRetryable = new ethers.Interface(ARB_RETRYABLE_ABI)
+
+const TICKET = '0x' + '0a'.repeat(32)
+const OTHER_TICKET = '0x' + '0b'.repeat(32)
+const AUTO_TX = '0x' + 'a1'.repeat(32)
+const MANUAL_TX = '0x' + 'a2'.repeat(32)
+const REDEEM_CALLER_TX = '0x' + 'c1'.repeat(32)
+
+function log(name, args, extra) {
+  const { topics, data } = arbRetryable.encodeEventLog(name, args)
+  return { address: ARB_RETRYABLE_ADDRESS, topics, data, ...extra }
+}
+
+function scheduled(ticket, retryTx, seq, txHash, blockNumber) {
+  return log('RedeemScheduled', [ticket, retryTx, seq, 100000n, '0x' + '33'.repeat(20), 0n, 0n], { transactionHash: txHash, blockNumber })
+}
+
+async function run() {
+  // Only the requested ticket's events survive parsing
+  const mixed = [
+    scheduled(TICKET, AUTO_TX, 0n, TICKET, 100),
+    scheduled(OTHER_TICKET, '0x' + 'ff'.repeat(32), 0n, OTHER_TICKET, 100),
+    { address: '0x' + '44'.repeat(20), topics: [ethers.id('Transfer(address,address,uint256)')], data: '0x' }
+  ]
+  const parsed = parseLifecycleLogs(mixed, TICKET)
+  assert.equal(parsed.length, 1)
+  assert.equal(parsed[0].retryTxHash, AUTO_TX)
+
+  const attempts = buildRedeemAttempts(TICKET, [
+    { name: 'RedeemScheduled', retryTxHash: MANUAL_TX, sequenceNum: 1, transactionHash: REDEEM_CALLER_TX, blockNumber: 500 },
+    { name: 'RedeemScheduled', retryTxHash: AUTO_TX, sequenceNum: 0, transactionHash: TICKET, blockNumber: 100 }
+  ])
+  assert.deepEqual(attempts.map(a => a.kind), ['AUTO', 'MANUAL'])
+
+  assert.equal(ticketStatus({ creation: null }), 'NOT_FOUND')
+  assert.equal(ticketStatus({ creation: { status: 0 } }), 'CREATION_FAILED')
+  assert.equal(ticketStatus({ creation: { status: 1 }, attempts: [{ status: 0 }] }), 'REDEEM_FAILED')
+  assert.equal(ticketStatus({ creation: { status: 1 }, attempts: [{ status: 0 }, { status: 1 }] }), 'REDEEMED')
+  assert.equal(ticketStatus({ creation: { status: 1 }, attempts: [], canceled: {} }), 'CANCELED')
+
+  // Auto-redeem reverted, manual redeem later succeeded; the log query is filtered by ticket topic
+  const receipts = {
+    [TICKET]: { transactionHash: TICKET, blockNumber: 100, status: 1, logs: [scheduled(TICKET, AUTO_TX, 0n, TICKET, 100)] },
+    [AUTO_TX]: { transactionHash: AUTO_TX, blockNumber: 100, status: 0, gasUsed: 90000n },
+    [MANUAL_TX]: { transactionHash: MANUAL_TX, blockNumber: 500, status: 1, gasUsed: 120000n }
+  }
+  const filters = []
+  const provider = {
+    getTransactionReceipt: async (hash) => receipts[hash] || null,
+    getBlockNumber: async () => 1000,
+    getLogs: async (filter) => {
+      filters.push(filter)
+      return [
+        scheduled(TICKET, AUTO_TX, 0n, TICKET, 100),
+        scheduled(TICKET, MANUAL_TX, 1n, REDEEM_CALLER_TX, 500),
+        log('LifetimeExtended', [TICKET, 1234n], { transactionHash: '0x' + 'd1'.repeat(32), blockNumber: 600 })
+      ]
+    }
+  }
+  const resolved = await resolveRetryableTicket(BigInt(TICKET).toString(), { provider })
+  assert.equal(resolved.ok, true)
+  assert.equal(resolved.submitTxHash, TICKET)
+  assert.equal(filters[0].topics[1], TICKET)
+  assert.equal(filters[0].fromBlock, 100)
+  assert.equal(resolved.redeemAttempts.length, 2)
+  assert.equal(resolved.autoRedeem.txHash, AUTO_TX)
+  assert.equal(resolved.autoRedeem.status, 0)
+  assert.equal(resolved.redeemAttempts[1].kind, 'MANUAL')
+  assert.equal(resolved.redeemAttempts[1].receipt.gasUsed, '120000')
+  assert.equal(resolved.lifetimeExtensions, 1)
+  assert.equal(resolved.status, 'REDEEMED')
+
+  // Ticket not created on L2 → no log scan, NOT_FOUND
+  const missing = await resolveRetryableTicket(OTHER_TICKET, { provider: { ...provider, getTransactionReceipt: async () => null } })
+  assert.equal(missing.status, 'NOT_FOUND')
+  assert.equal(missing.range, null)
+
+  assert.equal((await resolveRetryableTicket('not-a-ticket', { provider })).ok, false)
+
+  // Live precompile probe: open ticket vs NoTicketWithID
+  const BENEFICIARY = '0x' + '55'.repeat(20)
+  const precompileProvider = (exists) => ({
+    call: async (tx) => {
+      const fn = arbRetryable.parseTransaction({ data: tx.data })
+      if (fn.name === 'getLifetime') return arbRetryable.encodeFunctionResult('getLifetime', [604800n])
+      if (!exists) {
+        const err = new Error('execution reverted')
+        err.data = arbRetryable.getError('NoTicketWithID').selector
+        throw err
+      }
+      if (fn.name === 'getTimeout') return arbRetryable.encodeFunctionResult('getTimeout', [2000000n])
+      return arbRetryable.encodeFunctionResult('getBeneficiary', [BENEFICIARY])
+    }
+  })
+  const open = await probeRetryableTicket(TICKET, { provider: precompileProvider(true), now: 1000000 })
+  assert.equal(open.exists, true)
+  assert.equal(open.timeout, 2000000)
+  assert.equal(open.secondsUntilExpiry, 1000000)
+  assert.equal(open.beneficiary.toLowerCase(), BENEFICIARY)
+  assert.equal(open.lifetimeSec, 604800)
+  assert.equal(chainTicketStatus(open, null, 1000000), 'PENDING')
+
+  const gone = await probeRetryableTicket(TICKET, { provider: precompileProvider(false) })
+  assert.equal(gone.exists, false)
+  assert.equal(gone.error, null)
+  assert.equal(chainTicketStatus(gone, resolved), 'REDEEMED')
+  assert.equal(chainTicketStatus(gone, { ok: true, status: 'REDEEM_FAILED' }), 'EXPIRED')
+  assert.equal(chainTicketStatus({ exists: null }, { ok: true, status: 'AWAITING_REDEEM' }), 'UNKNOWN')
+
+  console.log('Retryable resolver test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
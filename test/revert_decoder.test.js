@@ -0,0 +1,60 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { decodeRevertData } from '../src/revertDecoder.js'
+import { classifyFailureDetailed } from '../src/analyzer.js'
+
+const noResolver = async () => ({ ok: false, results: [] })
+
+async function run() {
+  const errorIface = new ethers.Interface(['error InsufficientBalance(uint256 available, uint256 required)'])
+  const customData = errorIface.encodeErrorResult('InsufficientBalance', [100n, 250n])
+
+  // Case 1: Error(string)
+  const stringData = '0x08c379a0' + ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['Not owner']).slice(2)
+  const errString = await decodeRevertData(stringData, { resolveSelector: noResolver })
+  assert.equal(errString.kind, 'Error')
+  assert.equal(errString.message, 'Not owner')
+
+  // Case 2: Panic(uint256) with code 0x11 (overflow)
+  const panicData = '0x4e487b71' + ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [0x11]).slice(2)
+  const panic = await decodeRevertData(panicData, { resolveSelector: noResolver })
+  assert.equal(panic.kind, 'Panic')
+  assert.equal(panic.panicCode, '0x11')
+  assert(panic.message.includes('Arithmetic underflow or overflow'), 'Expected PANIC_CODES description')
+
+  // Case 3: custom error from uploaded ABI keeps parameter names
+  const abi = [{ type: 'error', name: 'InsufficientBalance', inputs: [{ name: 'available', type: 'uint256' }, { name: 'required', type: 'uint256' }] }]
+  const custom = await decodeRevertData(customData, { abis: [{ address: '0xabc', abi }], resolveSelector: noResolver })
+  console.log('Custom error message:', custom.message)
+  assert.equal(custom.kind, 'CustomError')
+  assert.equal(custom.name, 'InsufficientBalance')
+  assert.deepEqual(custom.args.map(a => a.value), ['100', '250'])
+  assert.equal(custom.args[0].name, 'available')
+  assert.equal(custom.source, 'abi:0xabc')
+
+  // Case 4: custom error via selector resolver (no names, typed args only)
+  const resolver = async () => ({ ok: true, results: [{ text: 'InsufficientBalance(uint256,uint256)' }] })
+  const resolved = await decodeRevertData(customData, { resolveSelector: resolver })
+  assert.equal(resolved.name, 'InsufficientBalance')
+  assert.equal(resolved.source, 'resolveSelector')
+  assert.equal(resolved.args[1].type, 'uint256')
+
+  // Case 5: unknown selector is returned raw
+  const unknown = await decodeRevertData(customData, { resolveSelector: noResolver })
+  assert.equal(unknown.kind, 'unknown')
+  assert.equal(unknown.message, null)
+
+  // Classifier: revert data in an out-of-gas trace keeps OUT_OF_GAS and still decodes the message
+  const offline = { getBlock: async () => { throw new Error('offline') }, getTransaction: async () => { throw new Error('offline') }, call: async () => { throw new Error('offline') } }
+  const l2Receipt = { transactionHash: '0x' + 'cd'.repeat(32), to: ethers.ZeroAddress, status: 0, gasUsed: 50000n, gasLimit: 50000n, logs: [] }
+  const classify = (trace) => classifyFailureDetailed({ l1Receipt: null, l2Receipt }, null, null, null, null, { l2Provider: offline, debugTraceTransaction: async () => trace })
+  const oog = await classify({ error: 'out of gas', returnValue: stringData })
+  assert.equal(oog.result.failureReason, 'OUT_OF_GAS')
+  assert.equal(oog.result.failureMessage, 'Not owner')
+  const reverted = await classify({ returnValue: stringData })
+  assert.equal(reverted.result.failureReason, 'LOGIC_REVERT')
+
+  console.log('Revert decoder test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
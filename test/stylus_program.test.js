@@ -0,0 +1,126 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { ARB_WASM_ABI, ARB_WASM_ADDRESS } from '../src/arbitrum.js'
+import { getStylusProgram, isStylusBytecode } from '../src/stylusProgram.js'
+import { detectStylusExecution, classifyStylusFailure, getStylusTimelineNode } from '../src/stylusParser.js'
+
+const arbWasm = new ethers.Interface(ARB_WASM_ABI)
+const PROGRAM = ethers.getAddress('0x' + '5a'.repeat(20))
+const STYLUS_CODE = '0xeff00000' + 'ab'.repeat(64)
+const EVM_CODE = '0x6080604052' + 'cd'.repeat(32)
+
+// L2 node: code at PROGRAM, ArbWasm answering at `blockTag`; `codehashError` makes codehashVersion revert
+function mockL2({ code = STYLUS_CODE, codehashError = null, calls = [] } = {}) {
+  const revert = (name, args) => { throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data: arbWasm.encodeErrorResult(name, args) }) }
+  return {
+    calls,
+    getCode: async (address, blockTag) => {
+      assert.equal(address, PROGRAM)
+      assert.equal(blockTag, 1234)
+      return code
+    },
+    call: async ({ to, data, blockTag }) => {
+      assert.equal(to.toLowerCase(), ARB_WASM_ADDRESS.toLowerCase())
+      assert.equal(blockTag, 1234)
+      const { name, args } = arbWasm.parseTransaction({ data })
+      calls.push(name)
+      if (name === 'stylusVersion') return arbWasm.encodeFunctionResult(name, [2])
+      if (name === 'codehashVersion' || name === 'codehashAsmSize') assert.equal(args[0], ethers.keccak256(code))
+      else assert.equal(args[0], PROGRAM)
+      if (name === 'codehashVersion') {
+        if (codehashError) revert(...codehashError)
+        return arbWasm.encodeFunctionResult(name, [2])
+      }
+      if (name === 'programVersion') return arbWasm.encodeFunctionResult(name, [2])
+      if (name === 'programInitGas') return arbWasm.encodeFunctionResult(name, [5000, 1200])
+      if (name === 'programMemoryFootprint') return arbWasm.encodeFunctionResult(name, [3])
+      if (name === 'codehashAsmSize') return arbWasm.encodeFunctionResult(name, [45000])
+      if (name === 'programTimeLeft') throw new Error('connection reset')
+      throw new Error(`unexpected ${name}`)
+    }
+  }
+}
+
+async function run() {
+  assert.equal(isStylusBytecode(STYLUS_CODE), true)
+  assert.equal(isStylusBytecode(EVM_CODE), false)
+  assert.equal(isStylusBytecode('0x'), false)
+
+  // Plain EVM contract: no ArbWasm queries
+  const evmNode = mockL2({ code: EVM_CODE })
+  const evm = await getStylusProgram(PROGRAM, { provider: evmNode, blockTag: 1234 })
+  assert.equal(evm.ok, true)
+  assert.equal(evm.status, 'NOT_STYLUS')
+  assert.equal(evmNode.calls.length, 0)
+  assert.equal(detectStylusExecution({ to: PROGRAM, status: 0 }, [], evm).isWasmContract, false)
+
+  // Active program: metadata from the program/codehash queries; one failed read is only an error entry
+  const active = await getStylusProgram(PROGRAM, { provider: mockL2(), blockTag: 1234 })
+  assert.equal(active.status, 'ACTIVE')
+  assert.equal(active.codehash, ethers.keccak256(STYLUS_CODE))
+  assert.equal(active.activationVersion, 2)
+  assert.equal(active.stylusVersion, 2)
+  assert.equal(active.needsReactivation, false)
+  assert.equal(active.initGas, '5000')
+  assert.equal(active.initGasWhenCached, '1200')
+  assert.equal(active.memoryFootprintPages, 3)
+  assert.equal(active.asmSize, 45000)
+  assert.equal(active.timeLeftSeconds, null)
+  assert.equal(active.errors.length, 1)
+  assert.ok(active.errors[0].startsWith('ArbWasm.programTimeLeft'))
+
+  // A real call to a deployed program (not 0x71) is detected and carries the metadata
+  const markers = detectStylusExecution({ to: PROGRAM, status: 1 }, [], active)
+  assert.equal(markers.isWasmContract, true)
+  assert.equal(markers.wasmAddress, PROGRAM)
+  assert.equal(markers.activationVersion, 2)
+  assert.equal(markers.program.asmSize, 45000)
+  const node = getStylusTimelineNode(markers, { gasUsed: '90000', status: 'success', logs: 0 })
+  assert.equal(node.details['Program'], PROGRAM)
+  assert.equal(node.details['Activation Version'], 2)
+  assert.equal(node.details['Needs Reactivation'], 'No')
+  assert.equal(node.details['WASM Precompile'], undefined)
+  // No gas limit on the receipt: no out-of-gas guess
+  assert.deepEqual(classifyStylusFailure(markers, null, { status: 1, gasUsed: 90000n }), [])
+
+  // Activated at v1, chain upgraded to v2: needs re-activation, and the failed call says so
+  const upgradeNode = mockL2({ codehashError: ['ProgramNeedsUpgrade', [1, 2]] })
+  const stale = await getStylusProgram(PROGRAM, { provider: upgradeNode, blockTag: 1234 })
+  assert.equal(stale.status, 'NEEDS_UPGRADE')
+  assert.equal(stale.activationVersion, 1)
+  assert.equal(stale.needsReactivation, true)
+  assert.ok(!upgradeNode.calls.includes('programInitGas'))
+  const staleMarkers = detectStylusExecution({ to: PROGRAM, status: 0 }, [], stale)
+  assert.equal(staleMarkers.needsReactivation, true)
+  const [failure, ...rest] = classifyStylusFailure(staleMarkers, null, { status: 0, gasUsed: 30000n })
+  assert.equal(failure.type, 'STYLUS_NEEDS_REACTIVATION')
+  assert.ok(failure.message.includes('v1') && failure.message.includes('v2'))
+  assert.deepEqual(rest, [])
+  assert.equal(getStylusTimelineNode(staleMarkers, {}).details['Needs Reactivation'], 'Yes')
+
+  const expired = await getStylusProgram(PROGRAM, { provider: mockL2({ codehashError: ['ProgramExpired', [40000000]] }), blockTag: 1234 })
+  assert.equal(expired.status, 'EXPIRED')
+  assert.equal(expired.expiredAgeSeconds, 40000000)
+  assert.equal(expired.needsReactivation, true)
+
+  const inactive = await getStylusProgram(PROGRAM, { provider: mockL2({ codehashError: ['ProgramNotActivated', []] }), blockTag: 1234 })
+  assert.equal(inactive.status, 'NOT_ACTIVATED')
+  assert.equal(inactive.needsReactivation, false)
+  assert.equal(classifyStylusFailure(detectStylusExecution({ to: PROGRAM, status: 0 }, [], inactive), null, { status: 0 })[0].type, 'STYLUS_NOT_ACTIVATED')
+
+  // Node errors are not mistaken for "not activated"
+  const down = await getStylusProgram(PROGRAM, { provider: { getCode: async () => { throw new Error('connection refused') } }, blockTag: 1234 })
+  assert.equal(down.ok, false)
+  assert.equal(detectStylusExecution({ to: PROGRAM, status: 0 }, [], down).isWasmContract, false)
+  assert.equal((await getStylusProgram('not-an-address')).ok, false)
+
+  // Direct calls to the precompile are still Stylus activity
+  const direct = detectStylusExecution({ to: ARB_WASM_ADDRESS, status: 1 }, [])
+  assert.equal(direct.isWasmContract, true)
+  assert.equal(direct.program, null)
+  assert.equal(getStylusTimelineNode(direct, {}).details['WASM Precompile'], ARB_WASM_ADDRESS)
+
+  console.log('Stylus program test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
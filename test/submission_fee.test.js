@@ -0,0 +1,121 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { INBOX_ABI, BRIDGE_ABI } from '../src/arbitrum.js'
+import { getNetwork } from '../src/networks.js'
+import { submissionFeeFormula, decodeRetryableMessageData, findRetryableSubmissions, decodeRetryableSubmissionTx, compareSubmissionCost, computeSubmissionFee, checkRetryableSubmissionFee } from '../src/submissionFee.js'
+import { classifyFailureDetailed } from '../src/analyzer.js'
+import { validatePreSubmission } from '../src/preSubmissionValidator.js'
+
+const inbox = new ethers.Interface(INBOX_ABI)
+const bridge = new ethers.Interface(BRIDGE_ABI)
+const INBOX = getNetwork('arbitrum-one').contracts.inbox
+const BRIDGE = getNetwork('arbitrum-one').contracts.bridge
+const TARGET = '0x' + '22'.repeat(20)
+const REFUND = '0x' + '33'.repeat(20)
+const L2_CALLDATA = '0x' + 'ab'.repeat(100)
+const BASE_FEE = 20000000000n // 20 gwei
+
+function packRetryable({ maxSubmissionCost, deposit }) {
+  const word = (v) => ethers.zeroPadValue(ethers.toBeHex(BigInt(v)), 32)
+  return ethers.concat([word(TARGET), word(0), word(deposit), word(maxSubmissionCost), word(REFUND), word(REFUND), word(200000), word(100000000), word(100), L2_CALLDATA])
+}
+
+function deliveredLogs(maxSubmissionCost, kind = 9) {
+  const delivered = bridge.encodeEventLog('MessageDelivered', [7, ethers.ZeroHash, INBOX, kind, REFUND, ethers.ZeroHash, BASE_FEE, 1700000000])
+  const body = inbox.encodeEventLog('InboxMessageDelivered', [7, packRetryable({ maxSubmissionCost, deposit: 10n ** 16n })])
+  return [{ address: BRIDGE, ...delivered }, { address: INBOX, ...body }]
+}
+
+// L1 node: Inbox answers calculateRetryableSubmissionFee with the real formula
+function mockL1({ inboxFails = false, tx = null } = {}) {
+  const calls = []
+  return {
+    calls,
+    getBlock: async () => ({ baseFeePerGas: BASE_FEE }),
+    getTransaction: async () => tx,
+    call: async (req) => {
+      calls.push(req)
+      if (inboxFails) throw new Error('missing trie node')
+      const [len, fee] = inbox.decodeFunctionData('calculateRetryableSubmissionFee', req.data)
+      return inbox.encodeFunctionResult('calculateRetryableSubmissionFee', [(1400n + 6n * len) * fee])
+    }
+  }
+}
+
+async function run() {
+  const required = submissionFeeFormula(100, BASE_FEE)
+  assert.equal(required, 2000n * BASE_FEE)
+
+  const decoded = decodeRetryableMessageData(packRetryable({ maxSubmissionCost: 123, deposit: 456 }))
+  assert.equal(decoded.to, ethers.getAddress(TARGET))
+  assert.equal(decoded.maxSubmissionCost, '123')
+  assert.equal(decoded.deposit, '456')
+  assert.equal(decoded.dataLength, 100)
+  // Truncated body does not have the retryable layout
+  assert.equal(decodeRetryableMessageData(ethers.dataSlice(packRetryable({ maxSubmissionCost: 1, deposit: 1 }), 0, 300)), null)
+
+  const [submission] = findRetryableSubmissions({ logs: deliveredLogs(required) })
+  assert.equal(submission.messageIndex, '7')
+  assert.equal(submission.baseFeeL1, BASE_FEE.toString())
+  assert.equal(submission.inbox, INBOX)
+  // Other message kinds are ignored
+  assert.equal(findRetryableSubmissions({ logs: deliveredLogs(required, 3) }).length, 0)
+
+  assert.deepEqual(compareSubmissionCost(900, 1000), { providedWei: '900', requiredWei: '1000', deficitWei: '100', surplusWei: '0', sufficient: false })
+  assert.equal(compareSubmissionCost(1500, 1000).surplusWei, '500')
+
+  // Inbox call at the creation block, base fee from the block header
+  const l1 = mockL1()
+  const fee = await computeSubmissionFee({ dataLength: 100, blockTag: 123, provider: l1 })
+  assert.equal(fee.ok, true)
+  assert.equal(fee.source, 'INBOX')
+  assert.equal(fee.requiredWei, required.toString())
+  assert.equal(l1.calls[0].to, INBOX)
+  assert.equal(l1.calls[0].blockTag, 123)
+  const offline = await computeSubmissionFee({ dataLength: 100, baseFee: BASE_FEE, provider: mockL1({ inboxFails: true }) })
+  assert.equal(offline.source, 'FORMULA')
+  assert.equal(offline.requiredWei, required.toString())
+
+  // Successful submission: exact surplus, base fee taken from MessageDelivered
+  const ok = await checkRetryableSubmissionFee({ status: 1, blockNumber: 123, logs: deliveredLogs(required + 5000n) }, { provider: mockL1() })
+  assert.equal(ok.sufficient, true)
+  assert.equal(ok.surplusWei, '5000')
+  assert.equal(ok.l1BaseFee, BASE_FEE.toString())
+
+  // Reverted submission: params from Inbox calldata, deficit reported
+  const short = required - 1000n
+  const txData = inbox.encodeFunctionData('createRetryableTicket', [TARGET, 0, short, REFUND, REFUND, 200000, 100000000, L2_CALLDATA])
+  const tx = { data: txData, value: 10n ** 16n }
+  assert.equal(decodeRetryableSubmissionTx(tx).dataLength, 100)
+  assert.equal(decodeRetryableSubmissionTx({ data: '0x12345678' }), null)
+  const reverted = { status: 0, to: INBOX, transactionHash: '0x' + 'ab'.repeat(32), blockNumber: 123, logs: [] }
+  const failed = await checkRetryableSubmissionFee(reverted, { provider: mockL1({ tx }) })
+  assert.equal(failed.sufficient, false)
+  assert.equal(failed.deficitWei, '1000')
+  assert.equal(await checkRetryableSubmissionFee({ ...reverted, to: TARGET }, { provider: mockL1({ tx }) }), null)
+
+  // Classifier attributes the L1 revert to the submission fee with the exact deficit
+  const { result } = await classifyFailureDetailed({ l1Receipt: reverted, l2Receipt: null }, null, null, null, null, { l1Provider: mockL1({ tx }) })
+  assert.equal(result.failureAt, 'L1_SUBMISSION')
+  assert.equal(result.failureReason, 'LOW_SUBMISSION_COST')
+  assert.equal(result.submissionFee.deficitWei, '1000')
+  assert.ok(result.hints.some(h => h.type === 'LOW_SUBMISSION_COST' && h.message.includes('1000 wei short')))
+
+  // Paid fee covered the requirement: an unexecuted retryable is not blamed on the submission cost
+  const paid = await classifyFailureDetailed({ l1Receipt: { status: 1, blockNumber: 123, logs: deliveredLogs(required + 5000n) }, l2Receipt: null }, { gasLimit: '200000' }, null, null, null, { l1Provider: mockL1() })
+  assert.equal(paid.result.failureAt, 'AUTO_REDEEM')
+  assert.equal(paid.result.failureReason, 'UNKNOWN')
+  assert.ok(paid.result.hints.some(h => h.type === 'AUTO_REDEEM_MAYBE'))
+
+  // Validator: a zero submission cost is critical even when the fee cannot be computed
+  const offlineL1 = { call: async () => { throw new Error('offline') }, getBlock: async () => { throw new Error('offline') } }
+  const bands = { sufficient: true, windowMinutes: 60, samples: 20, l2BaseFee: { p50: '10000000', p90: '20000000', p99: '30000000' } }
+  const zero = await validatePreSubmission({ contractAddress: ethers.ZeroAddress, gasLimit: '300000', maxFeePerGas: '1000000000', submissionCost: '0' }, { l1Provider: offlineL1, getGasBands: () => bands })
+  const missing = zero.risks.find(r => r.type === 'MISSING_SUBMISSION_COST')
+  assert.equal(missing.severity, 'critical')
+  assert.ok(zero.successProbability < 80)
+
+  console.log('Submission fee test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
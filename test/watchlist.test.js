@@ -0,0 +1,96 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import watchlist from '../src/watchlist.js'
+import { applyL1ToL2Alias } from '../src/gasMinimum.js'
+
+const CONTRACT = ethers.getAddress('0x' + '4d'.repeat(20))
+const ROUTER = ethers.getAddress('0x' + '5e'.repeat(20))
+const OTHER = ethers.getAddress('0x' + '6f'.repeat(20))
+const NETWORK = 'arbitrum-one'
+const RETRY_FAILED = '0x' + 'f1'.repeat(32)
+
+async function run() {
+  watchlist.initWatchlist(':memory:')
+
+  assert.equal(watchlist.addWatch({ address: 'nope' }).ok, false)
+  assert.equal(watchlist.addWatch({ address: CONTRACT, kind: 'OTHER' }).ok, false)
+  const contractWatch = watchlist.addWatch({ address: CONTRACT.toLowerCase(), kind: 'CONTRACT', webhookUrl: 'https://hooks.example/a', label: 'vault' })
+  assert.equal(contractWatch.created, true)
+  assert.equal(contractWatch.watch.address, CONTRACT)
+  assert.equal(watchlist.addWatch({ address: CONTRACT, kind: 'CONTRACT', webhookUrl: 'https://hooks.example/a' }).created, false)
+  const creatorWatch = watchlist.addWatch({ address: ROUTER, kind: 'CREATOR', network: NETWORK })
+  watchlist.addWatch({ address: OTHER, kind: 'CONTRACT', network: 'arbitrum-nova' })
+  assert.equal(watchlist.listWatches(NETWORK).length, 2)
+
+  // Creator match via the aliased L2 sender when the L1 side isn't indexed
+  assert.deepEqual(watchlist.matchWatches(NETWORK, { l2Sender: applyL1ToL2Alias(ROUTER) }).map(w => w.id), [creatorWatch.watch.id])
+  assert.equal(watchlist.matchWatches(NETWORK, { to: OTHER }).length, 0)
+
+  const posted = []
+  const fetchImpl = async (url, init) => { posted.push({ url, body: JSON.parse(init.body) }); return { ok: true, status: 200 } }
+  const classified = []
+  const classify = async (ticket, redeem) => { classified.push(redeem.ticketId); return { failureAt: 'AUTO_REDEEM', failureReason: 'OUT_OF_GAS', failureMessage: null, hints: [] } }
+  const tickets = { 11: { ticket_id: '11', l1_tx_hash: '0x' + 'a1'.repeat(32), creator: ROUTER, to_address: CONTRACT } }
+  const indexed = {
+    redeems: [
+      { ticketId: '11', retryTxHash: RETRY_FAILED, kind: 'AUTO', status: 0, from: applyL1ToL2Alias(ROUTER), to: CONTRACT },
+      // Failed, then redeemed manually in the same range: no alert
+      { ticketId: '12', retryTxHash: '0x' + 'f2'.repeat(32), kind: 'AUTO', status: 0, from: OTHER, to: CONTRACT },
+      { ticketId: '12', retryTxHash: '0x' + 'f3'.repeat(32), kind: 'MANUAL', status: 1, from: OTHER, to: CONTRACT },
+      // Not watched
+      { ticketId: '13', retryTxHash: '0x' + 'f4'.repeat(32), kind: 'AUTO', status: 0, from: OTHER, to: OTHER }
+    ]
+  }
+  const raised = await watchlist.processIndexedResults(NETWORK, indexed, { lookupTicket: (id) => tickets[id], classify, fetchImpl })
+  // Ticket 11 matches both the contract and the creator watch, classified once
+  assert.deepEqual(raised.map(a => [a.type, a.ticketId, a.watch.kind]), [['REDEEM_FAILED', '11', 'CONTRACT'], ['REDEEM_FAILED', '11', 'CREATOR']])
+  assert.deepEqual(classified, ['11'])
+  assert.equal(raised[0].classification.failureReason, 'OUT_OF_GAS')
+  assert.equal(raised[0].webhookStatus, 'DELIVERED')
+  assert.equal(raised[1].webhookStatus, null)
+  assert.equal(posted.length, 1)
+  assert.equal(posted[0].url, 'https://hooks.example/a')
+  assert.equal(posted[0].body.alert.txHash, RETRY_FAILED)
+
+  // Re-indexing the same blocks does not repeat alerts
+  assert.equal((await watchlist.processIndexedResults(NETWORK, indexed, { lookupTicket: (id) => tickets[id], classify, fetchImpl })).length, 0)
+
+  // Expiry candidates from the indexer, restricted to watched addresses. Ticket 11 is open
+  // inside the window → one EXPIRING alert per watch; ticket 14 (watched contract, no
+  // failed redeem) is gone on chain and recorded so the next pass skips it.
+  const NOW = 1_767_000_000
+  const open = [
+    { ticket_id: '11', l1_tx_hash: tickets[11].l1_tx_hash, creator: ROUTER, to_address: CONTRACT },
+    { ticket_id: '14', l1_tx_hash: '0x' + 'a4'.repeat(32), creator: OTHER, to_address: CONTRACT }
+  ]
+  const queries = []
+  const findCandidates = (q) => { queries.push(q); return open }
+  const probed = []
+  const probe = async (ticketId) => { probed.push(ticketId); return ticketId === '11' ? { exists: true, timeout: NOW + 3600, expiresAt: '2026-01-02T00:00:00.000Z', secondsUntilExpiry: 3600 } : { exists: false } }
+  const recorded = []
+  const recordState = (ticketId, network, state) => { recorded.push([ticketId, state.state]); if (state.state === 'CLOSED') open.splice(open.findIndex(t => t.ticket_id === ticketId), 1) }
+  const expiryOptions = { now: NOW, findCandidates, probe, recordState, fetchImpl, withinHours: 24 }
+  const expiring = await watchlist.checkExpiringWatched(NETWORK, expiryOptions)
+  assert.deepEqual(queries[0].addresses.sort(), [CONTRACT, ROUTER].sort())
+  assert.equal(queries[0].expiresBefore, NOW + 24 * 3600)
+  assert.deepEqual(expiring.map(a => [a.type, a.ticketId]), [['EXPIRING', '11'], ['EXPIRING', '11']])
+  assert.equal(expiring[0].classification.failureAt, 'AUTO_REDEEM')
+  assert.equal(expiring[0].txHash, RETRY_FAILED)
+  assert.deepEqual(recorded, [['11', 'OPEN'], ['14', 'CLOSED']])
+  // Already alerted and already closed: nothing is probed again
+  assert.equal((await watchlist.checkExpiringWatched(NETWORK, expiryOptions)).length, 0)
+  assert.deepEqual(probed, ['11', '14'])
+
+  const all = watchlist.listAlerts()
+  assert.equal(all.length, 4)
+  assert.deepEqual(watchlist.listAlerts({ sinceId: all[1].id }).map(a => a.type), ['EXPIRING', 'EXPIRING'])
+  assert.equal(watchlist.latestAlertId(), all[3].id)
+
+  assert.equal(await watchlist.deliverWebhook('https://hooks.example/b', {}, async () => ({ ok: false, status: 500 })), 'FAILED: HTTP 500')
+  assert.ok(watchlist.removeWatch(contractWatch.watch.id))
+  assert.equal(watchlist.removeWatch(contractWatch.watch.id), false)
+
+  console.log('Watchlist test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })
@@ -0,0 +1,139 @@
+import assert from 'assert'
+import { ethers } from 'ethers'
+import { ARBSYS_ABI, ARBSYS_ADDRESS, OUTBOX_ABI, ROLLUP_ABI } from '../src/arbitrum.js'
+import { getNetwork } from '../src/networks.js'
+import { findWithdrawals, decodeOutboxExecution, computeChallengeCountdown, withdrawalStatus, trackAssertion, analyzeOutboxExecution } from '../src/withdrawals.js'
+import { normalizeWithdrawalTrace } from '../src/traceNormalizer.js'
+
+const arbSys = new ethers.Interface(ARBSYS_ABI)
+const outbox = new ethers.Interface(OUTBOX_ABI)
+const rollup = new ethers.Interface(ROLLUP_ABI)
+const ROLLUP = getNetwork('arbitrum-one').contracts.rollup
+const OUTBOX = getNetwork('arbitrum-one').contracts.outbox
+
+const CALLER = '0x' + '11'.repeat(20)
+const DEST = '0x' + '22'.repeat(20)
+
+const L2_BLOCK_HASH = '0x' + 'b2'.repeat(32)
+const ASSERTION_HASH = '0x' + 'a5'.repeat(32)
+const state = (blockHash) => [[[blockHash, ethers.ZeroHash], [0, 0]], 1]
+const boldState = (blockHash) => [...state(blockHash), ethers.ZeroHash]
+
+function rollupLog(name, args, blockNumber) {
+  return { address: ROLLUP, blockNumber, transactionHash: ethers.id(`${name}-${blockNumber}`), ...rollup.encodeEventLog(name, args) }
+}
+
+// Parent chain at `currentL1Block` with the rollup's logs; rollup.confirmPeriodBlocks() is 100,
+// Outbox.isSpent() false
+function mockRollupL1(currentL1Block, logs) {
+  const matches = (topic, wanted) => wanted === null || wanted === undefined || (Array.isArray(wanted) ? wanted.includes(topic) : wanted === topic)
+  return {
+    getBlockNumber: async () => currentL1Block,
+    call: async ({ to }) => (to.toLowerCase() === OUTBOX.toLowerCase() ? outbox.encodeFunctionResult('isSpent', [false]) : rollup.encodeFunctionResult('confirmPeriodBlocks', [100])),
+    getLogs: async ({ address, topics, fromBlock, toBlock }) => logs.filter(l => address === ROLLUP && l.blockNumber >= fromBlock && l.blockNumber <= toBlock && topics.every((t, i) => matches(l.topics[i], t)))
+  }
+}
+
+const mockRollupL2 = { getBlock: async (hash) => (hash === L2_BLOCK_HASH ? { number: 2000 } : null) }
+
+async function run() {
+  const { topics, data } = arbSys.encodeEventLog('L2ToL1Tx', [CALLER, DEST, 0xabcn, 42n, 1000n, 19000000n, 1700000000n, 5n, '0x'])
+  const receipt = {
+    transactionHash: '0x' + '01'.repeat(32),
+    logs: [
+      { address: '0x' + '33'.repeat(20), topics: [ethers.id('Other()')], data: '0x' },
+      { address: ARBSYS_ADDRESS, topics, data }
+    ]
+  }
+  const [w] = findWithdrawals(receipt)
+  assert.equal(w.position, '42')
+  assert.equal(w.destination.toLowerCase(), DEST)
+  assert.equal(w.arbBlockNum, 1000)
+  assert.equal(w.ethBlockNum, 19000000)
+  assert.equal(w.callvalue, '5')
+  assert.equal(w.hash, ethers.toBeHex(0xabcn, 32))
+  assert.deepEqual(findWithdrawals(null), [])
+
+  const calldata = outbox.encodeFunctionData('executeTransaction', [[ethers.ZeroHash], 42n, CALLER, DEST, 1000n, 19000000n, 1700000000n, 5n, '0x'])
+  const call = decodeOutboxExecution({ data: calldata })
+  assert.equal(call.index, '42')
+  assert.equal(call.l2Block, 1000)
+  assert.equal(call.proofLength, 1)
+  assert.equal(decodeOutboxExecution({ data: '0x12345678' }), null)
+
+  const cd = computeChallengeCountdown({ startL1Block: 100, confirmPeriodBlocks: 1000, currentL1Block: 600 })
+  assert.equal(cd.confirmableAtL1Block, 1100)
+  assert.equal(cd.blocksRemaining, 500)
+  assert.equal(cd.secondsRemaining, 6000)
+  assert.equal(cd.elapsedPct, 50)
+  assert.equal(computeChallengeCountdown({ startL1Block: 100, confirmPeriodBlocks: 1000, currentL1Block: 5000 }).blocksRemaining, 0)
+
+  assert.equal(withdrawalStatus({}), 'AWAITING_ASSERTION')
+  assert.equal(withdrawalStatus({ assertion: {} }), 'IN_CHALLENGE_PERIOD')
+  assert.equal(withdrawalStatus({ assertion: {}, confirmation: {} }), 'CONFIRMED')
+  assert.equal(withdrawalStatus({ assertion: {}, confirmation: {}, spent: true }), 'EXECUTED')
+
+  // Pre-BoLD: NodeCreated starts the rollup's confirm period
+  const nodeCreated = rollupLog('NodeCreated', [7, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroHash, [state(ethers.ZeroHash), state(L2_BLOCK_HASH), 10], ethers.ZeroHash, ethers.ZeroHash, 0], 1010)
+  const legacy = await trackAssertion(1990, 1000, 'arbitrum-one', { l1Provider: mockRollupL1(1050, [nodeCreated]), l2Provider: mockRollupL2 })
+  assert.deepEqual(legacy.errors, [])
+  assert.equal(legacy.status, 'IN_CHALLENGE_PERIOD')
+  assert.equal(legacy.assertion.kind, 'NodeCreated')
+  assert.equal(legacy.assertion.nodeNum, '7')
+  assert.equal(legacy.assertion.l2BlockNumber, 2000)
+  assert.equal(legacy.challengePeriod.confirmPeriodBlocks, 100)
+  assert.equal(legacy.challengePeriod.confirmableAtL1Block, 1110)
+  assert.equal(legacy.challengePeriod.blocksRemaining, 60)
+
+  // BoLD: AssertionCreated carries its own confirm period; its AssertionConfirmed is matched by hash
+  const config = [ethers.ZeroHash, 0, ethers.ZeroAddress, 50, 0]
+  const assertionCreated = rollupLog('AssertionCreated', [ASSERTION_HASH, ethers.ZeroHash, [[ethers.ZeroHash, ethers.ZeroHash, config], boldState(ethers.ZeroHash), boldState(L2_BLOCK_HASH)], ethers.ZeroHash, 0, ethers.ZeroHash, 0, ethers.ZeroAddress, 50], 1010)
+  const otherConfirmed = rollupLog('AssertionConfirmed', ['0x' + 'cc'.repeat(32), ethers.ZeroHash, ethers.ZeroHash], 1065)
+  const assertionConfirmed = rollupLog('AssertionConfirmed', [ASSERTION_HASH, L2_BLOCK_HASH, '0x' + '5e'.repeat(32)], 1070)
+  const bold = await trackAssertion(1990, 1000, 'arbitrum-one', { l1Provider: mockRollupL1(1200, [assertionCreated, otherConfirmed, assertionConfirmed]), l2Provider: mockRollupL2 })
+  assert.deepEqual(bold.errors, [])
+  assert.equal(bold.status, 'CONFIRMED')
+  assert.equal(bold.assertion.kind, 'AssertionCreated')
+  assert.equal(bold.assertion.assertionHash, ASSERTION_HASH)
+  assert.equal(bold.assertion.confirmPeriodBlocks, 50)
+  assert.equal(bold.challengePeriod.confirmPeriodBlocks, 50)
+  assert.equal(bold.challengePeriod.confirmableAtL1Block, 1060)
+  assert.equal(bold.confirmation.kind, 'AssertionConfirmed')
+  assert.equal(bold.confirmation.l1BlockNumber, 1070)
+  assert.equal(bold.confirmation.sendRoot, '0x' + '5e'.repeat(32))
+
+  // Still in its (shorter) BoLD period
+  const pending = await trackAssertion(1990, 1000, 'arbitrum-one', { l1Provider: mockRollupL1(1040, [assertionCreated]), l2Provider: mockRollupL2 })
+  assert.equal(pending.status, 'IN_CHALLENGE_PERIOD')
+  assert.equal(pending.challengePeriod.blocksRemaining, 20)
+
+  // Reverted claim on a pre-BoLD rollup whose node was confirmed long ago: not a confirmation problem
+  const nodeConfirmed = rollupLog('NodeConfirmed', [7, L2_BLOCK_HASH, '0x' + '5e'.repeat(32)], 1150)
+  const claim = outbox.encodeFunctionData('executeTransaction', [[ethers.ZeroHash], 42n, CALLER, DEST, 1990n, 1000n, 1700000000n, 5n, '0x'])
+  const legacyClaim = await analyzeOutboxExecution({ status: 0, transactionHash: '0x' + '0c'.repeat(32) }, { to: OUTBOX, data: claim }, 'arbitrum-one', { l1Provider: mockRollupL1(1300, [nodeCreated, nodeConfirmed]), l2Provider: mockRollupL2 })
+  assert.deepEqual(legacyClaim.errors, [])
+  assert.equal(legacyClaim.spent, false)
+  assert.equal(legacyClaim.confirmation.kind, 'NodeConfirmed')
+  assert.equal(legacyClaim.reason, 'OUTBOX_CALL_REVERTED')
+  // Same claim before the node is confirmed
+  const early = await analyzeOutboxExecution({ status: 0 }, { to: OUTBOX, data: claim }, 'arbitrum-one', { l1Provider: mockRollupL1(1100, [nodeCreated]), l2Provider: mockRollupL2 })
+  assert.equal(early.reason, 'WITHDRAWAL_NOT_CONFIRMED')
+
+  // Not sent to the network's Outbox → not an Outbox execution
+  assert.equal(await analyzeOutboxExecution({ status: 0 }, { to: DEST, data: calldata }, 'arbitrum-one'), null)
+
+  const actions = normalizeWithdrawalTrace({}, [{ ...w, status: 'CONFIRMED', assertion: null, confirmation: { kind: 'NodeConfirmed', l1BlockNumber: 2000 }, challengePeriod: cd, outbox: { address: null, spent: false, execution: null } }])
+  assert.deepEqual(actions.map(a => a.action), ['WITHDRAWAL_INITIATED', 'ASSERTION_CREATED', 'CHALLENGE_PERIOD', 'ASSERTION_CONFIRMED', 'OUTBOX_EXECUTED'])
+  assert.equal(actions[2].status, 'confirmed')
+  assert.equal(actions[4].status, 'pending')
+  assert.ok(actions[4].details.reason.includes('executeTransaction'))
+
+  const failed = normalizeWithdrawalTrace({ l1Receipt: { blockTimestamp: 1700000000 } }, [], { executed: false, l1TxHash: '0x01', call, reason: 'ALREADY_EXECUTED', message: 'spent' })
+  assert.equal(failed.length, 1)
+  assert.equal(failed[0].action, 'OUTBOX_EXECUTION')
+  assert.equal(failed[0].status, 'failed')
+
+  console.log('Withdrawals test passed ✅')
+}
+
+run().catch(err => { console.error(err); process.exit(1) })